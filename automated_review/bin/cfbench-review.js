@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * CFBench Review CLI
+ * Runs the same review engine as the browser pages (js/review_engine.js) headless under Node,
+ * so submission scripts can gate on the result.
+ *
+ * Usage:
+ *   node bin/cfbench-review.js <file.ipynb|file.py> [--format text|json|sarif]
+ *                              [--profile project.yaml] [--disable 2.8,3.6] [--enable 3.6]
+ *                              [--rules project-rules.js] [--fix out.ipynb] [--ai-replay recordings.json] [--verbose]
+ *
+ * --profile loads a JSON/YAML review profile (see js/review_profile.js).
+ * --fix writes a corrected notebook (see js/notebook_fixer.js) and reviews that instead.
+ * --rules loads a module exporting a rule or an array of rules (see js/rule_registry.js).
+ * --ai-replay also runs the AI rules (AI verification of checks 2.3 and 2.6) against recorded or
+ * canned replies instead of the network (see js/recorded_api_handler.js).
+ *
+ * Exit codes:
+ *   0 - PASS, NEEDS_REVIEW or MINOR_REVISION
+ *   1 - MAJOR_REVISION
+ *   2 - Usage error or file could not be read/parsed
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LanguageCodes = require('../js/language_codes.js');
+const Tokenizer = require('../js/tokenizer.js');
+const NumberWords = require('../js/number_words.js');
+const SemanticCheckers = require('../js/semantic_checkers.js');
+const NvidiaValidator = require('../js/nvidia_validator.js');
+const NotebookParser = require('../js/notebook_parser.js');
+const RuleRegistry = require('../js/rule_registry.js');
+const ReviewProfile = require('../js/review_profile.js');
+const Validators = require('../js/validators.js');
+const ReviewEngine = require('../js/review_engine.js');
+const ReportGenerator = require('../js/report_generator.js');
+const NotebookFixer = require('../js/notebook_fixer.js');
+const PromptLibrary = require('../js/prompt_library.js');
+
+// ReviewEngine looks up NotebookParser and Validators as browser globals, Validators looks up
+// NvidiaValidator (check 4.2) and RuleRegistry, NvidiaValidator looks up SemanticCheckers,
+// SemanticCheckers, NumberWords and Tokenizer read the task language with LanguageCodes, NotebookFixer looks up
+// NotebookParser and Validators, the word counters all look up Tokenizer and check 2.3 looks up NumberWords
+global.LanguageCodes = LanguageCodes;
+global.Tokenizer = Tokenizer;
+global.NumberWords = NumberWords;
+global.SemanticCheckers = SemanticCheckers;
+global.NvidiaValidator = NvidiaValidator;
+global.NotebookParser = NotebookParser;
+global.RuleRegistry = RuleRegistry;
+global.Validators = Validators;
+
+const EXIT_OK = 0;
+const EXIT_MAJOR_REVISION = 1;
+const EXIT_USAGE = 2;
+
+const FORMATS = ['text', 'json', 'sarif'];
+
+function printUsage() {
+    process.stderr.write('Usage: cfbench-review <file.ipynb|file.py> [--format text|json|sarif] ' +
+        '[--profile file] [--disable ids] [--enable ids] [--rules file.js] [--fix out.ipynb] ' +
+        '[--ai-replay recordings.json] [--verbose]\n');
+}
+
+/**
+ * Build the rule registry from CLI options
+ * @param {object} options - { rulesFile, enabled: [], disabled: [] }
+ * @returns {RuleRegistry}
+ */
+function buildRegistry(options = {}) {
+    const registry = RuleRegistry.createDefault();
+
+    if (options.rulesFile) {
+        const exported = require(path.resolve(options.rulesFile));
+        const rules = Array.isArray(exported) ? exported : [exported];
+        rules.forEach(rule => registry.register(rule));
+    }
+
+    registry.configure({
+        enabled: options.enabled || [],
+        disabled: options.disabled || []
+    });
+    return registry;
+}
+
+/**
+ * Remove "--name value" from args and return value (or null)
+ */
+function takeOption(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) return null;
+    const value = args[index + 1];
+    args.splice(index, 2);
+    return value === undefined ? '' : value;
+}
+
+/**
+ * APIHandler answering from a recordings file, for --ai-replay
+ * @param {string} recordingsPath - Recordings file (responses and/or canned replies)
+ * @returns {RecordedAPIHandler}
+ */
+function createReplayHandler(recordingsPath) {
+    // APIHandler and UsageTracker keep their settings in localStorage; this run keeps them in memory
+    if (typeof localStorage === 'undefined') {
+        const items = new Map();
+        global.localStorage = {
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: (key) => items.delete(key)
+        };
+    }
+
+    // APIHandler looks up its collaborators as browser globals, RecordedAPIHandler extends APIHandler
+    global.CONFIG = require('../config.js');
+    global.RequestScheduler = require('../js/request_scheduler.js');
+    global.UsageTracker = require('../js/usage_tracker.js');
+    global.ResponseCache = require('../js/response_cache.js');
+    global.ResponseSchema = require('../js/response_schema.js');
+    global.Consensus = require('../js/consensus.js');
+    global.APIHandler = require('../js/api_handler.js');
+    const RecordedAPIHandler = require('../js/recorded_api_handler.js');
+
+    const handler = new RecordedAPIHandler(JSON.parse(fs.readFileSync(recordingsPath, 'utf8')));
+    handler.setPromptLibrary(new PromptLibrary(PromptLibrary.fileLoader(path.join(__dirname, '..', 'prompts'))));
+    return handler;
+}
+
+/**
+ * Apply every automatic fix to a notebook and write the result
+ * @param {string} filePath - Path to the .ipynb or .py file
+ * @param {string} outPath - Where to write the corrected .ipynb
+ * @param {object} options - { profile: ReviewProfile }
+ * @returns {NotebookFixer} Fixer with the applied edits and manual items
+ */
+function fixFile(filePath, outPath, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const parser = new NotebookParser();
+    parser.parseText(content, path.basename(filePath));
+
+    const fixer = new NotebookFixer(parser.notebook, { profile: options.profile || null });
+    fixer.fixAll();
+    fs.writeFileSync(outPath, fixer.toJSON());
+    return fixer;
+}
+
+/**
+ * Run phases 1-4 on a single file and return the report generator
+ * @param {string} filePath - Path to the .ipynb or .py file
+ * @param {object} options - { verbose: boolean, registry: RuleRegistry, profile: ReviewProfile,
+ *                             apiHandler: also run the AI rules with this handler }
+ * @returns {Promise<ReportGenerator>} Report generator with data set
+ */
+async function reviewFile(filePath, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const engine = new ReviewEngine({
+        registry: options.registry || null,
+        profile: options.profile || null,
+        apiHandler: options.apiHandler || null
+    });
+    const review = engine.load(content, path.basename(filePath));
+
+    // Validators log debugging output with console.log - keep stdout clean for the report
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    try {
+        engine.runChecks(review);
+        if (options.apiHandler) {
+            await engine.runApiRules(review);
+        }
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+
+    const reportGenerator = new ReportGenerator();
+    reportGenerator.setData(review.parsed, review.results, null, path.basename(filePath));
+    return reportGenerator;
+}
+
+async function main(argv) {
+    const args = argv.slice(2);
+    const verbose = args.includes('--verbose');
+
+    const format = takeOption(args, '--format') ?? 'text';
+    const rulesFile = takeOption(args, '--rules');
+    const profileFile = takeOption(args, '--profile');
+    const fixOutput = takeOption(args, '--fix');
+    const replayFile = takeOption(args, '--ai-replay');
+    const splitIds = (value) => (value || '').split(',').map(id => id.trim()).filter(Boolean);
+    const disabled = splitIds(takeOption(args, '--disable'));
+    const enabled = splitIds(takeOption(args, '--enable'));
+
+    const files = args.filter(a => !a.startsWith('--'));
+
+    if (args.includes('--help') || files.length !== 1 || !FORMATS.includes(format) ||
+        rulesFile === '' || profileFile === '' || fixOutput === '' || replayFile === '') {
+        printUsage();
+        return EXIT_USAGE;
+    }
+
+    const filePath = files[0];
+    if (!filePath.endsWith('.ipynb') && !filePath.endsWith('.py')) {
+        process.stderr.write('Please select a .ipynb or .py file\n');
+        return EXIT_USAGE;
+    }
+
+    let reportGenerator;
+    try {
+        const registry = buildRegistry({ rulesFile, enabled, disabled });
+        const profile = profileFile
+            ? ReviewProfile.fromText(fs.readFileSync(profileFile, 'utf8'), path.basename(profileFile))
+            : null;
+        let reviewPath = filePath;
+        if (fixOutput) {
+            const fixer = fixFile(filePath, fixOutput, { profile });
+            fixer.edits.forEach(edit => {
+                process.stderr.write(`fixed ${edit.cellLabel}: ${edit.description}\n`);
+            });
+            fixer.manual.forEach(item => {
+                process.stderr.write(`manual cell ${item.cellIndex}: ${item.message}\n`);
+            });
+            reviewPath = fixOutput;
+        }
+        const apiHandler = replayFile ? createReplayHandler(replayFile) : null;
+        reportGenerator = await reviewFile(reviewPath, { verbose, registry, profile, apiHandler });
+    } catch (error) {
+        process.stderr.write(`cfbench-review: ${error.message}\n`);
+        return EXIT_USAGE;
+    }
+
+    if (format === 'json') {
+        process.stdout.write(reportGenerator.generateJSONReport() + '\n');
+    } else if (format === 'sarif') {
+        process.stdout.write(reportGenerator.generateSARIFReport() + '\n');
+    } else {
+        process.stdout.write(reportGenerator.generateTextReport());
+    }
+
+    return reportGenerator.getOverallStatus() === 'MAJOR_REVISION' ? EXIT_MAJOR_REVISION : EXIT_OK;
+}
+
+if (require.main === module) {
+    main(process.argv).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { reviewFile, fixFile, buildRegistry, createReplayHandler, main };
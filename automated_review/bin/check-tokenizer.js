@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * CFBench Tokenizer corpus check
+ * Runs every case in corpus/tokenizer/<language>.json through js/tokenizer.js and
+ * reports the ones whose word count, sentence count or tokens differ.
+ *
+ * Usage:
+ *   node bin/check-tokenizer.js [language ...]
+ *
+ * Corpus case: { "text": "...", "words": 4, "sentences": 1, "tokens": ["L'", "amico", ...] }
+ * (sentences and tokens are optional).
+ *
+ * Exit codes:
+ *   0 - All cases pass
+ *   1 - At least one case differs
+ *   2 - Corpus file missing or invalid
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Tokenizer reads the profile language with LanguageCodes (a browser global)
+global.LanguageCodes = require('../js/language_codes.js');
+const Tokenizer = require('../js/tokenizer.js');
+
+const CORPUS_DIR = path.join(__dirname, '..', 'corpus', 'tokenizer');
+
+const EXIT_OK = 0;
+const EXIT_MISMATCH = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Check one corpus file
+ * @returns {object} { language, total, failures: [{ text, field, expected, actual }] }
+ */
+function checkCorpus(filePath) {
+    const corpus = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(corpus.cases)) {
+        throw new Error(`${path.basename(filePath)}: "cases" must be an array`);
+    }
+
+    const tokenizer = new Tokenizer(corpus.language);
+    const failures = [];
+
+    corpus.cases.forEach(testCase => {
+        const compare = (field, expected, actual) => {
+            if (expected === undefined) return;
+            if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+                failures.push({ text: testCase.text, field: field, expected: expected, actual: actual });
+            }
+        };
+        compare('words', testCase.words, tokenizer.countWords(testCase.text));
+        compare('sentences', testCase.sentences, tokenizer.countSentences(testCase.text));
+        compare('tokens', testCase.tokens, tokenizer.words(testCase.text));
+    });
+
+    return { language: corpus.language, total: corpus.cases.length, failures: failures };
+}
+
+function main(argv) {
+    const args = argv.slice(2);
+    const languages = args.filter(a => !a.startsWith('--'));
+
+    const files = languages.length > 0
+        ? languages.map(lang => path.join(CORPUS_DIR, `${lang}.json`))
+        : fs.readdirSync(CORPUS_DIR).filter(f => f.endsWith('.json')).sort().map(f => path.join(CORPUS_DIR, f));
+
+    let failed = 0;
+    for (const file of files) {
+        let result;
+        try {
+            result = checkCorpus(file);
+        } catch (error) {
+            process.stderr.write(`check-tokenizer: ${error.message}\n`);
+            return EXIT_USAGE;
+        }
+
+        process.stdout.write(`${result.language}: ${result.total - result.failures.length}/${result.total} passed\n`);
+        result.failures.forEach(failure => {
+            process.stdout.write(`  ${failure.field}: expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}\n`);
+            process.stdout.write(`    ${failure.text}\n`);
+        });
+        failed += result.failures.length;
+    }
+
+    return failed > 0 ? EXIT_MISMATCH : EXIT_OK;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv);
+}
+
+module.exports = { checkCorpus, main };
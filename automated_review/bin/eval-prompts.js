@@ -0,0 +1,552 @@
+#!/usr/bin/env node
+/**
+ * CFBench prompt evaluation
+ * Runs the AI checks of js/api_handler.js over labelled notebooks, answering from recorded
+ * responses (js/recorded_api_handler.js) so no network is needed, and reports precision/recall
+ * per check and per instruction family with the change since the previous run.
+ *
+ * Usage:
+ *   node bin/eval-prompts.js [corpus dir] [--checks name,name] [--record] [--provider gemini|openai|custom]
+ *                            [--model name] [--project name] [--format text|json] [--no-save] [--verbose]
+ *
+ * Corpus dir (default corpus/eval):
+ *   notebooks/<name>.ipynb|.py      notebook to evaluate
+ *   notebooks/<name>.labels.json    expected verdicts
+ *   recordings.json                 AI responses recorded with --record
+ *   canned.json                     hand-written replies per check, used when there is no recordings.json
+ *   last-run.json                   metrics and verdicts of the previous complete recorded run
+ *
+ * Labels: {
+ *   "constraints": { "<instruction_id>": true },   true = explicitly requested in the final user query
+ *   "llm_judge": { "<uid>": true },                 true = naturally expressed in the final user query
+ *   "evasions": { "<model>_<pass>": false }         true = the model pass evades the request
+ * }
+ * Items without a label are not scored.
+ *
+ * A verdict is positive when the check flags a problem (constraint missing, llm_judge not
+ * integrated, evasion): precision = share of the flagged problems that are real, recall = share
+ * of the real problems that were flagged. The family of a constraint is the part of its
+ * instruction_id before ":" (keywords, length_constraints, ...).
+ *
+ * --record calls the API for prompts without a recording (key in CFBENCH_API_KEY, custom
+ * base URL in CFBENCH_BASE_URL) and adds the replies to recordings.json. --project picks
+ * the prompt overrides of prompts/projects/<name>/, like a review profile's `prompts` key.
+ *
+ * Canned replies are served per check in the order the run asks for them, whatever the prompt
+ * says (see js/recorded_api_handler.js). They exercise the scoring, not a model: a canned run
+ * is neither compared with last-run.json nor saved as one.
+ *
+ * Exit codes:
+ *   0 - Evaluated, nothing got worse
+ *   1 - An item the previous run got right is now wrong, or a prompt has no recording
+ *   2 - Usage error or corpus missing/invalid
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// APIHandler and UsageTracker keep their settings in localStorage; this run keeps them in memory
+if (typeof localStorage === 'undefined') {
+    const items = new Map();
+    global.localStorage = {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+const Tokenizer = require('../js/tokenizer.js');
+const NotebookParser = require('../js/notebook_parser.js');
+const PromptLibrary = require('../js/prompt_library.js');
+
+// APIHandler looks up its collaborators as browser globals, RecordedAPIHandler extends APIHandler
+global.CONFIG = require('../config.js');
+global.LanguageCodes = require('../js/language_codes.js');
+global.Tokenizer = Tokenizer;
+global.RequestScheduler = require('../js/request_scheduler.js');
+global.UsageTracker = require('../js/usage_tracker.js');
+global.ResponseCache = require('../js/response_cache.js');
+global.ResponseSchema = require('../js/response_schema.js');
+global.Consensus = require('../js/consensus.js');
+global.APIHandler = require('../js/api_handler.js');
+const RecordedAPIHandler = require('../js/recorded_api_handler.js');
+
+const DEFAULT_CORPUS = path.join(__dirname, '..', 'corpus', 'eval');
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+const EXIT_OK = 0;
+const EXIT_REGRESSION = 1;
+const EXIT_USAGE = 2;
+
+const FORMATS = ['text', 'json'];
+
+/**
+ * Family of a constraint: "keywords:frequency" -> "keywords"
+ */
+function instructionFamily(instructionId) {
+    return String(instructionId).split(':')[0];
+}
+
+/**
+ * Instructions of the final turn that have a label
+ */
+function labelledInstructions(parsed, labels) {
+    const expected = labels.constraints || {};
+    return (parsed.finalTurn?.turnMetadata?.instructions || [])
+        .filter(inst => expected[inst.instruction_id] !== undefined);
+}
+
+/**
+ * Verdict of a constraint check: flagged = the constraint is NOT in the query (null = no verdict)
+ */
+function constraintVerdict(instructionId, labels, flagged) {
+    return {
+        item: `constraints/${instructionId}`,
+        family: instructionFamily(instructionId),
+        expected: labels.constraints[instructionId] === false,
+        flagged: flagged
+    };
+}
+
+/**
+ * Result of an AI call, or null when it failed; a missing recording is counted, not printed
+ */
+async function askAI(call) {
+    try {
+        return await call();
+    } catch (error) {
+        if (!error.unrecorded) {
+            process.stderr.write(`eval-prompts: ${error.message}\n`);
+        }
+        return null;
+    }
+}
+
+/**
+ * AI checks under evaluation. run(handler, parsed, labels) returns the scored items:
+ * [{ item, family, expected (true = there is a problem), flagged (true/false, null = no verdict) }]
+ */
+const EVAL_CHECKS = {
+    constraint_verification_batch: {
+        run: async (handler, parsed, labels) => {
+            const instructions = labelledInstructions(parsed, labels);
+            if (instructions.length === 0) return [];
+            const query = parsed.finalTurn?.user?.content || '';
+            const results = await askAI(() => handler.verifyConstraintsBatch(query, instructions));
+            return instructions.map(inst => {
+                const result = results?.find(r => r.instruction_id === inst.instruction_id);
+                return constraintVerdict(inst.instruction_id, labels, result && result.found !== null ? !result.found : null);
+            });
+        }
+    },
+
+    constraint_verification: {
+        run: async (handler, parsed, labels) => {
+            const query = parsed.finalTurn?.user?.content || '';
+            const verdicts = [];
+            for (const inst of labelledInstructions(parsed, labels)) {
+                const result = await askAI(() => handler.verifyConstraintInQuery(query, inst));
+                verdicts.push(constraintVerdict(inst.instruction_id, labels, result && result.found !== null ? !result.found : null));
+            }
+            return verdicts;
+        }
+    },
+
+    constraints_in_query: {
+        run: async (handler, parsed, labels) => {
+            const instructions = labelledInstructions(parsed, labels);
+            if (instructions.length === 0) return [];
+            const result = await askAI(() => handler.validateConstraintsInQuery(parsed.finalTurn.turnMetadata, parsed.finalTurn.user?.content || ''));
+            const answered = result && !result.ai_unavailable && Array.isArray(result.hidden_constraints);
+            return instructions.map(inst => {
+                const hidden = answered
+                    ? result.hidden_constraints.find(h => h.id === inst.instruction_id && h.status !== 'FOUND')
+                    : null;
+                return constraintVerdict(inst.instruction_id, labels, answered ? !!hidden : null);
+            });
+        }
+    },
+
+    llm_judge_integration: {
+        run: async (handler, parsed, labels) => {
+            const expected = labels.llm_judge || {};
+            const llmJudge = (parsed.finalTurn?.turnMetadata?.llmJudge || [])
+                .filter(j => expected[String(j.uid)] !== undefined);
+            if (llmJudge.length === 0) return [];
+            const result = await askAI(() => handler.validateLLMJudgeIntegration(parsed.finalTurn?.user?.content || '', llmJudge));
+            return llmJudge.map(j => {
+                const check = result && !result.ai_unavailable
+                    ? (result.checks || []).find(c => String(c.uid) === String(j.uid))
+                    : null;
+                return {
+                    item: `llm_judge/${j.uid}`,
+                    family: 'llm_judge',
+                    expected: expected[String(j.uid)] === false,
+                    flagged: check ? !check.integrated : null
+                };
+            });
+        }
+    },
+
+    evasion_detection: {
+        run: async (handler, parsed, labels) => {
+            const expected = labels.evasions || {};
+            const query = parsed.finalTurn?.user?.content || '';
+            const verdicts = [];
+            for (const pass of parsed.modelPasses || []) {
+                const id = `${pass.model}_${pass.passNumber}`;
+                if (expected[id] === undefined) continue;
+                const result = await askAI(() => handler.detectModelEvasion(pass.assistant?.content || '', query));
+                verdicts.push({
+                    item: `evasions/${id}`,
+                    family: 'evasion',
+                    expected: expected[id] === true,
+                    flagged: result && !result.ai_unavailable && typeof result.is_evasion === 'boolean' ? result.is_evasion : null
+                });
+            }
+            return verdicts;
+        }
+    }
+};
+
+/**
+ * Remove "--name value" from args and return value (or null)
+ */
+function takeOption(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) return null;
+    const value = args[index + 1];
+    args.splice(index, 2);
+    return value === undefined ? '' : value;
+}
+
+function readJSON(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+/**
+ * Labelled notebooks of a corpus
+ * @returns {Array} [{ name, file, labels }]
+ */
+function loadCorpus(corpusDir) {
+    const notebookDir = path.join(corpusDir, 'notebooks');
+    if (!fs.existsSync(notebookDir)) {
+        throw new Error(`${notebookDir} not found`);
+    }
+
+    return fs.readdirSync(notebookDir)
+        .filter(f => f.endsWith('.ipynb') || f.endsWith('.py'))
+        .sort()
+        .map(f => {
+            const name = f.replace(/\.(ipynb|py)$/, '');
+            const labelsPath = path.join(notebookDir, `${name}.labels.json`);
+            if (!fs.existsSync(labelsPath)) {
+                throw new Error(`${f} has no ${name}.labels.json`);
+            }
+            return { name: name, file: path.join(notebookDir, f), labels: readJSON(labelsPath) };
+        });
+}
+
+/**
+ * Confusion counts and precision/recall of a list of verdicts
+ */
+function computeMetrics(verdicts) {
+    const metrics = { tp: 0, fp: 0, fn: 0, tn: 0, noVerdict: 0 };
+    verdicts.forEach(v => {
+        if (v.flagged === null) metrics.noVerdict++;
+        else if (v.flagged && v.expected) metrics.tp++;
+        else if (v.flagged) metrics.fp++;
+        else if (v.expected) metrics.fn++;
+        else metrics.tn++;
+    });
+    metrics.precision = metrics.tp + metrics.fp > 0 ? metrics.tp / (metrics.tp + metrics.fp) : null;
+    metrics.recall = metrics.tp + metrics.fn > 0 ? metrics.tp / (metrics.tp + metrics.fn) : null;
+    return metrics;
+}
+
+/**
+ * Run the checks over the corpus
+ * @param {object} options - { checks: [names], handler: RecordedAPIHandler, library: PromptLibrary, project,
+ *                            canned: true when the handler answers with canned replies only }
+ * @returns {Promise<object>} Run: { date, provider, model (null for canned replies), canned, notebooks,
+ *                            templates, replay, checks, items }
+ */
+async function evaluate(corpus, options) {
+    const { handler, library } = options;
+    const items = [];
+    const templates = new Map();
+
+    for (const entry of corpus) {
+        const parser = new NotebookParser();
+        const parsed = parser.parseText(fs.readFileSync(entry.file, 'utf8'), path.basename(entry.file));
+        library.setContext({ project: options.project, language: parsed.metadata?.language });
+        library.resetUsed();
+
+        for (const check of options.checks) {
+            const verdicts = await EVAL_CHECKS[check].run(handler, parsed, entry.labels);
+            verdicts.forEach(v => items.push({ check: check, notebook: entry.name, ...v }));
+        }
+
+        library.getUsed().forEach(t => templates.set(`${t.name}|${t.source}`, t));
+    }
+
+    const checks = {};
+    options.checks.forEach(check => {
+        const verdicts = items.filter(i => i.check === check);
+        const families = {};
+        [...new Set(verdicts.map(v => v.family))].sort().forEach(family => {
+            families[family] = computeMetrics(verdicts.filter(v => v.family === family));
+        });
+        checks[check] = { ...computeMetrics(verdicts), families: families };
+    });
+
+    return {
+        date: new Date().toISOString(),
+        provider: options.canned ? null : handler.provider,
+        model: options.canned ? null : handler.getModel(),
+        canned: !!options.canned,
+        notebooks: corpus.length,
+        templates: Array.from(templates.values()),
+        replay: { ...handler.replayStats },
+        checks: checks,
+        items: items.map(i => ({
+            check: i.check,
+            notebook: i.notebook,
+            item: i.item,
+            family: i.family,
+            expected: i.expected,
+            flagged: i.flagged
+        }))
+    };
+}
+
+/**
+ * Changes between the previous run and this one
+ * @returns {object} { previousDate, templates: [text], metrics: [{ check, family, before, after }],
+ *                     fixed: [item], regressed: [item] }
+ */
+function diffRuns(previous, current) {
+    const diff = { previousDate: previous.date, templates: [], metrics: [], fixed: [], regressed: [] };
+
+    const describeTemplates = run => new Map((run.templates || []).map(t => [t.name, `v${t.version} (${t.source})`]));
+    const before = describeTemplates(previous);
+    describeTemplates(current).forEach((version, name) => {
+        if (before.get(name) !== version) {
+            diff.templates.push(`${name}: ${before.get(name) || 'not used'} -> ${version}`);
+        }
+    });
+
+    Object.entries(current.checks).forEach(([check, metrics]) => {
+        const old = previous.checks?.[check];
+        if (!old) return;
+        diff.metrics.push({ check: check, family: null, before: old, after: metrics });
+        Object.entries(metrics.families).forEach(([family, familyMetrics]) => {
+            if (old.families?.[family]) {
+                diff.metrics.push({ check: check, family: family, before: old.families[family], after: familyMetrics });
+            }
+        });
+    });
+
+    const itemKey = i => `${i.check}|${i.notebook}|${i.item}`;
+    const isCorrect = i => i.flagged !== null && i.flagged === i.expected;
+    const previousItems = new Map((previous.items || []).map(i => [itemKey(i), i]));
+    current.items.forEach(item => {
+        const old = previousItems.get(itemKey(item));
+        // Items without a verdict (missing recording, failed call) are counted in the run, not compared
+        if (!old || old.expected !== item.expected || item.flagged === null) return;
+        if (isCorrect(old) && !isCorrect(item)) diff.regressed.push(item);
+        if (!isCorrect(old) && isCorrect(item)) diff.fixed.push(item);
+    });
+
+    return diff;
+}
+
+function formatRate(value) {
+    return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatMetricsRow(label, m) {
+    return `${label.padEnd(34)}${[m.tp, m.fp, m.fn, m.tn, m.noVerdict].map(n => String(n).padStart(5)).join('')}` +
+        `${formatRate(m.precision).padStart(11)}${formatRate(m.recall).padStart(9)}`;
+}
+
+function formatItem(item) {
+    const got = item.flagged === null ? 'no verdict' : item.flagged ? 'flagged' : 'not flagged';
+    return `${item.notebook} ${item.item} [${item.check}]: ${got}, expected ${item.expected ? 'flagged' : 'not flagged'}`;
+}
+
+/**
+ * Text report of a run and its diff
+ */
+function formatReport(run, diff) {
+    const source = run.canned ? 'canned replies' : `${run.provider}/${run.model}`;
+    let text = `Prompt evaluation: ${run.notebooks} notebook(s), ${run.items.length} labelled verdict(s), ${source}\n`;
+    text += `Responses: ${run.replay.replayed} replayed, ${run.replay.recorded} recorded, ${run.replay.missing} missing\n`;
+    if (run.templates.length > 0) {
+        text += `Prompt templates: ${run.templates.map(t => `${t.name} v${t.version}`).join(', ')}\n`;
+    }
+    text += '\n';
+
+    text += `${'check / family'.padEnd(34)}   TP   FP   FN   TN  n/a  precision   recall\n`;
+    Object.entries(run.checks).forEach(([check, metrics]) => {
+        text += formatMetricsRow(check, metrics) + '\n';
+        Object.entries(metrics.families).forEach(([family, familyMetrics]) => {
+            text += formatMetricsRow(`  ${family}`, familyMetrics) + '\n';
+        });
+    });
+
+    if (!diff) {
+        return text + (run.canned ? '\nCanned replies: not compared with a previous run.\n' : '\nNo previous run to compare with.\n');
+    }
+
+    text += `\nSince the previous run (${diff.previousDate}):\n`;
+    diff.templates.forEach(change => {
+        text += `  template ${change}\n`;
+    });
+    diff.metrics.forEach(({ check, family, before, after }) => {
+        if (before.precision === after.precision && before.recall === after.recall) return;
+        const label = family ? `${check} / ${family}` : check;
+        text += `  ${label}: precision ${formatRate(before.precision)} -> ${formatRate(after.precision)}, ` +
+            `recall ${formatRate(before.recall)} -> ${formatRate(after.recall)}\n`;
+    });
+    diff.fixed.forEach(item => {
+        text += `  fixed     ${formatItem(item)}\n`;
+    });
+    diff.regressed.forEach(item => {
+        text += `  regressed ${formatItem(item)}\n`;
+    });
+    if (diff.templates.length + diff.fixed.length + diff.regressed.length === 0 &&
+        diff.metrics.every(m => m.before.precision === m.after.precision && m.before.recall === m.after.recall)) {
+        text += '  no changes\n';
+    }
+
+    return text;
+}
+
+function printUsage() {
+    process.stderr.write('Usage: eval-prompts [corpus dir] [--checks names] [--record] [--provider name] [--model name] ' +
+        '[--project name] [--format text|json] [--no-save] [--verbose]\n');
+}
+
+async function main(argv) {
+    const args = argv.slice(2);
+    const record = args.includes('--record');
+    const save = !args.includes('--no-save');
+    const verbose = args.includes('--verbose');
+
+    const format = takeOption(args, '--format') ?? 'text';
+    const checksOption = takeOption(args, '--checks');
+    const provider = takeOption(args, '--provider');
+    const model = takeOption(args, '--model');
+    const project = takeOption(args, '--project');
+    const dirs = args.filter(a => !a.startsWith('--'));
+
+    const checks = checksOption ? checksOption.split(',').map(c => c.trim()).filter(Boolean) : Object.keys(EVAL_CHECKS);
+    const unknown = checks.filter(c => !EVAL_CHECKS[c]);
+
+    if (args.includes('--help') || dirs.length > 1 || !FORMATS.includes(format) || unknown.length > 0 ||
+        checksOption === '' || provider === '' || model === '' || project === '') {
+        if (unknown.length > 0) {
+            process.stderr.write(`Unknown check(s): ${unknown.join(', ')} (available: ${Object.keys(EVAL_CHECKS).join(', ')})\n`);
+        }
+        printUsage();
+        return EXIT_USAGE;
+    }
+
+    const corpusDir = dirs[0] || DEFAULT_CORPUS;
+    const recordingsPath = path.join(corpusDir, 'recordings.json');
+    const cannedPath = path.join(corpusDir, 'canned.json');
+    const lastRunPath = path.join(corpusDir, 'last-run.json');
+    const canned = !record && !fs.existsSync(recordingsPath) && fs.existsSync(cannedPath);
+
+    let corpus;
+    let handler;
+    try {
+        corpus = loadCorpus(corpusDir);
+        const recordings = canned ? readJSON(cannedPath)
+            : fs.existsSync(recordingsPath) ? readJSON(recordingsPath) : null;
+        handler = new RecordedAPIHandler(recordings, {
+            record: record,
+            apiKey: process.env.CFBENCH_API_KEY || '',
+            provider: provider || 'gemini'
+        });
+        if (provider === 'custom') {
+            handler.setCustomProvider({
+                baseUrl: process.env.CFBENCH_BASE_URL || handler.providers.custom.baseUrl,
+                model: model || '',
+                apiKey: process.env.CFBENCH_API_KEY || ''
+            });
+        } else if (model) {
+            handler.providers[handler.provider].model = model;
+        }
+        if (record && !handler.isConfigured()) {
+            throw new Error('--record needs an API key in CFBENCH_API_KEY');
+        }
+    } catch (error) {
+        process.stderr.write(`eval-prompts: ${error.message}\n`);
+        return EXIT_USAGE;
+    }
+
+    const library = new PromptLibrary(PromptLibrary.fileLoader(PROMPTS_DIR));
+    handler.setPromptLibrary(library);
+
+    // The checks log with console.warn when a call fails - keep the report readable
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    if (!verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    let run;
+    try {
+        run = await evaluate(corpus, { checks, handler, library, project, canned });
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+
+    let diff;
+    try {
+        const previous = !canned && fs.existsSync(lastRunPath) ? readJSON(lastRunPath) : null;
+        diff = previous ? diffRuns(previous, run) : null;
+    } catch (error) {
+        process.stderr.write(`eval-prompts: ${error.message}\n`);
+        return EXIT_USAGE;
+    }
+
+    if (format === 'json') {
+        process.stdout.write(JSON.stringify({ run: run, diff: diff }, null, 2) + '\n');
+    } else {
+        process.stdout.write(formatReport(run, diff));
+    }
+
+    if (record && handler.replayStats.recorded > 0) {
+        fs.writeFileSync(recordingsPath, JSON.stringify(handler.getRecordings(), null, 2) + '\n');
+    }
+    // A run with missing recordings or canned replies would make a poor baseline for the next diff
+    if (save && canned) {
+        process.stderr.write(`eval-prompts: canned replies, ${path.basename(lastRunPath)} not updated\n`);
+    } else if (save && run.replay.missing === 0) {
+        fs.writeFileSync(lastRunPath, JSON.stringify(run, null, 2) + '\n');
+    } else if (save) {
+        process.stderr.write(`eval-prompts: ${run.replay.missing} prompt(s) without a recording, ${path.basename(lastRunPath)} not updated\n`);
+    }
+
+    return run.replay.missing > 0 || (diff && diff.regressed.length > 0) ? EXIT_REGRESSION : EXIT_OK;
+}
+
+if (require.main === module) {
+    main(process.argv).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        process.stderr.write(`eval-prompts: ${error.message}\n`);
+        process.exitCode = EXIT_USAGE;
+    });
+}
+
+module.exports = { EVAL_CHECKS, computeMetrics, diffRuns, evaluate, loadCorpus, main };
@@ -12,10 +12,29 @@ const CONFIG = {
     GEMINI_MODEL: "gemini-2.5-flash-lite",
     GEMINI_BASE_URL: "https://generativelanguage.googleapis.com/v1beta/openai",
 
-    // Rate Limits
+    // Rate Limits (0 = unlimited)
     RATE_LIMIT_RPM: 30,           // Requests per minute
+    RATE_LIMIT_TPM: 250000,       // Input tokens per minute
     RATE_LIMIT_RPD: 1500,         // Requests per day
-    RATE_LIMIT_DELAY_MS: 2100,    // Delay between calls (ms)
+    MAX_CONCURRENT_REQUESTS: 4,   // API calls in flight at once
+
+    // Per-provider overrides of the limits above
+    PROVIDER_RATE_LIMITS: {
+        openai: { rpm: 500, tpm: 200000 },
+        custom: { rpm: 0, tpm: 0, concurrency: 2 }   // Local servers: only limit parallel requests
+    },
+
+    // Consensus mode: verifyConstraintInQuery(), verifyConstraintsBatch() and detectModelEvasion()
+    // ask every voter and keep the verdict only when enough of them agree.
+    // Voters are "provider:model" (e.g. "gemini:gemini-2.5-flash", "custom:llama3.1");
+    // with no voters the current model is sampled `samples` times at `sampleTemperature`.
+    CONSENSUS: {
+        enabled: false,
+        voters: [],
+        samples: 3,
+        threshold: 0.6,           // Share of the votes a verdict needs (FAIL, evasion)
+        sampleTemperature: 0.7
+    },
 
     // Context Window
     MAX_CONTEXT_TOKENS: 1000000   // 1 million tokens
@@ -25,3 +44,6 @@ const CONFIG = {
 if (typeof window !== 'undefined') {
     window.CONFIG = CONFIG;
 }
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CONFIG;
+}
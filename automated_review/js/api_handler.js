@@ -1,8 +1,12 @@
 /**
  * CFBench API Handler
- * Supports both Gemini and OpenAI/GPT APIs
+ * Supports Gemini, OpenAI/GPT and any OpenAI-compatible endpoint
+ * (custom / local provider: Ollama, llama.cpp server, vLLM, LM Studio ...)
  */
 
+// Ollama's OpenAI-compatible endpoint, the most common local setup
+const CUSTOM_PROVIDER_DEFAULT_URL = 'http://localhost:11434/v1';
+
 class APIHandler {
     constructor(apiKey, provider = null) {
         // Load saved settings from localStorage
@@ -15,33 +19,58 @@ class APIHandler {
                 name: 'Gemini',
                 model: 'gemini-2.5-flash-lite',
                 baseUrl: 'https://generativelanguage.googleapis.com/v1beta/openai',
-                rateLimit: 3000
+                quotaTimeZone: 'America/Los_Angeles',
+                jsonMode: 'json_schema'
             },
             openai: {
                 name: 'OpenAI/GPT',
                 model: 'gpt-4o-mini',
+                largeContextModel: 'gpt-5-nano',
                 baseUrl: 'https://api.openai.com/v1',
-                rateLimit: 1000
+                quotaTimeZone: 'UTC',
+                jsonMode: 'json_schema'
+            },
+            custom: {
+                name: 'Custom / Local',
+                model: localStorage.getItem('custom_model') || '',
+                baseUrl: localStorage.getItem('custom_base_url') || CUSTOM_PROVIDER_DEFAULT_URL,
+                quotaTimeZone: null,
+                // Local servers differ in which response_format they accept; replies are still validated
+                jsonMode: null,
+                keyOptional: true
             }
         };
 
-        // Rate limiting
-        this.RATE_LIMIT_DELAY = this.providers[this.provider]?.rateLimit || 3000;
-        this.lastCallTime = 0;
-        this.dailyCallCount = 0;
+        // The custom endpoint has its own (optional) key so switching back keeps the Gemini/OpenAI one
+        this.customApiKey = localStorage.getItem('custom_api_key') || '';
+
+        // Rate limiting: RPM/TPM token buckets and concurrency from CONFIG
+        this.scheduler = new RequestScheduler(this.getRateLimits());
         this.DAILY_LIMIT = 1500;
 
-        // Load prompts
-        this.prompts = {};
+        // Calls, tokens and cost per provider, kept across page loads
+        this.usage = new UsageTracker();
+
+        // Response cache (ResponseCache, set by the host page) and hit counters for the report
+        this.cache = null;
+        this.bypassCache = localStorage.getItem('bypass_cache') === 'true';
+        this.cacheStats = { hits: 0, misses: 0 };
+
+        // Live output: (stream, text so far) => void, set by the host page while a review runs.
+        // Calls that name a stream are sent as SSE chat completions while it is set.
+        this.onStream = null;
+
+        // Prompt templates of the checks (PromptLibrary, set by the host page)
+        this.prompts = null;
     }
 
     /**
-     * Set API provider (gemini or openai)
+     * Set API provider (gemini, openai or custom)
      */
     setProvider(provider) {
         if (this.providers[provider]) {
             this.provider = provider;
-            this.RATE_LIMIT_DELAY = this.providers[provider].rateLimit;
+            this.scheduler.setLimits(this.getRateLimits());
             localStorage.setItem('api_provider', provider);
         }
     }
@@ -65,7 +94,127 @@ class APIHandler {
      * Check if API key is set
      */
     hasApiKey() {
-        return !!this.apiKey && this.apiKey.length > 0;
+        return !!this.getApiKey();
+    }
+
+    /**
+     * Key sent with requests to a provider (the current one by default)
+     */
+    getApiKey(provider = this.provider) {
+        return provider === 'custom' ? this.customApiKey : this.apiKey;
+    }
+
+    /**
+     * Check if a provider (the current one by default) can be called: a key for Gemini/OpenAI,
+     * a base URL and model for the custom provider (key optional)
+     */
+    isConfigured(provider = this.provider) {
+        const providerConfig = this.providers[provider];
+        if (!providerConfig) return false;
+        if (providerConfig.keyOptional) {
+            return !!providerConfig.baseUrl && !!providerConfig.model;
+        }
+        return !!this.getApiKey(provider);
+    }
+
+    /**
+     * Configure the custom / local OpenAI-compatible provider
+     * @param {object} settings - { baseUrl, model, apiKey } (apiKey may be empty)
+     */
+    setCustomProvider(settings) {
+        const baseUrl = (settings.baseUrl || '').trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+        if (!/^https?:\/\//.test(baseUrl)) {
+            throw new Error('Custom provider base URL must start with http:// or https://');
+        }
+        const model = (settings.model || '').trim();
+        if (!model) {
+            throw new Error('Custom provider model name is required');
+        }
+
+        this.providers.custom.baseUrl = baseUrl;
+        this.providers.custom.model = model;
+        this.customApiKey = (settings.apiKey || '').trim();
+
+        localStorage.setItem('custom_base_url', baseUrl);
+        localStorage.setItem('custom_model', model);
+        localStorage.setItem('custom_api_key', this.customApiKey);
+    }
+
+    /**
+     * Consensus settings: CONFIG.CONSENSUS with the user's changes from localStorage on top
+     * @returns {object} { enabled, voters: ['provider:model'], samples, threshold, sampleTemperature }
+     */
+    getConsensusSettings() {
+        const defaults = {
+            enabled: false,
+            voters: [],
+            samples: 3,
+            threshold: 0.6,
+            sampleTemperature: 0.7,
+            ...(typeof CONFIG !== 'undefined' ? CONFIG.CONSENSUS : {})
+        };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('consensus_settings')) };
+        } catch (e) {
+            console.warn('Ignoring corrupt consensus_settings in storage:', e);
+            return defaults;
+        }
+    }
+
+    /**
+     * Save consensus settings
+     * @param {object} settings - { enabled, voters: ['provider:model'], samples (2-9), threshold (0.5-1) }
+     */
+    setConsensusSettings(settings) {
+        const samples = Number(settings.samples);
+        if (!Number.isInteger(samples) || samples < 2 || samples > 9) {
+            throw new Error('Consensus samples must be a whole number from 2 to 9');
+        }
+        const threshold = Number(settings.threshold);
+        if (!(threshold >= 0.5 && threshold <= 1)) {
+            throw new Error('Consensus majority must be between 50% and 100%');
+        }
+        const voters = (settings.voters || []).map(v => String(v).trim()).filter(Boolean);
+        voters.forEach(v => {
+            if (!this.providers[Consensus.parseVoter(v).provider]) {
+                throw new Error(`Unknown provider in consensus voter "${v}"`);
+            }
+        });
+
+        localStorage.setItem('consensus_settings', JSON.stringify({
+            enabled: !!settings.enabled,
+            voters: voters,
+            samples: samples,
+            threshold: threshold
+        }));
+    }
+
+    isConsensusEnabled() {
+        return this.getConsensusSettings().enabled;
+    }
+
+    /**
+     * Voters of consensus mode: the configured "provider:model" voters whose provider can be
+     * called, or `samples` samples of the current model when there are none
+     * @returns {Array} [{ provider, model, sample, label }]
+     */
+    getConsensusVoters(settings = this.getConsensusSettings()) {
+        const voters = settings.voters.map(v => Consensus.parseVoter(v)).filter(voter => {
+            if (this.isConfigured(voter.provider)) return true;
+            console.warn(`Consensus voter ${voter.provider}:${voter.model} skipped: provider not configured`);
+            return false;
+        });
+        if (voters.length > 0) {
+            return voters.map(voter => ({ ...voter, sample: 0, label: `${voter.provider}:${voter.model}` }));
+        }
+
+        const model = this.getModel();
+        return Array.from({ length: settings.samples }, (_, i) => ({
+            provider: this.provider,
+            model: model,
+            sample: i + 1,
+            label: `${model} #${i + 1}`
+        }));
     }
 
     /**
@@ -75,6 +224,15 @@ class APIHandler {
         return this.providers[this.provider]?.model || 'unknown';
     }
 
+    /**
+     * Model used for prompts with very large context (long thinking content).
+     * Falls back to the regular model when the provider has no dedicated one.
+     */
+    getLargeContextModel() {
+        const providerConfig = this.providers[this.provider];
+        return providerConfig?.largeContextModel || providerConfig?.model || 'unknown';
+    }
+
     /**
      * Sleep for specified milliseconds
      */
@@ -83,47 +241,159 @@ class APIHandler {
     }
 
     /**
-     * Apply rate limiting before API call
+     * Scheduler limits of the current provider: CONFIG.PROVIDER_RATE_LIMITS overrides
+     * the global CONFIG.RATE_LIMIT_RPM / RATE_LIMIT_TPM / MAX_CONCURRENT_REQUESTS (0 = unlimited)
+     * @returns {object} { rpm, tpm, concurrency }
      */
-    async applyRateLimit() {
-        const now = Date.now();
-        const timeSinceLastCall = now - this.lastCallTime;
+    getRateLimits() {
+        const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+        const override = config.PROVIDER_RATE_LIMITS?.[this.provider] || {};
+        return {
+            rpm: override.rpm ?? config.RATE_LIMIT_RPM ?? 30,
+            tpm: override.tpm ?? config.RATE_LIMIT_TPM ?? 250000,
+            concurrency: override.concurrency ?? config.MAX_CONCURRENT_REQUESTS ?? 4
+        };
+    }
 
-        if (timeSinceLastCall < this.RATE_LIMIT_DELAY) {
-            const waitTime = this.RATE_LIMIT_DELAY - timeSinceLastCall;
-            await this.sleep(waitTime);
-        }
+    /**
+     * Cancel every queued and running API request
+     */
+    cancelRequests() {
+        this.scheduler.cancel();
+    }
 
-        this.lastCallTime = Date.now();
+    /**
+     * Retry-After header in milliseconds (seconds or an HTTP date), null when absent
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
     }
 
     /**
      * Check daily limit
      */
-    checkDailyLimit() {
-        if (this.dailyCallCount >= this.DAILY_LIMIT) {
-            throw new Error(`Daily API limit reached (${this.DAILY_LIMIT} calls). Please try again tomorrow.`);
+    checkDailyLimit(provider = this.provider) {
+        this.usage.checkLimits(provider, this.getQuotaTimeZone(provider), this.getDailyLimit(provider));
+    }
+
+    /**
+     * Provider quota in calls per day (local endpoints have none)
+     */
+    getDailyLimit(provider = this.provider) {
+        return this.providers[provider]?.keyOptional ? null : this.DAILY_LIMIT;
+    }
+
+    /**
+     * Time zone in which the provider's daily quota resets (null = the browser's)
+     */
+    getQuotaTimeZone(provider = this.provider) {
+        return this.providers[provider]?.quotaTimeZone || null;
+    }
+
+    /**
+     * Today's and this month's usage of the current provider
+     * @returns {object} { day, month, today, thisMonth, dailyLimit } - see UsageTracker.getUsage()
+     */
+    getUsage() {
+        return {
+            ...this.usage.getUsage(this.provider, this.getQuotaTimeZone()),
+            dailyLimit: this.getDailyLimit()
+        };
+    }
+
+    /**
+     * Use a ResponseCache for callGemini()
+     * @param {ResponseCache|null} cache
+     */
+    setCache(cache) {
+        this.cache = cache;
+    }
+
+    /**
+     * Load the prompt of every check from a PromptLibrary
+     * @param {PromptLibrary} library
+     */
+    setPromptLibrary(library) {
+        this.prompts = library;
+    }
+
+    /**
+     * Prompt of a check, rendered from its template
+     * @param {string} name - Template name in prompts/
+     * @param {object} variables - Values of the template's {{variables}}
+     */
+    async renderPrompt(name, variables) {
+        if (!this.prompts) {
+            throw new Error('No prompt library set: call setPromptLibrary() first');
         }
+        return this.prompts.render(name, variables);
     }
 
     /**
-     * Make API call (supports both Gemini and OpenAI)
+     * Always call the API, even when a cached response exists (fresh responses are still cached)
+     */
+    setBypassCache(bypass) {
+        this.bypassCache = !!bypass;
+        localStorage.setItem('bypass_cache', String(this.bypassCache));
+    }
+
+    /**
+     * Cache hits and API calls since the last resetCacheStats()
+     * @returns {object} { hits, misses, bypassed }
+     */
+    getCacheStats() {
+        return { ...this.cacheStats, bypassed: this.bypassCache };
+    }
+
+    resetCacheStats() {
+        this.cacheStats = { hits: 0, misses: 0 };
+    }
+
+    /**
+     * Look up a request in the response cache
+     * @param {number} sample - Index of a consensus sample; each sample is cached separately
+     * @returns {Promise<object>} { key, hit } - key is null when there is no usable cache
+     */
+    async readCache(provider, model, prompt, temperature, sample = 0) {
+        if (!this.cache || !this.cache.isAvailable()) {
+            return { key: null, hit: null };
+        }
+        try {
+            const key = await ResponseCache.makeKey(provider, model, prompt, temperature, sample);
+            const hit = this.bypassCache ? null : await this.cache.get(key);
+            return { key: key, hit: hit };
+        } catch (error) {
+            console.warn('Response cache unavailable:', error);
+            return { key: null, hit: null };
+        }
+    }
+
+    /**
+     * Make API call to the current provider (Gemini, OpenAI or custom - all OpenAI-compatible)
      * Includes automatic retry with exponential backoff for rate limits
+     * @param {object} options - { temperature, maxTokens, topP, model (overrides the provider model),
+     *                             stream (name passed to onStream while the response arrives),
+     *                             responseFormat (OpenAI response_format, see getResponseFormat),
+     *                             provider (overrides the current provider), sample (consensus sample index) }
      */
     async callGemini(prompt, options = {}) {
-        if (!this.hasApiKey()) {
-            throw new Error(`API key not set. Please configure your ${this.getProviderName()} API key.`);
+        const provider = options.provider || this.provider;
+        if (!this.isConfigured(provider)) {
+            throw new Error(provider === 'custom'
+                ? 'Custom provider not set. Please configure its base URL and model.'
+                : `API key not set. Please configure your ${this.providers[provider]?.name || provider} API key.`);
         }
 
-        this.checkDailyLimit();
-        await this.applyRateLimit();
-
         // Get provider config
-        const providerConfig = this.providers[this.provider];
+        const providerConfig = this.providers[provider];
         const url = `${providerConfig.baseUrl}/chat/completions`;
 
         const requestBody = {
-            model: providerConfig.model,
+            model: options.model || providerConfig.model,
             messages: [
                 {
                     role: 'user',
@@ -135,67 +405,183 @@ class APIHandler {
             top_p: options.topP || 0.8
         };
 
-        // Retry logic with exponential backoff
-        const maxRetries = 3;
-        let lastError = null;
+        if (options.responseFormat) {
+            requestBody.response_format = options.responseFormat;
+        }
 
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.apiKey}`
-                    },
-                    body: JSON.stringify(requestBody)
-                });
+        const stream = options.stream && this.onStream ? options.stream : null;
+        if (stream) {
+            requestBody.stream = true;
+            requestBody.stream_options = { include_usage: true };
+        }
 
-                // Handle rate limit (429) with retry
-                if (response.status === 429) {
-                    const waitTime = Math.pow(2, attempt) * 2000; // 4s, 8s, 16s
-                    console.warn(`Rate limit hit. Attempt ${attempt}/${maxRetries}. Waiting ${waitTime/1000}s...`);
+        // Unchanged prompts are answered from the cache without touching the quota
+        const cached = await this.readCache(provider, requestBody.model, prompt, requestBody.temperature, options.sample);
+        if (cached.hit) {
+            this.cacheStats.hits++;
+            if (stream) this.onStream(stream, cached.hit.text);
+            return { text: cached.hit.text, usage: cached.hit.usage, cached: true };
+        }
+        this.cacheStats.misses++;
 
-                    if (attempt < maxRetries) {
-                        await this.sleep(waitTime);
-                        continue;
-                    } else {
-                        throw new Error('Rate limit exceeded after 3 retries. Please wait 1-2 minutes and try again.');
+        // The call counts against the daily limit and budgets from here until it is recorded,
+        // so concurrent calls cannot overshoot them
+        this.usage.reserve(provider, this.getQuotaTimeZone(provider), this.getDailyLimit(provider));
+        try {
+            // Retry logic with exponential backoff
+            const maxRetries = 3;
+            let lastError = null;
+            const estimatedTokens = RequestScheduler.estimateTokens(prompt);
+
+            for (let attempt = 1; attempt <= maxRetries; attempt++) {
+                try {
+                    // The scheduler decides when the request may start (RPM/TPM/concurrency)
+                    const response = await this.scheduler.schedule(async (signal) => {
+                        const res = await fetch(url, {
+                            method: 'POST',
+                            headers: this.getRequestHeaders(provider),
+                            body: JSON.stringify(requestBody),
+                            signal: signal
+                        });
+                        // A streamed body is read inside the task so the request holds its slot until done
+                        const streamed = stream && res.ok && res.body;
+                        return {
+                            status: res.status,
+                            ok: res.ok,
+                            statusText: res.statusText,
+                            retryAfter: res.headers?.get('Retry-After') || null,
+                            data: streamed
+                                ? await this.readEventStream(res, text => this.onStream(stream, text))
+                                : await res.json().catch(() => ({}))
+                        };
+                    }, { tokens: estimatedTokens });
+
+                    // Handle rate limit (429): every queued request waits for Retry-After
+                    if (response.status === 429) {
+                        const waitTime = this.parseRetryAfter(response.retryAfter) ?? Math.pow(2, attempt) * 2000; // 4s, 8s, 16s
+                        console.warn(`Rate limit hit. Attempt ${attempt}/${maxRetries}. Waiting ${waitTime/1000}s...`);
+
+                        if (attempt < maxRetries) {
+                            this.scheduler.pauseFor(waitTime);
+                            continue;
+                        } else {
+                            throw new Error('Rate limit exceeded after 3 retries. Please wait 1-2 minutes and try again.');
+                        }
                     }
-                }
 
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`API Error ${response.status}: ${errorData.error?.message || response.statusText}`);
-                }
+                    if (!response.ok) {
+                        throw new Error(`API Error ${response.status}: ${response.data.error?.message || response.statusText}`);
+                    }
 
-                const data = await response.json();
-                this.dailyCallCount++;
+                    const data = response.data;
 
-                // Extract text from OpenAI-compatible response
-                const text = data.choices?.[0]?.message?.content || '';
-                return {
-                    text: text,
-                    usage: {
+                    // Extract text from OpenAI-compatible response
+                    const text = data.choices?.[0]?.message?.content || '';
+                    const usage = {
                         promptTokens: data.usage?.prompt_tokens || 0,
                         completionTokens: data.usage?.completion_tokens || 0
+                    };
+                    this.usage.record(provider, this.getQuotaTimeZone(provider), requestBody.model, usage);
+                    if (usage.promptTokens) {
+                        this.scheduler.settleTokens(estimatedTokens, usage.promptTokens);
                     }
-                };
-            } catch (error) {
-                lastError = error;
 
-                // If it's a network error or 5xx, retry
-                if (attempt < maxRetries && (error.message.includes('fetch') || error.message.includes('500') || error.message.includes('503'))) {
-                    const waitTime = Math.pow(2, attempt) * 1000;
-                    console.warn(`API error. Attempt ${attempt}/${maxRetries}. Retrying in ${waitTime/1000}s...`);
-                    await this.sleep(waitTime);
-                    continue;
+                    if (cached.key && text) {
+                        this.cache.put(cached.key, { provider: provider, model: requestBody.model, text: text, usage: usage })
+                            .catch(error => console.warn('Failed to cache response:', error));
+                    }
+
+                    return {
+                        text: text,
+                        usage: usage,
+                        cached: false
+                    };
+                } catch (error) {
+                    lastError = error;
+
+                    // If it's a network error or 5xx, retry
+                    if (attempt < maxRetries && (error.message.includes('fetch') || error.message.includes('500') || error.message.includes('503'))) {
+                        const waitTime = Math.pow(2, attempt) * 1000;
+                        console.warn(`API error. Attempt ${attempt}/${maxRetries}. Retrying in ${waitTime/1000}s...`);
+                        await this.sleep(waitTime);
+                        continue;
+                    }
+
+                    throw error;
                 }
+            }
 
-                throw error;
+            throw lastError || new Error('API call failed after retries');
+        } finally {
+            this.usage.release(provider);
+        }
+    }
+
+    /**
+     * Read an SSE chat completion (stream: true) to the end
+     * @param {Response} response - fetch response whose body is the event stream
+     * @param {function} onText - Called with the text received so far after each chunk
+     * @returns {object} The equivalent non-streamed body: { choices: [{ message: { content } }], usage }
+     */
+    async readEventStream(response, onText) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let usage = null;
+
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) return;
+            const payload = line.slice(5).trim();
+            if (!payload || payload === '[DONE]') return;
+
+            let event;
+            try {
+                event = JSON.parse(payload);
+            } catch (e) {
+                console.warn('Skipping malformed stream event:', payload);
+                return;
+            }
+            if (event.error) {
+                throw new Error(`API Error: ${event.error.message || 'stream failed'}`);
+            }
+            if (event.usage) {
+                usage = event.usage;
             }
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onText(text);
+            }
+        };
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+            const lines = buffer.split(/\r?\n/);
+            buffer = done ? '' : lines.pop();
+            lines.forEach(handleLine);
+
+            if (done) break;
         }
 
-        throw lastError || new Error('API call failed after retries');
+        return {
+            choices: [{ message: { content: text } }],
+            usage: usage
+        };
+    }
+
+    /**
+     * Request headers; local servers usually run without a key, so Authorization is only sent when one is set
+     */
+    getRequestHeaders(provider = this.provider) {
+        const headers = { 'Content-Type': 'application/json' };
+        const key = this.getApiKey(provider);
+        if (key) {
+            headers['Authorization'] = `Bearer ${key}`;
+        }
+        return headers;
     }
 
     /**
@@ -215,72 +601,13 @@ class APIHandler {
             return `${idx + 1}. ${desc}`;
         }).join('\n');
 
-        const prompt = `You are a senior CFBench task reviewer. Perform a DETAILED analysis of this user query.
-
-## RULES TO CHECK
-
-### 1. Structure (70/30 Rule)
-- 70% should be scenario/context that sets up the request
-- 30% should be constraints naturally integrated into the narrative
-- Constraints should NOT be stacked/listed at the end
-
-### 2. Query Type
-- Must be an actual REQUEST asking the assistant to do something
-- Must NOT be meta-commentary, explanation, or assistant-like response
-- Red flags: "I want to clarify...", "Before proceeding...", "Let me explain..."
-
-### 3. Constraint Integration (CRITICAL)
-For each instruction below, check if it appears EXPLICITLY in the query.
-- For keyword_frequency: the EXACT keyword must appear, AND the frequency should be mentioned
-- For number_words/chars: the exact number must appear with context (e.g., "100 parole")
-- For word_length: min/max values must be stated
-- For first_word/last_word: the specific word must be mentioned as start/end requirement
-
-## INSTRUCTIONS TO VERIFY:
-${instructionList || 'No instructions provided'}
-
-## USER QUERY TO ANALYZE:
----
-${userQuery}
----
-
-${scenario ? `## SCENARIO FROM METADATA (reference):\n${scenario}` : ''}
-
-## YOUR TASK:
-1. Analyze overall structure (70/30 split)
-2. Check if it's an actual request
-3. For EACH instruction, state if it's explicitly in the query with evidence
-
-Respond in JSON:
-{
-  "structure_analysis": {
-    "is_70_30_compliant": true/false,
-    "scenario_portion": "brief description of scenario part",
-    "constraints_portion": "brief description of constraints part",
-    "constraints_stacked_at_end": true/false
-  },
-  "request_analysis": {
-    "is_actual_request": true/false,
-    "request_type": "description of what's being requested",
-    "red_flags": ["list any red flag phrases found"]
-  },
-  "instruction_verification": [
-    {
-      "instruction": "instruction_id",
-      "found_in_query": true/false,
-      "explicit": true/false,
-      "evidence": "quote from query or 'not found'",
-      "issue": "description if not properly integrated"
-    }
-  ],
-  "overall_score": 1-10,
-  "status": "PASS" | "MINOR_ISSUES" | "MAJOR_ISSUES",
-  "issues": ["list of all issues found"],
-  "summary": "one paragraph summary with specific feedback"
-}`;
-
-        const response = await this.callGemini(prompt, { maxTokens: 3000 });
-        return this.parseJSONResponse(response.text);
+        const prompt = await this.renderPrompt('query_structure', {
+            instructions: instructionList || 'No instructions provided',
+            userQuery: userQuery,
+            scenarioSection: scenario ? `## SCENARIO FROM METADATA (reference):\n${scenario}` : ''
+        });
+
+        return this.callStructured(prompt, 'query_structure', { maxTokens: 3000, stream: 'query_analysis' });
     }
 
     /**
@@ -293,65 +620,47 @@ Respond in JSON:
 
         const llmJudgeContent = llmJudge.map(j => `- UID ${j.uid}: "${j.content}"`).join('\n');
 
-        const prompt = `You are a CFBench task reviewer. Check if the llm_judge requirements appear naturally in the user query.
-
-RULE: llm_judge content must appear as a NATURAL request in the user query text, not just in metadata.
-
-LLM_JUDGE REQUIREMENTS:
-${llmJudgeContent}
-
-USER QUERY:
-${userQuery}
-
-For each llm_judge item, check if its requirement is naturally expressed in the user query.
-
-Respond in JSON format:
-{
-  "all_integrated": true/false,
-  "checks": [
-    {
-      "uid": 1,
-      "integrated": true/false,
-      "evidence": "quote from query or 'not found'"
-    }
-  ],
-  "issues": ["list of missing integrations"],
-  "summary": "one sentence summary"
-}`;
+        const prompt = await this.renderPrompt('llm_judge_integration', {
+            llmJudge: llmJudgeContent,
+            userQuery: userQuery
+        });
 
-        const response = await this.callGemini(prompt);
-        return this.parseJSONResponse(response.text);
+        return this.callStructured(prompt, 'llm_judge_integration', { stream: 'llm_judge_integration' });
     }
 
     /**
      * Detect model evasion in response
+     * @param {string} stream - Name of the live output (one per model pass)
      */
-    async detectModelEvasion(modelResponse, userQuery) {
-        const prompt = `You are a CFBench task reviewer. Determine if this model response is an EVASION or a genuine attempt to fulfill the request.
-
-EVASION TYPES:
-1. Clarification Evasion: Model asks questions instead of responding
-2. Apology Evasion: Model apologizes saying task is too complex/impossible
-3. Refusal Evasion: Model refuses to complete the task
-4. Partial Evasion: Model only addresses part of the request
-
-USER REQUEST:
-${userQuery}
-
-MODEL RESPONSE (first 1000 chars):
-${modelResponse.substring(0, 1000)}
-
-Respond in JSON format:
-{
-  "is_evasion": true/false,
-  "evasion_type": "none" | "clarification" | "apology" | "refusal" | "partial",
-  "confidence": 0.0-1.0,
-  "evidence": "specific text that indicates evasion",
-  "recommendation": "what trainer should do"
-}`;
-
-        const response = await this.callGemini(prompt);
-        return this.parseJSONResponse(response.text);
+    async detectModelEvasion(modelResponse, userQuery, stream = 'evasion') {
+        const prompt = await this.renderPrompt('evasion_detection', {
+            userQuery: userQuery,
+            modelResponse: modelResponse.substring(0, 1000)
+        });
+
+        if (!this.isConsensusEnabled()) {
+            return this.callStructured(prompt, 'evasion_detection', { stream: stream });
+        }
+
+        const ballots = await this.collectConsensusBallots(prompt, 'evasion_detection', { stream: stream });
+        const consensus = Consensus.tally(
+            ballots.map(b => ({ voter: b.voter, vote: b.result ? b.result.is_evasion : null })),
+            this.getConsensusSettings().threshold
+        );
+        if (consensus.voted === 0) {
+            return {
+                error: 'AI unavailable',
+                ai_unavailable: true,
+                validation_errors: ['No consensus voter answered'],
+                raw: ''
+            };
+        }
+
+        // An evasion only when enough voters agree, null (needs review) without a majority;
+        // details from a voter that agrees with the outcome
+        const representative = ballots.find(b => b.result && b.result.is_evasion === consensus.verdict) ||
+                               ballots.find(b => b.result);
+        return { ...representative.result, is_evasion: consensus.verdict, consensus: consensus };
     }
 
     /**
@@ -409,97 +718,31 @@ Respond in JSON format:
         const deterministicIssues = validatorResults?.getAllIssues?.() || [];
         const deterministicWarnings = validatorResults?.getAllWarnings?.() || [];
 
-        const prompt = `You are a senior CFBench task reviewer. Perform a COMPREHENSIVE analysis like a human reviewer would.
-
-## TASK METADATA
-- Domain: ${parsed.metadata?.domain || 'Unknown'}
-- Language: ${parsed.metadata?.language || 'Unknown'}
-- Intermediate Turns: ${parsed.turns?.length || 0}
-- Model Passes: ${parsed.modelPasses?.length || 0}
-
-## SCENARIO (from metadata)
-${scenario || 'Not provided'}
-
-## INSTRUCTIONS IN turn_metadata (${instructions.length} total)
-${instructionTable || 'None'}
-
-## LLM_JUDGE ITEMS (${llmJudge.length} total)
-${llmJudgeTable || 'None'}
-
-## FINAL USER QUERY
----
-${userQuery}
----
-
-## GOLDEN RESPONSE VALIDATION
-- Total checks: ${goldenTotal}
-- Passed: ${goldenPassed}
-- Failed: ${goldenFailed}
-- Status: ${goldenFailed === 0 ? 'ALL PASSED (correct for golden)' : 'HAS FAILURES (PROBLEM!)'}
-
-## MODEL PASSES VALIDATION
-${modelPassAnalysis.map(p => `- ${p.id}: ${p.passed}/${p.total} passed, ${p.failed} failed
+        const prompt = await this.renderPrompt('comprehensive_review', {
+            domain: parsed.metadata?.domain || 'Unknown',
+            language: parsed.metadata?.language || 'Unknown',
+            turnCount: parsed.turns?.length || 0,
+            passCount: parsed.modelPasses?.length || 0,
+            scenario: scenario || 'Not provided',
+            instructionCount: instructions.length,
+            instructions: instructionTable || 'None',
+            llmJudgeCount: llmJudge.length,
+            llmJudge: llmJudgeTable || 'None',
+            userQuery: userQuery,
+            goldenTotal: goldenTotal,
+            goldenPassed: goldenPassed,
+            goldenFailed: goldenFailed,
+            goldenStatus: goldenFailed === 0 ? 'ALL PASSED (correct for golden)' : 'HAS FAILURES (PROBLEM!)',
+            modelPasses: modelPassAnalysis.map(p => `- ${p.id}: ${p.passed}/${p.total} passed, ${p.failed} failed
   Failed: ${p.failedList || 'none'}
-  Preview: "${p.preview}..."`).join('\n\n')}
-
-## DETERMINISTIC CHECKS ALREADY RAN
-Issues found: ${deterministicIssues.length}
-${deterministicIssues.slice(0, 5).map(i => `- [${i.checkId}] ${i.issue}`).join('\n') || 'None'}
-
-Warnings: ${deterministicWarnings.length}
-${deterministicWarnings.slice(0, 3).map(w => `- [${w.checkId}] ${w.warning}`).join('\n') || 'None'}
-
-## YOUR ANALYSIS TASKS
-
-### 1. INSTRUCTION INTEGRATION CHECK
-For EACH instruction listed above, verify if it appears EXPLICITLY in the user query.
-- keyword_frequency: MUST have keyword AND frequency count in query
-- number_words/chars: MUST have the exact number in query
-- word_length: MUST have min/max values stated
-- first_word/last_word: MUST mention specific word as start/end
-
-### 2. LLM_JUDGE INTEGRATION CHECK
-Each llm_judge item MUST appear naturally in the user query text, not just in JSON.
-
-### 3. MODEL PASS DISTRIBUTION CHECK
-- Golden MUST pass 100% (0 failures)
-- At most 50% of model passes (2 of 4) can pass all instructions
-- At least one instruction must have both PASS and FAIL across different passes
-
-### 4. OVERALL ASSESSMENT
-Based on all checks, determine final status.
-
-## OUTPUT FORMAT
-Respond with detailed JSON:
-{
-  "instruction_check": {
-    "total_instructions": number,
-    "explicitly_in_query": number,
-    "missing_or_implicit": [
-      {"id": "instruction_id", "status": "missing|implicit", "issue": "description"}
-    ]
-  },
-  "llm_judge_check": {
-    "total": number,
-    "integrated": number,
-    "missing": [
-      {"uid": number, "content": "...", "issue": "not found in query"}
-    ]
-  },
-  "model_pass_check": {
-    "golden_passes_all": true/false,
-    "passes_that_pass_all": number,
-    "distribution_valid": true/false,
-    "issues": []
-  },
-  "overall_status": "PASS" | "MINOR_REVISION" | "MAJOR_REVISION",
-  "critical_issues": ["issues that MUST be fixed"],
-  "warnings": ["recommended improvements"],
-  "feedback_for_trainer": "Detailed feedback in English, professional tone, ready to copy-paste to trainer. Include specific line-by-line issues with evidence."
-}`;
-
-        const response = await this.callGemini(prompt, { maxTokens: 4000 });
-        return this.parseJSONResponse(response.text);
+  Preview: "${p.preview}..."`).join('\n\n'),
+            deterministicIssueCount: deterministicIssues.length,
+            deterministicIssues: deterministicIssues.slice(0, 5).map(i => `- [${i.checkId}] ${i.issue}`).join('\n') || 'None',
+            deterministicWarningCount: deterministicWarnings.length,
+            deterministicWarnings: deterministicWarnings.slice(0, 3).map(w => `- [${w.checkId}] ${w.warning}`).join('\n') || 'None'
+        });
+
+        return this.callStructured(prompt, 'comprehensive_review', { maxTokens: 4000, stream: 'comprehensive_review' });
     }
 
     /**
@@ -545,95 +788,13 @@ Respond with detailed JSON:
             content: j.content
         }));
 
-        const prompt = `Você é um revisor sênior do CFBench. Sua tarefa é verificar se CADA constraint do turn_metadata está EXPLICITAMENTE mencionado no texto da user query.
-
-## REGRA CRÍTICA
-Todos os constraints do turn_metadata DEVEM aparecer de forma EXPLÍCITA no texto da user query.
-- "Explícito" significa que o usuário PEDIU isso claramente no texto
-- NÃO conta se está apenas implícito ou se poderia ser inferido
-- NÃO conta se aparece apenas no JSON/metadata mas não no texto corrido
-
-## IMPORTANTE - NÚMEROS POR EXTENSO
-Os números podem aparecer POR EXTENSO no idioma do texto! Você DEVE reconhecer:
-- Italiano: "trecentottantacinque" = 385, "cinque" = 5, "quattro" = 4, "sei" = 6
-- Português: "trezentos e oitenta e cinco" = 385, "cinco" = 5
-- Espanhol: "trescientos ochenta y cinco" = 385, "cinco" = 5
-- Alemão: "dreihundertfünfundachtzig" = 385, "fünf" = 5
-
-Se o constraint pede 385 palavras e o texto diz "trecentottantacinque parole", isso CONTA como explícito!
-
-## TIPOS DE CONSTRAINT QUE DEVEM ESTAR NO TEXTO:
-
-### Constraints de Formato (DEVEM estar explícitos):
-- no_comma → deve pedir "sem vírgulas", "non usare virgole", "senza virgole", etc.
-- num_words → deve mencionar o número de palavras (NUMÉRICO OU POR EXTENSO)
-- num_paragraphs → deve mencionar o número de parágrafos (NUMÉRICO OU POR EXTENSO)
-- num_sentences → deve mencionar o número de frases
-- keyword_frequency → deve pedir a palavra E quantas vezes usar
-- keywords:existence → deve PEDIR EXPLICITAMENTE para usar as palavras específicas (não basta mencionar no contexto)
-- first_word/last_word → deve especificar qual palavra iniciar/terminar
-- bullet_list/numbered_list → deve pedir formato de lista
-- json_format → deve pedir formato JSON
-
-### Constraints de Estilo (LLM Eval - verificar se estão pedidos):
-- grammatical_mood → deve especificar o modo verbal (indicativo, imperativo, congiuntivo, etc.)
-  Exemplos válidos: "usa solo il modo indicativo", "utilizza esclusivamente l'indicativo", "scrivi in modo indicativo"
-- tone → deve mencionar o tom desejado
-- formality_level → deve indicar nível de formalidade
-
-### llm_judge (DEVEM estar no texto como pedido natural):
-- Cada item do llm_judge deve aparecer como uma solicitação natural no texto
-
-## ATENÇÃO ESPECIAL: keywords:existence
-Este constraint é DIFERENTE - o texto deve PEDIR EXPLICITAMENTE para usar essas palavras.
-- ✗ ERRADO: as palavras aparecem no contexto/cenário mas não são pedidas
-- ✓ CORRETO: "usa le parole X, Y, Z" ou "includi i termini: X, Y, Z"
-
-## CONSTRAINTS A VERIFICAR:
-${constraintList.map(c => `${c.index}. [${c.id}] ${c.details}`).join('\n')}
-
-## LLM_JUDGE A VERIFICAR:
-${llmJudgeList.length > 0 ? llmJudgeList.map(j => `- UID ${j.uid}: "${j.content}"`).join('\n') : 'Nenhum'}
-
-## USER QUERY (texto a analisar):
----
-${userQuery}
----
-
-## SUA ANÁLISE:
-Para CADA constraint acima, verifique:
-1. Está explicitamente pedido no texto da query?
-2. Se sim, qual trecho do texto comprova?
-3. Se não, é um ERRO CRÍTICO (constraint escondido)
-
-Responda em JSON:
-{
-  "total_constraints": número,
-  "explicit_in_query": número,
-  "hidden_constraints": [
-    {
-      "id": "instruction_id",
-      "details": "o que deveria estar no texto",
-      "status": "MISSING" | "IMPLICIT" | "FOUND",
-      "evidence": "trecho do texto que comprova OU 'não encontrado'"
-    }
-  ],
-  "llm_judge_check": [
-    {
-      "uid": número,
-      "content": "conteúdo do llm_judge",
-      "found_in_query": true/false,
-      "evidence": "trecho ou 'não encontrado'"
-    }
-  ],
-  "critical_issues": ["lista de constraints escondidos - ERRO CRÍTICO"],
-  "warnings": ["lista de constraints que poderiam ser mais explícitos"],
-  "overall_valid": true/false,
-  "summary": "resumo em português da análise"
-}`;
-
-        const response = await this.callGemini(prompt, { maxTokens: 3000 });
-        return this.parseJSONResponse(response.text);
+        const prompt = await this.renderPrompt('constraints_in_query', {
+            instructions: constraintList.map(c => `${c.index}. [${c.id}] ${c.details}`).join('\n'),
+            llmJudge: llmJudgeList.length > 0 ? llmJudgeList.map(j => `- UID ${j.uid}: "${j.content}"`).join('\n') : 'Nenhum',
+            userQuery: userQuery
+        });
+
+        return this.callStructured(prompt, 'constraints_in_query', { maxTokens: 3000, stream: 'constraints_validation' });
     }
 
     /**
@@ -685,45 +846,23 @@ Responda em JSON:
             expectedValue = `text without commas`;
         }
 
-        const prompt = `You are analyzing a user query to check if a specific constraint is EXPLICITLY requested.
-
-CONSTRAINT TO VERIFY:
-- Type: ${constraintDesc}
-- Expected value: ${expectedValue}
-- Instruction ID: ${id}
-
-USER QUERY:
----
-${userQuery}
----
-
-IMPORTANT RULES:
-1. Numbers can appear written out in words in ANY language:
-   - Italian: "venticinque" = 25, "trecentottantacinque" = 385, "sei" = 6
-   - Portuguese: "vinte e cinco" = 25
-   - Spanish: "veinticinco" = 25
-   - German: "funfundzwanzig" = 25
-   - French: "vingt-cinq" = 25
-
-2. The constraint must be EXPLICITLY REQUESTED in the query text, not just implied.
-
-3. Look for the semantic meaning, not just exact words. For example:
-   - "25 frasi" = 25 sentences (Italian)
-   - "venticinque frasi" = 25 sentences (Italian, number in words)
-   - "non usare virgole" = no commas
-   - "senza virgole" = without commas
-
-Respond ONLY in this JSON format:
-{
-  "found": true or false,
-  "evidence": "exact quote from query where constraint appears, or 'Not found in query'",
-  "confidence": 0.0 to 1.0,
-  "note": "brief explanation"
-}`;
+        const prompt = await this.renderPrompt('constraint_verification', {
+            constraintType: constraintDesc,
+            expectedValue: expectedValue,
+            instructionId: id,
+            userQuery: userQuery
+        });
 
         try {
-            const response = await this.callGemini(prompt, { maxTokens: 500, temperature: 0.1 });
-            const result = this.parseJSONResponse(response.text);
+            if (this.isConsensusEnabled()) {
+                const ballots = await this.collectConsensusBallots(prompt, 'constraint_verification', { maxTokens: 500, temperature: 0.1 });
+                return this.toConsensusVerification(ballots, result => result);
+            }
+
+            const result = await this.callStructured(prompt, 'constraint_verification', { maxTokens: 500, temperature: 0.1 });
+            if (result.ai_unavailable) {
+                throw new Error(`AI unavailable (${result.validation_errors[0]})`);
+            }
 
             return {
                 found: result.found === true,
@@ -776,39 +915,24 @@ Respond ONLY in this JSON format:
             return { idx, id, desc, value, original: inst };
         });
 
-        const prompt = `You are analyzing a user query to check if specific constraints are EXPLICITLY requested.
-
-CONSTRAINTS TO VERIFY:
-${constraintList.map((c, i) => `${i + 1}. [${c.id}] ${c.desc}: ${c.value}`).join('\n')}
-
-USER QUERY:
----
-${userQuery}
----
-
-IMPORTANT:
-1. Numbers can be written in words in ANY language (e.g., "venticinque" = 25 in Italian)
-2. The constraint must be EXPLICITLY REQUESTED, not just implied
-3. Look for semantic meaning, not just exact words
-
-For EACH constraint, respond in JSON format:
-{
-  "results": [
-    {
-      "id": "instruction_id",
-      "found": true/false,
-      "evidence": "exact quote from query or 'Not found'",
-      "confidence": 0.0-1.0
-    }
-  ]
-}`;
+        const prompt = await this.renderPrompt('constraint_verification_batch', {
+            instructions: constraintList.map((c, i) => `${i + 1}. [${c.id}] ${c.desc}: ${c.value}`).join('\n'),
+            userQuery: userQuery
+        });
 
         try {
-            const response = await this.callGemini(prompt, { maxTokens: 2000, temperature: 0.1 });
-            const parsed = this.parseJSONResponse(response.text);
+            if (this.isConsensusEnabled()) {
+                const ballots = await this.collectConsensusBallots(prompt, 'constraint_verification_batch', { maxTokens: 2000, temperature: 0.1 });
+                return constraintList.map(c => ({
+                    instruction_id: c.id,
+                    ...this.toConsensusVerification(ballots, result => result.results.find(r => r.id === c.id) || null),
+                    original: c.original
+                }));
+            }
 
-            if (!parsed.results || !Array.isArray(parsed.results)) {
-                throw new Error('Invalid response format');
+            const parsed = await this.callStructured(prompt, 'constraint_verification_batch', { maxTokens: 2000, temperature: 0.1 });
+            if (parsed.ai_unavailable) {
+                throw new Error(`AI unavailable (${parsed.validation_errors[0]})`);
             }
 
             // Map results back to original instructions
@@ -839,91 +963,171 @@ For EACH constraint, respond in JSON format:
     }
 
     /**
-     * Parse JSON from API response
+     * response_format asking a provider (the current one by default) for JSON matching a schema
+     * @returns {object|null} null when the provider has no JSON mode
      */
-    parseJSONResponse(text) {
-        // Try to extract JSON from response
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            try {
-                return JSON.parse(jsonMatch[0]);
-            } catch (e) {
-                console.warn('Failed to parse JSON response:', e);
-                return { error: 'Failed to parse response', raw: text };
-            }
+    getResponseFormat(schemaName, provider = this.provider) {
+        const jsonMode = this.providers[provider].jsonMode;
+        if (jsonMode === 'json_schema') {
+            return {
+                type: 'json_schema',
+                json_schema: { name: schemaName, schema: ResponseSchema.get(schemaName), strict: false }
+            };
         }
-        return { error: 'No JSON found in response', raw: text };
+        if (jsonMode === 'json_object') {
+            return { type: 'json_object' };
+        }
+        return null;
     }
 
     /**
-     * Call OpenAI GPT-5-nano for large context analysis
-     * Used for analyzing intermediate turns with potentially large thinking content
-     * @param {string} prompt - The prompt to send
-     * @returns {object} { text: response text }
+     * Parse a reply and validate it against a schema
+     * @returns {object} { value, errors }
      */
-    async callOpenAINano(prompt) {
-        if (!this.apiKey) {
-            throw new Error('API key not set');
+    parseStructuredResponse(text, schemaName) {
+        const value = this.parseJSONResponse(text);
+        if (value.error) {
+            return { value: value, errors: [value.error] };
+        }
+        return { value: value, errors: ResponseSchema.validate(value, ResponseSchema.get(schemaName)) };
+    }
+
+    /**
+     * Call an AI check whose reply must match a schema of ResponseSchema.
+     * A reply that does not match is re-asked once with the validation errors.
+     * @param {string} schemaName - Key of the schema
+     * @param {object} options - callGemini() options
+     * @returns {object} The validated reply, or { error: 'AI unavailable', ai_unavailable: true,
+     *                   validation_errors, raw } when the retry does not match either
+     */
+    async callStructured(prompt, schemaName, options = {}) {
+        const callOptions = { ...options, responseFormat: this.getResponseFormat(schemaName, options.provider) };
+
+        const response = await this.callGemini(prompt, callOptions);
+        const first = this.parseStructuredResponse(response.text, schemaName);
+        if (first.errors.length === 0) {
+            return first.value;
         }
 
-        await this.applyRateLimit();
+        console.warn(`Reply to ${schemaName} does not match its schema, asking again:`, first.errors);
+        const retryPrompt = `${prompt}
 
-        // Use GPT-5-nano for large context (400k tokens) and speed
-        const model = 'gpt-5-nano';
-        const url = 'https://api.openai.com/v1/chat/completions';
+## YOUR PREVIOUS REPLY WAS INVALID
+${first.errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
 
-        const requestBody = {
-            model: model,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: 0.1,
-            max_tokens: 2000
+Reply again with only the JSON object, fixing these errors.`;
+
+        const retry = await this.callGemini(retryPrompt, callOptions);
+        const second = this.parseStructuredResponse(retry.text, schemaName);
+        if (second.errors.length === 0) {
+            return second.value;
+        }
+
+        console.warn(`Reply to ${schemaName} still does not match its schema:`, second.errors);
+        return {
+            error: 'AI unavailable',
+            ai_unavailable: true,
+            validation_errors: second.errors,
+            raw: retry.text
         };
+    }
 
-        // Retry logic
-        const maxRetries = 3;
-        let lastError = null;
+    /**
+     * Ask every consensus voter the same structured check
+     * @param {object} options - callStructured() options; only the first voter is streamed
+     * @returns {Promise<Array>} [{ voter, result }] - result is null when the voter failed
+     */
+    async collectConsensusBallots(prompt, schemaName, options = {}) {
+        const settings = this.getConsensusSettings();
+        const voters = this.getConsensusVoters(settings);
 
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        return Promise.all(voters.map(async (voter, i) => {
             try {
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.apiKey}`
-                    },
-                    body: JSON.stringify(requestBody)
+                const result = await this.callStructured(prompt, schemaName, {
+                    ...options,
+                    provider: voter.provider,
+                    model: voter.model,
+                    sample: voter.sample,
+                    temperature: voter.sample ? settings.sampleTemperature : options.temperature,
+                    stream: i === 0 ? options.stream : undefined
                 });
+                return { voter: voter.label, result: result.ai_unavailable ? null : result };
+            } catch (error) {
+                if (error.cancelled) throw error;
+                console.warn(`Consensus voter ${voter.label} failed:`, error.message);
+                return { voter: voter.label, result: null };
+            }
+        }));
+    }
 
-                if (response.status === 429) {
-                    const waitTime = Math.pow(2, attempt) * 2000;
-                    console.warn(`Rate limit hit. Attempt ${attempt}/${maxRetries}. Waiting ${waitTime/1000}s...`);
-                    if (attempt < maxRetries) {
-                        await this.sleep(waitTime);
-                        continue;
-                    }
-                    throw new Error('Rate limit exceeded after retries');
-                }
-
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`API Error ${response.status}: ${errorData.error?.message || response.statusText}`);
-                }
+    /**
+     * Constraint verification decided by the consensus voters: found when enough voters
+     * found it, missing (FAIL) when enough did not, null (needs review) otherwise
+     * @param {Array} ballots - collectConsensusBallots() result
+     * @param {function} getVerification - (result) => that voter's { found, evidence, confidence, note } or null
+     */
+    toConsensusVerification(ballots, getVerification) {
+        const verifications = ballots.map(b => b.result ? getVerification(b.result) : null);
+        const consensus = Consensus.tally(ballots.map((b, i) => ({
+            voter: b.voter,
+            vote: typeof verifications[i]?.found === 'boolean' ? verifications[i].found : null
+        })), this.getConsensusSettings().threshold);
+
+        if (consensus.voted === 0) {
+            return {
+                found: null,
+                evidence: 'AI verification failed: no consensus voter answered',
+                exact_quote: null,
+                method: 'AI_ERROR',
+                consensus: consensus
+            };
+        }
 
-                const data = await response.json();
-                this.dailyCallCount++;
+        // Evidence from a voter that agrees with the outcome
+        const representative = verifications.find(v => v && v.found === consensus.verdict) || {};
+        return {
+            found: consensus.verdict,
+            evidence: consensus.verdict === null
+                ? `No majority: ${Consensus.describe(consensus, ['found', 'not found'])}`
+                : representative.evidence || 'Not found',
+            exact_quote: consensus.verdict === true && representative.evidence ? `"${representative.evidence}"` : null,
+            confidence: consensus.agreement,
+            note: representative.note || '',
+            method: 'AI',
+            consensus: consensus
+        };
+    }
 
-                return { text: data.choices?.[0]?.message?.content || '' };
-            } catch (error) {
-                lastError = error;
-                if (attempt < maxRetries && (error.message.includes('fetch') || error.message.includes('500'))) {
-                    await this.sleep(Math.pow(2, attempt) * 1000);
-                    continue;
-                }
-                throw error;
+    /**
+     * Parse JSON from API response
+     */
+    parseJSONResponse(text) {
+        // Try to extract JSON from response
+        const jsonMatch = text.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+            try {
+                return JSON.parse(jsonMatch[0]);
+            } catch (e) {
+                console.warn('Failed to parse JSON response:', e);
+                return { error: 'Failed to parse response', raw: text };
             }
         }
+        return { error: 'No JSON found in response', raw: text };
+    }
 
-        throw lastError || new Error('API call failed after retries');
+    /**
+     * Call the large context model of the current provider (GPT-5-nano on OpenAI,
+     * the regular model on Gemini and custom endpoints)
+     * Used for analyzing intermediate turns with potentially large thinking content
+     * @param {string} prompt - The prompt to send
+     * @returns {object} { text: response text, usage }
+     */
+    async callOpenAINano(prompt) {
+        return this.callGemini(prompt, {
+            model: this.getLargeContextModel(),
+            maxTokens: 2000,
+            temperature: 0.1
+        });
     }
 
     /**
@@ -945,77 +1149,26 @@ For EACH constraint, respond in JSON format:
             ? thinkingContent.substring(0, maxChars) + '\n[TRUNCATED...]'
             : thinkingContent;
 
-        const prompt = `You are a CFBench reviewer. Analyze this intermediate turn from a multi-turn conversation.
-
-## TURN ${turnIndex + 1}
-
-### USER PROMPT:
-${userContent.substring(0, 5000)}
-
-### THINKING PROCESS:
-${truncatedThinking}
-
-### ASSISTANT RESPONSE:
-${assistantContent.substring(0, 10000)}
-
-### EXPECTED LANGUAGE: ${expectedLanguage.toUpperCase()}
-
-## ANALYZE THE FOLLOWING:
-
-1. **CONTENT QUALITY**: Does the assistant's answer properly address the user's prompt? Are there:
-   - Unstated conditions being applied?
-   - Hallucinations or incorrect assumptions?
-   - Missing parts of the response?
-
-2. **THINKING PROCESS QUALITY**: Does the thinking:
-   - Cover all relevant possibilities before deciding?
-   - Lead directly to the answer given (answer derived from thinking)?
-   - Follow step-by-step analysis (not jumping to conclusions)?
-   - Consider edge cases and self-reference criteria?
-
-3. **LANGUAGE COMPLIANCE**: Check if:
-   - The thinking process is written in ${expectedLanguage}
-   - The assistant response is written in ${expectedLanguage}
-   - Note: Some technical terms in English are acceptable
-
-Respond in JSON format:
-{
-  "turn_index": ${turnIndex + 1},
-  "content_issues": {
-    "addresses_prompt": true/false,
-    "has_unstated_conditions": true/false,
-    "has_hallucinations": true/false,
-    "is_complete": true/false,
-    "issues": ["list of specific content issues"]
-  },
-  "thinking_issues": {
-    "covers_possibilities": true/false,
-    "answer_from_thinking": true/false,
-    "step_by_step": true/false,
-    "issues": ["list of specific thinking issues"]
-  },
-  "language_issues": {
-    "thinking_correct_language": true/false,
-    "response_correct_language": true/false,
-    "detected_thinking_lang": "detected language code",
-    "detected_response_lang": "detected language code",
-    "issues": ["list of language issues"]
-  },
-  "overall_status": "PASS" | "MINOR_ISSUES" | "MAJOR_ISSUES",
-  "summary": "Brief one-sentence summary of main finding"
-}`;
+        const prompt = await this.renderPrompt('intermediate_turn', {
+            turnNumber: turnIndex + 1,
+            userPrompt: userContent.substring(0, 5000),
+            thinking: truncatedThinking,
+            response: assistantContent.substring(0, 10000),
+            language: expectedLanguage,
+            languageUpper: expectedLanguage.toUpperCase()
+        });
 
         try {
-            // Try to use the current provider first, fallback to OpenAI nano for large content
-            let response;
+            // Large thinking content goes to the provider's large context model
+            const options = { maxTokens: 2000, temperature: 0.1 };
             if (thinkingContent.length > 30000) {
-                // Large thinking content - use GPT-5-nano
-                response = await this.callOpenAINano(prompt);
-            } else {
-                // Smaller content - use configured provider
-                response = await this.callGemini(prompt, { maxTokens: 2000, temperature: 0.1 });
+                options.model = this.getLargeContextModel();
+            }
+            const result = await this.callStructured(prompt, 'intermediate_turn', options);
+            if (result.ai_unavailable) {
+                throw new Error(`AI unavailable (${result.validation_errors[0]})`);
             }
-            return this.parseJSONResponse(response.text);
+            return result;
         } catch (error) {
             console.error(`Failed to validate turn ${turnIndex + 1}:`, error);
             return {
@@ -1045,14 +1198,17 @@ Respond in JSON format:
             };
         }
 
-        const results = [];
         const issues = [];
         const warnings = [];
 
-        for (let i = 0; i < turns.length; i++) {
+        // Turns are independent; the scheduler runs them concurrently within the rate limits
+        const results = await Promise.all(
+            turns.map((turn, i) => this.validateIntermediateTurn(turn, expectedLanguage, i))
+        );
+
+        for (let i = 0; i < results.length; i++) {
             try {
-                const result = await this.validateIntermediateTurn(turns[i], expectedLanguage, i);
-                results.push(result);
+                const result = results[i];
 
                 if (result.error) {
                     warnings.push(`Turn ${i + 1}: Analysis failed - ${result.error}`);
@@ -1083,9 +1239,6 @@ Respond in JSON format:
             } catch (error) {
                 warnings.push(`Turn ${i + 1}: Analysis failed - ${error.message}`);
             }
-
-            // Rate limiting between calls
-            await this.applyRateLimit();
         }
 
         return {
@@ -1103,14 +1256,16 @@ Respond in JSON format:
      * Get remaining daily calls
      */
     getRemainingCalls() {
-        return this.DAILY_LIMIT - this.dailyCallCount;
+        const dailyLimit = this.getDailyLimit();
+        if (dailyLimit === null) return Infinity;
+        return Math.max(0, dailyLimit - this.getUsage().today.calls);
     }
 
     /**
-     * Reset daily counter (call at midnight or manually)
+     * Reset today's counter of the current provider (it also resets by itself at the provider's midnight)
      */
     resetDailyCounter() {
-        this.dailyCallCount = 0;
+        this.usage.resetDay(this.provider, this.getQuotaTimeZone());
     }
 }
 
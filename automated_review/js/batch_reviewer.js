@@ -0,0 +1,347 @@
+/**
+ * CFBench Batch Reviewer
+ * Runs the deterministic pipeline (ReviewEngine -> ReportGenerator) over many notebooks
+ * at once and renders a sortable summary table
+ */
+
+// Ordering used when sorting by status (best to worst)
+const BATCH_STATUS_ORDER = ['PASS', 'NEEDS_REVIEW', 'MINOR_REVISION', 'MAJOR_REVISION', 'ERROR'];
+
+class BatchReviewer {
+    /**
+     * @param {RuleRegistry} registry - Optional rules to run (defaults to the built-in rules)
+     */
+    constructor(registry = null) {
+        this.engine = new ReviewEngine({ registry: registry });
+        this.profile = null;
+        this.entries = [];
+        this.sortKey = 'file';
+        this.sortDirection = 'asc';
+    }
+
+    /**
+     * Review a list of File objects. Zip archives are expanded and every
+     * .ipynb/.py inside is reviewed as a separate entry.
+     * @param {File[]} files - Files from an input or drop event
+     * @param {function} onProgress - Optional callback (done, total, fileName)
+     * @returns {Promise<Array>} All entries reviewed so far
+     */
+    async addFiles(files, onProgress = null) {
+        const sources = [];
+
+        for (const file of files) {
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                sources.push(...await this.expandZip(file));
+            } else if (this.isReviewable(file.name)) {
+                sources.push({ fileName: file.name, read: () => this.readFile(file) });
+            } else {
+                console.warn(`Skipping unsupported file: ${file.name}`);
+            }
+        }
+
+        for (let i = 0; i < sources.length; i++) {
+            const source = sources[i];
+            if (onProgress) onProgress(i, sources.length, source.fileName);
+
+            let content;
+            try {
+                content = await source.read();
+            } catch (error) {
+                this.entries.push(this.createErrorEntry(source.fileName, error));
+                continue;
+            }
+            this.addText(source.fileName, content);
+        }
+
+        if (onProgress) onProgress(sources.length, sources.length, null);
+        return this.entries;
+    }
+
+    /**
+     * Review a single notebook given its raw content
+     * @param {string} fileName - Name shown in the table (.ipynb or .py)
+     * @param {string} content - File contents
+     * @returns {object} The new entry
+     */
+    addText(fileName, content) {
+        let entry;
+        try {
+            const review = this.engine.review(content, fileName);
+            const reportGenerator = new ReportGenerator();
+            reportGenerator.setData(review.parsed, review.results, null, fileName);
+
+            entry = {
+                fileName: fileName,
+                notebook: review.notebook,
+                parsed: review.parsed,
+                results: review.results,
+                reportGenerator: reportGenerator,
+                error: null
+            };
+        } catch (error) {
+            entry = this.createErrorEntry(fileName, error);
+        }
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * List reviewable files inside a zip archive (requires JSZip)
+     */
+    async expandZip(file) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('Zip support is not available (JSZip failed to load)');
+        }
+
+        const zip = await JSZip.loadAsync(file);
+        const sources = [];
+
+        zip.forEach((relativePath, zipEntry) => {
+            // Skip folders and macOS resource forks
+            if (zipEntry.dir || relativePath.includes('__MACOSX/')) return;
+            if (!this.isReviewable(relativePath)) return;
+
+            sources.push({
+                fileName: relativePath,
+                read: () => zipEntry.async('string')
+            });
+        });
+
+        return sources;
+    }
+
+    /**
+     * Read a File as text
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    }
+
+    isReviewable(fileName) {
+        const lower = fileName.toLowerCase();
+        return lower.endsWith('.ipynb') || lower.endsWith('.py');
+    }
+
+    createErrorEntry(fileName, error) {
+        return {
+            fileName: fileName,
+            notebook: null,
+            parsed: null,
+            results: null,
+            reportGenerator: null,
+            error: error.message
+        };
+    }
+
+    /**
+     * Get one table row per entry
+     * @returns {Array} { index, file, domain, language, status, failedChecks, error }
+     */
+    getRows() {
+        return this.entries.map((entry, index) => {
+            if (entry.error) {
+                return {
+                    index: index,
+                    file: entry.fileName,
+                    domain: 'N/A',
+                    language: 'N/A',
+                    status: 'ERROR',
+                    failedChecks: [],
+                    error: entry.error
+                };
+            }
+
+            const results = entry.results;
+            const allChecks = [
+                ...(results.phase1 || []),
+                ...(results.phase2 || []),
+                ...(results.phase3 || []),
+                ...(results.phase4 || [])
+            ];
+
+            return {
+                index: index,
+                file: entry.fileName,
+                domain: entry.parsed?.metadata?.domain || 'N/A',
+                language: entry.parsed?.metadata?.language || 'N/A',
+                status: entry.reportGenerator.getOverallStatus(),
+                failedChecks: allChecks.filter(c => c.status === 'failed').map(c => c.id),
+                error: null
+            };
+        });
+    }
+
+    /**
+     * Get rows ordered by the current sort key
+     */
+    getSortedRows() {
+        const rows = this.getRows();
+        const direction = this.sortDirection === 'asc' ? 1 : -1;
+
+        const valueOf = (row) => {
+            switch (this.sortKey) {
+                case 'status':
+                    return BATCH_STATUS_ORDER.indexOf(row.status);
+                case 'failedChecks':
+                    return row.failedChecks.length;
+                default:
+                    return String(row[this.sortKey] || '').toLowerCase();
+            }
+        };
+
+        return rows.sort((a, b) => {
+            const va = valueOf(a);
+            const vb = valueOf(b);
+            if (va < vb) return -direction;
+            if (va > vb) return direction;
+            return a.index - b.index;
+        });
+    }
+
+    /**
+     * Sort by a column; sorting by the active column flips the direction
+     * @param {string} key - file | domain | language | status | failedChecks
+     */
+    sortBy(key) {
+        if (this.sortKey === key) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortKey = key;
+            this.sortDirection = 'asc';
+        }
+    }
+
+    /**
+     * Count entries per overall status
+     */
+    getStatusCounts() {
+        const counts = {};
+        BATCH_STATUS_ORDER.forEach(status => counts[status] = 0);
+        this.getRows().forEach(row => {
+            counts[row.status] = (counts[row.status] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Set the review profile applied to every file reviewed afterwards
+     * @param {ReviewProfile|null} profile
+     */
+    setProfile(profile) {
+        this.profile = profile;
+        this.engine.setProfile(profile);
+    }
+
+    getEntry(index) {
+        return this.entries[index] || null;
+    }
+
+    clear() {
+        this.entries = [];
+        this.sortKey = 'file';
+        this.sortDirection = 'asc';
+    }
+
+    /**
+     * Generate the batch summary table HTML.
+     * Header cells call sortBatchTable(key) and rows call openBatchReport(index),
+     * both defined by the host page.
+     */
+    generateTableHTML() {
+        const rows = this.getSortedRows();
+        const counts = this.getStatusCounts();
+
+        const columns = [
+            { key: 'file', label: 'File' },
+            { key: 'domain', label: 'Domain' },
+            { key: 'language', label: 'Language' },
+            { key: 'status', label: 'Status' },
+            { key: 'failedChecks', label: 'Failed Checks' }
+        ];
+
+        const headerHTML = columns.map(col => {
+            const arrow = this.sortKey === col.key
+                ? (this.sortDirection === 'asc' ? ' &#9650;' : ' &#9660;')
+                : '';
+            return `<th class="sortable" onclick="sortBatchTable('${col.key}')">${col.label}${arrow}</th>`;
+        }).join('');
+
+        const rowsHTML = rows.map(row => {
+            const rowClass = row.status === 'PASS' ? 'row-pass' :
+                            row.status === 'NEEDS_REVIEW' ? 'row-needs-review' :
+                            row.status === 'MINOR_REVISION' ? 'row-warn' : 'row-fail';
+            const statusClass = row.status === 'PASS' ? 'status-pass' :
+                               row.status === 'NEEDS_REVIEW' ? 'status-needs-review' :
+                               row.status === 'MINOR_REVISION' ? 'status-minor' : 'status-major';
+
+            const failedHTML = row.error
+                ? `<span class="inst-evidence">${this.escapeHTML(row.error)}</span>`
+                : row.failedChecks.length > 0
+                    ? row.failedChecks.map(id => `<span class="inst-id">${this.escapeHTML(String(id))}</span>`).join(', ')
+                    : '<span class="cell-pass">-</span>';
+
+            // Files that failed to parse have no report to open
+            const rowAttrs = row.error
+                ? `class="${rowClass}"`
+                : `class="${rowClass} batch-row" onclick="openBatchReport(${row.index})"`;
+
+            return `<tr ${rowAttrs}>
+                <td>${this.escapeHTML(row.file)}</td>
+                <td>${this.escapeHTML(row.domain)}</td>
+                <td>${this.escapeHTML(row.language)}</td>
+                <td><span class="status-badge ${statusClass}">${row.status}</span></td>
+                <td>${failedHTML}</td>
+            </tr>`;
+        }).join('');
+
+        return `
+<div class="review-report batch-report">
+    <div class="report-header">
+        <h2>CFBench Batch Review</h2>
+        <div class="report-meta">
+            <span class="meta-item"><strong>Profile:</strong> ${this.escapeHTML(this.profile ? this.profile.getLabel() : 'CFBench default')}</span>
+            <span class="meta-item"><strong>Files:</strong> ${rows.length}</span>
+            <span class="meta-item"><strong>Pass:</strong> ${counts.PASS}</span>
+            <span class="meta-item"><strong>Needs Review:</strong> ${counts.NEEDS_REVIEW}</span>
+            <span class="meta-item"><strong>Minor:</strong> ${counts.MINOR_REVISION}</span>
+            <span class="meta-item"><strong>Major:</strong> ${counts.MAJOR_REVISION}</span>
+            ${counts.ERROR > 0 ? `<span class="meta-item"><strong>Errors:</strong> ${counts.ERROR}</span>` : ''}
+        </div>
+    </div>
+    <div class="verification-table-container">
+        <table class="verification-table batch-table">
+            <thead><tr>${headerHTML}</tr></thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+        <p class="table-note">Click a row to open the full report for that file</p>
+    </div>
+</div>`;
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHTML(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.BatchReviewer = BatchReviewer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchReviewer;
+}
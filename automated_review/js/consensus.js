@@ -0,0 +1,75 @@
+/**
+ * CFBench Consensus
+ * Counts the votes of several models (or several samples of one model) on the same
+ * yes/no question - is the constraint in the query, is the response an evasion - and
+ * keeps a verdict only when the configured share of the votes agrees.
+ */
+
+class Consensus {
+    /**
+     * Parse a "provider:model" voter
+     * @returns {object} { provider, model }
+     */
+    static parseVoter(text) {
+        const match = String(text).trim().match(/^([a-z]+):(.+)$/);
+        if (!match) {
+            throw new Error(`Invalid voter "${text}": use provider:model (e.g. gemini:gemini-2.5-flash)`);
+        }
+        return { provider: match[1], model: match[2].trim() };
+    }
+
+    /**
+     * Count the votes
+     * Agreement is the share of all the voters asked, so a voter that failed counts against
+     * the verdict: one "no" out of three voters is not a 100% majority.
+     * @param {Array} votes - [{ voter, vote }]; vote is true/false, or null when the voter failed
+     * @param {number} threshold - Share of all the votes the verdict needs (0.5 - 1)
+     * @returns {object} { verdict (null = no majority, needs review), agreement, threshold, voted, total, votes }
+     */
+    static tally(votes, threshold) {
+        const valid = votes.filter(v => v.vote === true || v.vote === false);
+        const yes = valid.filter(v => v.vote === true).length;
+        const no = valid.length - yes;
+
+        // A tie never decides, whatever the threshold
+        const leader = yes === no ? null : yes > no;
+        const agreement = votes.length > 0 ? Math.max(yes, no) / votes.length : 0;
+
+        return {
+            verdict: leader !== null && agreement >= threshold ? leader : null,
+            agreement: agreement,
+            threshold: threshold,
+            voted: valid.length,
+            total: votes.length,
+            votes: votes.map(v => ({ voter: v.voter, vote: v.vote }))
+        };
+    }
+
+    /**
+     * True when some voters disagree or failed to vote
+     */
+    static hasDisagreement(consensus) {
+        return consensus.agreement < 1 || consensus.voted < consensus.total;
+    }
+
+    /**
+     * One-line summary, e.g. "67% agreement (60% needed): flash #1 yes, flash #2 yes, flash #3 no"
+     * @param {object} consensus - tally() result
+     * @param {string[]} labels - Words for a true and a false vote
+     */
+    static describe(consensus, labels = ['yes', 'no']) {
+        const votes = consensus.votes.map(v => {
+            const vote = v.vote === true ? labels[0] : v.vote === false ? labels[1] : 'no answer';
+            return `${v.voter} ${vote}`;
+        }).join(', ');
+        return `${Math.round(consensus.agreement * 100)}% agreement (${Math.round(consensus.threshold * 100)}% needed): ${votes}`;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.Consensus = Consensus;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Consensus;
+}
@@ -0,0 +1,684 @@
+/**
+ * CFBench Instruction Catalog
+ * Every instruction id a turn_metadata cell can use, with the kwargs it takes, for the
+ * turn_metadata builder (editor.html):
+ *
+ *   IF instructions   the ids validateInstruction() (nvidia_validator.js) checks, with the
+ *                     kwargs names it reads
+ *   LLM Eval          the stylistic:, linguistic: and situation: families of the Structure
+ *                     Guide; the value kwarg is the one SemanticCheckers reads when it has a
+ *                     checker for the id (tone_level, mood_type, ...), otherwise the id's name
+ *
+ * Kwarg types:
+ *   relation   one of INSTRUCTION_RELATIONS ("at least", ...; checkRelation() also reads >=, ==, <, <=)
+ *   integer    whole number >= min (default 0)
+ *   string     free text; `options` are suggestions
+ *   enum       one of `options`
+ *   list       list of strings (comma separated in the form); `options` restricts the items
+ *   fraction   "3/2", "0.5" or "inf"
+ */
+
+const INSTRUCTION_RELATIONS = ['at least', 'equal to', 'less than', 'at most'];
+const INSTRUCTION_RELATION_ALIASES = { '>=': 'at least', '==': 'equal to', '=': 'equal to', '<': 'less than', '<=': 'at most' };
+const INSTRUCTION_SOURCES = ['user', 'system'];
+
+const INSTRUCTION_FAMILIES = [
+    { id: 'change_case', label: 'Change case', semantic: false },
+    { id: 'keywords', label: 'Keywords', semantic: false },
+    { id: 'punctuation', label: 'Punctuation', semantic: false },
+    { id: 'length_constraints', label: 'Length constraints', semantic: false },
+    { id: 'detectable_format', label: 'Detectable format', semantic: false },
+    { id: 'startend', label: 'Start / end', semantic: false },
+    { id: 'detectable_content', label: 'Detectable content', semantic: false },
+    { id: 'stylistic', label: 'Stylistic (LLM Eval)', semantic: true },
+    { id: 'linguistic', label: 'Linguistic (LLM Eval)', semantic: true },
+    { id: 'situation', label: 'Situation (LLM Eval)', semantic: true }
+];
+
+// Kwarg shorthands for the catalog below
+const relationKwarg = (name = 'relation') => ({ name: name, type: 'relation' });
+const integerKwarg = (name, min = 0) => ({ name: name, type: 'integer', min: min });
+const textKwarg = (name, options = null) => ({ name: name, type: 'string', options: options });
+const choiceKwarg = (name, options) => ({ name: name, type: 'enum', options: options });
+
+const INSTRUCTION_CATALOG = {
+    // === CHANGE CASE ===
+    'change_case:all_caps': { label: 'Whole response in capital letters', kwargs: [] },
+    'change_case:lowercase': { label: 'Whole response in lowercase', kwargs: [] },
+    'change_case:alternating': { label: 'Words in alternating case (aLtErNaTiNg)', kwargs: [] },
+    'change_case:first_letter_cap': { label: 'Every word starts with a capital letter', kwargs: [] },
+    'change_case:last_letter': { label: 'Case of the last letter', kwargs: [choiceKwarg('case', ['upper', 'lower', 'special'])] },
+    'change_case:capital_word_frequency': {
+        label: 'Number of all-caps words',
+        kwargs: [relationKwarg('capital_relation'), integerKwarg('capital_frequency')]
+    },
+    'change_case:lowercase_word_frequency': {
+        label: 'Number of lowercase words',
+        kwargs: [relationKwarg('lowercase_relation'), integerKwarg('lowercase_frequency')]
+    },
+    'change_case:case_ratio': {
+        label: 'Ratio of lowercase to uppercase letters',
+        kwargs: [{ name: 'min_fraction', type: 'fraction' }, { name: 'max_fraction', type: 'fraction' }]
+    },
+
+    // === KEYWORDS ===
+    'keywords:existence': { label: 'Keywords that must appear', kwargs: [{ name: 'keywords', type: 'list' }] },
+    'keywords:frequency': { label: 'Keyword repeated N times', kwargs: [textKwarg('keyword'), relationKwarg(), integerKwarg('frequency', 1)] },
+    'keywords:forbidden_words': { label: 'Words that must not appear', kwargs: [{ name: 'forbidden_words', type: 'list' }] },
+    'keywords:letter_frequency': {
+        label: 'Letter repeated N times',
+        kwargs: [{ name: 'letter', type: 'string', maxLength: 1 }, relationKwarg('let_relation'), integerKwarg('let_frequency')]
+    },
+    'keywords:alliteration': {
+        label: 'Words starting with a letter',
+        kwargs: [{ name: 'target_letter', type: 'string', maxLength: 1 }, relationKwarg(), integerKwarg('num_alliteration', 1)]
+    },
+    'keywords:vowel_count': { label: 'Number of vowels', kwargs: [relationKwarg(), integerKwarg('num_vowels')] },
+    'keywords:consonant_count': { label: 'Number of consonants', kwargs: [relationKwarg(), integerKwarg('num_consonants')] },
+
+    // === PUNCTUATION ===
+    'punctuation:no_comma': { label: 'No commas', kwargs: [] },
+    'punctuation:no_period': { label: 'No periods', kwargs: [] },
+    'punctuation:question_exclaim': { label: 'Number of ? and ! marks', kwargs: [relationKwarg(), integerKwarg('num_marks')] },
+    'punctuation:end_rule': {
+        label: 'Allowed sentence endings',
+        kwargs: [{ name: 'allowed', type: 'list', options: ['.', '?', '!', '?!', '??', '!?', '!!'] }]
+    },
+
+    // === LENGTH CONSTRAINTS ===
+    'length_constraints:number_words': { label: 'Number of words', kwargs: [relationKwarg(), integerKwarg('num_words', 1)] },
+    'length_constraints:number_characters': { label: 'Number of characters', kwargs: [relationKwarg(), integerKwarg('num_chars', 1)] },
+    'length_constraints:unique_words': { label: 'Number of unique words', kwargs: [relationKwarg(), integerKwarg('num_unique', 1)] },
+    'length_constraints:word_repetition': { label: 'No word repeated more than N times', kwargs: [integerKwarg('max_repeats', 1)] },
+    'length_constraints:sentence_length': { label: 'Maximum words per sentence', kwargs: [integerKwarg('max_words', 1)] },
+    'length_constraints:word_length': { label: 'Word length range', kwargs: [integerKwarg('min_length', 1), integerKwarg('max_length', 1)] },
+    'length_constraints:paragraph_length': { label: 'Words per paragraph', kwargs: [relationKwarg(), integerKwarg('words_per_paragraph', 1)] },
+
+    // === DETECTABLE FORMAT ===
+    'detectable_format:number_paragraphs': { label: 'Number of paragraphs', kwargs: [relationKwarg(), integerKwarg('num_paragraphs', 1)] },
+    'detectable_format:sentence_count': { label: 'Number of sentences', kwargs: [relationKwarg(), integerKwarg('num_sentences', 1)] },
+    'detectable_format:numbered_list': { label: 'Numbered list items', kwargs: [relationKwarg(), integerKwarg('num_numbered_items', 1)] },
+    'detectable_format:number_bullet_lists': { label: 'Bullet points', kwargs: [relationKwarg(), integerKwarg('num_bullets', 1)] },
+    'detectable_format:json_format': { label: 'Response is valid JSON', kwargs: [] },
+    'detectable_format:title': { label: 'Title on the first line (<<title>>, # or **bold**)', kwargs: [] },
+    'detectable_format:multiple_sections': {
+        label: 'Sections with a numbered header',
+        kwargs: [textKwarg('section_splitter', ['Section', 'Sezione', 'Seção', 'Sección']), relationKwarg(), integerKwarg('num_sections', 1)]
+    },
+    'detectable_format:sentences_per_paragraph': { label: 'Sentences per paragraph', kwargs: [relationKwarg(), integerKwarg('num_sentences', 1)] },
+    'detectable_format:max_paragraph_length': { label: 'Maximum characters per paragraph', kwargs: [integerKwarg('max_chars', 1)] },
+
+    // === START/END ===
+    'startend:start_checker': { label: 'Starts with a phrase', kwargs: [textKwarg('start_phrase')] },
+    'startend:end_checker': { label: 'Ends with a phrase', kwargs: [textKwarg('end_phrase')] },
+    'startend:wrap_checker': { label: 'Wrapped in a phrase', kwargs: [textKwarg('wrap_phrase')] },
+    'startend:quotation': { label: 'Wrapped in double quotes', kwargs: [] },
+
+    // === DETECTABLE CONTENT ===
+    'detectable_content:number_placeholders': { label: 'Placeholders in [brackets]', kwargs: [relationKwarg(), integerKwarg('num_placeholders', 1)] },
+    'detectable_content:numeric_inclusion': { label: 'Number of digits', kwargs: [relationKwarg(), integerKwarg('num_numbers', 1)] },
+    'detectable_content:postscript': { label: 'Postscript on the last line', kwargs: [textKwarg('postscript_marker', ['PS:', 'P.S.'])] },
+
+    // === STYLISTIC ===
+    'stylistic:tone_formality': { label: 'Tone formality', kwargs: [choiceKwarg('tone_level', ['formal', 'informal', 'neutral'])] },
+    'stylistic:emotional_tone': {
+        label: 'Emotional tone',
+        kwargs: [choiceKwarg('emotional_tone', ['positive', 'negative', 'neutral', 'motivational', 'empathetic', 'sarcastic', 'humorous'])]
+    },
+    'stylistic:politeness': { label: 'Politeness', kwargs: [choiceKwarg('politeness', ['polite', 'neutral', 'impolite'])] },
+    'stylistic:literary_style': {
+        label: 'Literary style',
+        kwargs: [choiceKwarg('literary_style', ['poetic', 'narrative', 'dramatic', 'persuasive', 'expository', 'journalistic'])]
+    },
+    'stylistic:sentence_tone_consistency': {
+        label: 'Same tone in every sentence',
+        kwargs: [choiceKwarg('tone', ['formal', 'informal', 'positive', 'negative', 'neutral'])]
+    },
+    'stylistic:voice': { label: 'Grammatical voice', kwargs: [choiceKwarg('voice', ['active', 'passive', 'mixed'])] },
+    'stylistic:figurative_language': {
+        label: 'Figures of speech',
+        kwargs: [choiceKwarg('figurative_language', ['simile', 'metaphor', 'personification', 'hyperbole', 'idiom']), relationKwarg(), integerKwarg('count', 1)]
+    },
+    'stylistic:tone_transition': {
+        label: 'Tone changes at a point of the response',
+        kwargs: [textKwarg('from_tone'), textKwarg('to_tone'), choiceKwarg('position', ['beginning', 'middle', 'end'])]
+    },
+    'stylistic:emotive_adjectives': { label: 'Emotional adjectives', kwargs: [relationKwarg(), integerKwarg('count', 1)] },
+    'stylistic:sensory_detail': {
+        label: 'Sensory details',
+        kwargs: [choiceKwarg('sensory_detail', ['visual', 'auditory', 'tactile', 'olfactory', 'gustatory']), relationKwarg(), integerKwarg('count', 1)]
+    },
+    'stylistic:rhythm_pattern': { label: 'Sentence rhythm', kwargs: [choiceKwarg('rhythm_pattern', ['short', 'balanced', 'long'])] },
+
+    // === LINGUISTIC ===
+    'linguistic:pragmatic_context': {
+        label: 'Pragmatic context',
+        kwargs: [choiceKwarg('pragmatic_context', ['formal_discourse', 'dialogue', 'dialect', 'sociolect', 'classical', 'policy_style'])]
+    },
+    'linguistic:speech_act': {
+        label: 'Speech act',
+        kwargs: [choiceKwarg('speech_act', ['declarative', 'interrogative', 'imperative', 'exclamatory', 'conditional', 'suggestive'])]
+    },
+    'linguistic:syntactic_pattern': {
+        label: 'Syntactic pattern',
+        kwargs: [choiceKwarg('syntactic_pattern', ['compound_sentence', 'complex_sentence', 'subordinate_clause', 'passive_construction', 'parallel_structure'])]
+    },
+    'linguistic:grammatical_mood': {
+        label: 'Grammatical mood',
+        kwargs: [choiceKwarg('mood_type', ['indicative', 'subjunctive', 'imperative', 'interrogative'])]
+    },
+    'linguistic:morphological_form': {
+        label: 'Morphological form',
+        kwargs: [choiceKwarg('morphological_form', ['inflectional', 'derivational', 'compound', 'reduplicated'])]
+    },
+    'linguistic:phonological_pattern': {
+        label: 'Phonological pattern',
+        kwargs: [choiceKwarg('phonological_pattern', ['alliteration', 'rhyme', 'rhythm', 'assonance', 'consonance'])]
+    },
+    'linguistic:sound_symbolism': { label: 'Sound symbolic words', kwargs: [relationKwarg(), integerKwarg('count', 1)] },
+
+    // === SITUATION ===
+    'situation:role_based': {
+        label: 'Role the response speaks as',
+        kwargs: [textKwarg('role', ['teacher', 'doctor', 'lawyer', 'engineer', 'journalist', 'scientist', 'historian', 'politician'])]
+    },
+    'situation:task_specific': {
+        label: 'Kind of task',
+        kwargs: [textKwarg('task', ['consultation', 'recommendation', 'instruction', 'analysis', 'diagnosis', 'debate', 'summary'])]
+    },
+    'situation:audience_alignment': {
+        label: 'Audience',
+        kwargs: [textKwarg('audience', ['children', 'students', 'experts', 'general_public', 'policymakers', 'professionals'])]
+    },
+    'situation:contextual_scenario': {
+        label: 'Scenario',
+        kwargs: [textKwarg('scenario', ['business_meeting', 'academic_lecture', 'courtroom', 'therapy_session', 'news_report'])]
+    },
+    'situation:perspective': {
+        label: 'Narrative person',
+        kwargs: [choiceKwarg('perspective', ['first_person', 'second_person', 'third_person', 'mixed'])]
+    },
+    'situation:emotional_alignment': {
+        label: 'Emotional alignment',
+        kwargs: [choiceKwarg('emotional_alignment', ['sympathetic', 'neutral', 'optimistic', 'serious', 'cautious', 'motivational', 'respectful'])]
+    },
+    'situation:cultural_context': {
+        label: 'Cultural context',
+        kwargs: [textKwarg('cultural_context', ['western', 'eastern', 'global', 'local']), choiceKwarg('reference', ['implicit', 'explicit'])]
+    },
+    'situation:temporal_context': {
+        label: 'Time frame',
+        kwargs: [choiceKwarg('temporal_context', ['past', 'present', 'future', 'mixed'])]
+    },
+    'situation:environment_setting': {
+        label: 'Environment',
+        kwargs: [choiceKwarg('environment_setting', ['urban', 'rural', 'digital', 'natural', 'professional', 'academic', 'cultural'])]
+    }
+};
+
+// Instructions that only one value of a kwarg can satisfy when listed twice (e.g. two tone levels)
+const INSTRUCTION_SINGLE_VALUE = ['case', 'tone_level', 'emotional_tone', 'politeness', 'literary_style', 'tone', 'voice',
+    'rhythm_pattern', 'pragmatic_context', 'speech_act', 'mood_type', 'perspective', 'emotional_alignment',
+    'temporal_context', 'environment_setting', 'role', 'audience', 'start_phrase', 'end_phrase', 'wrap_phrase'];
+
+// Kwarg naming what an instruction counts: listed twice for different targets is no conflict
+const INSTRUCTION_TARGET_KWARG = {
+    'keywords:frequency': 'keyword',
+    'keywords:letter_frequency': 'letter',
+    'keywords:alliteration': 'target_letter',
+    'stylistic:figurative_language': 'figurative_language',
+    'stylistic:sensory_detail': 'sensory_detail'
+};
+
+class InstructionCatalog {
+    static getRelations() {
+        return [...INSTRUCTION_RELATIONS];
+    }
+
+    static getSources() {
+        return [...INSTRUCTION_SOURCES];
+    }
+
+    static getFamilies() {
+        return INSTRUCTION_FAMILIES.map(family => ({ ...family }));
+    }
+
+    /**
+     * Catalog entries, optionally of one family
+     * @returns {Array} { id, family, label, semantic, kwargs }
+     */
+    static getInstructions(family = null) {
+        return Object.keys(INSTRUCTION_CATALOG)
+            .filter(id => !family || id.startsWith(family + ':'))
+            .map(id => InstructionCatalog.get(id));
+    }
+
+    static has(id) {
+        return Object.prototype.hasOwnProperty.call(INSTRUCTION_CATALOG, id);
+    }
+
+    /**
+     * @throws {Error} When the id is not in the catalog
+     */
+    static get(id) {
+        if (!InstructionCatalog.has(id)) {
+            throw new Error(`Unknown instruction "${id}"`);
+        }
+        const family = id.split(':')[0];
+        return {
+            id: id,
+            family: family,
+            label: INSTRUCTION_CATALOG[id].label,
+            semantic: INSTRUCTION_FAMILIES.find(f => f.id === family).semantic,
+            kwargs: INSTRUCTION_CATALOG[id].kwargs.map(kwarg => ({ ...kwarg }))
+        };
+    }
+
+    /**
+     * Relation words for the symbols checkRelation() also accepts
+     */
+    static normalizeRelation(value) {
+        const relationValue = String(value || '').trim().toLowerCase();
+        return INSTRUCTION_RELATION_ALIASES[relationValue] || relationValue;
+    }
+
+    /**
+     * Parse a form value into its kwarg type ('' stays undefined)
+     */
+    static parseValue(kwarg, value) {
+        if (value === undefined || value === null || value === '') return undefined;
+        switch (kwarg.type) {
+            case 'integer': {
+                const number = Number(value);
+                return Number.isFinite(number) ? number : value;
+            }
+            case 'relation':
+                return InstructionCatalog.normalizeRelation(value);
+            case 'list':
+                return (Array.isArray(value) ? value : String(value).split(','))
+                    .map(item => String(item).trim())
+                    .filter(Boolean);
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Problems of one instruction's kwargs
+     * @param {object} instruction - { instruction_id, source, ...kwargs }
+     * @returns {Array<string>} Messages, empty when the instruction is well formed
+     */
+    static validateInstruction(instruction) {
+        const id = instruction.instruction_id;
+        if (!InstructionCatalog.has(id)) {
+            return [`Unknown instruction "${id}"`];
+        }
+
+        const errors = [];
+        if (!INSTRUCTION_SOURCES.includes(instruction.source)) {
+            errors.push(`source must be ${INSTRUCTION_SOURCES.join(' or ')}`);
+        }
+
+        InstructionCatalog.get(id).kwargs.forEach(kwarg => {
+            const value = instruction[kwarg.name];
+            if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+                errors.push(`${kwarg.name} is required`);
+                return;
+            }
+            switch (kwarg.type) {
+                case 'relation':
+                    if (!INSTRUCTION_RELATIONS.includes(value)) {
+                        errors.push(`${kwarg.name} must be one of: ${INSTRUCTION_RELATIONS.join(', ')}`);
+                    }
+                    break;
+                case 'integer':
+                    if (!Number.isInteger(value) || value < kwarg.min) {
+                        errors.push(`${kwarg.name} must be a whole number >= ${kwarg.min}`);
+                    }
+                    break;
+                case 'enum':
+                    if (!kwarg.options.includes(value)) {
+                        errors.push(`${kwarg.name} must be one of: ${kwarg.options.join(', ')}`);
+                    }
+                    break;
+                case 'list':
+                    if (!Array.isArray(value)) {
+                        errors.push(`${kwarg.name} must be a list`);
+                    } else if (kwarg.options && value.some(item => !kwarg.options.includes(item))) {
+                        const unknown = value.filter(item => !kwarg.options.includes(item));
+                        errors.push(`${kwarg.name} cannot contain ${unknown.join(' ')} (allowed: ${kwarg.options.join(' ')})`);
+                    }
+                    break;
+                case 'fraction':
+                    if (InstructionCatalog.fractionValue(value) === null) {
+                        errors.push(`${kwarg.name} must be a fraction such as 3/2, 0.5 or inf`);
+                    }
+                    break;
+                default:
+                    if (typeof value !== 'string' || !value.trim()) {
+                        errors.push(`${kwarg.name} must be text`);
+                    } else if (kwarg.maxLength && value.trim().length > kwarg.maxLength) {
+                        errors.push(`${kwarg.name} must be a single letter`);
+                    }
+            }
+        });
+
+        if (id === 'length_constraints:word_length' && instruction.min_length > instruction.max_length) {
+            errors.push('min_length is greater than max_length');
+        }
+        if (id === 'change_case:case_ratio') {
+            const min = InstructionCatalog.fractionValue(instruction.min_fraction);
+            const max = InstructionCatalog.fractionValue(instruction.max_fraction);
+            if (min !== null && max !== null && min > max) {
+                errors.push('min_fraction is greater than max_fraction');
+            }
+        }
+        if (InstructionCatalog.getCountRange(instruction)?.empty) {
+            errors.push('"less than" 0 can never be met');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Value of a case_ratio fraction ("3/2", "0.5", "inf"), null when it is not one
+     */
+    static fractionValue(value) {
+        const fraction = String(value ?? '').trim();
+        if (fraction === 'inf') return Infinity;
+        const parts = fraction.match(/^(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?$/);
+        if (!parts) return null;
+        const denominator = parts[2] !== undefined ? Number(parts[2]) : 1;
+        return denominator === 0 ? null : Number(parts[1]) / denominator;
+    }
+
+    /**
+     * Range of counts an instruction allows, from its relation kwarg and count kwarg
+     * @returns {object|null} { min, max, empty } or null when the instruction counts nothing
+     */
+    static getCountRange(instruction) {
+        if (!InstructionCatalog.has(instruction.instruction_id)) return null;
+        const kwargs = InstructionCatalog.get(instruction.instruction_id).kwargs;
+        const relationKwarg = kwargs.find(k => k.type === 'relation');
+        const countKwarg = kwargs.find(k => k.type === 'integer');
+        if (!relationKwarg || !countKwarg) return null;
+
+        const value = instruction[countKwarg.name];
+        if (!Number.isInteger(value)) return null;
+
+        let range;
+        switch (instruction[relationKwarg.name]) {
+            case 'at least': range = { min: value, max: Infinity }; break;
+            case 'equal to': range = { min: value, max: value }; break;
+            case 'less than': range = { min: 0, max: value - 1 }; break;
+            case 'at most': range = { min: 0, max: value }; break;
+            default: return null;
+        }
+        range.empty = range.min > range.max;
+        return range;
+    }
+
+    /**
+     * Instructions that no single response can satisfy together
+     * @param {Array} instructions - turn_metadata instructions
+     * @returns {Array} { indexes: [i, j], ids: [id, id], message }
+     */
+    static findConflicts(instructions) {
+        const conflicts = [];
+        const add = (i, j, message) => conflicts.push({
+            indexes: [i, j],
+            ids: [instructions[i].instruction_id, instructions[j].instruction_id],
+            message: message
+        });
+        const rangeOf = (inst) => InstructionCatalog.getCountRange(inst);
+        const allows = (inst, count) => {
+            const range = rangeOf(inst);
+            return !range || (count >= range.min && count <= range.max);
+        };
+        const words = (list) => [].concat(list || []).map(w => String(w).trim().toLowerCase()).filter(Boolean);
+
+        instructions.forEach((a, i) => {
+            instructions.forEach((b, j) => {
+                if (j <= i) return;
+                const ids = [a.instruction_id, b.instruction_id];
+                const pair = (x, y) => (ids[0] === x && ids[1] === y) ? [a, b] : (ids[0] === y && ids[1] === x) ? [b, a] : null;
+                let match;
+
+                // Same instruction twice
+                if (ids[0] === ids[1]) {
+                    const key = INSTRUCTION_TARGET_KWARG[ids[0]];
+                    const sameTarget = !key || String(a[key] || '').trim().toLowerCase() === String(b[key] || '').trim().toLowerCase();
+                    const rangeA = rangeOf(a);
+                    const rangeB = rangeOf(b);
+                    if (sameTarget && rangeA && rangeB && Math.max(rangeA.min, rangeB.min) > Math.min(rangeA.max, rangeB.max)) {
+                        add(i, j, `${ids[0]}: "${InstructionCatalog.describeCount(a)}" and "${InstructionCatalog.describeCount(b)}" cannot both hold`);
+                    } else if (sameTarget) {
+                        const single = INSTRUCTION_SINGLE_VALUE.find(name => a[name] !== undefined && b[name] !== undefined);
+                        if (single && String(a[single]).trim().toLowerCase() !== String(b[single]).trim().toLowerCase()) {
+                            add(i, j, `${ids[0]} is listed twice with different ${single} ("${a[single]}" and "${b[single]}")`);
+                        } else if (!rangeA && !single && !key) {
+                            add(i, j, `${ids[0]} is listed twice`);
+                        }
+                    }
+                    return;
+                }
+
+                // Case of the whole response
+                const wholeCase = ['change_case:all_caps', 'change_case:lowercase', 'change_case:alternating', 'change_case:first_letter_cap'];
+                if (wholeCase.includes(ids[0]) && wholeCase.includes(ids[1])) {
+                    add(i, j, `${ids[0]} and ${ids[1]} ask for different letter case in the whole response`);
+                }
+                if ((match = pair('change_case:all_caps', 'change_case:lowercase_word_frequency')) && !allows(match[1], 0)) {
+                    add(i, j, 'An all-caps response has no lowercase words');
+                }
+                if ((match = pair('change_case:lowercase', 'change_case:capital_word_frequency')) && !allows(match[1], 0)) {
+                    add(i, j, 'A lowercase response has no all-caps words');
+                }
+                if ((match = pair('change_case:all_caps', 'change_case:last_letter')) && match[1].case === 'lower') {
+                    add(i, j, 'An all-caps response cannot end with a lowercase letter');
+                }
+                if ((match = pair('change_case:lowercase', 'change_case:last_letter')) && match[1].case === 'upper') {
+                    add(i, j, 'A lowercase response cannot end with an uppercase letter');
+                }
+                if ((match = pair('change_case:all_caps', 'change_case:case_ratio')) && InstructionCatalog.fractionValue(match[1].min_fraction) > 0) {
+                    add(i, j, 'An all-caps response has a lowercase/uppercase ratio of 0, below min_fraction');
+                }
+                if ((match = pair('change_case:lowercase', 'change_case:case_ratio')) && match[1].max_fraction !== undefined &&
+                    InstructionCatalog.fractionValue(match[1].max_fraction) !== Infinity) {
+                    add(i, j, 'A lowercase response has an infinite lowercase/uppercase ratio; max_fraction must be inf');
+                }
+
+                // Keywords required and forbidden
+                const required = (inst) => inst.instruction_id === 'keywords:existence' ? words(inst.keywords)
+                    : inst.instruction_id === 'keywords:frequency' && !allows(inst, 0) ? words(inst.keyword) : [];
+                [[a, b], [b, a]].forEach(([x, y]) => {
+                    if (y.instruction_id !== 'keywords:forbidden_words') return;
+                    const both = required(x).filter(w => words(y.forbidden_words).includes(w));
+                    if (both.length > 0) {
+                        add(i, j, `"${both.join('", "')}" is both required and forbidden`);
+                    }
+                });
+
+                // Punctuation
+                if ((match = pair('punctuation:no_period', 'punctuation:end_rule')) && words(match[1].allowed).every(p => p.includes('.'))) {
+                    add(i, j, 'end_rule only allows endings with a period, which no_period forbids');
+                }
+                if ((match = pair('punctuation:no_period', 'detectable_format:numbered_list')) && !allows(match[1], 0)) {
+                    add(i, j, 'Numbered items ("1.") need periods, which no_period forbids');
+                }
+                if ((match = pair('punctuation:end_rule', 'punctuation:question_exclaim')) && !allows(match[1], 0) &&
+                    words(match[0].allowed).every(p => p === '.')) {
+                    add(i, j, 'end_rule only allows "." but question_exclaim asks for ? or !');
+                }
+
+                // Counts that bound each other
+                if ((match = pair('length_constraints:number_words', 'length_constraints:unique_words')) &&
+                    rangeOf(match[0]) && rangeOf(match[1]) && rangeOf(match[1]).min > rangeOf(match[0]).max) {
+                    add(i, j, 'More unique words are required than the response may have words');
+                }
+                if ((match = pair('length_constraints:number_words', 'length_constraints:number_characters')) &&
+                    rangeOf(match[0]) && rangeOf(match[1]) && rangeOf(match[0]).min * 2 - 1 > rangeOf(match[1]).max) {
+                    add(i, j, 'The minimum number of words does not fit in the maximum number of characters');
+                }
+
+                // Start and end of the response
+                if ((match = pair('startend:quotation', 'startend:wrap_checker')) && String(match[1].wrap_phrase || '').trim() !== '"') {
+                    add(i, j, 'The response cannot be wrapped both in double quotes and in another phrase');
+                }
+                if ((match = pair('startend:end_checker', 'detectable_content:postscript')) &&
+                    !String(match[0].end_phrase || '').trim().startsWith(String(match[1].postscript_marker || 'PS:').trim())) {
+                    add(i, j, 'The postscript must be the last line, so the response cannot end with the end phrase');
+                }
+                if (pair('detectable_format:json_format', 'startend:quotation')) {
+                    add(i, j, 'A JSON response cannot be wrapped in double quotes');
+                }
+            });
+        });
+
+        return conflicts;
+    }
+
+    /**
+     * "at least 120" for an instruction with a relation and a count
+     */
+    static describeCount(instruction) {
+        const kwargs = InstructionCatalog.get(instruction.instruction_id).kwargs;
+        const relationName = kwargs.find(k => k.type === 'relation').name;
+        const countName = kwargs.find(k => k.type === 'integer').name;
+        return `${instruction[relationName]} ${instruction[countName]}`;
+    }
+
+    /**
+     * Instruction with the catalog's kwargs only, in catalog order, values parsed to their types
+     * @param {string} id - Instruction id
+     * @param {object} values - Form values by kwarg name
+     * @param {string} source - 'user' | 'system'
+     */
+    static createInstruction(id, values = {}, source = 'user') {
+        const instruction = { instruction_id: id };
+        InstructionCatalog.get(id).kwargs.forEach(kwarg => {
+            const value = InstructionCatalog.parseValue(kwarg, values[kwarg.name]);
+            if (value !== undefined) instruction[kwarg.name] = value;
+        });
+        instruction.source = source;
+        return instruction;
+    }
+
+    /**
+     * Keys of an instruction that are neither instruction_id, source nor a kwarg of its catalog
+     * entry (e.g. a reviewer's "note"); they are written back unchanged
+     */
+    static getExtraKeys(inst) {
+        const kwargs = InstructionCatalog.has(inst.instruction_id)
+            ? InstructionCatalog.get(inst.instruction_id).kwargs.map(kwarg => kwarg.name) : null;
+        const extra = {};
+        if (!kwargs) return extra;
+        Object.keys(inst)
+            .filter(key => key !== 'instruction_id' && key !== 'source' && !kwargs.includes(key))
+            .forEach(key => { extra[key] = inst[key]; });
+        return extra;
+    }
+
+    /**
+     * New llm_judge entry, numbered after the highest uid in use
+     * @param {Array} llmJudge - Current entries ({ uid, content })
+     */
+    static createJudge(llmJudge = []) {
+        const uids = llmJudge.map(judge => Number(judge.uid)).filter(Number.isFinite);
+        return { uid: uids.length > 0 ? Math.max(...uids) + 1 : 1, content: '' };
+    }
+
+    /**
+     * turn_metadata JSON and what is wrong with it
+     * Instructions get their catalog kwargs in catalog order, followed by any other key they had;
+     * llm_judge entries keep their uid and other keys, and the top-level keys in `extra` are kept.
+     * @param {object} state - { language, instructions: [instruction], llmJudge: [{ uid, content }],
+     *                          extra: { other top-level keys } }
+     * @returns {object} { json, text: cell body (```json fenced), errors: [{ index, messages }], conflicts,
+     *                     counts: { if, llmEval, llmJudge } }
+     */
+    static buildTurnMetadata(state) {
+        const instructions = (state.instructions || []).map(inst => InstructionCatalog.has(inst.instruction_id)
+            ? { ...InstructionCatalog.createInstruction(inst.instruction_id, inst, inst.source), ...InstructionCatalog.getExtraKeys(inst) }
+            : { ...inst });
+
+        const llmJudge = [];
+        (state.llmJudge || []).forEach(judge => {
+            const content = String(judge.content || '').trim();
+            if (!content) return;
+            const uid = judge.uid ?? InstructionCatalog.createJudge([...(state.llmJudge || []), ...llmJudge]).uid;
+            llmJudge.push({ ...judge, uid: uid, content: content });
+        });
+
+        const json = {
+            language: state.language || '',
+            instructions: instructions,
+            llm_judge: llmJudge,
+            ...(state.extra || {})
+        };
+
+        const errors = instructions
+            .map((inst, index) => ({ index: index, messages: InstructionCatalog.validateInstruction(inst) }))
+            .filter(e => e.messages.length > 0);
+        if (!json.language) {
+            errors.push({ index: null, messages: ['language is required'] });
+        }
+
+        const semantic = instructions.filter(inst => InstructionCatalog.has(inst.instruction_id) &&
+            InstructionCatalog.get(inst.instruction_id).semantic);
+
+        return {
+            json: json,
+            text: '```json\n' + JSON.stringify(json, null, 2) + '\n```',
+            errors: errors,
+            conflicts: InstructionCatalog.findConflicts(instructions),
+            counts: {
+                if: instructions.length - semantic.length,
+                llmEval: semantic.length,
+                llmJudge: llmJudge.length
+            }
+        };
+    }
+
+    /**
+     * Builder state from a parsed turn_metadata (NotebookParser.parseTurnMetadataCell)
+     * Ids outside the catalog are kept as typed and reported by validateInstruction; llm_judge
+     * uids, unknown keys and top-level keys other than language/instructions/llm_judge are kept.
+     * @throws {Error} When the cell has no valid JSON
+     */
+    static fromTurnMetadata(turnMetadata) {
+        if (!turnMetadata || turnMetadata.error) {
+            throw new Error(turnMetadata?.error || 'No turn_metadata');
+        }
+        const json = turnMetadata.json;
+        const extra = {};
+        Object.keys(json)
+            .filter(key => !['language', 'instructions', 'llm_judge'].includes(key))
+            .forEach(key => { extra[key] = json[key]; });
+
+        return {
+            language: json.language || '',
+            instructions: (json.instructions || []).map(inst => {
+                const normalized = { ...inst, source: inst.source === 'system_prompt' ? 'system' : (inst.source || 'user') };
+                if (InstructionCatalog.has(inst.instruction_id)) {
+                    InstructionCatalog.get(inst.instruction_id).kwargs
+                        .filter(kwarg => kwarg.type === 'relation' && normalized[kwarg.name] !== undefined)
+                        .forEach(kwarg => { normalized[kwarg.name] = InstructionCatalog.normalizeRelation(normalized[kwarg.name]); });
+                }
+                return normalized;
+            }),
+            llmJudge: (json.llm_judge || []).map(judge => judge && typeof judge === 'object'
+                ? { ...judge, content: judge.content || '' }
+                : { content: String(judge ?? '') }),
+            extra: extra
+        };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.InstructionCatalog = InstructionCatalog;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InstructionCatalog;
+}
@@ -0,0 +1,64 @@
+/**
+ * CFBench Language Codes
+ * One reading of the metadata Language field ("Italian (it)", "it-IT", "Brazilian Portuguese (pt-BR)",
+ * "Deutsch") shared by the Tokenizer profiles, NumberWords, SemanticCheckers, PromptLibrary override
+ * folders and RubricPack, so every module maps a notebook to the same language.
+ *
+ * Each module then keeps only the codes it supports (Tokenizer falls back to its default profile,
+ * the others to null).
+ */
+
+// Language names, in English and as written in the language itself
+const LANGUAGE_NAMES = {
+    english: 'en',
+    italian: 'it', italiano: 'it',
+    portuguese: 'pt', 'português': 'pt', portugues: 'pt',
+    spanish: 'es', 'español': 'es', espanol: 'es', castellano: 'es',
+    french: 'fr', 'français': 'fr', francais: 'fr',
+    german: 'de', deutsch: 'de',
+    dutch: 'nl', polish: 'pl', russian: 'ru', turkish: 'tr', hindi: 'hi', korean: 'ko',
+    chinese: 'zh', mandarin: 'zh', '中文': 'zh',
+    japanese: 'ja', '日本語': 'ja',
+    arabic: 'ar', 'العربية': 'ar',
+    hebrew: 'he', 'עברית': 'he'
+};
+
+// Superseded ISO 639-1 codes still found in metadata
+const LANGUAGE_CODE_ALIASES = {
+    iw: 'he'
+};
+
+class LanguageCodes {
+    /**
+     * Two-letter code of a language name or code. A language name wins over a code in parentheses,
+     * so "English (US)" is 'en'; a region ("pt-BR", "(pt_BR)") is dropped.
+     * @param {string} language - e.g. "Italian (it)", "it", "pt-BR", "Brazilian Portuguese", "Deutsch"
+     * @returns {string|null} Lowercase code, null when the text names no language
+     */
+    static toCode(language) {
+        if (!language) return null;
+        const text = String(language).trim().toLowerCase();
+
+        const code = text.match(/^([a-z]{2})(?:[-_][a-z0-9]+)?$/);
+        if (code) return LanguageCodes.resolveAlias(code[1]);
+
+        const named = LANGUAGE_NAMES[text] ||
+            text.split(/[\s(),]+/).map(word => LANGUAGE_NAMES[word]).find(Boolean);
+        if (named) return named;
+
+        const inParentheses = text.match(/\(([a-z]{2})(?:[-_][a-z0-9]+)?\)/);
+        return inParentheses ? LanguageCodes.resolveAlias(inParentheses[1]) : null;
+    }
+
+    static resolveAlias(code) {
+        return LANGUAGE_CODE_ALIASES[code] || code;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.LanguageCodes = LanguageCodes;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LanguageCodes;
+}
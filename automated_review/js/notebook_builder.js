@@ -0,0 +1,289 @@
+/**
+ * CFBench Notebook Builder
+ * Authoring model of a CFBench notebook (editor.html): the cells of the guide's structure, in
+ * order, with their **[tag]** headers:
+ *
+ *   # Metadata
+ *   **[system]**
+ *   **[user]** **[thinking]** **[assistant]**                       one block per intermediate turn
+ *   **[user]** **[thinking]** **[turn_metadata]** **[assistant]**
+ *   **[validator_assistant]** **[validator_human]**                 final turn (golden)
+ *   **[thinking_<model>_N]** **[assistant_<model>_N]**
+ *   **[validator_assistant_<model>_N]** **[validator_human_<model>_N]**   PASS@1-4
+ *
+ * Cell bodies are edited as plain text; the builder writes the headers, so a notebook it
+ * exports always has the cell names and order NotebookParser expects. validate() runs the
+ * phase 1 (structure) checks on the exported notebook.
+ */
+
+const NOTEBOOK_BUILDER_MODELS = ['qwen3', 'nemotron'];
+const NOTEBOOK_BUILDER_PASSES = 4;
+
+// Fields of the metadata cell, as NotebookParser.parseMetadataCell reads them
+const NOTEBOOK_METADATA_FIELDS = [
+    { key: 'domain', label: 'Domain' },
+    { key: 'l1Taxonomy', label: 'L1 Taxonomy' },
+    { key: 'l2Taxonomy', label: 'L2 Taxonomy' },
+    { key: 'l3Taxonomy', label: 'L3 Taxonomy' },
+    { key: 'useCase', label: 'Use Case' },
+    { key: 'language', label: 'Language' },
+    { key: 'systemPromptLength', label: 'System Prompt Length' },
+    { key: 'userPromptLength', label: 'User Prompt Length' },
+    { key: 'numberOfTurns', label: 'Number of Turns' },
+    { key: 'scenario', label: 'Scenario' }
+];
+
+class NotebookBuilder {
+    /**
+     * Empty scaffold: metadata, system, the intermediate turns, the final turn and PASS@1-4
+     * @param {object} options - { turns: number of intermediate turns (default 1),
+     *                             model: 'qwen3' | 'nemotron', language: metadata Language }
+     */
+    constructor(options = {}) {
+        this.metadata = {};
+        NOTEBOOK_METADATA_FIELDS.forEach(field => { this.metadata[field.key] = ''; });
+        this.metadata.language = options.language || '';
+
+        this.system = '';
+        this.turns = [];
+        for (let i = 0; i < (options.turns ?? 1); i++) {
+            this.addTurn();
+        }
+        this.finalTurn = {
+            user: '',
+            thinking: '',
+            turnMetadata: '',
+            assistant: '',
+            validatorAssistant: '',
+            validatorHuman: ''
+        };
+        this.finalTurn.turnMetadata = NotebookBuilder.turnMetadataScaffold(this.metadata.language);
+
+        this.setModel(options.model || NOTEBOOK_BUILDER_MODELS[0]);
+        this.passes = [];
+        for (let n = 1; n <= NOTEBOOK_BUILDER_PASSES; n++) {
+            this.passes.push({ thinking: '', assistant: '', validatorAssistant: '', validatorHuman: '' });
+        }
+
+        // Notes about an imported notebook (cells that could not be placed)
+        this.warnings = [];
+    }
+
+    static getModels() {
+        return [...NOTEBOOK_BUILDER_MODELS];
+    }
+
+    static getMetadataFields() {
+        return NOTEBOOK_METADATA_FIELDS.map(field => ({ ...field }));
+    }
+
+    /**
+     * Body of a new turn_metadata cell, in the notebook's language
+     */
+    static turnMetadataScaffold(language) {
+        const json = {
+            language: LanguageCodes.toCode(language) || '',
+            instructions: [],
+            llm_judge: []
+        };
+        return '```json\n' + JSON.stringify(json, null, 2) + '\n```';
+    }
+
+    setModel(model) {
+        if (!NOTEBOOK_BUILDER_MODELS.includes(model)) {
+            throw new Error(`Unknown model "${model}" (${NOTEBOOK_BUILDER_MODELS.join(', ')})`);
+        }
+        this.model = model;
+    }
+
+    addTurn() {
+        this.turns.push({ user: '', thinking: '', assistant: '' });
+    }
+
+    removeTurn(index) {
+        if (index < 0 || index >= this.turns.length) {
+            throw new Error(`No intermediate turn ${index + 1}`);
+        }
+        this.turns.splice(index, 1);
+    }
+
+    /**
+     * Cells in notebook order
+     * @returns {Array} { tag, path: [keys into the builder], body } - tag is null for the metadata cell
+     */
+    getCells() {
+        const cells = [{ tag: null, path: ['metadata'], body: this.formatMetadata() }];
+        cells.push({ tag: 'system', path: ['system'], body: this.system });
+
+        this.turns.forEach((turn, i) => {
+            ['user', 'thinking', 'assistant'].forEach(key => {
+                cells.push({ tag: key, path: ['turns', i, key], body: turn[key] });
+            });
+        });
+
+        [
+            ['user', 'user'],
+            ['thinking', 'thinking'],
+            ['turn_metadata', 'turnMetadata'],
+            ['assistant', 'assistant'],
+            ['validator_assistant', 'validatorAssistant'],
+            ['validator_human', 'validatorHuman']
+        ].forEach(([tag, key]) => {
+            cells.push({ tag: tag, path: ['finalTurn', key], body: this.finalTurn[key] });
+        });
+
+        this.passes.forEach((pass, i) => {
+            [
+                ['thinking', 'thinking'],
+                ['assistant', 'assistant'],
+                ['validator_assistant', 'validatorAssistant'],
+                ['validator_human', 'validatorHuman']
+            ].forEach(([tag, key]) => {
+                cells.push({ tag: `${tag}_${this.model}_${i + 1}`, path: ['passes', i, key], body: pass[key] });
+            });
+        });
+
+        return cells;
+    }
+
+    /**
+     * Body of the metadata cell; empty fields are left out
+     */
+    formatMetadata() {
+        return NOTEBOOK_METADATA_FIELDS
+            .filter(field => String(this.metadata[field.key] || '').trim() !== '')
+            .map(field => `**${field.label}:** ${String(this.metadata[field.key]).trim()}`)
+            .join('\n\n');
+    }
+
+    /**
+     * Cell source with its header: "**[tag]**", an empty line, then the body
+     */
+    static formatCell(tag, body) {
+        const header = tag ? `**[${tag}]**` : '# Metadata';
+        const text = String(body || '').trim();
+        return text ? `${header}\n\n${text}\n` : `${header}\n`;
+    }
+
+    /**
+     * Notebook JSON (nbformat 4, markdown cells, source as a list of lines)
+     */
+    toNotebook() {
+        return {
+            cells: this.getCells().map(cell => ({
+                cell_type: 'markdown',
+                metadata: {},
+                source: NotebookBuilder.formatCell(cell.tag, cell.body).split('\n')
+                    .map((line, idx, arr) => idx < arr.length - 1 ? line + '\n' : line)
+                    .filter((line, idx, arr) => !(idx === arr.length - 1 && line === ''))
+            })),
+            metadata: {},
+            nbformat: 4,
+            nbformat_minor: 5
+        };
+    }
+
+    /**
+     * Notebook as .ipynb JSON text
+     */
+    toJSON() {
+        return JSON.stringify(this.toNotebook(), null, 1) + '\n';
+    }
+
+    /**
+     * Parse the exported notebook and run the phase 1 (structure) checks on it
+     * @param {RuleRegistry} registry - Rules to run (defaults to the built-in rules)
+     * @returns {object} { parsed, checks: phase 1 results }
+     */
+    validate(registry = null) {
+        const parser = new NotebookParser();
+        const parsed = parser.parseText(this.toJSON(), 'editor.ipynb');
+        const validators = new Validators(parsed, null, registry);
+        validators.runPhase1Checks();
+        return { parsed: parsed, checks: validators.results.phase1 };
+    }
+
+    /**
+     * Builder holding the cells of an existing notebook, for editing
+     * Cells are placed the way NotebookParser reads them: the [user] before turn_metadata opens
+     * the final turn, model pass cells go to their pass number. Untagged cells are dropped and
+     * listed in builder.warnings.
+     * @param {string} content - .ipynb JSON or Colab .py export
+     * @param {string} fileName - Original file name, used to detect .py exports
+     */
+    static fromText(content, fileName = '') {
+        const parser = new NotebookParser();
+        const parsed = parser.parseText(content, fileName);
+        const cells = parsed.cellOrder.map(c => ({
+            type: c.type,
+            body: parser.getCellSource(parsed.rawCells[c.index])
+                .replace(/^\s*(?:\*\*\[[^\]]+\]\*\*|\[[^\]]+\]|#\s*Metadata)[ \t]*\n?/i, '')
+                .trim()
+        }));
+
+        const passModels = [...new Set(parsed.modelPasses.map(pass => pass.model === 'qwen' ? 'qwen3' : pass.model))];
+        const builder = new NotebookBuilder({ turns: 0, model: passModels[0] || NOTEBOOK_BUILDER_MODELS[0] });
+        if (passModels.length > 1) {
+            builder.warnings.push(`Model passes mix ${passModels.join(' and ')}; all passes now use ${builder.model}`);
+        }
+
+        if (parsed.metadata) {
+            NOTEBOOK_METADATA_FIELDS.forEach(field => {
+                builder.metadata[field.key] = parsed.metadata[field.key] || '';
+            });
+        }
+
+        // Same final turn detection as NotebookParser.extractComponents
+        const turnMetadataIndex = cells.findIndex(c => c.type.type === 'turn_metadata');
+        const userIndexes = cells.map((c, i) => c.type.type === 'user' && !c.type.isModelPass ? i : -1).filter(i => i !== -1);
+        const beforeTurnMetadata = userIndexes.filter(i => turnMetadataIndex === -1 || i < turnMetadataIndex);
+        const finalUserIndex = beforeTurnMetadata.length > 0 ? beforeTurnMetadata[beforeTurnMetadata.length - 1]
+            : (userIndexes.length > 0 ? userIndexes[userIndexes.length - 1] : -1);
+
+        const keys = {
+            user: 'user',
+            thinking: 'thinking',
+            assistant: 'assistant',
+            turn_metadata: 'turnMetadata',
+            validator_assistant: 'validatorAssistant',
+            validator_human: 'validatorHuman'
+        };
+        let skipped = 0;
+
+        cells.forEach((cell, index) => {
+            const type = cell.type;
+            if (type.type === 'metadata') return;
+            if (type.type === 'system') {
+                builder.system = cell.body;
+            } else if (type.isModelPass) {
+                const pass = builder.passes[type.passNumber - 1];
+                if (pass) {
+                    pass[keys[type.type]] = cell.body;
+                } else {
+                    skipped++;
+                }
+            } else if (finalUserIndex !== -1 && index >= finalUserIndex && keys[type.type]) {
+                builder.finalTurn[keys[type.type]] = cell.body;
+            } else if (type.type === 'user') {
+                builder.turns.push({ user: cell.body, thinking: '', assistant: '' });
+            } else if ((type.type === 'thinking' || type.type === 'assistant') && builder.turns.length > 0) {
+                builder.turns[builder.turns.length - 1][type.type] = cell.body;
+            } else {
+                skipped++;
+            }
+        });
+
+        if (skipped > 0) {
+            builder.warnings.push(`${skipped} cell(s) without a CFBench tag or outside the structure were left out`);
+        }
+        return builder;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.NotebookBuilder = NotebookBuilder;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotebookBuilder;
+}
@@ -0,0 +1,410 @@
+/**
+ * CFBench Notebook Fixer
+ * Applies safe, mechanical fixes to the original notebook JSON and records a diff
+ * for every edited cell so the reviewer can check each change before downloading.
+ *
+ * Fixes:
+ *   human_judge     - validator_human ids "llm_judge..." renamed to "human_judge..." (check 4.3)
+ *   em_dash         - em/en dashes in the golden response replaced by hyphens (check 2.9), except in
+ *                     code and in passages validator_assistant quotes (check 4.4 matches those verbatim)
+ *   preamble        - "Sure!" / "Certo!" style opening removed from the golden response (check 2.9)
+ *   forbidden_terms - label lines such as "L1: Travel" removed from the system prompt (check 2.8)
+ *
+ * Anything that cannot be fixed safely is listed in `manual` instead of edited.
+ */
+
+// Interjections that can be dropped from the start of a sentence without rewording it
+const PREAMBLE_INTERJECTION = /^(sure|certo|certainly|certamente|of course|ovviamente|naturalmente|absolutely|assolutamente|great|ottimo|perfetto|volentieri)\s*[!,.]\s*/i;
+
+class NotebookFixer {
+    /**
+     * @param {object} notebook - Original notebook JSON (NotebookParser.notebook)
+     * @param {object} options - { profile: ReviewProfile } used for the forbidden terms list
+     */
+    constructor(notebook, options = {}) {
+        this.original = notebook;
+        this.profile = options.profile || null;
+        this.notebook = null;
+        this.edits = [];
+        this.manual = [];
+    }
+
+    /**
+     * Run every fix on a fresh copy of the original notebook
+     * @param {object} options - { skip: ['em_dash:12', ...] } edit keys to leave unapplied
+     * @returns {Array} Edits, applied and skipped
+     */
+    fixAll(options = {}) {
+        const skip = new Set(options.skip || []);
+
+        this.notebook = JSON.parse(JSON.stringify(this.original));
+        this.edits = [];
+        this.manual = [];
+
+        const parser = new NotebookParser();
+        parser.notebook = this.notebook;
+        const parsed = parser.extractComponents();
+
+        this.fixHumanJudge(parsed, skip);
+        this.fixGoldenResponse(parsed, skip);
+        this.fixForbiddenTerms(parsed, skip);
+
+        return this.edits;
+    }
+
+    /**
+     * validator_human must use human_judge ids, not llm_judge (check 4.3)
+     */
+    fixHumanJudge(parsed, skip) {
+        parsed.cellOrder
+            .filter(c => c.type.type === 'validator_human')
+            .forEach(c => {
+                const before = this.getSource(c.index);
+                const after = before.replace(/("id"\s*:\s*")llm_judge/g, '$1human_judge');
+                if (after !== before) {
+                    this.applyEdit('human_judge', c, before, after,
+                        'Renamed llm_judge to human_judge in validator_human', skip);
+                }
+            });
+    }
+
+    /**
+     * Em-dashes and preambles in the golden response (check 2.9)
+     */
+    fixGoldenResponse(parsed, skip) {
+        const golden = this.findCell(parsed, 'assistant', 'last');
+        if (!golden) return;
+
+        this.fixDashes(parsed, golden, skip);
+
+        // Preamble: only the body after the **[assistant]** marker is checked
+        const before = this.getSource(golden.index);
+        const markerMatch = before.match(/^\s*(\*\*\[assistant\]\*\*|\[assistant\])\s*/i);
+        const marker = markerMatch ? markerMatch[0] : '';
+        const body = before.substring(marker.length);
+
+        if (!Validators.preamblePatterns.some(p => p.test(body.trim()))) return;
+
+        const newBody = this.removePreamble(body);
+        if (newBody === null) {
+            this.manual.push({
+                fixId: 'preamble',
+                cellIndex: golden.index,
+                message: `Golden response starts with a preamble that cannot be removed safely: "${body.trim().substring(0, 60)}..."`
+            });
+            return;
+        }
+
+        this.applyEdit('preamble', golden, before, marker + newBody,
+            'Removed preamble from the start of the golden response', skip);
+    }
+
+    /**
+     * Em/en dashes: spaced dashes become " - ", dashes inside words/ranges become "-". Dashes in
+     * inline code, code blocks and passages quoted by validator_assistant are kept and listed in
+     * `manual`, since rewriting a quoted passage would break check 4.4.
+     */
+    fixDashes(parsed, golden, skip) {
+        const before = this.getSource(golden.index);
+        const kept = new Array(before.length).fill(false);
+        const keep = (start, end) => kept.fill(true, start, end);
+
+        // Code blocks first, then inline code outside them
+        let inCode = 0;
+        const blanked = before.replace(/```[\s\S]*?(```|$)/g, (block, close, offset) => {
+            keep(offset, offset + block.length);
+            return ' '.repeat(block.length);
+        });
+        blanked.replace(/`[^`\n]+`/g, (span, offset) => {
+            keep(offset, offset + span.length);
+            return span;
+        });
+        kept.forEach((isKept, idx) => {
+            if (isKept && /[—–]/.test(before[idx])) inCode++;
+        });
+        if (inCode > 0) {
+            this.manual.push({
+                fixId: 'em_dash',
+                cellIndex: golden.index,
+                message: `${inCode} em/en dash(es) in code in the golden response left as is`
+            });
+        }
+
+        const lower = before.toLowerCase();
+        (parsed.finalTurn?.validatorAssistant?.checks || []).forEach(check => {
+            Validators.extractQuotedPhrases(check.message || '')
+                .filter(phrase => /[—–]/.test(phrase))
+                .forEach(phrase => {
+                    let start = lower.indexOf(phrase.toLowerCase());
+                    if (start === -1) return;
+                    while (start !== -1) {
+                        keep(start, start + phrase.length);
+                        start = lower.indexOf(phrase.toLowerCase(), start + phrase.length);
+                    }
+                    this.manual.push({
+                        fixId: 'em_dash',
+                        cellIndex: golden.index,
+                        message: `Em/en dash in "${phrase.substring(0, 60)}", quoted by validator_assistant [${check.id || check.instruction_id || 'unknown'}], left as is: edit the response and the validator message together`
+                    });
+                });
+        });
+
+        // Replace in each run of text that is not kept
+        let after = '';
+        let count = 0;
+        let runStart = 0;
+        for (let idx = 0; idx <= before.length; idx++) {
+            if (idx < before.length && kept[idx] === kept[runStart]) continue;
+            const run = before.substring(runStart, idx);
+            if (kept[runStart]) {
+                after += run;
+            } else {
+                count += (run.match(/[—–]/g) || []).length;
+                after += run.replace(/[ \t]+[—–][ \t]+/g, ' - ').replace(/[—–]/g, '-');
+            }
+            runStart = idx;
+        }
+
+        if (after !== before) {
+            this.applyEdit('em_dash', golden, before, after,
+                `Replaced ${count} em/en dash(es) with hyphens in the golden response`, skip);
+        }
+    }
+
+    /**
+     * Remove a preamble, or return null when it cannot be done without rewording
+     * Only a leading interjection ("Certo. La capitale...", "Sure, the ...") is stripped and the
+     * next letter capitalized. Other openings ("Ecco il piano per Roma.") carry content and are
+     * left for manual review, as is an opening that is still a preamble once the interjection is gone.
+     */
+    removePreamble(body) {
+        const trimmed = body.replace(/^\s+/, '');
+        const interjection = trimmed.match(PREAMBLE_INTERJECTION);
+        if (!interjection || trimmed.length === interjection[0].length) {
+            return null;
+        }
+
+        const rest = trimmed.substring(interjection[0].length);
+        if (Validators.preamblePatterns.some(p => p.test(rest))) {
+            return null;
+        }
+        return rest.charAt(0).toUpperCase() + rest.substring(1);
+    }
+
+    /**
+     * Forbidden terms in the system prompt (check 2.8). Only whole label lines
+     * ("L1: Travel", "- Use case: booking") are removed; other mentions are left for manual review.
+     */
+    fixForbiddenTerms(parsed, skip) {
+        const system = this.findCell(parsed, 'system', 'first');
+        if (!system) return;
+
+        const validators = new Validators(parsed);
+        if (this.profile) {
+            validators.setProfile(this.profile);
+        }
+        const terms = validators.getForbiddenTerms();
+
+        const before = this.getSource(system.index);
+        const lines = before.split('\n');
+        const removed = [];
+
+        const kept = lines.filter((line, i) => {
+            // Never touch the **[system]** marker line
+            if (i === 0 || /\[system\]/i.test(line)) return true;
+
+            const found = terms.filter(t => t.pattern.test(line));
+            if (found.length === 0) return true;
+
+            const isLabelLine = found.some(t => {
+                const label = new RegExp(`^\\s*(?:[-*•]\\s*)?(?:\\*\\*)?${t.pattern.source.replace(/^\\b/, '').replace(/\\b$/, '')}[^:\\n]{0,30}:`, 'i');
+                return label.test(line);
+            });
+
+            if (isLabelLine) {
+                removed.push(line.trim());
+                return false;
+            }
+
+            found.forEach(t => this.manual.push({
+                fixId: 'forbidden_terms',
+                cellIndex: system.index,
+                message: `System prompt mentions "${t.term}" in running text: "${line.trim().substring(0, 80)}"`
+            }));
+            return true;
+        });
+
+        if (removed.length > 0) {
+            const after = kept.join('\n').replace(/\n{3,}/g, '\n\n');
+            this.applyEdit('forbidden_terms', system, before, after,
+                `Removed ${removed.length} metadata label line(s) from the system prompt`, skip);
+        }
+    }
+
+    /**
+     * Find a non-model-pass cell of a type
+     */
+    findCell(parsed, type, position) {
+        const cells = parsed.cellOrder.filter(c => c.type.type === type && !c.type.isModelPass);
+        if (cells.length === 0) return null;
+        return position === 'last' ? cells[cells.length - 1] : cells[0];
+    }
+
+    getSource(index) {
+        const cell = this.notebook.cells[index];
+        return Array.isArray(cell.source) ? cell.source.join('') : (cell.source || '');
+    }
+
+    /**
+     * Write a cell source back in the notebook's own format (list of lines or string)
+     */
+    setSource(index, text) {
+        const cell = this.notebook.cells[index];
+        if (Array.isArray(cell.source)) {
+            cell.source = text.split('\n').map((line, idx, arr) => idx < arr.length - 1 ? line + '\n' : line)
+                .filter((line, idx, arr) => !(idx === arr.length - 1 && line === ''));
+        } else {
+            cell.source = text;
+        }
+    }
+
+    /**
+     * Record an edit and apply it unless its key is in `skip`
+     */
+    applyEdit(fixId, cell, before, after, description, skip) {
+        const key = `${fixId}:${cell.index}`;
+        const applied = !skip.has(key);
+
+        if (applied) {
+            this.setSource(cell.index, after);
+        }
+
+        this.edits.push({
+            key: key,
+            fixId: fixId,
+            cellIndex: cell.index,
+            cellLabel: this.getCellLabel(cell),
+            description: description,
+            applied: applied,
+            before: before,
+            after: after,
+            diff: NotebookFixer.diffLines(before, after)
+        });
+    }
+
+    getCellLabel(cell) {
+        const t = cell.type;
+        return t.isModelPass ? `${t.type}_${t.model}_${t.passNumber}` : t.type;
+    }
+
+    /**
+     * Line diff (LCS) between two texts
+     * @returns {Array} { type: 'same' | 'add' | 'remove', text }
+     */
+    static diffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const diff = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                diff.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                diff.push({ type: 'remove', text: a[i++] });
+            } else {
+                diff.push({ type: 'add', text: b[j++] });
+            }
+        }
+        while (i < a.length) diff.push({ type: 'remove', text: a[i++] });
+        while (j < b.length) diff.push({ type: 'add', text: b[j++] });
+
+        return diff;
+    }
+
+    /**
+     * Fixed notebook as .ipynb JSON text
+     */
+    toJSON() {
+        return JSON.stringify(this.notebook, null, 1) + '\n';
+    }
+
+    /**
+     * Re-parse the fixed notebook and run all deterministic checks on it
+     * @returns {object} { parsed, results }
+     */
+    revalidate() {
+        const parser = new NotebookParser();
+        const parsed = parser.parseText(this.toJSON(), 'fixed.ipynb');
+        const validators = new Validators(parsed);
+        if (this.profile) {
+            validators.setProfile(this.profile);
+        }
+        return { parsed: parsed, results: validators.runAll() };
+    }
+
+    /**
+     * HTML for the review panel: one diff per edit with a checkbox to keep/skip it.
+     * Checkboxes call toggleFixEdit(key) defined by the host page.
+     */
+    generateDiffHTML() {
+        if (this.edits.length === 0 && this.manual.length === 0) {
+            return '<p class="no-issues">No automatic fixes available for this notebook.</p>';
+        }
+
+        const editsHTML = this.edits.map(edit => {
+            const context = 2;
+            const changed = edit.diff.map((d, i) => d.type !== 'same' ? i : -1).filter(i => i !== -1);
+            const lines = edit.diff.filter((d, i) =>
+                changed.some(c => Math.abs(c - i) <= context)
+            );
+
+            return `<div class="fix-edit${edit.applied ? '' : ' skipped'}">
+                <label class="fix-edit-header">
+                    <input type="checkbox" ${edit.applied ? 'checked' : ''} onchange="toggleFixEdit('${edit.key}')">
+                    <strong>[${this.escapeHTML(edit.cellLabel)}] cell ${edit.cellIndex}</strong> - ${this.escapeHTML(edit.description)}
+                </label>
+                <pre class="fix-diff">${lines.map(d => {
+                    const prefix = d.type === 'add' ? '+ ' : d.type === 'remove' ? '- ' : '  ';
+                    return `<span class="diff-${d.type}">${this.escapeHTML(prefix + d.text)}</span>`;
+                }).join('')}</pre>
+            </div>`;
+        }).join('');
+
+        const manualHTML = this.manual.length > 0 ? `
+            <div class="missing-instructions">
+                <h5>Needs manual fix</h5>
+                <ul>${this.manual.map(m => `<li>cell ${m.cellIndex}: ${this.escapeHTML(m.message)}</li>`).join('')}</ul>
+            </div>` : '';
+
+        return editsHTML + manualHTML;
+    }
+
+    escapeHTML(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.NotebookFixer = NotebookFixer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotebookFixer;
+}
@@ -7,6 +7,7 @@ class NotebookParser {
     constructor() {
         this.notebook = null;
         this.parsed = null;
+        this.tokenizer = Tokenizer.forLanguage(null);
     }
 
     /**
@@ -19,20 +20,9 @@ class NotebookParser {
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
-                    const content = e.target.result;
-
-                    if (file.name.endsWith('.py')) {
-                        // Parse Python file (Colab export format)
-                        this.notebook = this.convertPyToNotebook(content);
-                    } else {
-                        // Parse JSON notebook
-                        this.notebook = JSON.parse(content);
-                    }
-
-                    this.parsed = this.extractComponents();
-                    resolve(this.parsed);
+                    resolve(this.parseText(e.target.result, file.name));
                 } catch (error) {
-                    reject(new Error(`Failed to parse notebook: ${error.message}`));
+                    reject(error);
                 }
             };
             reader.onerror = () => reject(new Error('Failed to read file'));
@@ -40,6 +30,30 @@ class NotebookParser {
         });
     }
 
+    /**
+     * Parse raw file content (.ipynb JSON or Colab .py export)
+     * Shared by parseFile() in the browser and the Node CLI
+     * @param {string} content - The file content
+     * @param {string} fileName - Original file name, used to detect .py exports
+     * @returns {Object} Parsed notebook structure
+     */
+    parseText(content, fileName = '') {
+        try {
+            if (fileName.endsWith('.py')) {
+                // Parse Python file (Colab export format)
+                this.notebook = this.convertPyToNotebook(content);
+            } else {
+                // Parse JSON notebook
+                this.notebook = JSON.parse(content);
+            }
+
+            this.parsed = this.extractComponents();
+            return this.parsed;
+        } catch (error) {
+            throw new Error(`Failed to parse notebook: ${error.message}`);
+        }
+    }
+
     /**
      * Convert Colab .py export to notebook format
      * Colab exports notebooks as a single docstring with markdown tags like **[system]**, **[user]**, etc.
@@ -171,6 +185,10 @@ class NotebookParser {
             });
         }
 
+        // Word counts follow the task language, so read it before parsing any other cell
+        const metadataCell = cellsWithTypes.find(c => c.cellType.type === 'metadata');
+        this.tokenizer = Tokenizer.forLanguage(metadataCell ? this.extractField(metadataCell.source, 'Language') : null);
+
         // STEP 2: Find turn_metadata index
         const turnMetadataIndex = cellsWithTypes.findIndex(c => c.cellType.type === 'turn_metadata');
 
@@ -610,17 +628,17 @@ class NotebookParser {
     }
 
     /**
-     * Count words in text
+     * Count words in text (Tokenizer profile of the notebook's language)
      */
     countWords(text) {
-        return text.split(/\s+/).filter(w => w.length > 0).length;
+        return this.tokenizer.countWords(text);
     }
 
     /**
      * Count sentences in text
      */
     countSentences(text) {
-        return text.split(/[.!?]+/).filter(s => s.trim().length > 0).length;
+        return this.tokenizer.countSentences(text);
     }
 
     /**
@@ -0,0 +1,555 @@
+/**
+ * CFBench Number Words
+ * Spelling and parsing of numbers written in words, so numeric turn_metadata kwargs
+ * (num_words, num_paragraphs, frequency, ...) are found in a user query whether it says
+ * "377 parole", "trecentosettantasette parole", "three hundred seventy-seven words",
+ * "trezentas e setenta e sete palavras" or "dreihundertsiebenundsiebzig Wörter".
+ *
+ * Languages: en, it, pt, es, fr, de. Cardinals 0-999,999 and ordinals 1-999,999 are spelled;
+ * both are parsed back, except ordinals above 999. Gendered forms:
+ *   it  uno/una/un, primo/prima        pt  um/uma, dois/duas, duzentos/duzentas, primeiro/primeira
+ *   es  uno/una/un, doscientos/-as     fr  un/une, premier/première
+ *   de  ein/eine/einen...; ordinals in every ending (erste, erster, erstes, ersten, erstem)
+ * Spelling variants are accepted when parsing: "three hundred and seventy-seven", "ventitre",
+ * "dezasseis" (European Portuguese), "trois-cent-soixante-dix-sept" (1990 French spelling),
+ * "dreissig", "hundert" for "einhundert".
+ */
+
+const NUMBER_WORDS_MAX = 999999;
+const NUMBER_WORDS_LEXICON_MAX = 999;
+
+// Word for "thousand" in each language (parsing splits the number around it)
+const NUMBER_WORDS_THOUSANDS = {
+    en: ['thousand'],
+    it: ['mila', 'mille'],
+    pt: ['mil'],
+    es: ['mil'],
+    fr: ['mille', 'mil'],
+    de: ['tausend']
+};
+
+// Spelling rules: cardinal(n, feminine) and ordinal(n, feminine) return every accepted form,
+// the standard spelling first
+const NUMBER_WORDS_RULES = {
+    en: {
+        ones: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+            'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'],
+        tens: ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'],
+        ordinals: { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' },
+
+        below100(n) {
+            if (n < 20) return this.ones[n];
+            return this.tens[Math.floor(n / 10)] + (n % 10 ? '-' + this.ones[n % 10] : '');
+        },
+        below1000(n, and) {
+            const h = Math.floor(n / 100);
+            const r = n % 100;
+            if (!h) return this.below100(r);
+            return `${this.ones[h]} hundred` + (r ? (and ? ' and ' : ' ') + this.below100(r) : '');
+        },
+        // `and`: British "three hundred and seventy-seven"
+        spell(n, and) {
+            if (n < 1000) return this.below1000(n, and);
+            const r = n % 1000;
+            return `${this.below1000(Math.floor(n / 1000), and)} thousand` +
+                (r ? (and && r < 100 ? ' and ' : ' ') + this.below1000(r, and) : '');
+        },
+        cardinal(n) {
+            return [this.spell(n, false), this.spell(n, true)];
+        },
+        ordinal(n) {
+            return this.cardinal(n).map(form => form.replace(/[a-z]+$/, word =>
+                this.ordinals[word] || (word.endsWith('y') ? word.slice(0, -1) + 'ieth' : word + 'th')));
+        }
+    },
+
+    it: {
+        units: ['zero', 'uno', 'due', 'tre', 'quattro', 'cinque', 'sei', 'sette', 'otto', 'nove', 'dieci',
+            'undici', 'dodici', 'tredici', 'quattordici', 'quindici', 'sedici', 'diciassette', 'diciotto', 'diciannove'],
+        tens: ['', '', 'venti', 'trenta', 'quaranta', 'cinquanta', 'sessanta', 'settanta', 'ottanta', 'novanta'],
+        ordinals: ['', 'primo', 'secondo', 'terzo', 'quarto', 'quinto', 'sesto', 'settimo', 'ottavo', 'nono', 'decimo'],
+
+        below100(n) {
+            if (n < 20) return this.units[n];
+            const u = n % 10;
+            let ten = this.tens[Math.floor(n / 10)];
+            if (!u) return ten;
+            if (u === 1 || u === 8) ten = ten.slice(0, -1); // ventuno, ventotto
+            return ten + (u === 3 ? 'tré' : this.units[u]);
+        },
+        below1000(n) {
+            const h = Math.floor(n / 100);
+            const r = n % 100;
+            if (!h) return this.below100(r);
+            const hundred = h === 1 ? 'cento' : this.units[h] + 'cento';
+            if (!r) return hundred;
+            const rest = this.below100(r);
+            return (rest.startsWith('ott') ? hundred.slice(0, -1) : hundred) + rest; // centottanta
+        },
+        spell(n) {
+            if (n < 1000) return this.below1000(n);
+            const t = Math.floor(n / 1000);
+            const r = n % 1000;
+            // The accent of -tré is dropped inside a longer word (ventitremila)
+            return (t === 1 ? 'mille' : this.below1000(t).replace(/tré$/, 'tre') + 'mila') + (r ? this.below1000(r) : '');
+        },
+        variants(forms) {
+            return forms.flatMap(form => [form, form.replace(/tré/g, 'tre'), form.replace(/tré/g, 'trè'), form.replace(/centott/g, 'centoott')]);
+        },
+        cardinal(n, feminine) {
+            let form = this.spell(n);
+            const forms = [];
+            if (form.endsWith('uno')) {
+                const stem = form.slice(0, -3);
+                if (feminine) form = stem + 'una';
+                forms.push(form, stem + 'un');
+            } else {
+                forms.push(form);
+            }
+            return this.variants(forms);
+        },
+        ordinal(n, feminine) {
+            let form;
+            if (n <= 10) {
+                form = this.ordinals[n];
+            } else {
+                const cardinal = this.spell(n);
+                if (cardinal.endsWith('mille')) form = cardinal.slice(0, -1) + 'esimo';
+                else if (cardinal.endsWith('mila')) form = cardinal.slice(0, -4) + 'millesimo';
+                else if (cardinal.endsWith('tré')) form = cardinal.slice(0, -1) + 'eesimo'; // ventitreesimo
+                else if (cardinal.endsWith('sei')) form = cardinal + 'esimo'; // ventiseiesimo
+                else form = cardinal.slice(0, -1) + 'esimo';
+            }
+            return this.variants([feminine ? form.replace(/o$/, 'a') : form]);
+        }
+    },
+
+    pt: {
+        units: ['zero', 'um', 'dois', 'três', 'quatro', 'cinco', 'seis', 'sete', 'oito', 'nove', 'dez',
+            'onze', 'doze', 'treze', 'catorze', 'quinze', 'dezesseis', 'dezessete', 'dezoito', 'dezenove'],
+        tens: ['', '', 'vinte', 'trinta', 'quarenta', 'cinquenta', 'sessenta', 'setenta', 'oitenta', 'noventa'],
+        hundreds: ['', 'cento', 'duzentos', 'trezentos', 'quatrocentos', 'quinhentos', 'seiscentos', 'setecentos', 'oitocentos', 'novecentos'],
+        ordinalUnits: ['', 'primeiro', 'segundo', 'terceiro', 'quarto', 'quinto', 'sexto', 'sétimo', 'oitavo', 'nono'],
+        ordinalTens: ['', 'décimo', 'vigésimo', 'trigésimo', 'quadragésimo', 'quinquagésimo', 'sexagésimo', 'septuagésimo', 'octogésimo', 'nonagésimo'],
+        ordinalHundreds: ['', 'centésimo', 'ducentésimo', 'trecentésimo', 'quadringentésimo', 'quingentésimo', 'sexcentésimo',
+            'septingentésimo', 'octingentésimo', 'nongentésimo'],
+
+        below100(n) {
+            if (n < 20) return this.units[n];
+            return this.tens[Math.floor(n / 10)] + (n % 10 ? ' e ' + this.units[n % 10] : '');
+        },
+        below1000(n) {
+            if (n === 100) return 'cem';
+            const h = Math.floor(n / 100);
+            const r = n % 100;
+            if (!h) return this.below100(r);
+            return this.hundreds[h] + (r ? ' e ' + this.below100(r) : '');
+        },
+        spell(n) {
+            if (n < 1000) return this.below1000(n);
+            const t = Math.floor(n / 1000);
+            const r = n % 1000;
+            const thousands = t === 1 ? 'mil' : this.below1000(t) + ' mil';
+            if (!r) return thousands;
+            // "mil e trezentos", "mil e cinquenta", but "mil trezentos e setenta"
+            return thousands + (r < 100 || r % 100 === 0 ? ' e ' : ' ') + this.below1000(r);
+        },
+        cardinal(n, feminine) {
+            let form = this.spell(n);
+            if (feminine) {
+                form = form.split(' ').map(word => ({ um: 'uma', dois: 'duas' })[word] || word.replace(/entos$/, 'entas')).join(' ');
+            }
+            // European Portuguese teens, "quatorze"
+            return [form, form.replace(/dezesseis/g, 'dezasseis').replace(/dezessete/g, 'dezassete').replace(/dezenove/g, 'dezanove'),
+                form.replace(/catorze/g, 'quatorze')];
+        },
+        ordinal(n, feminine) {
+            const g = (word) => feminine ? word.replace(/o$/, 'a') : word;
+            const parts = [];
+            const t = Math.floor(n / 1000);
+            const r = n % 1000;
+            if (t) parts.push(t === 1 ? g('milésimo') : `${this.spell(t)} ${g('milésimo')}`);
+            if (r >= 100) parts.push(g(this.ordinalHundreds[Math.floor(r / 100)]));
+            if (r % 100 >= 10) parts.push(g(this.ordinalTens[Math.floor(r % 100 / 10)]));
+            if (r % 10) parts.push(g(this.ordinalUnits[r % 10]));
+            return [parts.join(' ')];
+        }
+    },
+
+    es: {
+        units: ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+            'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+            'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'],
+        tens: ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'],
+        hundreds: ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos', 'setecientos', 'ochocientos', 'novecientos'],
+        ordinalUnits: ['', 'primero', 'segundo', 'tercero', 'cuarto', 'quinto', 'sexto', 'séptimo', 'octavo', 'noveno'],
+        ordinalTens: ['', 'décimo', 'vigésimo', 'trigésimo', 'cuadragésimo', 'quincuagésimo', 'sexagésimo', 'septuagésimo', 'octogésimo', 'nonagésimo'],
+        ordinalHundreds: ['', 'centésimo', 'ducentésimo', 'tricentésimo', 'cuadringentésimo', 'quingentésimo', 'sexcentésimo',
+            'septingentésimo', 'octingentésimo', 'noningentésimo'],
+
+        below100(n) {
+            if (n < 30) return this.units[n];
+            return this.tens[Math.floor(n / 10)] + (n % 10 ? ' y ' + this.units[n % 10] : '');
+        },
+        below1000(n) {
+            if (n === 100) return 'cien';
+            const h = Math.floor(n / 100);
+            const r = n % 100;
+            if (!h) return this.below100(r);
+            return this.hundreds[h] + (r ? ' ' + this.below100(r) : '');
+        },
+        // "uno" before a noun: un, veintiún
+        apocope(form) {
+            return form.replace(/(^| )uno$/, '$1un').replace(/veintiuno$/, 'veintiún');
+        },
+        spell(n) {
+            if (n < 1000) return this.below1000(n);
+            const t = Math.floor(n / 1000);
+            const r = n % 1000;
+            return (t === 1 ? 'mil' : this.apocope(this.below1000(t)) + ' mil') + (r ? ' ' + this.below1000(r) : '');
+        },
+        cardinal(n, feminine) {
+            const form = this.spell(n);
+            if (feminine) {
+                const feminineWords = { uno: 'una', un: 'una', veintiuno: 'veintiuna', 'veintiún': 'veintiuna' };
+                return [form.split(' ').map(word => feminineWords[word] || word.replace(/ientos$/, 'ientas')).join(' ')];
+            }
+            return [form, this.apocope(form)];
+        },
+        // style: 'standard' (undécimo, decimotercero), 'compound' (decimoprimero), 'spaced' (décimo tercero)
+        spellOrdinal(n, style, feminine) {
+            const g = (word) => feminine ? word.replace(/o$/, 'a') : word;
+            const parts = [];
+            const t = Math.floor(n / 1000);
+            const r = n % 1000;
+            if (t) parts.push(t === 1 ? g('milésimo') : `${this.apocope(this.below1000(t))} ${g('milésimo')}`);
+            if (r >= 100) parts.push(g(this.ordinalHundreds[Math.floor(r / 100)]));
+            const d = r % 100;
+            if (d > 10 && d < 20 && style !== 'spaced') {
+                const standard = { 11: 'undécimo', 12: 'duodécimo' };
+                parts.push(g(style === 'standard' && standard[d] ? standard[d] : 'decimo' + this.ordinalUnits[d - 10]));
+            } else {
+                if (d >= 10) parts.push(g(this.ordinalTens[Math.floor(d / 10)]));
+                if (d % 10) parts.push(g(this.ordinalUnits[d % 10]));
+            }
+            return parts.join(' ');
+        },
+        ordinal(n, feminine) {
+            const forms = ['standard', 'compound', 'spaced'].map(style => this.spellOrdinal(n, style, feminine));
+            if (feminine) return forms;
+            // primer, tercer before a noun
+            return forms.concat(forms.map(form => form.replace(/(primero|tercero)$/, word => word.slice(0, -1))));
+        }
+    },
+
+    fr: {
+        units: ['zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+            'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf'],
+        tens: ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante'],
+
+        // final: the number ends here (quatre-vingts, deux cents) rather than before "mille"
+        below100(n, final) {
+            if (n < 20) return this.units[n];
+            if (n < 70) {
+                const ten = this.tens[Math.floor(n / 10)];
+                const u = n % 10;
+                if (!u) return ten;
+                return ten + (u === 1 ? ' et un' : '-' + this.units[u]);
+            }
+            if (n < 80) return 'soixante' + (n === 71 ? ' et onze' : '-' + this.units[n - 60]);
+            if (n === 80) return final ? 'quatre-vingts' : 'quatre-vingt';
+            return 'quatre-vingt-' + this.units[n - 80];
+        },
+        below1000(n, final) {
+            const h = Math.floor(n / 100);
+            const r = n % 100;
+            if (!h) return this.below100(r, final);
+            const hundred = h === 1 ? 'cent' : this.units[h] + ' cent';
+            if (!r) return hundred + (h > 1 && final ? 's' : '');
+            return hundred + ' ' + this.below100(r, final);
+        },
+        spell(n) {
+            if (n < 1000) return this.below1000(n, true);
+            const t = Math.floor(n / 1000);
+            const r = n % 1000;
+            return (t === 1 ? 'mille' : this.below1000(t, false) + ' mille') + (r ? ' ' + this.below1000(r, true) : '');
+        },
+        cardinal(n, feminine) {
+            let form = this.spell(n);
+            if (feminine) form = form.replace(/(^|[ -])un$/, '$1une');
+            // 1990 spelling: hyphens between every word
+            return [form, form.replace(/ /g, '-')];
+        },
+        ordinal(n, feminine) {
+            if (n === 1) return [feminine ? 'première' : 'premier'];
+            const form = this.spell(n).replace(/(vingt|cent)s$/, '$1').replace(/[a-zé]+$/, word => {
+                if (word === 'cinq') return 'cinquième';
+                if (word === 'neuf') return 'neuvième';
+                return word.replace(/e$/, '') + 'ième';
+            });
+            const forms = [form, form.replace(/ /g, '-')];
+            if (n === 2) forms.push(feminine ? 'seconde' : 'second');
+            return forms;
+        }
+    },
+
+    de: {
+        units: ['null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn',
+            'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'],
+        tens: ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'],
+        ordinals: { 1: 'erste', 3: 'dritte', 7: 'siebte', 8: 'achte' },
+
+        below100(n) {
+            if (n < 20) return this.units[n];
+            const u = n % 10;
+            const ten = this.tens[Math.floor(n / 10)];
+            return u ? (u === 1 ? 'ein' : this.units[u]) + 'und' + ten : ten;
+        },
+        below1000(n) {
+            const h = Math.floor(n / 100);
+            const r = n % 100;
+            if (!h) return this.below100(r);
+            return (h === 1 ? 'ein' : this.units[h]) + 'hundert' + (r ? this.below100(r) : '');
+        },
+        spell(n) {
+            if (n < 1000) return this.below1000(n);
+            const t = Math.floor(n / 1000);
+            const r = n % 1000;
+            return this.below1000(t).replace(/eins$/, 'ein') + 'tausend' + (r ? this.below1000(r) : '');
+        },
+        variants(forms) {
+            return forms.flatMap(form => [form, form.replace(/^ein(hundert|tausend)/, '$1')])
+                .flatMap(form => [form, form.replace(/ß/g, 'ss')]);
+        },
+        cardinal(n) {
+            const forms = [this.spell(n)];
+            if (n === 1) forms.push('ein', 'eine', 'einen', 'einem', 'einer', 'eines');
+            return this.variants(forms);
+        },
+        ordinal(n) {
+            const r = n % 100;
+            let form;
+            if (r > 0 && r < 20) {
+                const last = this.ordinals[r] || this.units[r] + 'te';
+                form = (n >= 100 ? this.spell(n - r) : '') + last;
+            } else {
+                form = this.spell(n) + 'ste';
+            }
+            const forms = [form];
+            if (r === 7) forms.push(form.replace(/siebte$/, 'siebente'));
+            // Adjective endings: erste, erster, erstes, ersten, erstem
+            return this.variants(forms.flatMap(f => [f, f + 'r', f + 's', f + 'n', f + 'm']));
+        }
+    }
+};
+
+class NumberWords {
+    /**
+     * Map a language name or code to a supported language
+     * @param {string} language - e.g. "Italian (it)", "pt-BR", "Deutsch"
+     * @returns {string|null} Language code, null when the language has no number rules
+     */
+    static normalizeLanguage(language) {
+        const code = LanguageCodes.toCode(language);
+        return NUMBER_WORDS_RULES[code] ? code : null;
+    }
+
+    static getLanguages() {
+        return Object.keys(NUMBER_WORDS_RULES);
+    }
+
+    static getRules(language) {
+        const code = NumberWords.normalizeLanguage(language);
+        if (!code) {
+            throw new Error(`No number words for language "${language}" (${NumberWords.getLanguages().join(', ')})`);
+        }
+        return NUMBER_WORDS_RULES[code];
+    }
+
+    static checkRange(n, min = 0) {
+        if (!Number.isInteger(n) || n < min || n > NUMBER_WORDS_MAX) {
+            throw new Error(`Cannot spell ${n}: integers ${min}-${NUMBER_WORDS_MAX} only`);
+        }
+    }
+
+    /**
+     * Spell a number in words
+     * @param {number} n - Integer 0-999,999 (1-999,999 for ordinals)
+     * @param {string} language - Language name or code
+     * @param {object} options - { ordinal: false, gender: 'masculine' | 'feminine' }
+     * @returns {string} Standard spelling, e.g. spell(200, 'pt', { gender: 'feminine' }) = "duzentas"
+     */
+    static spell(n, language, options = {}) {
+        const rules = NumberWords.getRules(language);
+        const feminine = /^f/i.test(options.gender || '');
+        if (options.ordinal) {
+            NumberWords.checkRange(n, 1);
+            return rules.ordinal(n, feminine)[0];
+        }
+        NumberWords.checkRange(n);
+        return rules.cardinal(n, feminine)[0];
+    }
+
+    /**
+     * Every spelling of a number (both genders and the accepted variants), for searching text
+     * @param {number} n
+     * @param {string|null} language - null for every supported language (none for a language without rules)
+     * @param {object} options - { ordinal: false } (true adds the ordinal forms)
+     * @returns {Array<string>}
+     */
+    static variants(n, language = null, options = {}) {
+        if (!Number.isInteger(n) || n < 0 || n > NUMBER_WORDS_MAX) return [];
+        const codes = language ? [NumberWords.normalizeLanguage(language)].filter(Boolean) : NumberWords.getLanguages();
+        const forms = [];
+        codes.forEach(code => {
+            const rules = NUMBER_WORDS_RULES[code];
+            [false, true].forEach(feminine => {
+                forms.push(...rules.cardinal(n, feminine));
+                if (options.ordinal && n > 0) forms.push(...rules.ordinal(n, feminine));
+            });
+        });
+        return [...new Set(forms)];
+    }
+
+    /**
+     * Lower case, one space between words; hyphens count as spaces
+     */
+    static normalize(text) {
+        return String(text).normalize('NFC').toLowerCase().replace(/[\s \-‐‑–]+/g, ' ').trim();
+    }
+
+    /**
+     * Spellings of 0-999 (cardinals) and 1-999 (ordinals) of a language, built on first use
+     * @returns {Map} normalized spelling => { value, ordinal }
+     */
+    static getLexicon(code) {
+        if (!NumberWords.lexicons[code]) {
+            const rules = NUMBER_WORDS_RULES[code];
+            const lexicon = new Map();
+            const add = (form, value, ordinal) => {
+                const key = NumberWords.normalize(form);
+                if (!lexicon.has(key)) lexicon.set(key, { value: value, ordinal: ordinal });
+            };
+            for (let n = 0; n <= NUMBER_WORDS_LEXICON_MAX; n++) {
+                [false, true].forEach(feminine => {
+                    rules.cardinal(n, feminine).forEach(form => add(form, n, false));
+                    if (n > 0) rules.ordinal(n, feminine).forEach(form => add(form, n, true));
+                });
+            }
+            NumberWords.lexicons[code] = lexicon;
+        }
+        return NumberWords.lexicons[code];
+    }
+
+    /**
+     * Value of a normalized phrase in one language, splitting thousands around the "thousand" word
+     * @returns {object|null} { value, ordinal }
+     */
+    static parseIn(phrase, code) {
+        const lexicon = NumberWords.getLexicon(code);
+        if (lexicon.has(phrase)) return lexicon.get(phrase);
+
+        for (const marker of NUMBER_WORDS_THOUSANDS[code]) {
+            const index = phrase.indexOf(marker);
+            if (index === -1) continue;
+
+            const left = phrase.slice(0, index).trim();
+            const right = phrase.slice(index + marker.length).trim().replace(/^(and|e|y|et|und) /, '');
+            const thousands = left ? lexicon.get(left) : { value: 1, ordinal: false };
+            const rest = right ? lexicon.get(right) : { value: 0, ordinal: false };
+            if (thousands && !thousands.ordinal && thousands.value > 0 && rest) {
+                return { value: thousands.value * 1000 + rest.value, ordinal: rest.ordinal };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse a number written in digits or words
+     * @param {string} text - e.g. "trecentosettantasette", "two hundred", "3rd", "1.500"
+     * @param {string|null} language - null to try every supported language
+     * @returns {object|null} { value, ordinal }, null when the text is not a number
+     */
+    static parse(text, language = null) {
+        const phrase = NumberWords.normalize(text);
+        const digits = phrase.match(/^(\d{1,3}(?:[., ]\d{3})+|\d+)(st|nd|rd|th|º|ª|°|ème|e|er|re)?$/);
+        if (digits) {
+            return { value: parseInt(digits[1].replace(/[., ]/g, ''), 10), ordinal: !!digits[2] };
+        }
+
+        const codes = language ? [NumberWords.normalizeLanguage(language)].filter(Boolean) : NumberWords.getLanguages();
+        for (const code of codes) {
+            const result = NumberWords.parseIn(phrase, code);
+            if (result) return result;
+        }
+        return null;
+    }
+
+    /**
+     * Every number in a text, in digits or in words, longest spelling first
+     * @param {string} text
+     * @param {string|null} language - null to try every supported language; a language without
+     *                                 number rules only finds digits
+     * @returns {Array} [{ value, ordinal, text, index }] in text order
+     */
+    static findNumbers(text, language = null) {
+        const found = [];
+        if (!text) return found;
+
+        const digitPattern = /\d{1,3}(?:[.,\u00A0\u202F]\d{3})+(?![\d,.]\d)|\d+/g;
+        let match;
+        while ((match = digitPattern.exec(text)) !== null) {
+            const suffix = text.slice(match.index + match[0].length).match(/^(st|nd|rd|th|º|ª|°|ème|e|er|re)(?![\p{L}\p{N}])/u);
+            found.push({
+                value: parseInt(match[0].replace(/[.,\u00A0\u202F]/g, ''), 10),
+                ordinal: !!suffix,
+                text: match[0] + (suffix ? suffix[0] : ''),
+                index: match.index
+            });
+        }
+
+        const codes = language ? [NumberWords.normalizeLanguage(language)].filter(Boolean) : NumberWords.getLanguages();
+        if (codes.length > 0) {
+            const words = [...text.matchAll(/\p{L}+/gu)];
+            let i = 0;
+            while (i < words.length) {
+                let longest = null;
+                // Words of one number are only separated by spaces and hyphens
+                let last = i;
+                while (last + 1 < words.length && last - i < 11 &&
+                    /^[\s \-‐‑–]+$/.test(text.slice(words[last].index + words[last][0].length, words[last + 1].index))) {
+                    last++;
+                }
+                for (let j = last; j >= i && !longest; j--) {
+                    const end = words[j].index + words[j][0].length;
+                    const phrase = NumberWords.normalize(text.slice(words[i].index, end));
+                    for (const code of codes) {
+                        const result = NumberWords.parseIn(phrase, code);
+                        if (result) {
+                            longest = { ...result, text: text.slice(words[i].index, end), index: words[i].index, words: j - i + 1 };
+                            break;
+                        }
+                    }
+                }
+                if (longest) {
+                    found.push({ value: longest.value, ordinal: longest.ordinal, text: longest.text, index: longest.index });
+                    i += longest.words;
+                } else {
+                    i++;
+                }
+            }
+        }
+
+        return found.sort((a, b) => a.index - b.index);
+    }
+}
+
+NumberWords.lexicons = {};
+
+// Export
+if (typeof window !== 'undefined') {
+    window.NumberWords = NumberWords;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NumberWords;
+}
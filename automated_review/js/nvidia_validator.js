@@ -77,10 +77,10 @@ function keywordFrequency(response, keyword) {
 }
 
 /**
- * Extract clean sentences from text.
+ * Extract clean sentences from text (Tokenizer rules of the given language).
  * Removes markdown tables, horizontal rules, list markers.
  */
-function extractCleanSentences(text) {
+function extractCleanSentences(text, language = null) {
     if (!text) return [];
 
     // Remove markdown tables
@@ -94,24 +94,20 @@ function extractCleanSentences(text) {
         let cleanedLine = line.trim().replace(/^\s*(?:[-*+]\s+|\d+\.\s+|#+\s+)/, '');
         if (!cleanedLine) continue;
 
-        // Split by sentence-ending punctuation
-        const parts = cleanedLine.split(/[.!?]+/);
-        for (const s of parts) {
-            const stripped = s.trim();
-            if (stripped) sentences.push(stripped);
-        }
+        // Split by sentence-ending punctuation (incl. CJK and Arabic)
+        sentences.push(...Tokenizer.forLanguage(language).splitSentences(cleanedLine));
     }
     return sentences;
 }
 
 /**
- * Extract clean words from response.
+ * Extract clean words from response (lowercased, Tokenizer rules of the given language).
  * Removes numbered list markers.
  */
-function extractCleanWords(response) {
+function extractCleanWords(response, language = null) {
     if (!response) return [];
     const text = response.replace(/^\s*\d+\.\s/gm, '');
-    return (text.toLowerCase().match(/\b(?:[a-zA-Z0-9'-]+(?:\.[a-zA-Z0-9'-]+)?)\b/g) || []);
+    return Tokenizer.forLanguage(language).words(text.toLowerCase());
 }
 
 /**
@@ -204,11 +200,14 @@ function isStrictAlternating(word) {
 
 /**
  * Validate a response against a specific instruction type and its kwargs.
- * Returns { valid: boolean|null, note: string, semantic?: boolean }
+ * Returns { valid: boolean|null, note: string, semantic?: boolean, heuristic?: boolean, confidence?: number }
  *
  * If semantic: true, the instruction requires LLM evaluation.
+ * If heuristic: true, a semantic instruction was scored by SemanticCheckers (semantic_checkers.js).
+ *
+ * @param {object} options - { language: task language, minConfidence: heuristic threshold (default 0.7) }
  */
-function validateInstruction(response, instType, kwargs) {
+function validateInstruction(response, instType, kwargs, options = {}) {
     if (!response) response = '';
     response = response.trim();
     kwargs = kwargs || {};
@@ -344,7 +343,7 @@ function validateInstruction(response, instType, kwargs) {
         }
 
         if (instType === 'keywords:alliteration') {
-            const words = extractCleanWords(response);
+            const words = extractCleanWords(response, options.language);
             const targetLetter = (kwargs.target_letter || '').toLowerCase();
             const count = words.filter(w => w.startsWith(targetLetter)).length;
             const valid = checkRelation(count, kwargs.relation, kwargs.num_alliteration);
@@ -390,7 +389,7 @@ function validateInstruction(response, instType, kwargs) {
 
         // === LENGTH CONSTRAINTS ===
         if (instType === 'length_constraints:number_words') {
-            const count = extractCleanWords(response).length;
+            const count = extractCleanWords(response, options.language).length;
             const valid = checkRelation(count, kwargs.relation, kwargs.num_words);
             return { valid, note: `Found ${count} words (expected ${kwargs.relation} ${kwargs.num_words})` };
         }
@@ -402,14 +401,14 @@ function validateInstruction(response, instType, kwargs) {
         }
 
         if (instType === 'length_constraints:unique_words') {
-            const words = extractCleanWords(response);
+            const words = extractCleanWords(response, options.language);
             const uniqueCount = new Set(words).size;
             const valid = checkRelation(uniqueCount, kwargs.relation, kwargs.num_unique);
             return { valid, note: `Found ${uniqueCount} unique words (expected ${kwargs.relation} ${kwargs.num_unique})` };
         }
 
         if (instType === 'length_constraints:word_repetition') {
-            const words = extractCleanWords(response);
+            const words = extractCleanWords(response, options.language);
             const counts = {};
             words.forEach(w => counts[w] = (counts[w] || 0) + 1);
             const overLimit = Object.entries(counts).filter(([w, c]) => c > kwargs.max_repeats);
@@ -418,9 +417,9 @@ function validateInstruction(response, instType, kwargs) {
         }
 
         if (instType === 'length_constraints:sentence_length') {
-            const sentences = extractCleanSentences(response);
+            const sentences = extractCleanSentences(response, options.language);
             for (const s of sentences) {
-                const wordCount = s.split(/\s+/).length;
+                const wordCount = extractCleanWords(s, options.language).length;
                 if (wordCount > kwargs.max_words) {
                     return { valid: false, note: `Found ${wordCount} words in sentence (max ${kwargs.max_words})` };
                 }
@@ -429,7 +428,7 @@ function validateInstruction(response, instType, kwargs) {
         }
 
         if (instType === 'length_constraints:word_length') {
-            const words = extractCleanWords(response);
+            const words = extractCleanWords(response, options.language);
             if (words.length === 0) return { valid: true, note: 'No words to check' };
 
             const shortest = words.reduce((a, b) => a.length < b.length ? a : b);
@@ -447,7 +446,7 @@ function validateInstruction(response, instType, kwargs) {
         if (instType === 'length_constraints:paragraph_length') {
             const paragraphs = extractCleanParagraphs(response);
             for (const p of paragraphs) {
-                const wordCount = extractCleanWords(p).length;
+                const wordCount = extractCleanWords(p, options.language).length;
                 const valid = checkRelation(wordCount, kwargs.relation, kwargs.words_per_paragraph);
                 if (!valid) {
                     return { valid: false, note: `Paragraph has ${wordCount} words (expected ${kwargs.relation} ${kwargs.words_per_paragraph})` };
@@ -464,7 +463,7 @@ function validateInstruction(response, instType, kwargs) {
         }
 
         if (instType === 'detectable_format:sentence_count') {
-            const count = extractCleanSentences(response).length;
+            const count = extractCleanSentences(response, options.language).length;
             const valid = checkRelation(count, kwargs.relation, kwargs.num_sentences);
             return { valid, note: `Found ${count} sentences (expected ${kwargs.relation} ${kwargs.num_sentences})` };
         }
@@ -531,7 +530,7 @@ function validateInstruction(response, instType, kwargs) {
         if (instType === 'detectable_format:sentences_per_paragraph') {
             const paragraphs = extractCleanParagraphs(response);
             for (const p of paragraphs) {
-                const sentences = extractCleanSentences(p);
+                const sentences = extractCleanSentences(p, options.language);
                 let count = sentences.length;
                 if (count === 0 && p.trim()) count = 1;
 
@@ -602,6 +601,30 @@ function validateInstruction(response, instType, kwargs) {
             return { valid, note: valid ? 'OK' : `Postscript must start with '${marker}'` };
         }
 
+        // === SEMANTIC INSTRUCTIONS WITH RULE-BASED CHECKERS ===
+        // Mood, person, tense and address formality can be scored from surface forms;
+        // below the confidence threshold they stay semantic
+        if (typeof SemanticCheckers !== 'undefined') {
+            const checked = SemanticCheckers.checkSemanticInstruction(response, instType, kwargs, options);
+            const minConfidence = options.minConfidence ?? SemanticCheckers.SEMANTIC_MIN_CONFIDENCE;
+            if (checked && checked.valid !== null && checked.confidence >= minConfidence) {
+                return {
+                    valid: checked.valid,
+                    note: `${checked.note} (heuristic, confidence ${checked.confidence})`,
+                    heuristic: true,
+                    confidence: checked.confidence
+                };
+            }
+            if (checked) {
+                return {
+                    valid: null,
+                    note: `Requires semantic evaluation - heuristic confidence ${checked.confidence} too low (${checked.note})`,
+                    semantic: true,
+                    confidence: checked.confidence
+                };
+            }
+        }
+
         // === SEMANTIC INSTRUCTIONS (require LLM) ===
         // These types cannot be validated deterministically
         const semanticTypes = [
@@ -636,7 +659,7 @@ function validateFormatting(response) {
 }
 
 // === EXPORT FOR GLOBAL USE ===
-window.NvidiaValidator = {
+const NvidiaValidator = {
     validateInstruction,
     validateFormatting,
     keywordFrequency,
@@ -650,3 +673,10 @@ window.NvidiaValidator = {
     countLowercaseWords,
     checkRelation
 };
+
+if (typeof window !== 'undefined') {
+    window.NvidiaValidator = NvidiaValidator;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NvidiaValidator;
+}
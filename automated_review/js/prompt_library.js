@@ -0,0 +1,203 @@
+/**
+ * CFBench Prompt Library
+ * Loads the prompt of each AI check from a versioned template file in prompts/:
+ *
+ *   ---
+ *   name: query_structure
+ *   version: 1
+ *   description: 70/30 structure and explicit constraints of the final user query
+ *   ---
+ *   ## USER QUERY TO ANALYZE:
+ *   {{userQuery}}
+ *
+ * Variables are written {{name}}; {{language}} is the notebook language unless the check
+ * passes its own. Teams override a template by dropping a file with the same name in a
+ * more specific folder; the first one found wins:
+ *
+ *   prompts/projects/<project>/<language>/<name>.md
+ *   prompts/projects/<project>/<name>.md
+ *   prompts/<language>/<name>.md
+ *   prompts/<name>.md
+ *
+ * <project> comes from the review profile's `prompts` key, <language> is the two-letter
+ * code of the notebook language (LanguageCodes.toCode, e.g. "it" for "Italian (it)").
+ */
+
+const PROMPT_VARIABLE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+class PromptLibrary {
+    /**
+     * @param {function} loader - (path relative to prompts/) => Promise<string|null>, null when the
+     *                            file does not exist; defaults to fetching from `baseUrl`
+     * @param {string} baseUrl - Location of prompts/ for the default loader
+     */
+    constructor(loader = null, baseUrl = 'prompts') {
+        this.loader = loader || PromptLibrary.fetchLoader(baseUrl);
+        this.files = new Map();
+        this.project = null;
+        this.language = null;
+        this.used = new Map();
+    }
+
+    /**
+     * Loader reading templates over HTTP
+     */
+    static fetchLoader(baseUrl) {
+        return async (path) => {
+            let response;
+            try {
+                response = await fetch(`${baseUrl}/${path}`);
+            } catch (error) {
+                throw new Error(`Prompt templates could not be loaded from ${baseUrl}/ (${error.message}). Open the app through a web server.`);
+            }
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`Failed to load prompt template ${path}: HTTP ${response.status}`);
+            }
+            return response.text();
+        };
+    }
+
+    /**
+     * Loader reading templates from disk (Node)
+     * @param {string} dir - Path of the prompts/ folder
+     */
+    static fileLoader(dir) {
+        const fs = require('fs');
+        const path = require('path');
+        return async (file) => {
+            const fullPath = path.join(dir, file);
+            return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+        };
+    }
+
+    /**
+     * Parse a template file: front matter (key: value lines between ---) and body
+     * @returns {object} { name, version, description, body }
+     */
+    static parse(text, path = '') {
+        const match = text.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+        if (!match) {
+            throw new Error(`Prompt template ${path} has no front matter (name, version)`);
+        }
+
+        const meta = {};
+        match[1].split('\n').forEach(line => {
+            const field = line.match(/^([A-Za-z_]+):\s*(.*)$/);
+            if (field) meta[field[1]] = field[2].trim();
+        });
+        if (!meta.name || !meta.version) {
+            throw new Error(`Prompt template ${path} must declare name and version`);
+        }
+
+        return {
+            name: meta.name,
+            version: meta.version,
+            description: meta.description || '',
+            body: match[2].replace(/\n+$/, '')
+        };
+    }
+
+    /**
+     * Replace the {{variables}} of a template body
+     * @throws {Error} When the template uses a variable that was not provided
+     */
+    static fill(body, variables, name = '') {
+        return body.replace(PROMPT_VARIABLE, (placeholder, key) => {
+            const value = variables[key];
+            if (value === undefined || value === null) {
+                throw new Error(`Prompt template ${name} uses {{${key}}}, which this check does not provide`);
+            }
+            return String(value);
+        });
+    }
+
+    /**
+     * Project and language of the notebook being reviewed (pick the overrides)
+     * @param {object} context - { project, language }
+     */
+    setContext(context = {}) {
+        this.project = context.project || null;
+        this.language = context.language || null;
+    }
+
+    /**
+     * Candidate paths of a template, most specific first
+     */
+    getCandidates(name) {
+        const code = LanguageCodes.toCode(this.language);
+        const candidates = [];
+        if (this.project) {
+            if (code) candidates.push(`projects/${this.project}/${code}/${name}.md`);
+            candidates.push(`projects/${this.project}/${name}.md`);
+        }
+        if (code) candidates.push(`${code}/${name}.md`);
+        candidates.push(`${name}.md`);
+        return candidates;
+    }
+
+    /**
+     * Read (once) and parse a template file
+     * @returns {Promise<object|null>} Parsed template, null when the file does not exist
+     */
+    async readFile(path) {
+        if (!this.files.has(path)) {
+            this.files.set(path, this.loader(path).then(text => {
+                if (text === null) return null;
+                return { ...PromptLibrary.parse(text, path), source: `prompts/${path}` };
+            }));
+        }
+        try {
+            return await this.files.get(path);
+        } catch (error) {
+            // Let a later call try again (e.g. the server was briefly unreachable)
+            this.files.delete(path);
+            throw error;
+        }
+    }
+
+    /**
+     * Most specific template for the current context
+     * @returns {Promise<object>} { name, version, description, body, source }
+     */
+    async get(name) {
+        for (const path of this.getCandidates(name)) {
+            const template = await this.readFile(path);
+            if (template) return template;
+        }
+        throw new Error(`Prompt template "${name}" not found in prompts/`);
+    }
+
+    /**
+     * Build the prompt of a check and remember which template was used
+     * @param {string} name - Template name (file name without .md)
+     * @param {object} variables - Values of the {{variables}}
+     * @returns {Promise<string>}
+     */
+    async render(name, variables = {}) {
+        const template = await this.get(name);
+        const text = PromptLibrary.fill(template.body, { language: this.language, ...variables }, template.source);
+        this.used.set(name, { name: template.name, version: template.version, source: template.source });
+        return text;
+    }
+
+    /**
+     * Templates rendered since the last resetUsed(), for the report
+     * @returns {Array} [{ name, version, source }]
+     */
+    getUsed() {
+        return Array.from(this.used.values());
+    }
+
+    resetUsed() {
+        this.used.clear();
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.PromptLibrary = PromptLibrary;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptLibrary;
+}
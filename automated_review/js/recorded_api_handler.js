@@ -0,0 +1,117 @@
+/**
+ * CFBench Recorded API Handler
+ * APIHandler that answers from recorded responses instead of the network, so the AI checks
+ * can be replayed offline (bin/eval-prompts.js). Responses are keyed like the response cache
+ * (provider, model, prompt, temperature, consensus sample): a prompt that changed by one
+ * character has no recording until it is recorded again.
+ *
+ * Recordings file: { "version": 1, "responses": { "<key>": { provider, model, text, usage } },
+ *                    "canned": { "<schema name>": [reply, ...] } }
+ *
+ * Canned replies answer a check whatever its prompt says, in order (the last one repeats), so
+ * fixtures keep working when a prompt template changes. They are keyed by the ResponseSchema
+ * name of the check and must match that schema.
+ *
+ * Needs APIHandler, ResponseCache and ResponseSchema as globals (script tags in the browser, require + global in Node).
+ */
+
+const RECORDINGS_VERSION = 1;
+
+class RecordedAPIHandler extends APIHandler {
+    /**
+     * @param {object} recordings - Parsed recordings file (empty recordings when omitted)
+     * @param {object} options - { record: call the API for prompts without a recording and keep the
+     *                             reply, apiKey, provider }
+     */
+    constructor(recordings = null, options = {}) {
+        super(options.apiKey || '', options.provider || null);
+
+        if (recordings && recordings.version !== RECORDINGS_VERSION) {
+            throw new Error(`Unsupported recordings version ${recordings.version} (expected ${RECORDINGS_VERSION})`);
+        }
+        this.responses = recordings ? { ...recordings.responses } : {};
+        this.cannedFile = recordings?.canned || null;
+        this.canned = {};
+        Object.entries(recordings?.canned || {}).forEach(([schemaName, replies]) => {
+            ResponseSchema.get(schemaName); // unknown check names fail here rather than never match
+            this.canned[schemaName] = [].concat(replies);
+        });
+        this.record = !!options.record;
+        this.replayStats = { replayed: 0, recorded: 0, missing: 0 };
+    }
+
+    /**
+     * Replays need no key; recording needs a configured provider
+     */
+    isConfigured(provider = this.provider) {
+        return this.record ? super.isConfigured(provider) : true;
+    }
+
+    /**
+     * Serve the next canned reply of the check, if any, before looking for a recording
+     */
+    async callStructured(prompt, schemaName, options = {}) {
+        const replies = this.canned[schemaName];
+        if (!replies || replies.length === 0) {
+            return super.callStructured(prompt, schemaName, options);
+        }
+
+        const reply = replies.length > 1 ? replies.shift() : replies[0];
+        const { value, errors } = this.parseStructuredResponse(typeof reply === 'string' ? reply : JSON.stringify(reply), schemaName);
+        if (errors.length > 0) {
+            throw new Error(`Canned ${schemaName} reply does not match its schema: ${errors[0]}`);
+        }
+        this.replayStats.replayed++;
+        return value;
+    }
+
+    /**
+     * Answer from the recordings; in record mode, call the API for what is missing
+     * @throws {Error} error.unrecorded = true when no recording exists and record mode is off
+     */
+    async callGemini(prompt, options = {}) {
+        const provider = options.provider || this.provider;
+        const model = options.model || this.providers[provider]?.model;
+        // Same defaults as APIHandler.callGemini builds its request with
+        const temperature = options.temperature || 0.1;
+        const key = await ResponseCache.makeKey(provider, model, prompt, temperature, options.sample);
+
+        const recording = this.responses[key];
+        if (recording) {
+            this.replayStats.replayed++;
+            if (options.stream && this.onStream) this.onStream(options.stream, recording.text);
+            return { text: recording.text, usage: recording.usage || { promptTokens: 0, completionTokens: 0 }, cached: true };
+        }
+
+        if (!this.record) {
+            this.replayStats.missing++;
+            const error = new Error(`No recorded response for this prompt (${provider}/${model}); run with --record`);
+            error.unrecorded = true;
+            throw error;
+        }
+
+        const response = await super.callGemini(prompt, options);
+        this.responses[key] = { provider: provider, model: model, text: response.text, usage: response.usage };
+        this.replayStats.recorded++;
+        return response;
+    }
+
+    /**
+     * Recordings file contents, including the responses recorded in this session
+     */
+    getRecordings() {
+        const recordings = { version: RECORDINGS_VERSION, responses: this.responses };
+        if (this.cannedFile) {
+            recordings.canned = this.cannedFile;
+        }
+        return recordings;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.RecordedAPIHandler = RecordedAPIHandler;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordedAPIHandler;
+}
@@ -3,20 +3,55 @@
  * Generates formatted review reports from validation results
  */
 
+// Cell each check reports on, used to locate SARIF results.
+// 'first'/'last' pick among non-model-pass cells of that type; null = whole notebook.
+const CHECK_CELL_TARGETS = {
+    '1.1': null,
+    '1.2': { type: 'user', position: 'last' },
+    '1.3': { type: 'thinking', position: 'last' },
+    '1.4': null,
+    '1.5': { type: 'assistant', position: 'last' },
+    '2.1': { type: 'system', position: 'first' },
+    '2.2': { type: 'system', position: 'first' },
+    '2.3': { type: 'user', position: 'last' },
+    '2.4': { type: 'metadata', position: 'first' },
+    '2.5': { type: 'user', position: 'last' },
+    '2.6': { type: 'user', position: 'first' },
+    '2.7': { type: 'system', position: 'first' },
+    '2.8': { type: 'system', position: 'first' },
+    '2.9': { type: 'assistant', position: 'last' },
+    '3.0': { type: 'turn_metadata', position: 'first' },
+    '3.1': { type: 'turn_metadata', position: 'first' },
+    '3.2': { type: 'turn_metadata', position: 'first' },
+    '3.3': { type: 'turn_metadata', position: 'first' },
+    '3.4': { type: 'turn_metadata', position: 'first' },
+    '3.5': { type: 'user', position: 'last' },
+    '3.6': { type: 'user', position: 'last' },
+    '3.7': { type: 'turn_metadata', position: 'first' },
+    '3.8': { type: 'turn_metadata', position: 'first' },
+    '3.9': { type: 'user', position: 'last' },
+    '3.10': { type: 'validator_human', position: 'last' },
+    '4.2': { type: 'validator_assistant', position: 'last' },
+    '4.3': { type: 'validator_human', position: 'last' },
+    '4.4': { type: 'validator_assistant', position: 'last' }
+};
+
 class ReportGenerator {
     constructor() {
         this.parsed = null;
         this.validatorResults = null;
         this.apiResults = null;
+        this.fileName = null;
     }
 
     /**
      * Set data for report generation
      */
-    setData(parsed, validatorResults, apiResults = null) {
+    setData(parsed, validatorResults, apiResults = null, fileName = null) {
         this.parsed = parsed;
         this.validatorResults = validatorResults;
         this.apiResults = apiResults;
+        this.fileName = fileName;
     }
 
     /**
@@ -37,7 +72,9 @@ class ReportGenerator {
             <span class="meta-item"><strong>Language:</strong> ${this.parsed?.metadata?.language || 'N/A'}</span>
             <span class="meta-item"><strong>Turns:</strong> ${this.parsed?.turns?.length || 0}</span>
             <span class="meta-item"><strong>Model Passes:</strong> ${this.parsed?.modelPasses?.length || 0}</span>
+            <span class="meta-item"><strong>Profile:</strong> ${this.escapeHTML(this.getProfileLabel())}</span>
         </div>
+        ${this.generateProfileOverridesHTML()}
         <div class="overall-status ${statusClass}">
             ${status}
         </div>
@@ -180,8 +217,8 @@ class ReportGenerator {
                                     statusClass = 'row-fail';
                                     statusText = 'FAIL';
                                     statusIcon = '✗';
-                                } else if (r.found === false || r.status === 'needs_review') {
-                                    // Regex didn't find it - needs review (yellow)
+                                } else if (r.found === false || r.status === 'needs_review' || r.consensus) {
+                                    // Regex didn't find it, or consensus voters reached no majority - needs review (yellow)
                                     statusClass = 'row-needs-review';
                                     statusText = 'NEEDS REVIEW';
                                     statusIcon = '?';
@@ -192,7 +229,8 @@ class ReportGenerator {
                                 }
 
                                 const quote = r.exact_quote || r.evidence || 'Not found in query';
-                                const methodBadge = r.method === 'AI' ? '<span class="method-badge ai">AI</span>' :
+                                const methodBadge = r.consensus ? `<span class="method-badge ai">AI ${Math.round(r.consensus.agreement * 100)}%</span>` :
+                                                   r.method === 'AI' ? '<span class="method-badge ai">AI</span>' :
                                                    r.method === 'regex' ? '<span class="method-badge regex">regex</span>' : '';
 
                                 return `
@@ -237,7 +275,7 @@ class ReportGenerator {
         // Check 2.4 - Prompt Length Validation
         if (check.id === '2.4' && check.details?.checks?.length > 0) {
             html += `<div class="check-details-box">
-                <h5>Length Checks (10% tolerance):</h5>
+                <h5>Length Checks (${check.details.tolerance || '10%'} tolerance):</h5>
                 <table class="verification-table">
                     <thead>
                         <tr><th>Prompt</th><th>Actual</th><th>Expected</th><th>Tolerance Range</th><th>Status</th></tr>
@@ -485,8 +523,9 @@ class ReportGenerator {
             const cellPassesOver50 = summary.cellPassesOver50 ?? 0;
             const scriptPassesOver50 = summary.scriptPassesOver50 ?? (check.details?.passesWithOver50PercentFail || 0);
             const hasDivergence = summary.hasDivergence || failRates.some(f => f.has_divergence);
-            const cellPassRule = cellPassesOver50 >= 3;
-            const scriptPassRule = scriptPassesOver50 >= 3;
+            const { failRateThreshold, minFailingPasses } = this.getModelBreakingRule();
+            const cellPassRule = cellPassesOver50 >= minFailingPasses;
+            const scriptPassRule = scriptPassesOver50 >= minFailingPasses;
             const bothAgree = cellPassRule === scriptPassRule;
 
             // Determine final status
@@ -506,7 +545,7 @@ class ReportGenerator {
             }
 
             html += `<div class="verification-table-container">
-                <h5>Model Breaking Rule: ≥3 of 4 must fail ≥50%</h5>
+                <h5>Model Breaking Rule: ≥${minFailingPasses} of 4 must fail ≥${failRateThreshold}%</h5>
                 <div class="distribution-summary" style="margin-bottom: 12px; display: flex; gap: 12px; flex-wrap: wrap; align-items: center;">
                     <span class="summary-item" style="background: linear-gradient(135deg, #1a2f1a 0%, #0d1a0d 100%); border: 1px solid #2d5a2d;">
                         <strong style="color: #4ade80;">CELL:</strong> ${cellPassesOver50}/4 ${cellPassRule ? '✓' : '✗'}
@@ -537,13 +576,13 @@ class ReportGenerator {
                                     <th>Pass</th>
                                     <th>Fail</th>
                                     <th>Fail%</th>
-                                    <th>≥50%</th>
+                                    <th>≥${failRateThreshold}%</th>
                                 </tr>
                             </thead>
                             <tbody>
                                 ${failRates.map(f => {
                                     const cellFailRate = f.notebook_fail_rate || 0;
-                                    const cellMeets50 = f.cell_meets_50 ?? (cellFailRate >= 50);
+                                    const cellMeets50 = f.cell_meets_50 ?? (cellFailRate >= failRateThreshold);
                                     return `
                                     <tr class="${cellMeets50 ? 'row-pass' : 'row-fail'}">
                                         <td><strong>${this.escapeHTML(f.id)}</strong></td>
@@ -556,7 +595,7 @@ class ReportGenerator {
                             </tbody>
                         </table>
                         <div style="margin-top: 8px; text-align: center; font-weight: bold; color: ${cellPassRule ? '#4ade80' : '#f87171'};">
-                            Total: ${cellPassesOver50}/4 ≥50% ${cellPassRule ? '✓' : '✗'}
+                            Total: ${cellPassesOver50}/4 ≥${failRateThreshold}% ${cellPassRule ? '✓' : '✗'}
                         </div>
                     </div>
 
@@ -575,7 +614,7 @@ class ReportGenerator {
                                     <th>Sem</th>
                                     <th>LLM</th>
                                     <th>Fail%</th>
-                                    <th>≥50%</th>
+                                    <th>≥${failRateThreshold}%</th>
                                 </tr>
                             </thead>
                             <tbody>
@@ -594,22 +633,22 @@ class ReportGenerator {
                             </tbody>
                         </table>
                         <div style="margin-top: 8px; text-align: center; font-weight: bold; color: ${scriptPassRule ? '#4ade80' : '#f87171'};">
-                            Total: ${scriptPassesOver50}/4 ≥50% ${scriptPassRule ? '✓' : '✗'}
+                            Total: ${scriptPassesOver50}/4 ≥${failRateThreshold}% ${scriptPassRule ? '✓' : '✗'}
                         </div>
                     </div>
                 </div>
 
                 <!-- Comparison Summary - CELL vs SCRIPT Decision -->
                 <div class="comparison-summary" style="background: #1a1a2e; border: 1px solid #3b3b5c; border-radius: 8px; padding: 12px; margin-bottom: 12px;">
-                    <h6 style="color: #a5b4fc; margin: 0 0 8px 0; font-size: 0.8rem;">Comparação: Cell vs Script (Decisão ≥50%)</h6>
+                    <h6 style="color: #a5b4fc; margin: 0 0 8px 0; font-size: 0.8rem;">Comparação: Cell vs Script (Decisão ≥${failRateThreshold}%)</h6>
                     <table class="verification-table" style="font-size: 0.75rem;">
                         <thead>
                             <tr>
                                 <th>Model</th>
                                 <th>Cell Fail%</th>
-                                <th>Cell ≥50%</th>
+                                <th>Cell ≥${failRateThreshold}%</th>
                                 <th>Script Fail%</th>
-                                <th>Script ≥50%</th>
+                                <th>Script ≥${failRateThreshold}%</th>
                                 <th>Status</th>
                             </tr>
                         </thead>
@@ -617,8 +656,8 @@ class ReportGenerator {
                             ${failRates.map(f => {
                                 const cellRate = f.notebook_fail_rate || 0;
                                 const scriptRate = f.failRate || 0;
-                                const cellMeets = f.cell_meets_50 ?? (cellRate >= 50);
-                                const scriptMeets = f.script_meets_50 ?? (scriptRate >= 50);
+                                const cellMeets = f.cell_meets_50 ?? (cellRate >= failRateThreshold);
+                                const scriptMeets = f.script_meets_50 ?? (scriptRate >= failRateThreshold);
                                 const diverges = f.has_divergence ?? (cellMeets !== scriptMeets);
                                 return `
                                 <tr class="${diverges ? 'row-warn' : 'row-pass'}" style="${diverges ? 'background: linear-gradient(90deg, rgba(250,204,21,0.1) 0%, rgba(250,204,21,0.05) 100%);' : ''}">
@@ -643,8 +682,8 @@ class ReportGenerator {
                     <strong>CELL (Verde):</strong> Dados da célula validator_assistant do notebook - validação real com semântica<br>
                     <strong>SCRIPT (Amarelo):</strong> Validação própria do script - conservadora (trata semantic como FAIL)<br>
                     <strong>Decisão Final:</strong><br>
-                    &nbsp;&nbsp;• Se CELL ≥3 e SCRIPT ≥3 → <span style="color: #4ade80;">✓ PASS (ambos concordam)</span><br>
-                    &nbsp;&nbsp;• Se CELL <3 e SCRIPT <3 → <span style="color: #f87171;">✗ FAIL (ambos concordam)</span><br>
+                    &nbsp;&nbsp;• Se CELL ≥${minFailingPasses} e SCRIPT ≥${minFailingPasses} → <span style="color: #4ade80;">✓ PASS (ambos concordam)</span><br>
+                    &nbsp;&nbsp;• Se CELL <${minFailingPasses} e SCRIPT <${minFailingPasses} → <span style="color: #f87171;">✗ FAIL (ambos concordam)</span><br>
                     &nbsp;&nbsp;• Se discordam → <span style="color: #fde047;">⚠ NEEDS REVIEW (revisão humana)</span>
                 </div>`;
             }
@@ -809,217 +848,408 @@ class ReportGenerator {
         <div class="report-phase api-phase">
             <h3 class="phase-title">AI Analysis</h3>`;
 
-        // Query Structure Analysis (improved)
-        if (this.apiResults.query_analysis || this.apiResults.structure_analysis) {
-            const qa = this.apiResults.query_analysis || this.apiResults;
+        if (this.apiResults.cache_stats) {
+            html += `
+            <p class="table-note">${this.formatCacheStats(this.apiResults.cache_stats)}</p>`;
+        }
+        if (this.apiResults.usage) {
             html += `
-            <div class="api-section">
-                <h4>Query Structure Analysis</h4>
-                <div class="score-badge">Score: ${qa.overall_score || qa.structure_score || 'N/A'}/10</div>
-                <div class="status-badge status-${(qa.status || 'unknown').toLowerCase()}">${qa.status || 'N/A'}</div>`;
+            <p class="table-note">${this.formatUsage(this.apiResults.usage)}</p>`;
+        }
+        if (this.apiResults.prompt_templates?.length > 0) {
+            html += `
+            <p class="table-note">${this.escapeHTML(this.formatPromptTemplates(this.apiResults.prompt_templates))}</p>`;
+        }
 
-            // Show structure breakdown if available
-            if (qa.structure_analysis) {
-                html += `
-                <div class="structure-details">
-                    <p><strong>70/30 Compliant:</strong> ${qa.structure_analysis.is_70_30_compliant ? '✓ Yes' : '✗ No'}</p>
-                    <p><strong>Constraints Stacked:</strong> ${qa.structure_analysis.constraints_stacked_at_end ? '✗ Yes (bad)' : '✓ No (good)'}</p>
-                </div>`;
-            }
+        // Checks whose reply did not match its schema, even after asking again
+        if (this.apiResults.ai_unavailable?.length > 0) {
+            html += this.generateUnavailableSection(this.apiResults.ai_unavailable);
+        }
 
-            // Show instruction verification if available
-            if (qa.instruction_verification?.length > 0) {
-                html += `
-                <div class="instruction-verification">
-                    <h5>Instruction Verification</h5>
-                    <table class="verification-table">
-                        <thead><tr><th>Instruction</th><th>In Query?</th><th>Evidence</th></tr></thead>
-                        <tbody>
-                            ${qa.instruction_verification.map(v => `
-                                <tr class="${v.found_in_query ? 'row-pass' : 'row-fail'}">
-                                    <td>${this.escapeHTML(v.instruction)}</td>
-                                    <td>${v.found_in_query ? '✓' : '✗'}</td>
-                                    <td class="evidence">${this.escapeHTML(v.evidence || v.issue || '-')}</td>
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>`;
-            }
+        // Votes of consensus mode
+        if (this.apiResults.consensus?.length > 0) {
+            html += this.generateConsensusSection(this.apiResults.consensus);
+        }
 
-            if (qa.issues?.length > 0) {
-                html += `
-                <ul class="check-issues">
-                    ${qa.issues.map(i => `<li>${this.escapeHTML(i)}</li>`).join('')}
-                </ul>`;
-            }
-            html += '</div>';
+        // Query Structure Analysis (improved)
+        if (this.apiResults.query_analysis || this.apiResults.structure_analysis) {
+            html += this.generateQueryAnalysisSection(this.apiResults.query_analysis || this.apiResults);
         }
 
         // CRITICAL: Constraints Validation (AI check for hidden constraints)
         if (this.apiResults.constraints_validation) {
-            const cv = this.apiResults.constraints_validation;
-            const isValid = cv.overall_valid !== false && (!cv.critical_issues || cv.critical_issues.length === 0);
+            html += this.generateConstraintsValidationSection(this.apiResults.constraints_validation);
+        }
 
-            html += `
-            <div class="api-section ${!isValid ? 'critical-section' : ''}">
-                <h4>${!isValid ? '⚠️ CRITICAL: ' : ''}Constraints in Query Validation</h4>
-                <div class="status-badge status-${isValid ? 'pass' : 'major'}">${isValid ? 'VALID' : 'HIDDEN CONSTRAINTS FOUND'}</div>
-                <p><strong>Total Constraints:</strong> ${cv.total_constraints || 0} | <strong>Explicit in Query:</strong> ${cv.explicit_in_query || 0}</p>`;
+        html += this.generateReviewSections(this.apiResults);
 
-            // Show critical issues (hidden constraints)
-            if (cv.critical_issues?.length > 0) {
-                html += `
-                <div class="critical-issues">
-                    <h5>🚨 Hidden Constraints (MUST FIX):</h5>
-                    <ul>
-                        ${cv.critical_issues.map(i => `<li class="critical-item">${this.escapeHTML(i)}</li>`).join('')}
-                    </ul>
-                </div>`;
-            }
+        html += '</div>';
+        return html;
+    }
 
-            // Show constraint details
-            if (cv.hidden_constraints?.length > 0) {
-                html += `
-                <div class="constraint-details">
-                    <h5>Constraint Analysis:</h5>
-                    <table class="verification-table">
-                        <thead><tr><th>Constraint ID</th><th>Status</th><th>Evidence</th></tr></thead>
-                        <tbody>
-                            ${cv.hidden_constraints.map(c => `
-                                <tr class="${c.status === 'FOUND' ? 'row-pass' : c.status === 'IMPLICIT' ? 'row-warn' : 'row-fail'}">
-                                    <td><strong>${this.escapeHTML(c.id)}</strong></td>
-                                    <td class="status-${c.status?.toLowerCase()}">${c.status}</td>
-                                    <td class="evidence">${this.escapeHTML(c.evidence || '-')}</td>
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>`;
-            }
+    /**
+     * Sections produced by comprehensiveReview(): instruction and llm_judge integration,
+     * model pass distribution, critical issues and warnings
+     */
+    generateReviewSections(results) {
+        let html = '';
 
-            // Show llm_judge check
-            if (cv.llm_judge_check?.length > 0) {
-                html += `
-                <div class="llm-judge-details">
-                    <h5>LLM Judge in Query:</h5>
-                    <table class="verification-table">
-                        <thead><tr><th>UID</th><th>Content</th><th>In Query?</th></tr></thead>
-                        <tbody>
-                            ${cv.llm_judge_check.map(j => `
-                                <tr class="${j.found_in_query ? 'row-pass' : 'row-fail'}">
-                                    <td>${j.uid}</td>
-                                    <td>${this.escapeHTML(j.content?.substring(0, 50) || '-')}...</td>
-                                    <td>${j.found_in_query ? '✓ Yes' : '✗ No'}</td>
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>`;
-            }
+        // Instruction Integration Check (from comprehensive review)
+        if (results.instruction_check) {
+            html += this.generateInstructionCheckSection(results.instruction_check);
+        }
 
-            // Summary from AI
-            if (cv.summary) {
-                html += `<div class="ai-summary"><strong>AI Summary:</strong> ${this.escapeHTML(cv.summary)}</div>`;
-            }
+        // LLM Judge Integration Check
+        if (results.llm_judge_check) {
+            html += this.generateLLMJudgeCheckSection(results.llm_judge_check);
+        }
 
-            html += '</div>';
+        // Model Pass Distribution
+        if (results.model_pass_check || results.model_passes_analysis) {
+            html += this.generateModelPassSection(results.model_pass_check || results.model_passes_analysis);
         }
 
-        // Instruction Integration Check (from comprehensive review)
-        if (this.apiResults.instruction_check) {
-            const ic = this.apiResults.instruction_check;
+        // Critical Issues Section
+        if (results.critical_issues?.length > 0) {
+            html += this.generateCriticalIssuesSection(results.critical_issues);
+        }
+
+        // Warnings Section
+        if (results.warnings?.length > 0) {
+            html += this.generateWarningsSection(results.warnings);
+        }
+
+        return html;
+    }
+
+    /**
+     * AI checks left out of the report because their reply was invalid twice
+     * @param {Array} unavailable - [{ check, errors }]
+     */
+    generateUnavailableSection(unavailable) {
+        return `
+        <div class="api-section warning-section">
+            <h4>⚠️ AI Unavailable</h4>
+            <p>The reply did not match the expected format after one retry; review these checks manually.</p>
+            <ul class="warning-list">
+                ${unavailable.map(u => `<li><strong>${this.escapeHTML(u.check)}</strong>: ${this.escapeHTML((u.errors || []).slice(0, 3).join('; '))}</li>`).join('')}
+            </ul>
+        </div>`;
+    }
+
+    /**
+     * Consensus mode: verdict, agreement and votes of every check decided by several voters
+     * @param {Array} checks - [{ check, labels: [true label, false label], consensus }]
+     */
+    generateConsensusSection(checks) {
+        const disagreements = checks.filter(c => Consensus.hasDisagreement(c.consensus));
+        const verdictLabel = (c) => c.consensus.verdict === null ? 'NO MAJORITY (needs review)' :
+                                    c.consensus.verdict ? c.labels[0] : c.labels[1];
+
+        return `
+        <div class="api-section">
+            <h4>Consensus (${Math.round(checks[0].consensus.threshold * 100)}% majority needed)</h4>
+            <table class="verification-table">
+                <thead><tr><th>Check</th><th>Verdict</th><th>Agreement</th><th>Votes</th></tr></thead>
+                <tbody>
+                    ${checks.map(c => `
+                        <tr class="${c.consensus.verdict === null ? 'row-fail' : Consensus.hasDisagreement(c.consensus) ? 'row-warn' : 'row-pass'}">
+                            <td>${this.escapeHTML(c.check)}</td>
+                            <td>${this.escapeHTML(verdictLabel(c))}</td>
+                            <td>${Math.round(c.consensus.agreement * 100)}% (${c.consensus.voted}/${c.consensus.total} voted)</td>
+                            <td class="evidence">${this.escapeHTML(c.consensus.votes.map(v =>
+                                `${v.voter}: ${v.vote === null ? 'no answer' : v.vote ? c.labels[0] : c.labels[1]}`).join(', '))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${disagreements.length > 0 ?
+                `<ul class="warning-list">
+                    ${disagreements.map(c => `<li>${this.escapeHTML(`${c.check}: voters disagree - ${Consensus.describe(c.consensus, c.labels)}`)}</li>`).join('')}
+                </ul>` : ''}
+        </div>`;
+    }
+
+    /**
+     * Query structure analysis (validateQueryStructure)
+     */
+    generateQueryAnalysisSection(qa) {
+        let html = `
+        <div class="api-section">
+            <h4>Query Structure Analysis</h4>
+            <div class="score-badge">Score: ${qa.overall_score || qa.structure_score || 'N/A'}/10</div>
+            <div class="status-badge status-${(qa.status || 'unknown').toLowerCase()}">${qa.status || 'N/A'}</div>`;
+
+        // Show structure breakdown if available
+        if (qa.structure_analysis) {
             html += `
-            <div class="api-section">
-                <h4>Instruction Integration</h4>
-                <p><strong>Total:</strong> ${ic.total_instructions} | <strong>Explicit in Query:</strong> ${ic.explicitly_in_query}</p>
-                ${ic.missing_or_implicit?.length > 0 ?
-                    `<div class="missing-instructions">
-                        <h5>Missing or Implicit Instructions:</h5>
-                        <ul>
-                            ${ic.missing_or_implicit.map(m => `
-                                <li class="issue-item">
-                                    <strong>[${this.escapeHTML(m.id)}]</strong>
-                                    <span class="status-${m.status}">${m.status}</span>:
-                                    ${this.escapeHTML(m.issue)}
-                                </li>
-                            `).join('')}
-                        </ul>
-                    </div>` : '<p class="no-issues">All instructions explicitly in query ✓</p>'}
+            <div class="structure-details">
+                <p><strong>70/30 Compliant:</strong> ${qa.structure_analysis.is_70_30_compliant ? '✓ Yes' : '✗ No'}</p>
+                <p><strong>Constraints Stacked:</strong> ${qa.structure_analysis.constraints_stacked_at_end ? '✗ Yes (bad)' : '✓ No (good)'}</p>
             </div>`;
         }
 
-        // LLM Judge Integration Check
-        if (this.apiResults.llm_judge_check) {
-            const ljc = this.apiResults.llm_judge_check;
+        // Show instruction verification if available
+        if (qa.instruction_verification?.length > 0) {
             html += `
-            <div class="api-section">
-                <h4>LLM Judge Integration</h4>
-                <p><strong>Total:</strong> ${ljc.total} | <strong>Integrated:</strong> ${ljc.integrated}</p>
-                ${ljc.missing?.length > 0 ?
-                    `<div class="missing-llmjudge">
-                        <h5>Missing LLM Judge Items:</h5>
-                        <ul>
-                            ${ljc.missing.map(m => `
-                                <li class="issue-item">
-                                    <strong>UID ${m.uid}:</strong> "${this.escapeHTML(m.content)}"
-                                    <br><span class="issue-detail">${this.escapeHTML(m.issue)}</span>
-                                </li>
-                            `).join('')}
-                        </ul>
-                    </div>` : '<p class="no-issues">All llm_judge items integrated ✓</p>'}
+            <div class="instruction-verification">
+                <h5>Instruction Verification</h5>
+                <table class="verification-table">
+                    <thead><tr><th>Instruction</th><th>In Query?</th><th>Evidence</th></tr></thead>
+                    <tbody>
+                        ${qa.instruction_verification.map(v => `
+                            <tr class="${v.found_in_query ? 'row-pass' : 'row-fail'}">
+                                <td>${this.escapeHTML(v.instruction)}</td>
+                                <td>${v.found_in_query ? '✓' : '✗'}</td>
+                                <td class="evidence">${this.escapeHTML(v.evidence || v.issue || '-')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
             </div>`;
         }
 
-        // Model Pass Distribution
-        if (this.apiResults.model_pass_check || this.apiResults.model_passes_analysis) {
-            const mpc = this.apiResults.model_pass_check || this.apiResults.model_passes_analysis;
+        if (qa.issues?.length > 0) {
             html += `
-            <div class="api-section">
-                <h4>Model Pass Distribution</h4>
-                <p><strong>Golden Passes All:</strong> ${mpc.golden_passes_all ? '✓ Yes' : '✗ No'}</p>
-                <p><strong>Passes that Pass All:</strong> ${mpc.passes_that_pass_all || 0}/4 (max 2 allowed)</p>
-                <p><strong>Distribution Valid:</strong> ${mpc.distribution_valid ? '✓ Yes' : '✗ No'}</p>
-                ${mpc.evasions_detected?.length > 0 ?
-                    `<div class="evasions-detected">
-                        <h5>Evasions Detected:</h5>
-                        <ul class="check-issues">
-                            ${mpc.evasions_detected.map(e => `<li>${this.escapeHTML(typeof e === 'string' ? e : JSON.stringify(e))}</li>`).join('')}
-                        </ul>
-                    </div>` : ''}
-                ${mpc.issues?.length > 0 ?
-                    `<ul class="check-issues">
-                        ${mpc.issues.map(i => `<li>${this.escapeHTML(i)}</li>`).join('')}
-                    </ul>` : ''}
-            </div>`;
+            <ul class="check-issues">
+                ${qa.issues.map(i => `<li>${this.escapeHTML(i)}</li>`).join('')}
+            </ul>`;
         }
+        html += '</div>';
+        return html;
+    }
 
-        // Critical Issues Section
-        if (this.apiResults.critical_issues?.length > 0) {
+    /**
+     * Constraints in query validation (validateConstraintsInQuery)
+     */
+    generateConstraintsValidationSection(cv) {
+        const isValid = cv.overall_valid !== false && (!cv.critical_issues || cv.critical_issues.length === 0);
+
+        let html = `
+        <div class="api-section ${!isValid ? 'critical-section' : ''}">
+            <h4>${!isValid ? '⚠️ CRITICAL: ' : ''}Constraints in Query Validation</h4>
+            <div class="status-badge status-${isValid ? 'pass' : 'major'}">${isValid ? 'VALID' : 'HIDDEN CONSTRAINTS FOUND'}</div>
+            <p><strong>Total Constraints:</strong> ${cv.total_constraints || 0} | <strong>Explicit in Query:</strong> ${cv.explicit_in_query || 0}</p>`;
+
+        // Show critical issues (hidden constraints)
+        if (cv.critical_issues?.length > 0) {
             html += `
-            <div class="api-section critical-section">
-                <h4>🚨 Critical Issues (Must Fix)</h4>
-                <ul class="critical-list">
-                    ${this.apiResults.critical_issues.map(i => `<li>${this.escapeHTML(i)}</li>`).join('')}
+            <div class="critical-issues">
+                <h5>🚨 Hidden Constraints (MUST FIX):</h5>
+                <ul>
+                    ${cv.critical_issues.map(i => `<li class="critical-item">${this.escapeHTML(i)}</li>`).join('')}
                 </ul>
             </div>`;
         }
 
-        // Warnings Section
-        if (this.apiResults.warnings?.length > 0) {
+        // Show constraint details
+        if (cv.hidden_constraints?.length > 0) {
             html += `
-            <div class="api-section warning-section">
-                <h4>⚠️ Warnings</h4>
-                <ul class="warning-list">
-                    ${this.apiResults.warnings.map(w => `<li>${this.escapeHTML(w)}</li>`).join('')}
-                </ul>
+            <div class="constraint-details">
+                <h5>Constraint Analysis:</h5>
+                <table class="verification-table">
+                    <thead><tr><th>Constraint ID</th><th>Status</th><th>Evidence</th></tr></thead>
+                    <tbody>
+                        ${cv.hidden_constraints.map(c => `
+                            <tr class="${c.status === 'FOUND' ? 'row-pass' : c.status === 'IMPLICIT' ? 'row-warn' : 'row-fail'}">
+                                <td><strong>${this.escapeHTML(c.id)}</strong></td>
+                                <td class="status-${c.status?.toLowerCase()}">${c.status}</td>
+                                <td class="evidence">${this.escapeHTML(c.evidence || '-')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+        }
+
+        // Show llm_judge check
+        if (cv.llm_judge_check?.length > 0) {
+            html += `
+            <div class="llm-judge-details">
+                <h5>LLM Judge in Query:</h5>
+                <table class="verification-table">
+                    <thead><tr><th>UID</th><th>Content</th><th>In Query?</th></tr></thead>
+                    <tbody>
+                        ${cv.llm_judge_check.map(j => `
+                            <tr class="${j.found_in_query ? 'row-pass' : 'row-fail'}">
+                                <td>${j.uid}</td>
+                                <td>${this.escapeHTML(j.content?.substring(0, 50) || '-')}...</td>
+                                <td>${j.found_in_query ? '✓ Yes' : '✗ No'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
             </div>`;
         }
 
+        // Summary from AI
+        if (cv.summary) {
+            html += `<div class="ai-summary"><strong>AI Summary:</strong> ${this.escapeHTML(cv.summary)}</div>`;
+        }
+
         html += '</div>';
         return html;
     }
 
+    /**
+     * Instruction integration (comprehensiveReview)
+     */
+    generateInstructionCheckSection(ic) {
+        return `
+        <div class="api-section">
+            <h4>Instruction Integration</h4>
+            <p><strong>Total:</strong> ${ic.total_instructions} | <strong>Explicit in Query:</strong> ${ic.explicitly_in_query}</p>
+            ${ic.missing_or_implicit?.length > 0 ?
+                `<div class="missing-instructions">
+                    <h5>Missing or Implicit Instructions:</h5>
+                    <ul>
+                        ${ic.missing_or_implicit.map(m => `
+                            <li class="issue-item">
+                                <strong>[${this.escapeHTML(m.id)}]</strong>
+                                <span class="status-${m.status}">${m.status}</span>:
+                                ${this.escapeHTML(m.issue)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>` : '<p class="no-issues">All instructions explicitly in query ✓</p>'}
+        </div>`;
+    }
+
+    /**
+     * llm_judge integration (comprehensiveReview)
+     */
+    generateLLMJudgeCheckSection(ljc) {
+        return `
+        <div class="api-section">
+            <h4>LLM Judge Integration</h4>
+            <p><strong>Total:</strong> ${ljc.total} | <strong>Integrated:</strong> ${ljc.integrated}</p>
+            ${ljc.missing?.length > 0 ?
+                `<div class="missing-llmjudge">
+                    <h5>Missing LLM Judge Items:</h5>
+                    <ul>
+                        ${ljc.missing.map(m => `
+                            <li class="issue-item">
+                                <strong>UID ${m.uid}:</strong> "${this.escapeHTML(m.content)}"
+                                <br><span class="issue-detail">${this.escapeHTML(m.issue)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>` : '<p class="no-issues">All llm_judge items integrated ✓</p>'}
+        </div>`;
+    }
+
+    /**
+     * Model pass distribution and evasions
+     */
+    generateModelPassSection(mpc) {
+        return `
+        <div class="api-section">
+            <h4>Model Pass Distribution</h4>
+            <p><strong>Golden Passes All:</strong> ${mpc.golden_passes_all ? '✓ Yes' : '✗ No'}</p>
+            <p><strong>Passes that Pass All:</strong> ${mpc.passes_that_pass_all || 0}/4 (max 2 allowed)</p>
+            <p><strong>Distribution Valid:</strong> ${mpc.distribution_valid ? '✓ Yes' : '✗ No'}</p>
+            ${mpc.evasions_detected?.length > 0 ?
+                `<div class="evasions-detected">
+                    <h5>Evasions Detected:</h5>
+                    <ul class="check-issues">
+                        ${mpc.evasions_detected.map(e => `<li>${this.escapeHTML(typeof e === 'string' ? e : JSON.stringify(e))}</li>`).join('')}
+                    </ul>
+                </div>` : ''}
+            ${mpc.issues?.length > 0 ?
+                `<ul class="check-issues">
+                    ${mpc.issues.map(i => `<li>${this.escapeHTML(i)}</li>`).join('')}
+                </ul>` : ''}
+        </div>`;
+    }
+
+    /**
+     * Critical issues reported by the AI
+     */
+    generateCriticalIssuesSection(items) {
+        return `
+        <div class="api-section critical-section">
+            <h4>🚨 Critical Issues (Must Fix)</h4>
+            <ul class="critical-list">
+                ${items.map(i => `<li>${this.escapeHTML(i)}</li>`).join('')}
+            </ul>
+        </div>`;
+    }
+
+    /**
+     * Warnings reported by the AI
+     */
+    generateWarningsSection(items) {
+        return `
+        <div class="api-section warning-section">
+            <h4>⚠️ Warnings</h4>
+            <ul class="warning-list">
+                ${items.map(w => `<li>${this.escapeHTML(w)}</li>`).join('')}
+            </ul>
+        </div>`;
+    }
+
+    /**
+     * AI Analysis while a review is running: the text streamed so far for each AI call,
+     * replaced by the rendered section once its response parses as JSON
+     * @param {Array} streams - [{ id, title, text, result }] in display order; result is
+     *                          the parseJSONResponse() output once the call has finished
+     */
+    generateLiveAPISection(streams) {
+        const sections = streams.map(stream => {
+            if (stream.result && !stream.result.error) {
+                return this.generateStreamResultSection(stream);
+            }
+
+            const status = stream.result ? stream.result.error :
+                           stream.text ? 'Receiving...' : 'Waiting...';
+            return `
+            <div class="api-section api-stream ${stream.result ? 'api-stream-failed' : ''}">
+                <h4>${this.escapeHTML(stream.title)}</h4>
+                <div class="stream-status">${this.escapeHTML(status)}</div>
+                ${stream.text ? `<pre class="stream-text">${this.escapeHTML(stream.text)}</pre>` : ''}
+            </div>`;
+        }).join('');
+
+        return `
+        <div class="report-phase api-phase">
+            <h3 class="phase-title">AI Analysis (live)</h3>
+            ${sections}
+        </div>`;
+    }
+
+    /**
+     * Parsed result of a streamed call, with the same sections as the final report
+     */
+    generateStreamResultSection(stream) {
+        const result = stream.result;
+        if (stream.id === 'query_analysis') {
+            return this.generateQueryAnalysisSection(result);
+        }
+        if (stream.id === 'constraints_validation') {
+            return this.generateConstraintsValidationSection(result);
+        }
+        if (stream.id === 'comprehensive_review') {
+            return this.generateReviewSections(result);
+        }
+
+        // Evasion and llm_judge checks: verdict, evidence and issues
+        const ok = result.is_evasion !== undefined ? !result.is_evasion : result.all_integrated !== false;
+        const verdict = result.is_evasion ? `EVASION (${result.evasion_type || 'unknown'})` :
+                        result.is_evasion === false ? 'NO EVASION' :
+                        ok ? 'PASS' : 'ISSUES FOUND';
+        return `
+        <div class="api-section">
+            <h4>${this.escapeHTML(stream.title)}</h4>
+            <div class="status-badge status-${ok ? 'pass' : 'major'}">${verdict}</div>
+            ${result.evidence ? `<p><strong>Evidence:</strong> ${this.escapeHTML(result.evidence)}</p>` : ''}
+            ${result.issues?.length > 0 ?
+                `<ul class="check-issues">
+                    ${result.issues.map(i => `<li>${this.escapeHTML(i)}</li>`).join('')}
+                </ul>` : ''}
+            ${result.summary ? `<div class="ai-summary"><strong>AI Summary:</strong> ${this.escapeHTML(result.summary)}</div>` : ''}
+        </div>`;
+    }
+
     /**
      * Generate feedback section with structured feedback like manual review
      */
@@ -1071,17 +1301,18 @@ class ReportGenerator {
 
         // Model Passes (compact) with Model Breaking Rule
         if (p?.modelPasses?.length > 0) {
+            const { failRateThreshold, minFailingPasses } = this.getModelBreakingRule();
             let passesOver50 = 0;
-            report += `Model Breaking (≥3/4 must fail ≥50%):\n`;
+            report += `Model Breaking (≥${minFailingPasses}/4 must fail ≥${failRateThreshold}%):\n`;
             p.modelPasses.forEach(pass => {
                 const va = pass.validatorAssistant;
                 if (va && va.totalChecks > 0) {
                     const failRate = Math.round((va.failed / va.totalChecks) * 100);
-                    if (failRate >= 50) passesOver50++;
-                    report += `• ${pass.model}_${pass.passNumber}: ${failRate}% ${failRate >= 50 ? '✅' : '⚠️'}\n`;
+                    if (failRate >= failRateThreshold) passesOver50++;
+                    report += `• ${pass.model}_${pass.passNumber}: ${failRate}% ${failRate >= failRateThreshold ? '✅' : '⚠️'}\n`;
                 }
             });
-            report += `→ ${passesOver50}/4 pass rule ${passesOver50 >= 3 ? '✅' : '❌'}\n`;
+            report += `→ ${passesOver50}/4 pass rule ${passesOver50 >= minFailingPasses ? '✅' : '❌'}\n`;
         }
         report += `\n`;
 
@@ -1190,6 +1421,7 @@ class ReportGenerator {
 CFBench Task Review Report
 ${sep}
 
+Profile: ${this.getProfileLabel()}${this.formatProfileOverridesText()}
 Domain: ${this.parsed?.metadata?.domain || 'N/A'}
 Language: ${this.parsed?.metadata?.language || 'N/A'}
 Turns: ${this.parsed?.turns?.length || 0}
@@ -1257,6 +1489,36 @@ ${this.generateFeedbackText()}
         }).join('\n\n');
     }
 
+    /**
+     * One-line summary of APIHandler.getCacheStats()
+     */
+    formatCacheStats(stats) {
+        const total = stats.hits + stats.misses;
+        if (stats.bypassed) {
+            return `AI responses: ${total} API call(s), cache bypassed`;
+        }
+        return `AI responses: ${stats.hits} of ${total} from cache, ${stats.misses} API call(s)`;
+    }
+
+    /**
+     * Templates the AI checks used (PromptLibrary.getUsed()); overrides show their file
+     */
+    formatPromptTemplates(templates) {
+        const list = templates.map(t => {
+            const label = `${t.name} v${t.version}`;
+            return t.source === `prompts/${t.name}.md` ? label : `${label} (${t.source})`;
+        });
+        return `Prompt templates: ${list.join(', ')}`;
+    }
+
+    /**
+     * One-line summary of the tokens and estimated cost of the review (UsageTracker.getReviewUsage())
+     */
+    formatUsage(usage) {
+        return `Estimated cost: $${usage.cost.toFixed(4)} (${usage.calls} API call(s), ` +
+            `${usage.promptTokens.toLocaleString()} prompt + ${usage.completionTokens.toLocaleString()} completion tokens)`;
+    }
+
     /**
      * Format API results as text
      */
@@ -1265,6 +1527,27 @@ ${this.generateFeedbackText()}
 
         let text = '';
 
+        if (this.apiResults.cache_stats) {
+            text += `${this.formatCacheStats(this.apiResults.cache_stats)}\n`;
+        }
+        if (this.apiResults.usage) {
+            text += `${this.formatUsage(this.apiResults.usage)}\n`;
+        }
+        if (this.apiResults.prompt_templates?.length > 0) {
+            text += `${this.formatPromptTemplates(this.apiResults.prompt_templates)}\n`;
+        }
+
+        if (this.apiResults.ai_unavailable?.length > 0) {
+            text += `AI unavailable (invalid reply after retry): ${this.apiResults.ai_unavailable.map(u => u.check).join(', ')}\n`;
+        }
+
+        if (this.apiResults.consensus?.length > 0) {
+            text += 'Consensus:\n';
+            this.apiResults.consensus.forEach(c => {
+                text += `  - ${c.check}: ${Consensus.describe(c.consensus, c.labels)}\n`;
+            });
+        }
+
         if (this.apiResults.query_analysis) {
             text += `Query Structure Score: ${this.apiResults.query_analysis.structure_score || 'N/A'}/10\n`;
         }
@@ -1304,6 +1587,199 @@ ${this.generateFeedbackText()}
         return text;
     }
 
+    /**
+     * Generate machine-readable JSON report with every phase check
+     */
+    generateJSONReport() {
+        const toCheck = (check) => ({
+            id: check.id,
+            name: check.name,
+            status: check.status,
+            issues: check.issues || [],
+            warnings: check.warnings || [],
+            details: check.details || {}
+        });
+
+        const report = {
+            file: this.fileName,
+            profile: this.validatorResults?.profile || null,
+            metadata: {
+                domain: this.parsed?.metadata?.domain || null,
+                language: this.parsed?.metadata?.language || null,
+                turns: this.parsed?.turns?.length || 0,
+                modelPasses: this.parsed?.modelPasses?.length || 0
+            },
+            status: this.getOverallStatus(),
+            summary: this.getSummary(),
+            phases: {
+                phase1: (this.validatorResults?.phase1 || []).map(toCheck),
+                phase2: (this.validatorResults?.phase2 || []).map(toCheck),
+                phase3: (this.validatorResults?.phase3 || []).map(toCheck),
+                phase4: (this.validatorResults?.phase4 || []).map(toCheck)
+            },
+            apiResults: this.apiResults || null
+        };
+
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * Generate SARIF 2.1.0 report. Each issue becomes a result located at the
+     * notebook cell it refers to (index from cellOrder).
+     */
+    generateSARIFReport() {
+        const uri = this.fileName || 'notebook.ipynb';
+        const checks = [
+            ...(this.validatorResults?.phase1 || []),
+            ...(this.validatorResults?.phase2 || []),
+            ...(this.validatorResults?.phase3 || []),
+            ...(this.validatorResults?.phase4 || [])
+        ];
+
+        const rules = [];
+        const results = [];
+
+        checks.forEach(check => {
+            if (check.status === 'skipped') return;
+
+            const ruleId = `CFB${check.id}`;
+            let ruleIndex = rules.findIndex(r => r.id === ruleId);
+            if (ruleIndex === -1) {
+                rules.push({
+                    id: ruleId,
+                    name: check.name,
+                    shortDescription: { text: `${check.id} - ${check.name}` }
+                });
+                ruleIndex = rules.length - 1;
+            }
+
+            const issueLevel = check.status === 'failed' ? 'error' : 'warning';
+            const findings = [
+                ...(check.issues || []).map(text => ({ text, level: issueLevel })),
+                ...(check.warnings || []).map(text => ({ text, level: 'warning' }))
+            ];
+
+            findings.forEach(finding => {
+                const cellIndex = this.getCellIndexForIssue(check.id, finding.text);
+                const location = {
+                    physicalLocation: {
+                        artifactLocation: { uri: uri, index: 0 }
+                    }
+                };
+                if (cellIndex !== null) {
+                    location.logicalLocations = [{
+                        name: `cell ${cellIndex}`,
+                        fullyQualifiedName: `cells[${cellIndex}]`,
+                        kind: 'element'
+                    }];
+                }
+
+                results.push({
+                    ruleId: ruleId,
+                    ruleIndex: ruleIndex,
+                    level: finding.level,
+                    message: { text: String(finding.text) },
+                    locations: [location],
+                    properties: {
+                        cellIndex: cellIndex,
+                        checkStatus: check.status
+                    }
+                });
+            });
+        });
+
+        const sarif = {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'CFBench Review Tool',
+                        rules: rules
+                    }
+                },
+                artifacts: [{ location: { uri: uri } }],
+                results: results,
+                properties: {
+                    overallStatus: this.getOverallStatus(),
+                    profile: this.getProfileLabel()
+                }
+            }]
+        };
+
+        return JSON.stringify(sarif, null, 2);
+    }
+
+    /**
+     * Find the cellOrder index an issue refers to.
+     * Issues naming a model pass (e.g. "qwen3_2: ...") map to that pass's cell,
+     * otherwise the check's target cell from CHECK_CELL_TARGETS is used.
+     * @returns {number|null} Cell index, or null for notebook-level issues
+     */
+    getCellIndexForIssue(checkId, issue) {
+        const cellOrder = this.parsed?.cellOrder || [];
+        const target = CHECK_CELL_TARGETS[checkId];
+
+        const passMatch = String(issue).match(/(nemotron|qwen3?)_(\d+)\b/i);
+        if (passMatch) {
+            const model = passMatch[1].toLowerCase();
+            const passNumber = parseInt(passMatch[2]);
+            const passCells = cellOrder.filter(c =>
+                c.type.isModelPass && c.type.model === model && c.type.passNumber === passNumber);
+            if (passCells.length > 0) {
+                const sameType = passCells.find(c => target && c.type.type === target.type);
+                return (sameType || passCells[0]).index;
+            }
+        }
+
+        if (!target) return null;
+
+        const candidates = cellOrder.filter(c => c.type.type === target.type && !c.type.isModelPass);
+        if (candidates.length === 0) return null;
+
+        return target.position === 'last'
+            ? candidates[candidates.length - 1].index
+            : candidates[0].index;
+    }
+
+    /**
+     * Model breaking thresholds used by check 4.2 (profile may override the defaults)
+     */
+    getModelBreakingRule() {
+        const check42 = (this.validatorResults?.phase4 || []).find(c => c.id === '4.2');
+        const summary = check42?.details?.summary || {};
+        return {
+            failRateThreshold: summary.failRateThreshold ?? 50,
+            minFailingPasses: summary.minFailingPasses ?? 3
+        };
+    }
+
+    /**
+     * Active review profile label, e.g. "Italian Travel batch (v2)"
+     */
+    getProfileLabel() {
+        const profile = this.validatorResults?.profile;
+        if (!profile) return 'CFBench default';
+        return profile.version ? `${profile.name} (v${profile.version})` : profile.name;
+    }
+
+    /**
+     * List of profile overrides for the HTML header
+     */
+    generateProfileOverridesHTML() {
+        const overrides = this.validatorResults?.profile?.overrides || [];
+        if (overrides.length === 0) return '';
+        return `<div class="profile-overrides">Overrides: ${overrides.map(o => this.escapeHTML(o)).join(' &middot; ')}</div>`;
+    }
+
+    /**
+     * Profile overrides line for the text report
+     */
+    formatProfileOverridesText() {
+        const overrides = this.validatorResults?.profile?.overrides || [];
+        return overrides.length > 0 ? `\nOverrides: ${overrides.join('; ')}\n` : '\n';
+    }
+
     /**
      * Get overall status
      */
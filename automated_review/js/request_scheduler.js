@@ -0,0 +1,210 @@
+/**
+ * CFBench Request Scheduler
+ * Runs API requests concurrently within the provider's limits:
+ *   - requests per minute and tokens per minute, each a token bucket refilled continuously
+ *   - at most `concurrency` requests in flight
+ *   - a pause for everyone when a 429 arrives with Retry-After
+ * Queued and running requests can be cancelled; progress is reported through onProgress.
+ */
+
+const SCHEDULER_WINDOW_MS = 60000;
+
+class RequestScheduler {
+    /**
+     * @param {object} limits - { rpm, tpm, concurrency }; 0 or null means unlimited
+     */
+    constructor(limits = {}) {
+        this.queue = [];
+        this.active = new Set();
+        this.completed = 0;
+        this.total = 0;
+        this.pausedUntil = 0;
+        this.timer = null;
+        this.onProgress = null;
+        this.setLimits(limits);
+    }
+
+    /**
+     * Change the limits (e.g. when switching provider); buckets start full
+     */
+    setLimits(limits) {
+        this.rpm = limits.rpm || 0;
+        this.tpm = limits.tpm || 0;
+        this.concurrency = Math.max(1, limits.concurrency || 1);
+        this.requestBucket = this.rpm;
+        this.tokenBucket = this.tpm;
+        this.lastRefill = Date.now();
+    }
+
+    /**
+     * Rough token count of a prompt (~4 characters per token)
+     */
+    static estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    /**
+     * Queue a request
+     * @param {function} task - (signal: AbortSignal) => Promise
+     * @param {object} options - { tokens: estimated tokens the request consumes }
+     * @returns {Promise} Settles with the task's result, or rejects when cancelled
+     */
+    schedule(task, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                task: task,
+                // A request larger than the whole TPM budget still has to run eventually
+                tokens: this.tpm ? Math.min(options.tokens || 0, this.tpm) : 0,
+                resolve: resolve,
+                reject: reject,
+                controller: new AbortController()
+            });
+            this.total++;
+            this.reportProgress();
+            this.pump();
+        });
+    }
+
+    /**
+     * Stop dispatching until Retry-After has passed
+     * @param {number} ms - Delay requested by the server
+     */
+    pauseFor(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        this.pump();
+    }
+
+    /**
+     * Correct the token bucket once the real usage of a request is known
+     */
+    settleTokens(estimated, actual) {
+        if (!this.tpm) return;
+        this.tokenBucket = Math.min(this.tpm, this.tokenBucket + estimated - actual);
+    }
+
+    /**
+     * Reject every queued request and abort the running ones
+     */
+    cancel() {
+        const error = new Error('Cancelled');
+        error.cancelled = true;
+
+        this.queue.splice(0).forEach(job => job.reject(error));
+        this.active.forEach(job => job.controller.abort());
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.reportProgress();
+    }
+
+    /**
+     * Forget the progress counters (call at the start of a review)
+     */
+    resetProgress() {
+        this.completed = 0;
+        this.total = this.queue.length + this.active.size;
+    }
+
+    /**
+     * @returns {object} { queued, active, completed, total }
+     */
+    getProgress() {
+        return {
+            queued: this.queue.length,
+            active: this.active.size,
+            completed: this.completed,
+            total: this.total
+        };
+    }
+
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress(this.getProgress());
+        }
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = now - this.lastRefill;
+        this.lastRefill = now;
+        if (this.rpm) {
+            this.requestBucket = Math.min(this.rpm, this.requestBucket + elapsed * this.rpm / SCHEDULER_WINDOW_MS);
+        }
+        if (this.tpm) {
+            this.tokenBucket = Math.min(this.tpm, this.tokenBucket + elapsed * this.tpm / SCHEDULER_WINDOW_MS);
+        }
+    }
+
+    /**
+     * Milliseconds until the next queued request may start (0 = now)
+     */
+    getWait(job) {
+        const now = Date.now();
+        if (this.pausedUntil > now) {
+            return this.pausedUntil - now;
+        }
+
+        this.refill();
+        let wait = 0;
+        if (this.rpm && this.requestBucket < 1) {
+            wait = Math.max(wait, (1 - this.requestBucket) * SCHEDULER_WINDOW_MS / this.rpm);
+        }
+        if (this.tpm && this.tokenBucket < job.tokens) {
+            wait = Math.max(wait, (job.tokens - this.tokenBucket) * SCHEDULER_WINDOW_MS / this.tpm);
+        }
+        return Math.ceil(wait);
+    }
+
+    /**
+     * Start as many queued requests as the limits allow
+     */
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.queue.length > 0 && this.active.size < this.concurrency) {
+            const wait = this.getWait(this.queue[0]);
+            if (wait > 0) {
+                this.timer = setTimeout(() => this.pump(), wait);
+                return;
+            }
+            this.start(this.queue.shift());
+        }
+    }
+
+    start(job) {
+        if (this.rpm) this.requestBucket -= 1;
+        if (this.tpm) this.tokenBucket -= job.tokens;
+        this.active.add(job);
+        this.reportProgress();
+
+        Promise.resolve()
+            .then(() => {
+                // Cancelled between dispatch and the task actually starting
+                if (job.controller.signal.aborted) {
+                    throw new Error('Cancelled');
+                }
+                return job.task(job.controller.signal);
+            })
+            .then(job.resolve, error => {
+                if (job.controller.signal.aborted) {
+                    error = new Error('Cancelled');
+                    error.cancelled = true;
+                }
+                job.reject(error);
+            })
+            .finally(() => {
+                this.active.delete(job);
+                this.completed++;
+                this.reportProgress();
+                this.pump();
+            });
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.RequestScheduler = RequestScheduler;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestScheduler;
+}
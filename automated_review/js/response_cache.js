@@ -0,0 +1,123 @@
+/**
+ * CFBench Response Cache
+ * Keeps AI responses in IndexedDB keyed by a hash of provider + model + prompt + temperature,
+ * so re-running a review on an unchanged notebook does not spend the daily quota again.
+ * Used by APIHandler.callGemini(); every prompt-based check goes through it.
+ */
+
+const RESPONSE_CACHE_DB = 'cfbench-response-cache';
+const RESPONSE_CACHE_VERSION = 1;
+const RESPONSE_CACHE_STORE = 'responses';
+
+class ResponseCache {
+    /**
+     * @param {IDBFactory} factory - IndexedDB implementation (defaults to the browser's)
+     */
+    constructor(factory = null) {
+        this.factory = factory || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+    }
+
+    /**
+     * Cache key for one request
+     * @param {number} sample - Consensus sample index (0 = a regular call)
+     * @returns {Promise<string>} SHA-256 hex digest
+     */
+    static async makeKey(provider, model, prompt, temperature, sample = 0) {
+        const parts = [provider, model, temperature, prompt];
+        if (sample) parts.push(sample);
+        const text = JSON.stringify(parts);
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    isAvailable() {
+        return !!this.factory;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!this.factory) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.factory.open(RESPONSE_CACHE_DB, RESPONSE_CACHE_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(RESPONSE_CACHE_STORE)) {
+                    db.createObjectStore(RESPONSE_CACHE_STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(new Error(`Failed to open response cache: ${request.error?.message}`));
+        });
+    }
+
+    /**
+     * Run a request against the responses store
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {function} makeRequest - (store) => IDBRequest
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(RESPONSE_CACHE_STORE, mode);
+            const request = makeRequest(transaction.objectStore(RESPONSE_CACHE_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(new Error(`Response cache error: ${transaction.error?.message}`));
+        });
+    }
+
+    /**
+     * Cached response for a key
+     * @returns {Promise<object|null>} { key, provider, model, text, usage, timestamp }
+     */
+    async get(key) {
+        const record = await this.run('readonly', store => store.get(key));
+        return record || null;
+    }
+
+    /**
+     * Store a response
+     * @param {string} key - From makeKey()
+     * @param {object} entry - { provider, model, text, usage }
+     */
+    put(key, entry) {
+        const record = {
+            key: key,
+            provider: entry.provider,
+            model: entry.model,
+            text: entry.text,
+            usage: entry.usage || null,
+            timestamp: new Date().toISOString()
+        };
+        return this.run('readwrite', store => store.put(record));
+    }
+
+    count() {
+        return this.run('readonly', store => store.count());
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.ResponseCache = ResponseCache;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseCache;
+}
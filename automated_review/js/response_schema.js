@@ -0,0 +1,355 @@
+/**
+ * CFBench Response Schemas
+ * JSON Schema of the reply of every AI check in APIHandler, sent as structured output
+ * where the provider supports it and used to validate the reply before it reaches the report.
+ * The validator covers the subset the schemas use: type, enum, required, properties,
+ * items, minimum and maximum.
+ */
+
+const SCHEMA_STRING = { type: 'string' };
+const SCHEMA_BOOLEAN = { type: 'boolean' };
+const SCHEMA_COUNT = { type: 'integer', minimum: 0 };
+const SCHEMA_CONFIDENCE = { type: 'number', minimum: 0, maximum: 1 };
+const SCHEMA_STRING_LIST = { type: 'array', items: SCHEMA_STRING };
+
+const RESPONSE_SCHEMAS = {
+    // validateQueryStructure()
+    query_structure: {
+        type: 'object',
+        required: ['structure_analysis', 'request_analysis', 'instruction_verification', 'overall_score', 'status', 'issues', 'summary'],
+        properties: {
+            structure_analysis: {
+                type: 'object',
+                required: ['is_70_30_compliant', 'constraints_stacked_at_end'],
+                properties: {
+                    is_70_30_compliant: SCHEMA_BOOLEAN,
+                    scenario_portion: SCHEMA_STRING,
+                    constraints_portion: SCHEMA_STRING,
+                    constraints_stacked_at_end: SCHEMA_BOOLEAN
+                }
+            },
+            request_analysis: {
+                type: 'object',
+                required: ['is_actual_request'],
+                properties: {
+                    is_actual_request: SCHEMA_BOOLEAN,
+                    request_type: SCHEMA_STRING,
+                    red_flags: SCHEMA_STRING_LIST
+                }
+            },
+            instruction_verification: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['instruction', 'found_in_query'],
+                    properties: {
+                        instruction: SCHEMA_STRING,
+                        found_in_query: SCHEMA_BOOLEAN,
+                        explicit: SCHEMA_BOOLEAN,
+                        evidence: SCHEMA_STRING,
+                        issue: SCHEMA_STRING
+                    }
+                }
+            },
+            overall_score: { type: 'integer', minimum: 1, maximum: 10 },
+            status: { type: 'string', enum: ['PASS', 'MINOR_ISSUES', 'MAJOR_ISSUES'] },
+            issues: SCHEMA_STRING_LIST,
+            summary: SCHEMA_STRING
+        }
+    },
+
+    // validateLLMJudgeIntegration()
+    llm_judge_integration: {
+        type: 'object',
+        required: ['all_integrated', 'checks'],
+        properties: {
+            all_integrated: SCHEMA_BOOLEAN,
+            checks: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['uid', 'integrated'],
+                    properties: {
+                        uid: { type: 'number' },
+                        integrated: SCHEMA_BOOLEAN,
+                        evidence: SCHEMA_STRING
+                    }
+                }
+            },
+            issues: SCHEMA_STRING_LIST,
+            summary: SCHEMA_STRING
+        }
+    },
+
+    // detectModelEvasion()
+    evasion_detection: {
+        type: 'object',
+        required: ['is_evasion', 'evasion_type'],
+        properties: {
+            is_evasion: SCHEMA_BOOLEAN,
+            evasion_type: { type: 'string', enum: ['none', 'clarification', 'apology', 'refusal', 'partial'] },
+            confidence: SCHEMA_CONFIDENCE,
+            evidence: SCHEMA_STRING,
+            recommendation: SCHEMA_STRING
+        }
+    },
+
+    // validateConstraintsInQuery()
+    constraints_in_query: {
+        type: 'object',
+        required: ['total_constraints', 'explicit_in_query', 'hidden_constraints', 'critical_issues', 'overall_valid'],
+        properties: {
+            total_constraints: SCHEMA_COUNT,
+            explicit_in_query: SCHEMA_COUNT,
+            hidden_constraints: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'status'],
+                    properties: {
+                        id: SCHEMA_STRING,
+                        details: SCHEMA_STRING,
+                        status: { type: 'string', enum: ['MISSING', 'IMPLICIT', 'FOUND'] },
+                        evidence: SCHEMA_STRING
+                    }
+                }
+            },
+            llm_judge_check: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['uid', 'found_in_query'],
+                    properties: {
+                        uid: { type: 'number' },
+                        content: SCHEMA_STRING,
+                        found_in_query: SCHEMA_BOOLEAN,
+                        evidence: SCHEMA_STRING
+                    }
+                }
+            },
+            critical_issues: SCHEMA_STRING_LIST,
+            warnings: SCHEMA_STRING_LIST,
+            overall_valid: SCHEMA_BOOLEAN,
+            summary: SCHEMA_STRING
+        }
+    },
+
+    // verifyConstraintInQuery()
+    constraint_verification: {
+        type: 'object',
+        required: ['found', 'evidence'],
+        properties: {
+            found: SCHEMA_BOOLEAN,
+            evidence: SCHEMA_STRING,
+            confidence: SCHEMA_CONFIDENCE,
+            note: SCHEMA_STRING
+        }
+    },
+
+    // verifyConstraintsBatch()
+    constraint_verification_batch: {
+        type: 'object',
+        required: ['results'],
+        properties: {
+            results: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'found'],
+                    properties: {
+                        id: SCHEMA_STRING,
+                        found: SCHEMA_BOOLEAN,
+                        evidence: SCHEMA_STRING,
+                        confidence: SCHEMA_CONFIDENCE
+                    }
+                }
+            }
+        }
+    },
+
+    // validateIntermediateTurn()
+    intermediate_turn: {
+        type: 'object',
+        required: ['content_issues', 'thinking_issues', 'language_issues', 'overall_status', 'summary'],
+        properties: {
+            turn_index: { type: 'integer', minimum: 1 },
+            content_issues: {
+                type: 'object',
+                required: ['addresses_prompt', 'has_hallucinations'],
+                properties: {
+                    addresses_prompt: SCHEMA_BOOLEAN,
+                    has_unstated_conditions: SCHEMA_BOOLEAN,
+                    has_hallucinations: SCHEMA_BOOLEAN,
+                    is_complete: SCHEMA_BOOLEAN,
+                    issues: SCHEMA_STRING_LIST
+                }
+            },
+            thinking_issues: {
+                type: 'object',
+                required: ['answer_from_thinking'],
+                properties: {
+                    covers_possibilities: SCHEMA_BOOLEAN,
+                    answer_from_thinking: SCHEMA_BOOLEAN,
+                    step_by_step: SCHEMA_BOOLEAN,
+                    issues: SCHEMA_STRING_LIST
+                }
+            },
+            language_issues: {
+                type: 'object',
+                properties: {
+                    thinking_correct_language: SCHEMA_BOOLEAN,
+                    response_correct_language: SCHEMA_BOOLEAN,
+                    detected_thinking_lang: SCHEMA_STRING,
+                    detected_response_lang: SCHEMA_STRING,
+                    issues: SCHEMA_STRING_LIST
+                }
+            },
+            overall_status: { type: 'string', enum: ['PASS', 'MINOR_ISSUES', 'MAJOR_ISSUES'] },
+            summary: SCHEMA_STRING
+        }
+    },
+
+    // comprehensiveReview()
+    comprehensive_review: {
+        type: 'object',
+        required: ['instruction_check', 'llm_judge_check', 'model_pass_check', 'overall_status', 'critical_issues', 'warnings'],
+        properties: {
+            instruction_check: {
+                type: 'object',
+                required: ['total_instructions', 'explicitly_in_query', 'missing_or_implicit'],
+                properties: {
+                    total_instructions: SCHEMA_COUNT,
+                    explicitly_in_query: SCHEMA_COUNT,
+                    missing_or_implicit: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'status'],
+                            properties: {
+                                id: SCHEMA_STRING,
+                                status: { type: 'string', enum: ['missing', 'implicit'] },
+                                issue: SCHEMA_STRING
+                            }
+                        }
+                    }
+                }
+            },
+            llm_judge_check: {
+                type: 'object',
+                required: ['total', 'integrated', 'missing'],
+                properties: {
+                    total: SCHEMA_COUNT,
+                    integrated: SCHEMA_COUNT,
+                    missing: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['uid'],
+                            properties: {
+                                uid: { type: 'number' },
+                                content: SCHEMA_STRING,
+                                issue: SCHEMA_STRING
+                            }
+                        }
+                    }
+                }
+            },
+            model_pass_check: {
+                type: 'object',
+                required: ['golden_passes_all', 'passes_that_pass_all', 'distribution_valid'],
+                properties: {
+                    golden_passes_all: SCHEMA_BOOLEAN,
+                    passes_that_pass_all: SCHEMA_COUNT,
+                    distribution_valid: SCHEMA_BOOLEAN,
+                    issues: SCHEMA_STRING_LIST
+                }
+            },
+            overall_status: { type: 'string', enum: ['PASS', 'MINOR_REVISION', 'MAJOR_REVISION'] },
+            critical_issues: SCHEMA_STRING_LIST,
+            warnings: SCHEMA_STRING_LIST,
+            feedback_for_trainer: SCHEMA_STRING
+        }
+    }
+};
+
+class ResponseSchema {
+    /**
+     * Schema of an AI check
+     * @param {string} name - Key of RESPONSE_SCHEMAS
+     */
+    static get(name) {
+        const schema = RESPONSE_SCHEMAS[name];
+        if (!schema) {
+            throw new Error(`Unknown response schema: ${name}`);
+        }
+        return schema;
+    }
+
+    /**
+     * Validate a parsed reply
+     * @param {*} value - Parsed JSON
+     * @param {object} schema - JSON Schema (subset, see above)
+     * @param {string} path - Location of value in the reply, used in the messages
+     * @returns {string[]} Validation errors, empty when the value matches
+     */
+    static validate(value, schema, path = '$') {
+        const actual = ResponseSchema.typeOf(value);
+        const types = [].concat(schema.type || []);
+        if (types.length > 0 && !types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+            return [`${path}: expected ${types.join(' or ')}, got ${actual}`];
+        }
+
+        const errors = [];
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+        }
+        if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+        }
+
+        if (actual === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key}: required property missing`);
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined) {
+                    errors.push(...ResponseSchema.validate(value[key], propertySchema, `${path}.${key}`));
+                }
+            });
+        }
+
+        if (actual === 'array' && schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...ResponseSchema.validate(item, schema.items, `${path}[${i}]`));
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * JSON Schema type name of a value
+     */
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+}
+
+ResponseSchema.SCHEMAS = RESPONSE_SCHEMAS;
+
+// Export
+if (typeof window !== 'undefined') {
+    window.ResponseSchema = ResponseSchema;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseSchema;
+}
@@ -0,0 +1,465 @@
+/**
+ * CFBench Review Engine
+ * The one review pipeline behind every page: NotebookParser -> Validators (review profile,
+ * rule registry) -> optional AI checks (APIHandler). Each page is a view over the review it returns:
+ *
+ *   index.html           full report (ReportGenerator)
+ *   review.html          quick cascade (getCascade); its AI checks are notes on the engine checks
+ *   italian_review.html  language rubric (getCells for the prompts, engine verdict alongside)
+ *   simple.html          constraint table (getConstraintTable)
+ *
+ * A review is a plain object:
+ *   { fileName, notebook, parsed, summary, validators, results, apiResults }
+ * results is null until runChecks(), apiResults null until runAIChecks().
+ */
+
+// Overall statuses from best to worst
+const REVIEW_STATUS_ORDER = ['PASS', 'NEEDS_REVIEW', 'MINOR_REVISION', 'MAJOR_REVISION'];
+
+// Quick cascade: the phases in the order a reviewer fixes them
+const REVIEW_CASCADE_STEPS = [
+    { phase: 1, name: 'Structure' },
+    { phase: 2, name: 'Content' },
+    { phase: 3, name: 'Metadata' },
+    { phase: 4, name: 'Model Passes' }
+];
+
+class ReviewEngine {
+    /**
+     * @param {object} options - { apiHandler: APIHandler for runAIChecks(), profile: ReviewProfile,
+     *                             registry: RuleRegistry (a fresh default registry per review when omitted) }
+     */
+    constructor(options = {}) {
+        this.apiHandler = options.apiHandler || null;
+        this.profile = options.profile || null;
+        this.registry = options.registry || null;
+    }
+
+    setApiHandler(apiHandler) {
+        this.apiHandler = apiHandler;
+    }
+
+    /**
+     * Set the review profile applied to every review run afterwards
+     * @param {ReviewProfile|null} profile
+     */
+    setProfile(profile) {
+        this.profile = profile;
+    }
+
+    /**
+     * Parse a notebook
+     * @param {string} content - .ipynb JSON or Colab .py export
+     * @param {string} fileName - Original file name, used to detect .py exports
+     * @returns {object} Review without results
+     * @throws {Error} When the file cannot be parsed
+     */
+    load(content, fileName = '') {
+        const parser = new NotebookParser();
+        parser.parseText(content, fileName);
+        return this.createReview(fileName, parser);
+    }
+
+    /**
+     * Parse a notebook from a File input (browser)
+     * @param {File} file - The .ipynb or .py file
+     * @returns {Promise<object>} Review without results
+     */
+    async loadFile(file) {
+        const parser = new NotebookParser();
+        await parser.parseFile(file);
+        return this.createReview(file.name, parser);
+    }
+
+    createReview(fileName, parser) {
+        return {
+            fileName: fileName,
+            notebook: parser.notebook,
+            parsed: parser.parsed,
+            summary: parser.getSummary(),
+            validators: null,
+            results: null,
+            apiResults: null
+        };
+    }
+
+    /**
+     * Validators for a parsed notebook with the engine's registry and profile applied
+     */
+    createValidators(parsed) {
+        const validators = new Validators(parsed, null, this.registry);
+        if (this.profile) {
+            validators.setProfile(this.profile);
+        }
+        return validators;
+    }
+
+    /**
+     * Run the deterministic checks (phases 1-4)
+     * @param {object} review - From load() / loadFile()
+     * @returns {object} The review, with validators and results set
+     */
+    runChecks(review) {
+        review.validators = this.createValidators(review.parsed);
+        review.results = review.validators.runAll();
+        review.apiResults = null;
+        return review;
+    }
+
+    /**
+     * Parse and run the deterministic checks in one go
+     */
+    review(content, fileName = '') {
+        return this.runChecks(this.load(content, fileName));
+    }
+
+    /**
+     * Templates of the profile's project and the notebook language win over prompts/*.md
+     */
+    setPromptContext(review) {
+        this.apiHandler.prompts.setContext({
+            project: this.profile?.prompts,
+            language: review.parsed.metadata?.language
+        });
+    }
+
+    /**
+     * Run only the rules that need the API (AI verification of checks 2.3 and 2.6), without the
+     * other AI checks of a full review (call after runChecks())
+     * @returns {Promise<object>} Updated results
+     */
+    async runApiRules(review) {
+        if (!this.apiHandler) {
+            throw new Error('No API handler set: call setApiHandler() first');
+        }
+        this.setPromptContext(review);
+        review.results = await review.validators.runApiChecks(this.apiHandler);
+        return review.results;
+    }
+
+    /**
+     * Run the AI checks of a full review (call after runChecks()). Independent checks run
+     * concurrently; the request scheduler keeps them within the provider's limits.
+     * A failed check is logged and left out of the results, a cancelled one stops the review,
+     * and a check whose reply never matched its schema is listed as AI unavailable.
+     * @param {object} review - Review with results
+     * @param {object} hooks - { onStreams: (streams) => void before the checks start,
+     *                           onStreamResult: (id, result) => void when a streamed check settles,
+     *                           isCancelled: () => boolean }
+     * @returns {Promise<object>} apiResults, also set on the review
+     * @throws {Error} 'Validation cancelled' when isCancelled() turns true
+     */
+    async runAIChecks(review, hooks = {}) {
+        const apiHandler = this.apiHandler;
+        if (!apiHandler) {
+            throw new Error('No API handler set: call setApiHandler() first');
+        }
+        const parsed = review.parsed;
+        const validators = review.validators;
+        const isCancelled = hooks.isCancelled || (() => false);
+
+        apiHandler.resetCacheStats();
+        apiHandler.usage.resetReview();
+        this.setPromptContext(review);
+        apiHandler.prompts.resetUsed();
+
+        const unavailableChecks = [];
+        const settle = (promise, label, stream = null) => promise.then(result => {
+            if (stream && hooks.onStreamResult) hooks.onStreamResult(stream, result);
+            if (result?.ai_unavailable) {
+                unavailableChecks.push({ check: label, errors: result.validation_errors });
+                return null;
+            }
+            return result;
+        }).catch(e => {
+            if (!e.cancelled) console.warn(`${label} failed:`, e);
+            if (stream && hooks.onStreamResult) hooks.onStreamResult(stream, { error: `${label} failed: ${e.message}` });
+            return null;
+        });
+
+        const userQuery = parsed.finalTurn?.user?.content || '';
+        const evasionPasses = parsed.modelPasses.slice(0, 2);
+
+        if (hooks.onStreams) {
+            hooks.onStreams([
+                { id: 'query_analysis', title: 'Query Structure Analysis' },
+                { id: 'constraints_validation', title: 'Constraints in Query Validation' },
+                { id: 'llm_judge_integration', title: 'LLM Judge Integration' },
+                ...evasionPasses.map((pass, i) => ({
+                    id: `evasion_${i}`,
+                    title: `Evasion Check: ${pass.model}_${pass.passNumber}`
+                })),
+                { id: 'comprehensive_review', title: 'Comprehensive Review' }
+            ]);
+        }
+
+        const [queryResult, constraintsResult, llmJudgeResult, evasionResults] = await Promise.all([
+            // Query structure (with instructions for detailed check)
+            settle(apiHandler.validateQueryStructure(
+                userQuery,
+                parsed.metadata?.scenario || '',
+                parsed.finalTurn?.turnMetadata?.instructions || []
+            ), 'Query structure check', 'query_analysis'),
+            // Constraints in query (CRITICAL CHECK)
+            settle(apiHandler.validateConstraintsInQuery(
+                parsed.finalTurn?.turnMetadata || {},
+                userQuery
+            ), 'Constraints validation', 'constraints_validation'),
+            // llm_judge integration
+            settle(apiHandler.validateLLMJudgeIntegration(
+                userQuery,
+                parsed.finalTurn?.turnMetadata?.llmJudge || []
+            ), 'LLM Judge check', 'llm_judge_integration'),
+            // Evasions in the first two model passes
+            Promise.all(evasionPasses.map((pass, i) => settle(
+                apiHandler.detectModelEvasion(pass.assistant?.content || '', userQuery, `evasion_${i}`),
+                `Evasion check for pass ${i}`,
+                `evasion_${i}`
+            ))),
+            // Rules that need the API (e.g. AI verification for checks 2.3 and 2.6)
+            validators.runApiChecks(apiHandler)
+        ]);
+
+        if (isCancelled()) throw new Error('Validation cancelled');
+
+        const evasions = [];
+        evasionResults.forEach((evasionResult, i) => {
+            if (evasionResult?.is_evasion) {
+                const pass = evasionPasses[i];
+                evasions.push({
+                    pass: `${pass.model}_${pass.passNumber}`,
+                    type: evasionResult.evasion_type,
+                    evidence: evasionResult.evidence
+                });
+            }
+        });
+
+        // Consensus mode: votes of the evasion checks and of the constraints of check 2.3
+        const consensusChecks = [];
+        evasionResults.forEach((evasionResult, i) => {
+            if (evasionResult?.consensus) {
+                const pass = evasionPasses[i];
+                consensusChecks.push({
+                    check: `Evasion ${pass.model}_${pass.passNumber}`,
+                    labels: ['evasion', 'no evasion'],
+                    consensus: evasionResult.consensus
+                });
+            }
+        });
+        const check23 = ReviewEngine.getCheck(review, '2.3');
+        (check23?.details?.verificationResults || []).forEach(r => {
+            if (r.consensus) {
+                consensusChecks.push({
+                    check: `2.3 ${r.instruction_id}`,
+                    labels: ['found', 'not found'],
+                    consensus: r.consensus
+                });
+            }
+        });
+
+        // Comprehensive review (needs the AI-assisted check results)
+        const comprehensiveResult = await settle(
+            apiHandler.comprehensiveReview(parsed, validators), 'Comprehensive review', 'comprehensive_review');
+
+        if (isCancelled()) throw new Error('Validation cancelled');
+
+        review.apiResults = {
+            query_analysis: queryResult || {},
+            constraints_validation: constraintsResult || {},
+            llm_judge_integration: llmJudgeResult || {},
+            model_passes_analysis: {
+                evasions_detected: evasions,
+                difficulty_appropriate: evasions.length < 2
+            },
+            ...(comprehensiveResult || {}),
+            overall_status: ReviewEngine.combineStatus(review.results, constraintsResult, comprehensiveResult),
+            ai_unavailable: unavailableChecks,
+            consensus: consensusChecks,
+            prompt_templates: apiHandler.prompts.getUsed(),
+            cache_stats: apiHandler.getCacheStats(),
+            usage: apiHandler.usage.getReviewUsage()
+        };
+        return review.apiResults;
+    }
+
+    /**
+     * Overall status of a review with AI results: constraints hidden from the query are a major
+     * revision, otherwise the comprehensive review decides, otherwise the deterministic counts
+     */
+    static combineStatus(results, constraintsResult, comprehensiveResult) {
+        const hasHiddenConstraints = constraintsResult?.critical_issues?.length > 0 ||
+                                     constraintsResult?.overall_valid === false;
+
+        if (hasHiddenConstraints) return 'MAJOR_REVISION';
+        if (comprehensiveResult?.overall_status) return comprehensiveResult.overall_status;
+        if (results.summary.failed > 2) return 'MAJOR_REVISION';
+        if (results.summary.failed > 0) return 'MINOR_REVISION';
+        if (results.summary.needsReview > 0) return 'NEEDS_REVIEW';
+        return 'PASS';
+    }
+
+    /**
+     * Overall status of a review: the AI verdict when the AI checks ran, the deterministic one otherwise
+     */
+    static getStatus(review) {
+        return review.apiResults?.overall_status || review.results?.summary.status || null;
+    }
+
+    /**
+     * The worse of two overall statuses (unknown statuses count as the worst); review.html
+     * combines the engine status with its AI notes this way
+     */
+    static worstStatus(a, b) {
+        const rank = (status) => {
+            const index = REVIEW_STATUS_ORDER.indexOf(status);
+            return index === -1 ? REVIEW_STATUS_ORDER.length : index;
+        };
+        return rank(a) >= rank(b) ? a : b;
+    }
+
+    /**
+     * Result of one check (e.g. '2.3'), or null
+     */
+    static getCheck(review, id) {
+        if (!review.results) return null;
+        for (const step of REVIEW_CASCADE_STEPS) {
+            const check = review.results[`phase${step.phase}`].find(c => c.id === id);
+            if (check) return check;
+        }
+        return null;
+    }
+
+    /**
+     * Text of the cells the AI rubrics quote, from the parsed notebook
+     * @returns {object} { system, userFinal, userTurns: [], golden, turnMetadata, validatorAssistant,
+     *                     validatorHuman, modelValidators: [{ name, raw }] }
+     */
+    static getCells(parsed) {
+        const turnMetadata = parsed.finalTurn?.turnMetadata;
+        const userTurns = parsed.turns.map(t => t.user?.content || '');
+        if (parsed.finalTurn?.user) userTurns.push(parsed.finalTurn.user.content);
+
+        return {
+            system: parsed.system?.content || '',
+            userFinal: parsed.finalTurn?.user?.content || '',
+            userTurns: userTurns,
+            golden: parsed.finalTurn?.assistant?.content || '',
+            turnMetadata: turnMetadata?.json ? JSON.stringify(turnMetadata.json, null, 2) : (turnMetadata?.raw || ''),
+            validatorAssistant: parsed.finalTurn?.validatorAssistant?.raw || '',
+            validatorHuman: parsed.finalTurn?.validatorHuman?.raw || '',
+            modelValidators: parsed.modelPasses
+                .filter(pass => pass.validatorAssistant)
+                .map(pass => ({ name: `${pass.model}_${pass.passNumber}`, raw: pass.validatorAssistant.raw || '' }))
+        };
+    }
+
+    /**
+     * Constraint table view: every turn_metadata constraint with the quote that states it.
+     * User constraints come from check 2.3 (AI verified when the AI checks ran), system ones from
+     * check 2.7 and llm_judge items from check 3.4, so the verdicts match the full report.
+     * @returns {object} { userConstraints: [row], systemConstraints: [row], summary: { total, pass, fail, review } }
+     *   row: { id, description, source, status: PASS|FAIL|REVIEW|MISMATCH, quote, method }
+     */
+    static getConstraintTable(review) {
+        const table = {
+            userConstraints: [],
+            systemConstraints: [],
+            summary: { total: 0, pass: 0, fail: 0, review: 0 }
+        };
+
+        const rowStatus = (r) => {
+            if (r.semanticMismatch) return 'MISMATCH';
+            if (r.found === true) return 'PASS';
+            // Regex misses numbers written in words: only the AI can say a constraint is missing
+            if (r.found === false && r.method === 'AI') return 'FAIL';
+            return 'REVIEW';
+        };
+
+        const userResults = ReviewEngine.getCheck(review, '2.3')?.details?.verificationResults || [];
+        userResults.forEach(r => {
+            table.userConstraints.push({
+                id: r.instruction_id,
+                description: r.constraint_description || r.instruction_id,
+                source: 'user',
+                status: rowStatus(r),
+                quote: r.exact_quote || r.evidence || 'Not found',
+                method: r.method || 'regex'
+            });
+        });
+
+        const systemResults = ReviewEngine.getCheck(review, '2.7')?.details?.verificationResults || [];
+        systemResults.forEach(r => {
+            table.systemConstraints.push({
+                id: r.instruction_id,
+                description: r.instruction_id,
+                source: 'system',
+                status: rowStatus(r),
+                quote: r.evidence || 'Not found',
+                method: 'regex'
+            });
+        });
+
+        const judges = ReviewEngine.getCheck(review, '3.4')?.details?.analysis || [];
+        judges.forEach(judge => {
+            table.userConstraints.push({
+                id: `llm_judge_${judge.uid}`,
+                description: `LLM Judge: "${judge.content.substring(0, 50)}..."`,
+                source: 'user',
+                status: judge.issues.includes('not_in_query') ? 'REVIEW' : 'PASS',
+                quote: judge.content,
+                method: 'keywords'
+            });
+        });
+
+        [...table.userConstraints, ...table.systemConstraints].forEach(row => {
+            table.summary.total++;
+            if (row.status === 'PASS') table.summary.pass++;
+            else if (row.status === 'REVIEW') table.summary.review++;
+            else table.summary.fail++;
+        });
+
+        return table;
+    }
+
+    /**
+     * Quick cascade view: one step per phase, in the order a reviewer fixes them. The cascade
+     * stops at the first failed step; later steps are still reported, marked afterFailure.
+     * @returns {object} { status, steps: [{ phase, name, status: passed|needs_review|warning|failed,
+     *                     checks, issues: [{ id, text }], afterFailure }], stoppedAt: phase or null }
+     */
+    static getCascade(review) {
+        let stoppedAt = null;
+        const steps = REVIEW_CASCADE_STEPS.map(step => {
+            const checks = review.results[`phase${step.phase}`];
+            let status = 'passed';
+            if (checks.some(c => c.status === 'failed')) status = 'failed';
+            else if (checks.some(c => c.status === 'needs_review')) status = 'needs_review';
+            else if (checks.some(c => c.status === 'warning' || c.warnings?.length > 0)) status = 'warning';
+
+            const result = {
+                phase: step.phase,
+                name: step.name,
+                status: status,
+                checks: checks,
+                issues: checks.flatMap(c => (c.status === 'failed' ? c.issues || [] : []).map(text => ({ id: c.id, text: text }))),
+                afterFailure: stoppedAt !== null
+            };
+            if (status === 'failed' && stoppedAt === null) stoppedAt = step.phase;
+            return result;
+        });
+
+        return {
+            status: ReviewEngine.getStatus(review),
+            steps: steps,
+            stoppedAt: stoppedAt
+        };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.ReviewEngine = ReviewEngine;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewEngine;
+}
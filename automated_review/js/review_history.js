@@ -0,0 +1,219 @@
+/**
+ * CFBench Review History
+ * Keeps every completed review in IndexedDB so results survive a reload:
+ * file hash, filename, timestamp, NotebookParser.getSummary(), validator results,
+ * API results, feedback text and the notebook JSON (to reopen the report).
+ */
+
+const REVIEW_HISTORY_DB = 'cfbench-review-history';
+const REVIEW_HISTORY_VERSION = 1;
+const REVIEW_HISTORY_STORE = 'reviews';
+
+class ReviewHistory {
+    /**
+     * @param {IDBFactory} factory - IndexedDB implementation (defaults to the browser's)
+     */
+    constructor(factory = null) {
+        this.factory = factory || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+    }
+
+    /**
+     * SHA-256 of the file contents, used to recognise the same notebook uploaded twice
+     * @param {string} text - File contents
+     * @returns {Promise<string>} Hex digest
+     */
+    static async hashText(text) {
+        const bytes = new TextEncoder().encode(text);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Build a history record from a finished review
+     * @param {object} review - { hash, fileName, summary, results, apiResults, feedback, notebook }
+     */
+    static createRecord(review) {
+        // Results can hold class instances or RegExps; store plain JSON only
+        const plain = (value) => value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+
+        return {
+            hash: review.hash,
+            fileName: review.fileName,
+            timestamp: review.timestamp || new Date().toISOString(),
+            status: review.status || review.results?.summary?.status || null,
+            summary: plain(review.summary),
+            results: plain(review.results),
+            apiResults: plain(review.apiResults),
+            feedback: review.feedback || '',
+            notebook: plain(review.notebook)
+        };
+    }
+
+    isAvailable() {
+        return !!this.factory;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!this.factory) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.factory.open(REVIEW_HISTORY_DB, REVIEW_HISTORY_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(REVIEW_HISTORY_STORE)) {
+                    const store = db.createObjectStore(REVIEW_HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('hash', 'hash', { unique: false });
+                    store.createIndex('timestamp', 'timestamp', { unique: false });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(new Error(`Failed to open review history: ${request.error?.message}`));
+        });
+    }
+
+    /**
+     * Run a request against the reviews store
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {function} makeRequest - (store) => IDBRequest
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(REVIEW_HISTORY_STORE, mode);
+            const request = makeRequest(transaction.objectStore(REVIEW_HISTORY_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(new Error(`Review history error: ${transaction.error?.message}`));
+        });
+    }
+
+    /**
+     * Save a finished review
+     * @param {object} review - See createRecord()
+     * @returns {Promise<number>} id of the stored record
+     */
+    add(review) {
+        const record = ReviewHistory.createRecord(review);
+        return this.run('readwrite', store => store.add(record));
+    }
+
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+
+    /**
+     * All reviews, newest first
+     */
+    async getAll() {
+        const records = await this.run('readonly', store => store.getAll());
+        return records.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    /**
+     * Earlier reviews of the same file contents, newest first
+     * @param {string} hash - From hashText()
+     */
+    async findByHash(hash) {
+        const records = await this.run('readonly', store => store.index('hash').getAll(hash));
+        return records.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    /**
+     * Reviews whose filename, domain, language or status contain the query
+     */
+    async search(query = '') {
+        const records = await this.getAll();
+        return ReviewHistory.filterRecords(records, query);
+    }
+
+    static filterRecords(records, query = '') {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return records;
+
+        return records.filter(record => {
+            const haystack = [
+                record.fileName,
+                record.status,
+                record.summary?.domain,
+                record.summary?.language,
+                record.hash
+            ].filter(Boolean).join(' ').toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    /**
+     * History list HTML. Rows call reopenHistoryReview(id) and deleteHistoryReview(id),
+     * both defined by the host page.
+     * @param {Array} records - From getAll() / search()
+     * @param {string} highlightHash - Mark reviews of this file (e.g. the one just uploaded)
+     */
+    generateListHTML(records, highlightHash = null) {
+        if (records.length === 0) {
+            return '<p class="table-note">No reviews saved yet.</p>';
+        }
+
+        const rowsHTML = records.map(record => {
+            const status = record.status || 'N/A';
+            const statusClass = status === 'PASS' ? 'status-pass' :
+                               status === 'NEEDS_REVIEW' ? 'status-needs-review' :
+                               status === 'MINOR_REVISION' ? 'status-minor' : 'status-major';
+            const duplicate = highlightHash && record.hash === highlightHash;
+
+            return `<tr class="history-row${duplicate ? ' history-duplicate' : ''}">
+                <td onclick="reopenHistoryReview(${record.id})">${this.escapeHTML(record.fileName)}</td>
+                <td onclick="reopenHistoryReview(${record.id})">${this.escapeHTML(new Date(record.timestamp).toLocaleString())}</td>
+                <td onclick="reopenHistoryReview(${record.id})">${this.escapeHTML(record.summary?.domain || 'N/A')}</td>
+                <td onclick="reopenHistoryReview(${record.id})"><span class="status-badge ${statusClass}">${this.escapeHTML(status)}</span>${record.apiResults ? ' <i class="fas fa-brain" title="Includes AI analysis"></i>' : ''}</td>
+                <td><button class="history-delete" onclick="deleteHistoryReview(${record.id})" title="Delete"><i class="fas fa-trash"></i></button></td>
+            </tr>`;
+        }).join('');
+
+        return `<table class="verification-table history-table">
+            <thead><tr><th>File</th><th>Reviewed</th><th>Domain</th><th>Status</th><th></th></tr></thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>`;
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHTML(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.ReviewHistory = ReviewHistory;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewHistory;
+}
@@ -0,0 +1,324 @@
+/**
+ * CFBench Review Profile
+ * Per-project overrides for the validation rules, loaded from JSON or YAML:
+ *
+ *   name: Italian Travel batch
+ *   version: 2
+ *   prompts: italian-travel      # prompt templates from prompts/projects/italian-travel/
+ *   checks:
+ *     "2.4":
+ *       tolerance: 0.15          # prompt length tolerance (default 0.10)
+ *     "2.8":
+ *       addTerms: [internal]     # also: terms (replace list), removeTerms
+ *     "4.2":
+ *       failRateThreshold: 40    # % of constraints a model pass must fail (default 50)
+ *       minFailingPasses: 3      # passes that must reach the threshold (default 3)
+ *       minSemanticConfidence: 0.8   # heuristic mood/person/tense/formality checks (default 0.7)
+ *     "3.6": warning             # report failures as warnings
+ *     "4.4": ignore              # do not run
+ *
+ * A check entry is either a severity string ('error' | 'warning' | 'ignore') or an
+ * object of options with an optional `severity` key.
+ */
+
+const PROFILE_SEVERITIES = ['error', 'warning', 'ignore'];
+
+class ReviewProfile {
+    /**
+     * @param {object} data - Parsed profile ({ name, version, description, prompts, checks })
+     */
+    constructor(data = {}) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Profile must be an object');
+        }
+
+        this.name = data.name ? String(data.name) : 'Unnamed profile';
+        this.version = data.version !== undefined && data.version !== null ? String(data.version) : null;
+        this.description = data.description || '';
+        this.prompts = null;
+        this.checks = {};
+
+        if (data.prompts !== undefined && data.prompts !== null) {
+            // Folder name under prompts/projects/, never a path
+            if (!/^[A-Za-z0-9_-]+$/.test(String(data.prompts))) {
+                throw new Error(`Invalid prompts "${data.prompts}": use a folder name (letters, digits, - and _)`);
+            }
+            this.prompts = String(data.prompts);
+        }
+
+        Object.entries(data.checks || {}).forEach(([id, entry]) => {
+            this.checks[String(id)] = this.normalizeCheckEntry(String(id), entry);
+        });
+    }
+
+    /**
+     * Built-in behaviour, no overrides
+     */
+    static default() {
+        return new ReviewProfile({ name: 'CFBench default' });
+    }
+
+    /**
+     * Parse a profile file's contents (JSON or YAML)
+     * @param {string} text - File contents
+     * @param {string} fileName - Used to pick the format (.json / .yaml / .yml)
+     */
+    static fromText(text, fileName = '') {
+        const lower = fileName.toLowerCase();
+        const looksLikeJSON = lower.endsWith('.json') || (!lower && text.trim().startsWith('{'));
+
+        let data;
+        try {
+            data = looksLikeJSON ? JSON.parse(text) : ReviewProfile.parseYAML(text);
+        } catch (error) {
+            throw new Error(`Failed to parse profile: ${error.message}`);
+        }
+        return new ReviewProfile(data);
+    }
+
+    /**
+     * Minimal YAML reader for profile files: nested mappings, block lists ("- item"),
+     * inline lists ([a, b]), quoted/plain scalars, numbers, booleans, null and # comments.
+     */
+    static parseYAML(text) {
+        const lines = [];
+        text.split(/\r?\n/).forEach((raw, i) => {
+            const line = ReviewProfile.stripYAMLComment(raw).replace(/\s+$/, '');
+            if (!line.trim() || line.trim() === '---') return;
+            if (/^\t/.test(line)) {
+                throw new Error(`Tabs are not allowed for indentation (line ${i + 1})`);
+            }
+            lines.push({ indent: line.search(/\S/), content: line.trim(), lineNumber: i + 1 });
+        });
+
+        if (lines.length === 0) return {};
+
+        let pos = 0;
+        const isListItem = (content) => content === '-' || content.startsWith('- ');
+
+        const parseBlock = (indent) => {
+            const asList = isListItem(lines[pos].content);
+            const result = asList ? [] : {};
+
+            while (pos < lines.length && lines[pos].indent >= indent) {
+                const line = lines[pos];
+                if (line.indent > indent) {
+                    throw new Error(`Unexpected indentation (line ${line.lineNumber})`);
+                }
+                // A list written at its parent key's indentation ends at the next key
+                if (asList !== isListItem(line.content)) {
+                    if (asList) break;
+                    throw new Error(`Unexpected list item (line ${line.lineNumber})`);
+                }
+
+                pos++;
+
+                if (asList) {
+                    const item = line.content.replace(/^-\s*/, '');
+                    if (item) {
+                        result.push(ReviewProfile.parseYAMLScalar(item));
+                    } else {
+                        result.push(pos < lines.length && lines[pos].indent > indent ? parseBlock(lines[pos].indent) : null);
+                    }
+                    continue;
+                }
+
+                const match = line.content.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+                if (!match) {
+                    throw new Error(`Expected "key: value" (line ${line.lineNumber})`);
+                }
+
+                const key = String(ReviewProfile.parseYAMLScalar(match[1]));
+                if (match[2] !== undefined && match[2] !== '') {
+                    result[key] = ReviewProfile.parseYAMLScalar(match[2]);
+                } else if (pos < lines.length && lines[pos].indent > indent) {
+                    result[key] = parseBlock(lines[pos].indent);
+                } else if (pos < lines.length && lines[pos].indent === indent && isListItem(lines[pos].content)) {
+                    result[key] = parseBlock(indent);
+                } else {
+                    result[key] = null;
+                }
+            }
+
+            return result;
+        };
+
+        const result = parseBlock(lines[0].indent);
+        if (pos < lines.length) {
+            throw new Error(`Unexpected content (line ${lines[pos].lineNumber})`);
+        }
+        return result;
+    }
+
+    /**
+     * Remove a trailing # comment that is not inside quotes
+     */
+    static stripYAMLComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.substring(0, i);
+            }
+        }
+        return line;
+    }
+
+    static parseYAMLScalar(value) {
+        const v = value.trim();
+
+        if (v.startsWith('[') && v.endsWith(']')) {
+            const inner = v.slice(1, -1).trim();
+            if (!inner) return [];
+            // Spaces before a quoted item are skipped so a comma inside its quotes does not split it
+            return (inner.match(/\s*(?:"[^"]*"|'[^']*'|[^,]+)/g) || [])
+                .map(item => item.trim())
+                .filter(item => item && item !== ',')
+                .map(item => ReviewProfile.parseYAMLScalar(item));
+        }
+        if ((v.startsWith('"') && v.endsWith('"')) || (v.startsWith("'") && v.endsWith("'"))) {
+            return v.slice(1, -1);
+        }
+        if (v === 'true') return true;
+        if (v === 'false') return false;
+        if (v === 'null' || v === '~') return null;
+        if (/^-?\d+(\.\d+)?$/.test(v)) return parseFloat(v);
+        return v;
+    }
+
+    /**
+     * Validate one entry of `checks`
+     */
+    normalizeCheckEntry(id, entry) {
+        const options = typeof entry === 'string' ? { severity: entry } : { ...(entry || {}) };
+
+        if (options.severity !== undefined && !PROFILE_SEVERITIES.includes(options.severity)) {
+            throw new Error(`Check ${id}: severity must be one of ${PROFILE_SEVERITIES.join(', ')}`);
+        }
+
+        if (id === '2.4' && options.tolerance !== undefined) {
+            if (typeof options.tolerance !== 'number' || options.tolerance < 0 || options.tolerance >= 1) {
+                throw new Error('Check 2.4: tolerance must be a number between 0 and 1 (e.g. 0.15)');
+            }
+        }
+
+        if (id === '2.8') {
+            ['terms', 'addTerms', 'removeTerms'].forEach(key => {
+                if (options[key] !== undefined && !Array.isArray(options[key])) {
+                    throw new Error(`Check 2.8: ${key} must be a list`);
+                }
+            });
+        }
+
+        if (id === '4.2') {
+            const rate = options.failRateThreshold;
+            if (rate !== undefined && (typeof rate !== 'number' || rate <= 0 || rate > 100)) {
+                throw new Error('Check 4.2: failRateThreshold must be a percentage between 1 and 100');
+            }
+            const passes = options.minFailingPasses;
+            if (passes !== undefined && (!Number.isInteger(passes) || passes < 0)) {
+                throw new Error('Check 4.2: minFailingPasses must be a whole number');
+            }
+            const confidence = options.minSemanticConfidence;
+            if (confidence !== undefined && (typeof confidence !== 'number' || confidence < 0 || confidence > 1)) {
+                throw new Error('Check 4.2: minSemanticConfidence must be a number between 0 and 1');
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * Get an option for a check, or the fallback when the profile does not set it
+     */
+    getCheckOption(checkId, key, fallback = undefined) {
+        const value = this.checks[String(checkId)]?.[key];
+        return value === undefined || value === null ? fallback : value;
+    }
+
+    /**
+     * Get the severity override for a check ('error' | 'warning' | 'ignore' | null)
+     */
+    getCheckSeverity(checkId) {
+        return this.checks[String(checkId)]?.severity || null;
+    }
+
+    /**
+     * Apply severity overrides to a copy of a rule registry, warning about checks and options it
+     * does not declare. The registry passed in is left unchanged, so it can be reused across reviews.
+     * @param {RuleRegistry} registry
+     * @returns {RuleRegistry} The configured copy
+     */
+    applyToRegistry(registry) {
+        const configured = registry.clone();
+        Object.keys(this.checks).forEach(id => {
+            const rule = registry.getRule(id);
+            if (!rule) {
+                console.warn(`Profile "${this.name}" overrides unknown check ${id}`);
+                return;
+            }
+
+            // Options are only read by name, so a misspelled one would silently keep the default
+            const unknown = Object.keys(this.checks[id])
+                .filter(key => key !== 'severity' && !Object.prototype.hasOwnProperty.call(rule.options || {}, key));
+            if (unknown.length > 0) {
+                console.warn(`Profile "${this.name}" sets unknown option(s) of check ${id}: ${unknown.join(', ')}`);
+            }
+
+            const severity = this.getCheckSeverity(id);
+            if (!severity) return;
+
+            if (severity === 'ignore') {
+                configured.disable(id);
+            } else {
+                configured.register({ ...rule, severity: severity });
+            }
+        });
+        return configured;
+    }
+
+    /**
+     * Summary for reports: { name, version, overrides: ['2.4 tolerance=0.15', ...] }
+     */
+    describe() {
+        const overrides = [];
+        Object.entries(this.checks).forEach(([id, options]) => {
+            Object.entries(options).forEach(([key, value]) => {
+                if (key === 'severity') {
+                    overrides.push(value === 'ignore' ? `${id} ignored` : `${id} severity=${value}`);
+                } else {
+                    overrides.push(`${id} ${key}=${Array.isArray(value) ? value.join(',') : value}`);
+                }
+            });
+        });
+
+        if (this.prompts) {
+            overrides.push(`prompts=${this.prompts}`);
+        }
+
+        return {
+            name: this.name,
+            version: this.version,
+            overrides: overrides
+        };
+    }
+
+    /**
+     * Display label, e.g. "Italian Travel batch (v2)"
+     */
+    getLabel() {
+        return this.version ? `${this.name} (v${this.version})` : this.name;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.ReviewProfile = ReviewProfile;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewProfile;
+}
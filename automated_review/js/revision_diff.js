@@ -0,0 +1,304 @@
+/**
+ * CFBench Revision Diff
+ * Compares two revisions of the same task: aligns cells by role using
+ * NotebookParser.extractComponents() (system, each intermediate turn, final turn,
+ * each model pass), computes word-level diffs per cell and lists the check
+ * results that changed between the two Validators runs.
+ */
+
+// Above this many token comparisons a cell is diffed line by line instead of word by word
+const REVISION_DIFF_MAX_CELLS = 4000000;
+
+class RevisionDiff {
+    /**
+     * @param {object} previous - { fileName, parsed, results } of the earlier revision
+     * @param {object} current - { fileName, parsed, results } of the new revision
+     */
+    constructor(previous, current) {
+        this.previous = previous;
+        this.current = current;
+        this.slots = [];
+        this.flippedChecks = [];
+    }
+
+    /**
+     * Align the cells, diff them and compare the check results
+     * @returns {RevisionDiff} this
+     */
+    compare() {
+        this.slots = RevisionDiff.alignCells(this.previous.parsed, this.current.parsed).map(slot => {
+            const changed = slot.before !== slot.after;
+            return {
+                ...slot,
+                changed: changed,
+                diff: changed ? RevisionDiff.diffWords(slot.before || '', slot.after || '') : null
+            };
+        });
+        this.flippedChecks = RevisionDiff.compareResults(this.previous.results, this.current.results);
+        return this;
+    }
+
+    /**
+     * Pair up the cells of two parsed notebooks by their role.
+     * Thinking cells are compared by word count only - the parser does not keep their text.
+     * @returns {Array} { key, label, before, after } with null where a revision lacks the cell
+     */
+    static alignCells(before, after) {
+        const slots = [];
+        const add = (key, label, getText) => {
+            const textBefore = getText(before);
+            const textAfter = getText(after);
+            if (textBefore === null && textAfter === null) return;
+            slots.push({ key: key, label: label, before: textBefore, after: textAfter });
+        };
+        const text = (value) => (value === undefined || value === null ? null : String(value));
+
+        add('metadata', 'Metadata', p => text(p.metadata?.raw));
+        add('system', 'System prompt', p => text(p.system?.content));
+
+        const turnCount = Math.max(before.turns.length, after.turns.length);
+        for (let i = 0; i < turnCount; i++) {
+            add(`turn${i + 1}.user`, `Turn ${i + 1} - user`, p => text(p.turns[i]?.user?.content));
+            add(`turn${i + 1}.thinking`, `Turn ${i + 1} - thinking`, p => text(p.turns[i]?.thinking?.content));
+            add(`turn${i + 1}.assistant`, `Turn ${i + 1} - assistant`, p => text(p.turns[i]?.assistant?.content));
+        }
+
+        const final = (p) => p.finalTurn || {};
+        add('final.user', 'Final turn - user', p => text(final(p).user?.content));
+        add('final.thinking', 'Final turn - thinking',
+            p => final(p).thinking ? `(${final(p).thinking.wordCount} words)` : null);
+        add('final.assistant', 'Final turn - golden response', p => text(final(p).assistant?.content));
+        add('final.turn_metadata', 'Final turn - turn_metadata', p => text(final(p).turnMetadata?.raw));
+        add('final.validator_assistant', 'Final turn - validator_assistant', p => text(final(p).validatorAssistant?.raw));
+        add('final.validator_human', 'Final turn - validator_human', p => text(final(p).validatorHuman?.raw));
+
+        // Model passes are matched by model and pass number, not position
+        const passKeys = [];
+        [...before.modelPasses, ...after.modelPasses].forEach(pass => {
+            const key = `${pass.model}_${pass.passNumber}`;
+            if (!passKeys.includes(key)) passKeys.push(key);
+        });
+        passKeys.forEach(key => {
+            const findPass = (p) => p.modelPasses.find(pass => `${pass.model}_${pass.passNumber}` === key) || null;
+            add(`${key}.thinking`, `${key} - thinking`,
+                p => findPass(p)?.thinking ? `(${findPass(p).thinking.wordCount} words)` : null);
+            add(`${key}.assistant`, `${key} - assistant`, p => text(findPass(p)?.assistant?.content));
+            add(`${key}.validator_assistant`, `${key} - validator_assistant`, p => text(findPass(p)?.validatorAssistant?.raw));
+            add(`${key}.validator_human`, `${key} - validator_human`, p => text(findPass(p)?.validatorHuman?.raw));
+        });
+
+        return slots;
+    }
+
+    /**
+     * Word-level diff; whitespace is kept so the segments rebuild both texts exactly
+     * @returns {Array} Segments { type: 'same' | 'add' | 'remove', text }
+     */
+    static diffWords(before, after) {
+        const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+        const tokensBefore = tokenize(before);
+        const tokensAfter = tokenize(after);
+
+        if (tokensBefore.length * tokensAfter.length > REVISION_DIFF_MAX_CELLS) {
+            const lines = (text) => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+            return RevisionDiff.diffTokens(lines(before), lines(after));
+        }
+        return RevisionDiff.diffTokens(tokensBefore, tokensAfter);
+    }
+
+    /**
+     * LCS diff of two token arrays, consecutive tokens of the same type merged
+     */
+    static diffTokens(a, b) {
+        // Common prefix/suffix do not need the LCS table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        const n = midA.length;
+        const m = midB.length;
+
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = midA[i] === midB[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const segments = [];
+        const push = (type, token) => {
+            const last = segments[segments.length - 1];
+            if (last && last.type === type) {
+                last.text += token;
+            } else {
+                segments.push({ type: type, text: token });
+            }
+        };
+
+        a.slice(0, start).forEach(t => push('same', t));
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) {
+                push('same', midA[i]);
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                push('remove', midA[i++]);
+            } else {
+                push('add', midB[j++]);
+            }
+        }
+        while (i < n) push('remove', midA[i++]);
+        while (j < m) push('add', midB[j++]);
+        a.slice(endA).forEach(t => push('same', t));
+
+        return segments;
+    }
+
+    /**
+     * Checks whose status differs between two Validators runs
+     * @returns {Array} { id, name, before, after } - before/after is null when the check did not run
+     */
+    static compareResults(before, after) {
+        const collect = (results) => {
+            const checks = new Map();
+            ['phase1', 'phase2', 'phase3', 'phase4'].forEach(phase => {
+                (results?.[phase] || []).forEach(check => checks.set(String(check.id), check));
+            });
+            return checks;
+        };
+
+        const checksBefore = collect(before);
+        const checksAfter = collect(after);
+        const ids = [...new Set([...checksBefore.keys(), ...checksAfter.keys()])];
+
+        return ids
+            .map(id => ({
+                id: id,
+                name: (checksAfter.get(id) || checksBefore.get(id)).name,
+                before: checksBefore.get(id)?.status || null,
+                after: checksAfter.get(id)?.status || null
+            }))
+            .filter(flip => flip.before !== flip.after);
+    }
+
+    getChangedSlots() {
+        return this.slots.filter(slot => slot.changed);
+    }
+
+    /**
+     * Generate the comparison HTML
+     * @param {object} options - { showUnchanged: boolean }
+     */
+    generateHTML(options = {}) {
+        const statusBefore = this.previous.results?.summary?.status || 'N/A';
+        const statusAfter = this.current.results?.summary?.status || 'N/A';
+        const changed = this.getChangedSlots();
+
+        const statusLabel = (status) => status ? status.toUpperCase() : 'NOT RUN';
+        const statusClass = (status) => status === 'passed' ? 'cell-pass' :
+                                        status === 'failed' ? 'cell-fail' : 'cell-warn';
+
+        const flipsHTML = this.flippedChecks.length > 0 ? `
+            <table class="verification-table">
+                <thead><tr><th>Check</th><th>Previous</th><th>Revised</th></tr></thead>
+                <tbody>${this.flippedChecks.map(flip => `
+                    <tr>
+                        <td><span class="inst-id">${this.escapeHTML(flip.id)}</span> ${this.escapeHTML(flip.name)}</td>
+                        <td class="${statusClass(flip.before)}">${statusLabel(flip.before)}</td>
+                        <td class="${statusClass(flip.after)}">${statusLabel(flip.after)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>` : '<p class="no-issues">No check changed status between the two revisions.</p>';
+
+        const slots = options.showUnchanged ? this.slots : changed;
+        const slotsHTML = slots.length > 0 ? slots.map(slot => this.generateSlotHTML(slot)).join('')
+            : '<p class="no-issues">The two revisions have identical cells.</p>';
+
+        return `
+<div class="review-report revision-report">
+    <div class="report-header">
+        <h2>Revision Comparison</h2>
+        <div class="report-meta">
+            <span class="meta-item"><strong>Previous:</strong> ${this.escapeHTML(this.previous.fileName || 'N/A')} (${statusBefore})</span>
+            <span class="meta-item"><strong>Revised:</strong> ${this.escapeHTML(this.current.fileName || 'N/A')} (${statusAfter})</span>
+            <span class="meta-item"><strong>Changed cells:</strong> ${changed.length}/${this.slots.length}</span>
+            <span class="meta-item"><strong>Checks changed:</strong> ${this.flippedChecks.length}</span>
+        </div>
+    </div>
+    <div class="report-phase">
+        <h3>Check Results</h3>
+        <div class="verification-table-container">${flipsHTML}</div>
+    </div>
+    <div class="report-phase">
+        <h3>Cells</h3>
+        ${slotsHTML}
+    </div>
+</div>`;
+    }
+
+    /**
+     * One aligned cell: previous text (removals marked) next to revised text (additions marked)
+     */
+    generateSlotHTML(slot) {
+        let left;
+        let right;
+
+        if (slot.before === null) {
+            left = '<span class="revision-missing">(not present)</span>';
+            right = `<span class="diff-add">${this.escapeHTML(slot.after)}</span>`;
+        } else if (slot.after === null) {
+            left = `<span class="diff-remove">${this.escapeHTML(slot.before)}</span>`;
+            right = '<span class="revision-missing">(removed)</span>';
+        } else if (!slot.changed) {
+            left = this.escapeHTML(slot.before);
+            right = this.escapeHTML(slot.after);
+        } else {
+            left = slot.diff.filter(s => s.type !== 'add')
+                .map(s => s.type === 'remove' ? `<span class="diff-remove">${this.escapeHTML(s.text)}</span>` : this.escapeHTML(s.text))
+                .join('');
+            right = slot.diff.filter(s => s.type !== 'remove')
+                .map(s => s.type === 'add' ? `<span class="diff-add">${this.escapeHTML(s.text)}</span>` : this.escapeHTML(s.text))
+                .join('');
+        }
+
+        return `<div class="revision-slot${slot.changed ? ' changed' : ''}">
+            <div class="revision-slot-header">${this.escapeHTML(slot.label)}${slot.changed ? '' : ' <span class="revision-missing">(unchanged)</span>'}</div>
+            <div class="revision-columns">
+                <pre class="revision-text">${left}</pre>
+                <pre class="revision-text">${right}</pre>
+            </div>
+        </div>`;
+    }
+
+    /**
+     * Escape HTML special characters
+     */
+    escapeHTML(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.RevisionDiff = RevisionDiff;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RevisionDiff;
+}
@@ -0,0 +1,279 @@
+/**
+ * CFBench Rubric Packs
+ * Language packs for the rubric review (italian_review.html): the AI-rated criteria of one
+ * task language, loaded from rubrics/:
+ *
+ *   rubrics/default.json   criteria (id, name, min, cells), scoring scale, available packs
+ *   rubrics/<code>.json    one pack per language:
+ *
+ *   {
+ *       "version": 1,
+ *       "language": "pt",
+ *       "name": "Portuguese",
+ *       "tokenizer": "default",           # Tokenizer profile for the word counts
+ *       "nativeFeel": { formality, preambles, closures, grammarTrap, ... },
+ *       "numbers": { "example": 377, "spelled": "trezentas e setenta e sete",
+ *                    "words": "palavras", "paragraphs": "parágrafos" },
+ *       "constraintPhrases": ["não use vírgulas"],
+ *       "scale": { ... },                  # optional, overrides the default scale
+ *       "criteria": { "<id>": { "min": 4 } }   # optional, overrides name/min/cells of a criterion
+ *   }
+ *
+ * The wording of each criterion is the prompt template prompts/rubric_<id>.md, filled with the
+ * pack's hints; a language can reword a criterion with prompts/<code>/rubric_<id>.md.
+ * The pack is picked from the notebook's Language metadata (see forLanguage).
+ */
+
+const RUBRIC_PACK_VERSION = 1;
+
+// Cells a criterion can quote, with the header they get in the prompt
+const RUBRIC_CELL_HEADERS = {
+    system: 'SYSTEM MESSAGE',
+    user_final: 'USER QUERY (FINAL TURN)',
+    user_all_turns: 'USER QUERIES (ALL TURNS)',
+    assistant: 'GOLDEN RESPONSE',
+    turn_metadata: 'TURN METADATA (CONSTRAINTS)',
+    validator_assistant: 'VALIDATOR RESULTS',
+    model_validators: 'MODEL VALIDATOR RESULTS'
+};
+
+// Hints every pack must give (variables of the rubric templates)
+const RUBRIC_NATIVE_FEEL_HINTS = [
+    'framingExample', 'grammarFocus', 'formality', 'anglicisms', 'naturalExpressions',
+    'grammarTrap', 'grammarTrapExample', 'preambles', 'closures', 'briefPreamble'
+];
+const RUBRIC_NUMBER_FIELDS = ['example', 'spelled', 'words', 'paragraphs'];
+
+class RubricPack {
+    /**
+     * @param {object} base - Parsed rubrics/default.json
+     * @param {object} data - Parsed rubrics/<code>.json
+     */
+    constructor(base, data) {
+        RubricPack.checkVersion(base, 'rubrics/default.json');
+        const file = `rubrics/${data?.language || '?'}.json`;
+        RubricPack.checkVersion(data, file);
+
+        if (!/^[a-z]{2}$/.test(data.language || '')) {
+            throw new Error(`${file}: language must be a two-letter code`);
+        }
+        if (!Tokenizer.getProfiles().includes(data.tokenizer)) {
+            throw new Error(`${file}: unknown tokenizer "${data.tokenizer}" (${Tokenizer.getProfiles().join(', ')})`);
+        }
+        const missingHints = RUBRIC_NATIVE_FEEL_HINTS.filter(key => data.nativeFeel?.[key] === undefined);
+        if (missingHints.length > 0) {
+            throw new Error(`${file}: nativeFeel is missing ${missingHints.join(', ')}`);
+        }
+        const missingNumbers = RUBRIC_NUMBER_FIELDS.filter(key => data.numbers?.[key] === undefined);
+        if (missingNumbers.length > 0) {
+            throw new Error(`${file}: numbers is missing ${missingNumbers.join(', ')}`);
+        }
+
+        this.language = data.language;
+        this.name = data.name || data.language;
+        this.version = String(data.version);
+        this.tokenizer = data.tokenizer;
+        this.nativeFeel = data.nativeFeel;
+        this.numbers = data.numbers;
+        this.constraintPhrases = data.constraintPhrases || [];
+        this.scale = { ...base.scale, ...(data.scale || {}) };
+
+        const overrides = data.criteria || {};
+        Object.keys(overrides).forEach(id => {
+            if (!base.criteria.some(c => c.id === id)) {
+                throw new Error(`${file}: unknown criterion "${id}"`);
+            }
+        });
+        this.criteria = base.criteria.map(criterion => {
+            const merged = { ...criterion, ...(overrides[criterion.id] || {}) };
+            const unknownCells = (merged.cells || []).filter(cell => !RUBRIC_CELL_HEADERS[cell]);
+            if (unknownCells.length > 0) {
+                throw new Error(`${file}: criterion ${merged.id} quotes unknown cells ${unknownCells.join(', ')}`);
+            }
+            if (merged.min < this.scale.min || merged.min > this.scale.max) {
+                throw new Error(`${file}: minimum of ${merged.id} is outside the scale ${this.scale.min}-${this.scale.max}`);
+            }
+            return {
+                id: merged.id,
+                name: PromptLibrary.fill(merged.name, { languageName: this.name }, file),
+                min: merged.min,
+                cells: merged.cells,
+                template: `rubric_${merged.id}`
+            };
+        });
+    }
+
+    static checkVersion(data, file) {
+        if (!data || typeof data !== 'object') {
+            throw new Error(`${file} must be a JSON object`);
+        }
+        if (data.version !== RUBRIC_PACK_VERSION) {
+            throw new Error(`${file}: unsupported version ${data.version} (expected ${RUBRIC_PACK_VERSION})`);
+        }
+    }
+
+    /**
+     * Loader reading pack files over HTTP
+     */
+    static fetchLoader(baseUrl = 'rubrics') {
+        return async (file) => {
+            let response;
+            try {
+                response = await fetch(`${baseUrl}/${file}`);
+            } catch (error) {
+                throw new Error(`Rubric packs could not be loaded from ${baseUrl}/ (${error.message}). Open the app through a web server.`);
+            }
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`Failed to load rubric pack ${file}: HTTP ${response.status}`);
+            }
+            return response.text();
+        };
+    }
+
+    /**
+     * Loader reading pack files from disk (Node)
+     * @param {string} dir - Path of the rubrics/ folder
+     */
+    static fileLoader(dir) {
+        const fs = require('fs');
+        const path = require('path');
+        return async (file) => {
+            const fullPath = path.join(dir, file);
+            return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+        };
+    }
+
+    static async readJSON(loader, file) {
+        const text = await loader(file);
+        if (text === null) return null;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`rubrics/${file} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Packs that can be picked, from rubrics/default.json
+     * @returns {Promise<object>} { code: name }
+     */
+    static async list(loader = RubricPack.fetchLoader()) {
+        const base = await RubricPack.readJSON(loader, 'default.json');
+        return base?.packs || {};
+    }
+
+    /**
+     * Pack of a notebook language; the fallback pack (English) when the language has none
+     * @param {string} language - Language metadata, e.g. "Italian (it)", "pt-BR", "Deutsch", or a pack code
+     * @param {function} loader - (file name in rubrics/) => Promise<string|null>
+     * @returns {Promise<object>} { pack, requested: language code or null, fallback: true when the
+     *                              pack is not the notebook language's }
+     */
+    static async forLanguage(language, loader = RubricPack.fetchLoader()) {
+        const base = await RubricPack.readJSON(loader, 'default.json');
+        if (!base) {
+            throw new Error('rubrics/default.json not found');
+        }
+
+        const requested = LanguageCodes.toCode(language);
+        const code = requested && base.packs?.[requested] ? requested : base.fallback;
+        const data = await RubricPack.readJSON(loader, `${code}.json`);
+        if (!data) {
+            throw new Error(`Rubric pack rubrics/${code}.json not found`);
+        }
+
+        return {
+            pack: new RubricPack(base, data),
+            requested: requested,
+            fallback: code !== requested
+        };
+    }
+
+    getTokenizer() {
+        return Tokenizer.forLanguage(this.tokenizer);
+    }
+
+    /**
+     * Values of the rubric templates' {{variables}}
+     */
+    getVariables() {
+        const quoted = (list) => [].concat(list).map(item => `"${item}"`).join(', ');
+        const hints = this.nativeFeel;
+        return {
+            languageName: this.name,
+            framingExample: hints.framingExample,
+            grammarFocus: hints.grammarFocus,
+            formality: hints.formality,
+            anglicisms: [].concat(hints.anglicisms).join('; '),
+            naturalExpressions: [].concat(hints.naturalExpressions).join(', '),
+            grammarTrap: hints.grammarTrap,
+            grammarTrapExample: hints.grammarTrapExample,
+            preambles: quoted(hints.preambles),
+            closures: quoted(hints.closures),
+            briefPreamble: hints.briefPreamble,
+            numberExample: this.numbers.example,
+            numberSpelled: this.numbers.spelled,
+            wordsNoun: this.numbers.words,
+            paragraphsNoun: this.numbers.paragraphs,
+            constraintPhrases: this.constraintPhrases.map(phrase => `- "${phrase}" ✓`).join('\n'),
+            scaleMin: this.scale.min,
+            scaleMax: this.scale.max
+        };
+    }
+
+    /**
+     * Only the cells a criterion needs, under their headers (no truncation)
+     * @param {object} criterion - From this.criteria
+     * @param {object} cells - { system, user_final, user_all_turns, assistant, ... } as text
+     */
+    formatContext(criterion, cells) {
+        return criterion.cells
+            .map(cell => `=== ${RUBRIC_CELL_HEADERS[cell]} ===\n${cells[cell] || 'N/A'}`)
+            .join('\n\n');
+    }
+
+    /**
+     * Prompt of a criterion, from its template in the pack's language
+     * @param {object} criterion - From this.criteria
+     * @param {object} cells - See formatContext
+     * @param {PromptLibrary} library - Its language context is set to the pack's
+     * @returns {Promise<string>}
+     */
+    async buildPrompt(criterion, cells, library) {
+        library.setContext({ project: library.project, language: this.language });
+        return library.render(criterion.template, {
+            ...this.getVariables(),
+            context: this.formatContext(criterion, cells)
+        });
+    }
+
+    /**
+     * Rating clamped to the scale; the middle of the scale when the reply gave none
+     */
+    normalizeRating(rating) {
+        const value = Number(rating);
+        if (!Number.isFinite(value)) {
+            return Math.round((this.scale.min + this.scale.max) / 2);
+        }
+        return Math.min(this.scale.max, Math.max(this.scale.min, Math.round(value)));
+    }
+
+    /**
+     * Verdict of the rubric from the number of criteria below their minimum
+     * @returns {string} 'APPROVED' | 'MINOR REVISION' | 'MAJOR REVISION'
+     */
+    getVerdict(failedCount) {
+        if (failedCount === 0) return 'APPROVED';
+        if (failedCount <= this.scale.minorRevisionMaxFailures) return 'MINOR REVISION';
+        return 'MAJOR REVISION';
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.RubricPack = RubricPack;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RubricPack;
+}
@@ -0,0 +1,254 @@
+/**
+ * CFBench Rule Registry
+ * Every validation check is a rule declaring its id, phase, severity and whether it
+ * needs the API handler. Validators builds its phases from the registry, so checks can
+ * be enabled/disabled per project and project-specific rules added without forking.
+ *
+ * Rule shape:
+ *   {
+ *     id: '2.8',                 // Unique id, shown in reports
+ *     name: 'Forbidden Terms',
+ *     phase: 2,                  // 1 Structure, 2 Content, 3 Metadata, 4 Model Passes
+ *     severity: 'error',         // 'error' = failures count toward revision status,
+ *                                // 'warning' = failures are reported as warnings only
+ *     needsApi: false,           // true = only runs from Validators.runApiChecks()
+ *     options: { terms: null },  // Tunable settings with their defaults; a profile overrides
+ *                                // them by name (Validators.getCheckOption)
+ *     run(validators, parsed, apiHandler) { ... }
+ *   }
+ *
+ * run() either returns a result ({ status, issues, warnings, details }) which is recorded
+ * under the rule's id/name, or pushes/updates entries in validators.results itself.
+ *
+ * Scope: the built-in rules are thin wrappers. Their metadata (id, phase, severity, options)
+ * lives here, but each run() still calls the check method on Validators (check1_1_CellStructure()
+ * ...), which holds the check body and pushes its own result. Moving those bodies into the rule
+ * definitions was left out of the registry change; project rules added with define() or --rules
+ * carry their whole check in run().
+ */
+
+const RULE_SEVERITIES = ['error', 'warning'];
+
+class RuleRegistry {
+    constructor() {
+        this.rules = new Map();
+        this.disabled = new Set();
+    }
+
+    /**
+     * Built-in CFBench checks, in execution order, each with its severity and the default of
+     * every option a profile can set (tolerance 2.4, forbidden terms 2.8, model breaking 4.2;
+     * minSemanticConfidence is SemanticCheckers' SEMANTIC_MIN_CONFIDENCE).
+     * run() delegates to the Validators method holding the check (see Scope above).
+     */
+    static builtinRules = [
+        // Phase 1: Structure
+        { id: '1.1', name: 'Cell Structure', phase: 1, severity: 'error', options: {},
+          run: (v) => { v.check1_1_CellStructure(); } },
+        { id: '1.2', name: 'Language Consistency', phase: 1, severity: 'error', options: {},
+          run: (v) => { v.check1_2_LanguageConsistency(); } },
+        { id: '1.3', name: 'Thinking Cells', phase: 1, severity: 'error', options: {},
+          run: (v) => { v.check1_3_ThinkingCells(); } },
+        { id: '1.4', name: 'Model Passes Structure', phase: 1, severity: 'error', options: {},
+          run: (v) => { v.check1_4_ModelPassesStructure(); } },
+        { id: '1.5', name: 'Golden Response Sanity', phase: 1, severity: 'error', options: {},
+          run: (v) => { v.check1_5_GoldenResponseSanity(); } },
+
+        // Phase 2: Content
+        { id: '2.1', name: 'System Prompt', phase: 2, severity: 'error', options: {},
+          run: (v) => { v.check2_1_SystemPrompt(); } },
+        { id: '2.2', name: 'System Prompt Issues', phase: 2, severity: 'error', options: {},
+          run: (v) => { v.check2_2_SystemPromptIssues(); } },
+        { id: '2.3', name: 'Value Consistency', phase: 2, severity: 'error', options: {},
+          run: (v) => { v.check2_3_ValueConsistency(); } },
+        { id: '2.4', name: 'Prompt Length Validation', phase: 2, severity: 'error', options: { tolerance: 0.10 },
+          run: (v) => { v.check2_4_PromptLengthValidation(); } },
+        { id: '2.5', name: 'Query Completeness', phase: 2, severity: 'error', options: {},
+          run: (v) => { v.check2_5_QueryCompleteness(); } },
+        { id: '2.6', name: 'Intermediate Turns', phase: 2, severity: 'error', options: {},
+          run: (v) => { v.check2_6_IntermediateTurns(); } },
+        { id: '2.7', name: 'System Source Constraints', phase: 2, severity: 'error', options: {},
+          run: (v) => { v.check2_7_SystemSourceConstraints(); } },
+        { id: '2.8', name: 'Forbidden Terms', phase: 2, severity: 'error', options: { terms: null, addTerms: [], removeTerms: [] },
+          run: (v) => { v.check2_8_ForbiddenTerms(); } },
+        { id: '2.9', name: 'Golden Formatting', phase: 2, severity: 'error', options: {},
+          run: (v) => { v.check2_9_GoldenFormatting(); } },
+
+        // Phase 3: Metadata
+        { id: '3.0', name: 'JSON Parsing', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_0_JSONValidation(); } },
+        { id: '3.1', name: 'IF Instructions Count', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_1_IFCount(); } },
+        { id: '3.2', name: 'LLM Eval Instruction', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_2_LLMEval(); } },
+        { id: '3.3', name: 'LLM Judge', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_3_LLMJudge(); } },
+        { id: '3.4', name: 'LLM Judge Usage', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_4_LLMJudgeUsage(); } },
+        { id: '3.5', name: 'Constraints in Query', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_5_ConstraintsInQuery(); } },
+        { id: '3.6', name: 'Keyword Explicitness', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_6_KeywordExplicitness(); } },
+        { id: '3.7', name: 'LLM Judge Language', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_7_LLMJudgeLanguage(); } },
+        { id: '3.8', name: 'LLM Judge Redundancy', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_8_LLMJudgeRedundancy(); } },
+        { id: '3.9', name: 'Format Constraints Explicit', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_9_FormatConstraintsExplicit(); } },
+        { id: '3.10', name: 'validator_human Completeness', phase: 3, severity: 'error', options: {},
+          run: (v) => { v.check3_10_ValidatorHumanCompleteness(); } },
+
+        // Phase 4: Model Passes
+        { id: '4.2', name: 'Pass/Fail Distribution (Model Breaking)', phase: 4, severity: 'error', options: { failRateThreshold: 50, minFailingPasses: 3, minSemanticConfidence: 0.7 },
+          run: (v) => { v.check4_2_PassFailDistribution(); } },
+        { id: '4.3', name: 'Validator Human Manual', phase: 4, severity: 'error', options: {},
+          run: (v) => { v.check4_3_ValidatorHumanManual(); } },
+        { id: '4.4', name: 'Validator-Content Match', phase: 4, severity: 'error', options: {},
+          run: (v) => { v.check4_4_ValidatorContentMatch(); } },
+
+        // AI-assisted enhancements of deterministic checks (update 2.3 / 2.6 in place)
+        {
+            id: '2.3-ai', name: 'Value Consistency (AI verification)', phase: 2, needsApi: true,
+            severity: 'error', options: {},
+            run: async (v, parsed, apiHandler) => { await v.enhanceCheck2_3WithAI(apiHandler); }
+        },
+        {
+            id: '2.6-ai', name: 'Intermediate Turns (AI analysis)', phase: 2, needsApi: true,
+            severity: 'error', options: {},
+            run: async (v, parsed, apiHandler) => { await v.enhanceCheck2_6WithAI(apiHandler); }
+        }
+    ];
+
+    /**
+     * Project rules added with RuleRegistry.define(), included in every default registry
+     */
+    static projectRules = [];
+
+    /**
+     * Add a project-specific rule to every registry created with createDefault().
+     * Load the defining script after rule_registry.js (browser) or require it (Node).
+     */
+    static define(rule) {
+        RuleRegistry.projectRules.push(rule);
+    }
+
+    /**
+     * Create a registry with the built-in and project rules
+     * @param {object} config - Optional { enabled: [], disabled: [] } rule ids
+     */
+    static createDefault(config = null) {
+        const registry = new RuleRegistry();
+        RuleRegistry.builtinRules.forEach(rule => registry.register(rule));
+        RuleRegistry.projectRules.forEach(rule => registry.register(rule));
+        if (config) {
+            registry.configure(config);
+        }
+        return registry;
+    }
+
+    /**
+     * Register a rule (replaces an existing rule with the same id)
+     */
+    register(rule) {
+        if (!rule || !rule.id) {
+            throw new Error('Rule must have an id');
+        }
+        if (![1, 2, 3, 4].includes(rule.phase)) {
+            throw new Error(`Rule ${rule.id}: phase must be 1, 2, 3 or 4`);
+        }
+        if (typeof rule.run !== 'function') {
+            throw new Error(`Rule ${rule.id}: run must be a function`);
+        }
+
+        const severity = rule.severity || 'error';
+        if (!RULE_SEVERITIES.includes(severity)) {
+            throw new Error(`Rule ${rule.id}: severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+        }
+
+        if (rule.options !== undefined && (rule.options === null || typeof rule.options !== 'object' || Array.isArray(rule.options))) {
+            throw new Error(`Rule ${rule.id}: options must be an object`);
+        }
+
+        const id = String(rule.id);
+        this.rules.set(id, {
+            ...rule,
+            id: id,
+            name: rule.name || id,
+            severity: severity,
+            needsApi: rule.needsApi === true,
+            options: { ...(rule.options || {}) }
+        });
+        return this;
+    }
+
+    /**
+     * Copy of the registry, so per-review changes (e.g. a profile's overrides) leave this one unchanged
+     */
+    clone() {
+        const copy = new RuleRegistry();
+        this.rules.forEach((rule, id) => copy.rules.set(id, { ...rule, options: { ...rule.options } }));
+        this.disabled.forEach(id => copy.disabled.add(id));
+        return copy;
+    }
+
+    unregister(id) {
+        this.rules.delete(String(id));
+        this.disabled.delete(String(id));
+        return this;
+    }
+
+    enable(id) {
+        this.disabled.delete(String(id));
+        return this;
+    }
+
+    disable(id) {
+        this.disabled.add(String(id));
+        return this;
+    }
+
+    isEnabled(id) {
+        return this.rules.has(String(id)) && !this.disabled.has(String(id));
+    }
+
+    /**
+     * Apply a per-project configuration
+     * @param {object} config - { enabled: ['2.8'], disabled: ['3.6', '4.4'] }
+     */
+    configure(config = {}) {
+        (config.disabled || []).forEach(id => this.disable(id));
+        (config.enabled || []).forEach(id => this.enable(id));
+
+        const unknown = [...(config.disabled || []), ...(config.enabled || [])]
+            .filter(id => !this.rules.has(String(id)));
+        if (unknown.length > 0) {
+            console.warn(`Unknown rule ids in configuration: ${unknown.join(', ')}`);
+        }
+        return this;
+    }
+
+    getRule(id) {
+        return this.rules.get(String(id)) || null;
+    }
+
+    /**
+     * Get rules in registration order
+     * @param {object} filter - { phase, needsApi, includeDisabled }
+     */
+    getRules(filter = {}) {
+        return [...this.rules.values()].filter(rule => {
+            if (!filter.includeDisabled && this.disabled.has(rule.id)) return false;
+            if (filter.phase !== undefined && rule.phase !== filter.phase) return false;
+            if (filter.needsApi !== undefined && rule.needsApi !== filter.needsApi) return false;
+            return true;
+        });
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.RuleRegistry = RuleRegistry;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleRegistry;
+}
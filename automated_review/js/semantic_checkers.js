@@ -0,0 +1,500 @@
+/**
+ * Semantic Checkers - rule-based checks for the "semantic" instruction families
+ *
+ * validateInstruction() in nvidia_validator.js treats stylistic:, linguistic: and
+ * situation: instructions as semantic (LLM only). A few of them can be scored with
+ * surface heuristics for Italian, Portuguese, Spanish (and English):
+ *
+ *   linguistic:grammatical_mood   - sentence mood from punctuation and verb endings
+ *   linguistic:speech_act         - same sentence classifier (declarative, interrogative, ...)
+ *   situation:perspective         - first/second/third person from pronouns and verb endings
+ *   situation:temporal_context    - past/present/future from verb endings and auxiliaries
+ *   stylistic:tone_formality      - formal vs informal address (Lei/usted/o senhor vs tu/tú)
+ *
+ * Every result carries a confidence between 0 and 1. validateInstruction() only uses it
+ * when confidence >= SEMANTIC_MIN_CONFIDENCE and otherwise keeps the instruction semantic.
+ */
+
+const SEMANTIC_MIN_CONFIDENCE = 0.7;
+
+// Letters incl. accented ones: JS \b and \w are ASCII-only, which breaks on "farò" or "tú"
+const WORD_CHAR = '[\\p{L}\\d_]';
+const WORD_BOUNDARY = `(?:(?<=${WORD_CHAR})(?!${WORD_CHAR})|(?<!${WORD_CHAR})(?=${WORD_CHAR}))`;
+
+/**
+ * Rewrite \b and \w in a pattern to their Unicode-aware equivalents
+ */
+function unicodePattern(re) {
+    const source = re.source
+        .replace(/\\b/g, WORD_BOUNDARY)
+        .replace(/\\w/g, WORD_CHAR);
+    return new RegExp(source, re.flags.includes('u') ? re.flags : re.flags + 'u');
+}
+
+function compilePatterns(table) {
+    if (table instanceof RegExp) return unicodePattern(table);
+    if (Array.isArray(table)) return table.map(compilePatterns);
+    const compiled = {};
+    Object.entries(table).forEach(([key, value]) => compiled[key] = compilePatterns(value));
+    return compiled;
+}
+
+// How much the heuristics can be trusted per language (English verbs carry less information)
+const SEMANTIC_LANGUAGE_WEIGHT = { it: 1, pt: 1, es: 1, en: 0.8 };
+
+// Frequent function words, used to guess the language when the notebook does not say
+const LANGUAGE_STOPWORDS = {
+    it: ['il', 'di', 'che', 'non', 'per', 'una', 'sono', 'della', 'gli', 'anche', 'come', 'più', 'questo', 'nel'],
+    pt: ['de', 'que', 'não', 'uma', 'para', 'com', 'os', 'são', 'mais', 'como', 'também', 'você', 'isso', 'muito'],
+    es: ['el', 'de', 'que', 'los', 'las', 'una', 'para', 'con', 'por', 'más', 'como', 'también', 'pero', 'muy'],
+    en: ['the', 'and', 'of', 'to', 'is', 'that', 'for', 'with', 'are', 'this', 'you', 'not', 'have', 'be']
+};
+
+// Imperative openings: frequent verbs and verb + clitic forms (tu / Lei / voi, tú / usted, tu / você)
+const IMPERATIVE_PATTERNS = compilePatterns({
+    it: [
+        /^(non\s+)?(fai|fate|vai|andate|vieni|venite|guarda|guardate|prendi|prendete|usa|usate|scegli|scegliete|ricorda|ricordate|pensa|pensate|leggi|leggete|scrivi|scrivete|metti|mettete|lascia|lasciate|segui|seguite|aggiungi|aggiungete|controlla|controllate|evita|evitate|prova|provate|immagina|immaginate|considera|considerate|ascolta|ascoltate|inizia|iniziate|cerca|cercate|chiedi|chiedete|prenota|prenotate|visita|visitate|porta|portate|assicurati|assicuratevi|fermati|fermatevi|dimmi|ditemi|dammi|datemi|abbi|abbiate|sii|siate)\b/i,
+        /^(faccia|vada|venga|guardi|prenda|usi|scelga|ricordi|legga|scriva|metta|lasci|aggiunga|controlli|eviti|provi|consideri|ascolti|cerchi|chieda|prenoti|visiti|porti|si\s+assicuri)\b/i,
+        /^non\s+\S+(are|ere|ire)\b/i
+    ],
+    es: [
+        /^(no\s+)?(haz|haga|hagan|ve|vaya|vayan|ven|venga|vengan|mira|mire|miren|toma|tome|tomen|usa|use|usen|elige|elija|recuerda|recuerde|piensa|piense|lee|lea|escribe|escriba|pon|ponga|deja|deje|sigue|siga|añade|añada|evita|evite|prueba|pruebe|imagina|imagine|considera|considere|escucha|escuche|empieza|empiece|busca|busque|pregunta|pregunte|reserva|reserve|visita|visite|lleva|lleve|asegúrate|asegúrese|dime|díganos|dame|sé|sea)\b/i,
+        /^no\s+\S+(es|as|éis|áis|en|an)\b/i,
+        /^(?!\S*mente\b)\S+[áéí]\S*(me|te|se|lo|la|los|las|le|les|nos)\b/i
+    ],
+    pt: [
+        /^(não\s+)?(faça|façam|faz|vá|vão|vai|venha|venham|vem|olhe|olha|olhem|pegue|pega|use|usa|usem|escolha|escolhe|lembre|lembra|pense|pensa|leia|lê|escreva|escreve|coloque|coloca|deixe|deixa|siga|segue|adicione|evite|evita|experimente|imagine|imagina|considere|escute|ouça|comece|começa|procure|procura|pergunte|reserve|visite|leve|leva|diga|diz|dê|dá|seja|sê|esteja)\b/i,
+        /^\S+-(se|me|te|lo|la|los|las|nos)\b/i
+    ],
+    en: [
+        /^(do|don't|go|come|look|take|use|choose|remember|think|read|write|put|leave|follow|add|check|avoid|try|imagine|consider|listen|start|begin|find|ask|book|visit|bring|make|keep|let|tell|give|be|never|always|please)\b/i
+    ]
+});
+
+// Subjunctive forms: frequent irregulars and the (distinctive) imperfect subjunctive endings
+const SUBJUNCTIVE_PATTERNS = compilePatterns({
+    it: [
+        /\b(sia|siano|siate|abbia|abbiano|possa|possano|faccia|facciano|vada|vadano|venga|vengano|debba|debbano|voglia|vogliano|sappia|sappiano|stia|stiano|dia|diano|fosse|fossero|fossi|avesse|avessero|avessi|potesse|potessero|facesse|facessero|dovesse|dovessero|volesse|stesse|desse)\b/i,
+        /\b\w+(assimo|assero|essimo|essero|issero)\b/i
+    ],
+    es: [
+        /\bque\s+(sea|sean|seas|haya|hayan|hayas|pueda|puedan|puedas|tenga|tengan|tengas|vaya|vayan|vayas|haga|hagan|hagas|esté|estén|estés|sepa|sepan|quiera|quieran|diga|digan|venga|vengan)\b/i,
+        /\b\w+(áramos|aran|ásemos|asen|iéramos|ieran|ieras|iese|ieses|iésemos|iesen)\b/i,
+        /\b\w+(?<!cualqu)iera\b/i,
+        /\b(fuera|fueran|fuese|fuesen|hubiera|hubieran|hubiese|hubiesen)\b/i
+    ],
+    pt: [
+        /\bque\s+(seja|sejam|sejas|tenha|tenham|tenhas|possa|possam|possas|faça|façam|faças|esteja|estejam|haja|hajam|vá|vão|saiba|saibam|queira|queiram|diga|digam|venha|venham)\b/i,
+        /\b\w+(assem|ássemos|essem|êssemos|issem|íssemos)\b/i,
+        /\b(fosse|fossem|tivesse|tivessem|pudesse|pudessem|estivesse|estivessem|houvesse)\b/i
+    ],
+    en: [
+        /\b(if\s+(i|he|she|it)\s+were|(suggest|recommend|insist|demand|ask)s?\s+that\s+\w+\s+be)\b/i
+    ]
+});
+
+const CONDITIONAL_PATTERNS = compilePatterns({
+    it: [/\b\w+(rei|rebbe|remmo|rebbero)\b/i, /\b\w+[aei](resti|reste)\b/i],
+    es: [/\b\w+(ría|rías|ríamos|ríais|rían)\b/i],
+    pt: [/\b\w+(ria|rias|ríamos|rieis|riam)\b/i],
+    en: [/\b(would|could|should|might)\b/i]
+});
+
+const FUTURE_PATTERNS = compilePatterns({
+    it: [/\b\w+(rò|rai|rà|ranno)\b/i, /\b\w+[aei](remo|rete)\b/i],
+    es: [/\b\w+(ré|rás|rá|réis|rán)\b/i, /\b\w+[aei]remos\b/i, /\b(voy|vas|va|vamos|vais|van)\s+a\s+\w+(ar|er|ir)\b/i],
+    pt: [/\b\w+(rei|rás|rá|reis|rão)\b/i, /\b\w+[aei]remos\b/i, /\b(vou|vai|vamos|vão)\s+\w+(ar|er|ir)\b/i],
+    en: [/\b(will|shall|won't|'ll)\b/i, /\bgoing\s+to\s+\w+/i]
+});
+
+const PAST_PATTERNS = compilePatterns({
+    it: [
+        /\b(ho|hai|ha|abbiamo|avete|hanno|avevo|aveva|avevano)\s+(\w+\s+)?\w+(ato|uto|ito|ata|uta|ita|ati|uti|iti|ate|ute|ite)\b/i,
+        /\b(sono|sei|è|siamo|siete|ero|era|erano)\s+\w+(ato|uto|ito|ata|uta|ita|ati|uti|iti|ate|ute|ite)\b/i,
+        /\b\w{2,}(avo|ava|avamo|avate|avano|evo|eva|evamo|evate|evano|arono|erono|irono)\b/i,
+        /\b(fu|furono|ebbe|ebbero|fece|fecero|disse|dissero|venne|vennero|era|erano)\b/i
+    ],
+    es: [
+        /\b(he|has|ha|hemos|habéis|han|había|habían)\s+\w+(ado|ido)\b/i,
+        /\b\w+(aba|abas|ábamos|aban|aron|ieron)\b/i,
+        /\b\w{2,}(ó|ió)\b/i,
+        /\b(fue|fueron|fui|era|eran|tuvo|tuvieron|hizo|hicieron|dijo|dijeron|estuvo)\b/i
+    ],
+    pt: [
+        /\b(tenho|tem|temos|têm|tinha|tinham)\s+\w+(ado|ido)\b/i,
+        /\b\w+(ava|avas|ávamos|avam|aram|eram|iram)\b/i,
+        /\b(?!estou\b|sou\b|vou\b|dou\b)\w{2,}ou\b/i,
+        /\b(foi|foram|fui|era|eram|teve|tiveram|fez|fizeram|disse|disseram|esteve)\b/i
+    ],
+    en: [
+        /\b\w{3,}ed\b/i,
+        /\b(was|were|had|did|went|came|saw|made|took|said|got|knew|thought)\b/i
+    ]
+});
+
+// Person markers: pronouns/possessives plus first person plural verb endings (pro-drop languages)
+const PERSON_PATTERNS = compilePatterns({
+    it: {
+        // "ci" and "vi" are left out: mostly locative ("ci sono")
+        first: /\b(io|me|mi|mio|mia|miei|mie|noi|nostro|nostra|nostri|nostre|\w+iamo)\b/gi,
+        second: /\b(tu|te|ti|tuo|tua|tuoi|tue|voi|vostro|vostra|vostri|vostre)\b/gi
+    },
+    es: {
+        first: /\b(yo|me|mí|mi|mis|mío|mía|nosotros|nosotras|nos|nuestro|nuestra|nuestros|nuestras|\w+(amos|emos))\b/gi,
+        second: /\b(tú|te|ti|tu|tus|tuyo|tuya|usted|ustedes|vosotros|vosotras|os|vuestro|vuestra)\b/gi
+    },
+    pt: {
+        // "nos" is left out: mostly the contraction em + os
+        first: /\b(eu|me|mim|meu|minha|meus|minhas|nós|nosso|nossa|nossos|nossas|\w+(amos|emos))\b/gi,
+        second: /\b(tu|te|ti|teu|tua|teus|tuas|você|vocês|vos|vosso|vossa)\b/gi
+    },
+    en: {
+        first: /\b(i|me|my|mine|myself|we|us|our|ours|ourselves)\b/gi,
+        second: /\b(you|your|yours|yourself|yourselves)\b/gi
+    }
+});
+
+// Address forms for formal vs informal register
+const ADDRESS_PATTERNS = compilePatterns({
+    it: {
+        // Courtesy Lei is capitalised in formal writing; mid-sentence capitals avoid sentence starts
+        formal: /(?<=[a-zà-ù,;:]\s+)(Lei|La|Le|Suo|Sua|Suoi|Sue|Ella)\b|\b([Gg]entile\s+[Cc]liente|[Ee]gregio|[Dd]istinti\s+saluti|[Cc]ordiali\s+saluti)\b/g,
+        informal: /\b(tu|ti|te|tuo|tua|tuoi|tue|ciao|ehi)\b/gi
+    },
+    es: {
+        formal: /\b(usted|ustedes|estimado|estimada|atentamente|le\s+saluda)\b/gi,
+        informal: /\b(tú|tu|te|ti|tus|tuyo|tuya|vosotros|vosotras|hola|oye)\b/gi
+    },
+    pt: {
+        formal: /\b(o\s+senhor|a\s+senhora|os\s+senhores|vossa\s+senhoria|prezado|prezada|atenciosamente|cordialmente)\b/gi,
+        informal: /\b(tu|teu|tua|teus|tuas|contigo|oi|olá|valeu)\b/gi
+    },
+    en: {
+        formal: /\b(dear\s+(sir|madam)|sincerely|kind\s+regards|we\s+kindly|please\s+be\s+advised)\b/gi,
+        informal: /\b(hey|hi|gonna|wanna|yeah|guys|cool|awesome|\w+n't|\w+'re|\w+'ll|\w+'ve)\b/gi
+    }
+});
+
+// === HELPERS ===
+
+/**
+ * Normalize a language name or code ("Italian (it)", "it-IT", "Portuguese (pt-BR)") to
+ * it | pt | es | en, or null for a language the heuristics do not cover.
+ * Same reading of the metadata Language field as every other module (LanguageCodes global)
+ */
+function normalizeLanguage(language) {
+    const code = LanguageCodes.toCode(language);
+    return SEMANTIC_LANGUAGE_WEIGHT[code] ? code : null;
+}
+
+/**
+ * Guess the response language from function word frequency
+ */
+function detectLanguage(text) {
+    const words = (text.toLowerCase().match(/[a-zà-ÿ']+/g) || []);
+    if (words.length === 0) return null;
+
+    let best = null;
+    let bestScore = 0;
+    Object.entries(LANGUAGE_STOPWORDS).forEach(([lang, stopwords]) => {
+        const score = words.filter(w => stopwords.includes(w)).length;
+        if (score > bestScore) {
+            best = lang;
+            bestScore = score;
+        }
+    });
+    return bestScore >= 3 ? best : null;
+}
+
+/**
+ * Split into sentences, keeping the final punctuation (needed for mood)
+ */
+function splitSentencesWithPunctuation(text) {
+    const cleaned = text
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/^\s*(?:[-*+]\s+|\d+\.\s+|#+\s+)/gm, '')
+        .replace(/[*_`]/g, '');
+
+    return (cleaned.match(/[^.!?\n]+(?:[.!?]+|\n|$)/g) || [])
+        .map(s => s.trim())
+        .filter(s => /[A-Za-zÀ-ÿ]/.test(s));
+}
+
+function matchesAny(patterns, text) {
+    return (patterns || []).some(re => re.test(text));
+}
+
+function countMatches(pattern, text) {
+    return pattern ? (text.match(pattern) || []).length : 0;
+}
+
+/**
+ * First string kwarg among the given keys (instruction kwargs are not uniform across tasks)
+ */
+function getKwargValue(kwargs, keys) {
+    for (const key of keys) {
+        if (typeof kwargs[key] === 'string' && kwargs[key].trim()) {
+            return kwargs[key].trim().toLowerCase();
+        }
+    }
+    return null;
+}
+
+/**
+ * Confidence from language support, amount of evidence and distance from the decision threshold
+ * @param {string} lang - Language code
+ * @param {number} evidence - Sentences (or markers) the decision is based on
+ * @param {number} margin - |share - threshold|, 0..1
+ */
+function heuristicConfidence(lang, evidence, margin) {
+    const languageWeight = SEMANTIC_LANGUAGE_WEIGHT[lang] || 0;
+    const evidenceWeight = Math.min(1, evidence / 5);
+    const marginWeight = Math.min(1, 0.5 + margin * 2);
+    return Math.round(languageWeight * evidenceWeight * marginWeight * 100) / 100;
+}
+
+/**
+ * Classify a sentence's mood (interrogative, imperative, conditional, subjunctive,
+ * exclamatory or indicative)
+ */
+function classifySentenceMood(sentence, lang) {
+    if (/\?\s*$/.test(sentence) || /^¿/.test(sentence)) return 'interrogative';
+    const opening = sentence.replace(/^[¡"'«(\s]+/, '');
+    if (matchesAny(IMPERATIVE_PATTERNS[lang], opening)) return 'imperative';
+    if (matchesAny(CONDITIONAL_PATTERNS[lang], sentence)) return 'conditional';
+    if (matchesAny(SUBJUNCTIVE_PATTERNS[lang], sentence)) return 'subjunctive';
+    if (/!\s*$/.test(sentence)) return 'exclamatory';
+    return 'indicative';
+}
+
+// === CHECKERS ===
+
+/**
+ * Grammatical mood / speech act: the required mood must be dominant (indicative,
+ * imperative, interrogative, declarative, exclamatory) or clearly present (subjunctive,
+ * conditional - no text is written entirely in them)
+ */
+function checkSentenceMood(response, required, lang) {
+    const aliases = {
+        indicativo: 'indicative', declarative: 'indicative', declarativo: 'indicative', dichiarativo: 'indicative',
+        imperativo: 'imperative', interrogativo: 'interrogative', interrogativa: 'interrogative', question: 'interrogative',
+        congiuntivo: 'subjunctive', subjuntivo: 'subjunctive', conjuntivo: 'subjunctive',
+        condizionale: 'conditional', condicional: 'conditional', exclamativo: 'exclamatory', esclamativo: 'exclamatory'
+    };
+    const mood = aliases[required] || required;
+    const supported = ['indicative', 'imperative', 'interrogative', 'subjunctive', 'conditional', 'exclamatory'];
+    if (!supported.includes(mood)) return null;
+
+    const sentences = splitSentencesWithPunctuation(response);
+    if (sentences.length === 0) return null;
+
+    const counts = {};
+    sentences.forEach(s => {
+        const sentenceMood = classifySentenceMood(s, lang);
+        counts[sentenceMood] = (counts[sentenceMood] || 0) + 1;
+    });
+
+    // Exclamations are statements for the purpose of "indicative"
+    const matching = (counts[mood] || 0) + (mood === 'indicative' ? (counts.exclamatory || 0) : 0);
+    const share = matching / sentences.length;
+    const breakdown = Object.entries(counts).map(([m, c]) => `${m} ${c}`).join(', ');
+
+    if (mood === 'subjunctive' || mood === 'conditional') {
+        const valid = matching > 0;
+        // Missing markers may be forms the patterns do not know, so absence is weak evidence
+        const confidence = valid
+            ? heuristicConfidence(lang, matching * 2.5, 0.5)
+            : heuristicConfidence(lang, sentences.length, 0.1);
+        return {
+            valid,
+            confidence,
+            note: `${matching}/${sentences.length} sentences with ${mood} forms (${breakdown})`
+        };
+    }
+
+    const threshold = 0.6;
+    return {
+        valid: share >= threshold,
+        confidence: heuristicConfidence(lang, sentences.length, Math.abs(share - threshold)),
+        note: `${matching}/${sentences.length} sentences ${mood} (${Math.round(share * 100)}%, expected >= ${threshold * 100}%; ${breakdown})`
+    };
+}
+
+/**
+ * Narrative person: first / second / third / mixed
+ */
+function checkPerspective(response, required, lang) {
+    const aliases = {
+        first: 'first_person', prima_persona: 'first_person', primeira_pessoa: 'first_person', primera_persona: 'first_person',
+        second: 'second_person', seconda_persona: 'second_person', segunda_pessoa: 'second_person', segunda_persona: 'second_person',
+        third: 'third_person', terza_persona: 'third_person', terceira_pessoa: 'third_person', tercera_persona: 'third_person'
+    };
+    const perspective = aliases[required.replace(/\s+/g, '_')] || required.replace(/\s+/g, '_');
+    if (!['first_person', 'second_person', 'third_person', 'mixed'].includes(perspective)) return null;
+
+    const patterns = PERSON_PATTERNS[lang];
+    const words = (response.match(/[A-Za-zÀ-ÿ']+/g) || []).length;
+    if (!patterns || words === 0) return null;
+
+    const first = countMatches(patterns.first, response);
+    const second = countMatches(patterns.second, response);
+    const per100 = (count) => (count / words) * 100;
+    const note = `${first} first person and ${second} second person markers in ${words} words`;
+
+    let valid;
+    let margin;
+    if (perspective === 'third_person') {
+        // Third person = (almost) no first/second person references
+        const rate = per100(first + second);
+        valid = rate < 1;
+        margin = Math.min(1, Math.abs(rate - 1) / 2);
+    } else if (perspective === 'mixed') {
+        valid = first > 0 && second > 0;
+        margin = Math.min(first, second) > 2 ? 0.5 : 0.1;
+    } else {
+        const own = perspective === 'first_person' ? first : second;
+        const other = perspective === 'first_person' ? second : first;
+        valid = own > 0 && own >= other;
+        margin = own + other > 0 ? Math.abs(own - other) / (own + other) / 2 : 0;
+    }
+
+    return {
+        valid,
+        confidence: heuristicConfidence(lang, words / 20, margin),
+        note: `${note} (expected ${perspective})`
+    };
+}
+
+/**
+ * Temporal context: past / present / future / mixed, from the share of sentences
+ * with past or future verb forms
+ */
+function checkTemporalContext(response, required, lang) {
+    const aliases = {
+        passato: 'past', passado: 'past', pasado: 'past',
+        presente: 'present', futuro: 'future', misto: 'mixed', misto_: 'mixed', mixto: 'mixed'
+    };
+    const tense = aliases[required] || required;
+    if (!['past', 'present', 'future', 'mixed'].includes(tense)) return null;
+
+    const sentences = splitSentencesWithPunctuation(response);
+    if (sentences.length === 0 || !PAST_PATTERNS[lang]) return null;
+
+    let past = 0;
+    let future = 0;
+    sentences.forEach(s => {
+        if (matchesAny(FUTURE_PATTERNS[lang], s)) future++;
+        else if (matchesAny(PAST_PATTERNS[lang], s)) past++;
+    });
+    const present = sentences.length - past - future;
+    const shares = {
+        past: past / sentences.length,
+        future: future / sentences.length,
+        present: present / sentences.length
+    };
+    const note = `${past} past, ${present} present, ${future} future of ${sentences.length} sentences`;
+
+    let valid;
+    let margin;
+    if (tense === 'mixed') {
+        const used = Object.values(shares).filter(share => share >= 0.15).length;
+        valid = used >= 2;
+        margin = used >= 2 ? 0.3 : 0.1;
+    } else {
+        const threshold = 0.5;
+        valid = shares[tense] >= threshold;
+        margin = Math.abs(shares[tense] - threshold);
+    }
+
+    return {
+        valid,
+        confidence: heuristicConfidence(lang, sentences.length, margin),
+        note: `${note} (expected ${tense})`
+    };
+}
+
+/**
+ * Formal vs informal register, judged by how the reader is addressed.
+ * Without any address form there is nothing to judge (confidence 0).
+ */
+function checkAddressFormality(response, required, lang) {
+    const aliases = { formale: 'formal', informale: 'informal', casual: 'informal', professional: 'formal' };
+    const level = aliases[required] || required;
+    if (!['formal', 'informal'].includes(level)) return null;
+
+    const patterns = ADDRESS_PATTERNS[lang];
+    if (!patterns) return null;
+
+    const formal = countMatches(patterns.formal, response);
+    const informal = countMatches(patterns.informal, response);
+    const total = formal + informal;
+    const note = `${formal} formal and ${informal} informal address markers`;
+
+    if (total === 0) {
+        return { valid: null, confidence: 0, note: `${note} - no address to judge` };
+    }
+
+    const own = level === 'formal' ? formal : informal;
+    const other = level === 'formal' ? informal : formal;
+    return {
+        valid: own > 0 && other === 0,
+        confidence: heuristicConfidence(lang, total * 2, Math.abs(own - other) / total / 2),
+        note: `${note} (expected ${level})`
+    };
+}
+
+// === ENTRY POINT ===
+
+/**
+ * Try to score a semantic instruction deterministically
+ * @param {string} response - Response text
+ * @param {string} instType - Instruction id, e.g. 'linguistic:grammatical_mood'
+ * @param {object} kwargs - Instruction kwargs (mood_type, tone_level, ...)
+ * @param {object} options - { language: 'it' | 'Italian' | ... }
+ * @returns {object|null} { valid, confidence, note, language } or null when no checker applies
+ */
+function checkSemanticInstruction(response, instType, kwargs, options = {}) {
+    kwargs = kwargs || {};
+    const lang = normalizeLanguage(options.language) || detectLanguage(response);
+    if (!lang || !SEMANTIC_LANGUAGE_WEIGHT[lang]) return null;
+
+    let result = null;
+    if (instType === 'linguistic:grammatical_mood') {
+        const mood = getKwargValue(kwargs, ['mood_type', 'mood', 'value']);
+        result = mood ? checkSentenceMood(response, mood, lang) : null;
+    } else if (instType === 'linguistic:speech_act') {
+        const act = getKwargValue(kwargs, ['speech_act', 'act_type', 'act', 'value']);
+        result = act ? checkSentenceMood(response, act, lang) : null;
+    } else if (instType === 'situation:perspective') {
+        const perspective = getKwargValue(kwargs, ['perspective', 'person', 'point_of_view', 'value']);
+        result = perspective ? checkPerspective(response, perspective, lang) : null;
+    } else if (instType === 'situation:temporal_context') {
+        const tense = getKwargValue(kwargs, ['temporal_context', 'tense', 'time_frame', 'value']);
+        result = tense ? checkTemporalContext(response, tense, lang) : null;
+    } else if (instType === 'stylistic:tone_formality') {
+        const level = getKwargValue(kwargs, ['tone_level', 'formality', 'tone', 'value']);
+        result = level ? checkAddressFormality(response, level, lang) : null;
+    }
+
+    return result ? { ...result, language: lang } : null;
+}
+
+// === EXPORT FOR GLOBAL USE ===
+const SemanticCheckers = {
+    SEMANTIC_MIN_CONFIDENCE,
+    checkSemanticInstruction,
+    checkSentenceMood,
+    checkPerspective,
+    checkTemporalContext,
+    checkAddressFormality,
+    classifySentenceMood,
+    detectLanguage,
+    normalizeLanguage
+};
+
+if (typeof window !== 'undefined') {
+    window.SemanticCheckers = SemanticCheckers;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SemanticCheckers;
+}
@@ -0,0 +1,241 @@
+/**
+ * CFBench Tokenizer
+ * One word/sentence tokenizer shared by every counter and length check
+ * (NotebookParser word counts, check 2.4, NvidiaValidator length_constraints,
+ * word_count.html and italian_review.html), so they all agree on what a word is.
+ *
+ * Profiles:
+ *   default - letter/number runs; internal apostrophes, hyphens and dots stay in the word (don't, well-known, e.g)
+ *   it      - elisions are split off and counted: l'amico, dell'anno, un'altra = 2 words each; po' is one word
+ *   fr      - contractions are split off: l'homme, qu'il, jusqu'à = 2 words; aujourd'hui stays one word
+ *   pt      - hyphenated clitic pronouns are split off: dá-lo, diga-me = 2 words, dir-te-ei = 3;
+ *             contractions (do, na, pelo) and compounds (guarda-chuva) are one word
+ *   es      - contractions (del, al) and attached clitics (dámelo) are one word, as written;
+ *             ¿ and ¡ are punctuation
+ *   de      - compounds are one word however long (Donaudampfschifffahrt, E-Mail-Adresse)
+ *   zh      - no spaces: every Han character is one word
+ *   ja      - every kanji/hiragana character is one word, a katakana run is one word
+ *   ar, he  - combining marks stay in the word, tatweel is dropped, Hebrew acronyms (צה״ל) are one word
+ *
+ * Han/kana characters are split one per word in every profile, so CJK quoted inside
+ * other languages is counted the same way. Test corpus: corpus/tokenizer/<language>.json,
+ * run with bin/check-tokenizer.js.
+ */
+
+const TOKENIZER_CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\u3005\\u30FC';
+const TOKENIZER_WORD_CHAR = `(?:[^\\P{L}${TOKENIZER_CJK}]|[\\p{M}\\p{N}])`;
+
+// Bidi control marks are invisible and must never split or join words
+const TOKENIZER_INVISIBLE = /[\u200E\u200F\u061C\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+// Sentence ends: Latin/Arabic/Urdu punctuation needs a following space, CJK punctuation does not
+const TOKENIZER_SENTENCE_END = /(?:[.!?…؟۔]+(?=[\s"'”’»)\]]|$)|[。！？]+)/u;
+
+const TOKENIZER_PROFILES = {
+    default: {
+        name: 'Default',
+        connectors: "'’\\-\\u200C"
+    },
+    it: {
+        name: 'Italian',
+        connectors: "'’\\-",
+        elisions: true,
+        trailingApostrophe: true
+    },
+    fr: {
+        name: 'French',
+        connectors: "'’\\-",
+        contractions: ['l', 'd', 'j', 'm', 't', 's', 'c', 'n', 'qu', 'jusqu', 'lorsqu', 'puisqu', 'quoiqu', 'presqu']
+    },
+    pt: {
+        name: 'Portuguese',
+        connectors: "'’\\-",
+        clitics: ['me', 'te', 'se', 'nos', 'vos', 'lhe', 'lhes', 'o', 'a', 'os', 'as', 'lo', 'la', 'los', 'las', 'no', 'na', 'nas']
+    },
+    es: {
+        name: 'Spanish',
+        connectors: "'’\\-"
+    },
+    de: {
+        name: 'German',
+        connectors: "'’\\-",
+        compoundLength: 13
+    },
+    zh: {
+        name: 'Chinese',
+        connectors: "'’\\-"
+    },
+    ja: {
+        name: 'Japanese',
+        connectors: "'’\\-",
+        katakanaWords: true
+    },
+    ar: {
+        name: 'Arabic',
+        connectors: "'’\\-\\u200C",
+        strip: /\u0640/g
+    },
+    he: {
+        name: 'Hebrew',
+        connectors: "'’\\-\"\\u05F3\\u05F4"
+    }
+};
+
+
+class Tokenizer {
+    /**
+     * @param {string} language - Language name or code (e.g. "Italian", "it-IT"); unknown languages use the default profile
+     */
+    constructor(language = null) {
+        this.language = Tokenizer.normalizeLanguage(language);
+        this.profile = TOKENIZER_PROFILES[this.language];
+
+        // Dots join only when a letter follows: e.g, example.com, 3.5
+        const word = `${TOKENIZER_WORD_CHAR}+(?:[.${this.profile.connectors}]${TOKENIZER_WORD_CHAR}+)*`;
+        const trailing = this.profile.trailingApostrophe ? "['’]?" : '';
+        const katakana = this.profile.katakanaWords ? '[\\p{Script=Katakana}\\u30FC]+|' : '';
+        this.pattern = new RegExp(
+            `(\\p{N}+(?:[.,]\\p{N}+)+(?!${TOKENIZER_WORD_CHAR}))|(${katakana}[${TOKENIZER_CJK}])|(${word}${trailing})`,
+            'gu'
+        );
+    }
+
+    /**
+     * Shared instance per profile
+     */
+    static forLanguage(language = null) {
+        const key = Tokenizer.normalizeLanguage(language);
+        if (!Tokenizer.cache[key]) {
+            Tokenizer.cache[key] = new Tokenizer(key);
+        }
+        return Tokenizer.cache[key];
+    }
+
+    /**
+     * Map a language name or code to a profile key
+     * @returns {string} Profile key ('default' when the language has no profile of its own)
+     */
+    static normalizeLanguage(language) {
+        if (!language) return 'default';
+        const lower = String(language).toLowerCase().trim();
+        if (TOKENIZER_PROFILES[lower]) return lower;
+        const code = LanguageCodes.toCode(language);
+        return TOKENIZER_PROFILES[code] ? code : 'default';
+    }
+
+    static getProfiles() {
+        return Object.keys(TOKENIZER_PROFILES);
+    }
+
+    /**
+     * Split text into tokens
+     * @returns {Array} { text, type } where type is word | number | elision | contraction | clitic | compound | cjk
+     */
+    tokenize(text) {
+        if (!text) return [];
+        let cleaned = String(text).replace(TOKENIZER_INVISIBLE, '');
+        if (this.profile.strip) cleaned = cleaned.replace(this.profile.strip, '');
+
+        const tokens = [];
+        for (const match of cleaned.matchAll(this.pattern)) {
+            if (match[1]) {
+                tokens.push({ text: match[1], type: 'number' });
+            } else if (match[2]) {
+                tokens.push({ text: match[2], type: 'cjk' });
+            } else {
+                tokens.push(...this.splitWord(match[3]));
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Apply the profile's elision/contraction/compound rules to one word
+     */
+    splitWord(word) {
+        if (/^\p{N}+$/u.test(word)) {
+            return [{ text: word, type: 'number' }];
+        }
+
+        if (this.profile.elisions) {
+            // Every apostrophe inside an Italian word closes an elided article or preposition
+            const parts = word.match(/[^'’]+['’](?=[^'’])|[^'’]+['’]?$/g) || [word];
+            // A trailing apostrophe is an apocope (po', be', di') on short words, a closing quote otherwise
+            const last = parts[parts.length - 1];
+            if (/['’]$/.test(last) && last.length > 4) {
+                parts[parts.length - 1] = last.slice(0, -1);
+            }
+            return parts.map((part, i) => ({
+                text: part,
+                type: i < parts.length - 1 ? 'elision' : 'word'
+            }));
+        }
+
+        if (this.profile.contractions) {
+            const tokens = [];
+            let rest = word;
+            let match;
+            while ((match = rest.match(/^([^'’]+)['’](?=.)/)) &&
+                   this.profile.contractions.includes(match[1].toLowerCase())) {
+                tokens.push({ text: rest.slice(0, match[0].length), type: 'contraction' });
+                rest = rest.slice(match[0].length);
+            }
+            tokens.push({ text: rest, type: 'word' });
+            return tokens;
+        }
+
+        if (this.profile.clitics && word.includes('-')) {
+            // A clitic pronoun after a hyphen splits the word at every hyphen (dá-|lo, dir-|te-|ei);
+            // hyphenated compounds without one stay whole
+            const parts = word.split('-');
+            if (parts.slice(1).some(part => this.profile.clitics.includes(part.toLowerCase()))) {
+                return parts.map((part, i) => ({
+                    text: i < parts.length - 1 ? part + '-' : part,
+                    type: i === 0 ? 'word' : 'clitic'
+                }));
+            }
+        }
+
+        if (this.profile.compoundLength && (word.includes('-') || word.length >= this.profile.compoundLength)) {
+            return [{ text: word, type: 'compound' }];
+        }
+
+        return [{ text: word, type: 'word' }];
+    }
+
+    /**
+     * Word and number tokens as strings
+     */
+    words(text) {
+        return this.tokenize(text).map(token => token.text);
+    }
+
+    countWords(text) {
+        return this.tokenize(text).length;
+    }
+
+    /**
+     * Split into sentences (terminating punctuation removed)
+     */
+    splitSentences(text) {
+        if (!text) return [];
+        return String(text)
+            .split(TOKENIZER_SENTENCE_END)
+            .map(s => s.trim())
+            .filter(s => s.length > 0);
+    }
+
+    countSentences(text) {
+        return this.splitSentences(text).length;
+    }
+}
+
+Tokenizer.cache = {};
+
+// Export
+if (typeof window !== 'undefined') {
+    window.Tokenizer = Tokenizer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tokenizer;
+}
@@ -0,0 +1,230 @@
+/**
+ * CFBench Usage Tracker
+ * Persists API calls and prompt/completion tokens per provider in localStorage so
+ * daily limits and user budgets hold across page loads. Days roll over at midnight
+ * in the provider's quota time zone (Gemini resets at midnight Pacific time).
+ */
+
+const USAGE_STORAGE_KEY = 'api_usage';
+const USAGE_BUDGETS_KEY = 'api_budgets';
+
+// USD per 1M tokens { input, output }; models not listed (e.g. local ones) cost nothing
+const MODEL_PRICING = {
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-5-nano': { input: 0.05, output: 0.40 },
+    'gpt-5-mini': { input: 0.25, output: 2.00 }
+};
+
+class UsageTracker {
+    /**
+     * @param {Storage} storage - Where usage is kept (defaults to localStorage)
+     */
+    constructor(storage = null) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.review = UsageTracker.emptyTotals();
+        // Calls per provider that passed reserve() and are not recorded yet
+        this.pending = {};
+    }
+
+    static emptyTotals() {
+        return { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+    }
+
+    /**
+     * Calendar day and month in a time zone
+     * @param {string|null} timeZone - IANA zone (null = the browser's)
+     * @returns {object} { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+     */
+    static getPeriod(timeZone = null, date = new Date()) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || undefined,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).formatToParts(date).forEach(part => parts[part.type] = part.value);
+
+        return {
+            day: `${parts.year}-${parts.month}-${parts.day}`,
+            month: `${parts.year}-${parts.month}`
+        };
+    }
+
+    /**
+     * Estimated cost in USD
+     * @param {string} model
+     * @param {object} usage - { promptTokens, completionTokens }
+     */
+    static estimateCost(model, usage) {
+        const pricing = MODEL_PRICING[model];
+        if (!pricing) return 0;
+        return ((usage.promptTokens || 0) * pricing.input + (usage.completionTokens || 0) * pricing.output) / 1000000;
+    }
+
+    load(key) {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(key)) || {};
+        } catch (e) {
+            console.warn(`Ignoring corrupt ${key} in storage:`, e);
+            return {};
+        }
+    }
+
+    save(key, value) {
+        if (this.storage) {
+            this.storage.setItem(key, JSON.stringify(value));
+        }
+    }
+
+    /**
+     * Usage of one provider in the current day and month (older periods are dropped)
+     * @returns {object} { day, month, today: totals, thisMonth: totals }
+     */
+    getUsage(provider, timeZone = null) {
+        const period = UsageTracker.getPeriod(timeZone);
+        const stored = this.load(USAGE_STORAGE_KEY)[provider] || {};
+
+        return {
+            day: period.day,
+            month: period.month,
+            today: stored.day === period.day ? { ...UsageTracker.emptyTotals(), ...stored.today } : UsageTracker.emptyTotals(),
+            thisMonth: stored.month === period.month ? { ...UsageTracker.emptyTotals(), ...stored.thisMonth } : UsageTracker.emptyTotals()
+        };
+    }
+
+    /**
+     * Record one successful call
+     * @param {object} usage - { promptTokens, completionTokens } as returned by callGemini()
+     * @returns {number} Estimated cost of the call
+     */
+    record(provider, timeZone, model, usage) {
+        const cost = UsageTracker.estimateCost(model, usage);
+        const add = (totals) => {
+            totals.calls++;
+            totals.promptTokens += usage.promptTokens || 0;
+            totals.completionTokens += usage.completionTokens || 0;
+            totals.cost += cost;
+        };
+
+        const all = this.load(USAGE_STORAGE_KEY);
+        const current = this.getUsage(provider, timeZone);
+        add(current.today);
+        add(current.thisMonth);
+        all[provider] = current;
+        this.save(USAGE_STORAGE_KEY, all);
+
+        add(this.review);
+        return cost;
+    }
+
+    /**
+     * Forget today's usage of a provider (the month total is kept)
+     */
+    resetDay(provider, timeZone = null) {
+        const all = this.load(USAGE_STORAGE_KEY);
+        const current = this.getUsage(provider, timeZone);
+        current.today = UsageTracker.emptyTotals();
+        all[provider] = current;
+        this.save(USAGE_STORAGE_KEY, all);
+    }
+
+    /**
+     * User budgets, applied to every provider; null means no limit
+     * @returns {object} { dailyCalls, dailyCost, monthlyCalls, monthlyCost }
+     */
+    getBudgets() {
+        const stored = this.load(USAGE_BUDGETS_KEY);
+        return {
+            dailyCalls: stored.dailyCalls ?? null,
+            dailyCost: stored.dailyCost ?? null,
+            monthlyCalls: stored.monthlyCalls ?? null,
+            monthlyCost: stored.monthlyCost ?? null
+        };
+    }
+
+    /**
+     * Store the user budgets; an empty value means no limit and 0 blocks every call
+     * @param {object} budgets - { dailyCalls, dailyCost, monthlyCalls, monthlyCost }
+     */
+    setBudgets(budgets) {
+        const clean = {};
+        ['dailyCalls', 'dailyCost', 'monthlyCalls', 'monthlyCost'].forEach(name => {
+            const value = budgets[name];
+            if (value === null || value === undefined || value === '') {
+                clean[name] = null;
+                return;
+            }
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0) {
+                throw new Error(`Budget "${name}" must be a non-negative number`);
+            }
+            clean[name] = number;
+        });
+        this.save(USAGE_BUDGETS_KEY, clean);
+    }
+
+    /**
+     * Throw when the provider limit or a user budget is used up
+     * Reserved calls still in flight count as made.
+     * @param {number|null} dailyLimit - Provider quota in calls per day
+     */
+    checkLimits(provider, timeZone, dailyLimit = null) {
+        const usage = this.getUsage(provider, timeZone);
+        const budgets = this.getBudgets();
+        const pending = this.pending[provider] || 0;
+
+        if (dailyLimit !== null && usage.today.calls + pending >= dailyLimit) {
+            throw new Error(`Daily API limit reached (${dailyLimit} calls). Please try again tomorrow.`);
+        }
+        if (budgets.dailyCalls !== null && usage.today.calls + pending >= budgets.dailyCalls) {
+            throw new Error(`Daily budget reached (${budgets.dailyCalls} calls). Raise it in API Configuration to continue.`);
+        }
+        if (budgets.dailyCost !== null && usage.today.cost >= budgets.dailyCost) {
+            throw new Error(`Daily budget reached ($${budgets.dailyCost.toFixed(2)}). Raise it in API Configuration to continue.`);
+        }
+        if (budgets.monthlyCalls !== null && usage.thisMonth.calls + pending >= budgets.monthlyCalls) {
+            throw new Error(`Monthly budget reached (${budgets.monthlyCalls} calls). Raise it in API Configuration to continue.`);
+        }
+        if (budgets.monthlyCost !== null && usage.thisMonth.cost >= budgets.monthlyCost) {
+            throw new Error(`Monthly budget reached ($${budgets.monthlyCost.toFixed(2)}). Raise it in API Configuration to continue.`);
+        }
+    }
+
+    /**
+     * Check the limits and hold one call against them until release(), so concurrent calls
+     * cannot all pass checkLimits() on the same count before any of them is recorded
+     */
+    reserve(provider, timeZone, dailyLimit = null) {
+        this.checkLimits(provider, timeZone, dailyLimit);
+        this.pending[provider] = (this.pending[provider] || 0) + 1;
+    }
+
+    /**
+     * Give back a reserve()d call, once it is recorded or has failed
+     */
+    release(provider) {
+        this.pending[provider] = Math.max(0, (this.pending[provider] || 0) - 1);
+    }
+
+    /**
+     * Totals since the last resetReview() - the cost of one review
+     */
+    getReviewUsage() {
+        return { ...this.review };
+    }
+
+    resetReview() {
+        this.review = UsageTracker.emptyTotals();
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.UsageTracker = UsageTracker;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UsageTracker;
+}
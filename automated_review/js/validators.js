@@ -4,9 +4,17 @@
  */
 
 class Validators {
-    constructor(parsed, apiHandler = null) {
+    /**
+     * @param {object} parsed - Output of NotebookParser.extractComponents()
+     * @param {APIHandler} apiHandler - Optional API handler for AI-assisted rules
+     * @param {RuleRegistry} registry - Rules to run (defaults to RuleRegistry.createDefault())
+     */
+    constructor(parsed, apiHandler = null, registry = null) {
         this.parsed = parsed;
         this.apiHandler = apiHandler;
+        this.baseRegistry = registry || Validators.createDefaultRegistry();
+        this.registry = this.baseRegistry;
+        this.profile = null;
         this.results = {
             phase1: [], // Structure checks
             phase2: [], // Content checks
@@ -18,10 +26,30 @@ class Validators {
                 failed: 0,
                 warnings: 0,
                 needsReview: 0
-            }
+            },
+            profile: null // Active review profile (see setProfile)
         };
     }
 
+    /**
+     * Set the per-project review profile (thresholds and severity overrides). The overrides go to
+     * a copy of the registry given to the constructor, which stays as it was.
+     * @param {ReviewProfile} profile
+     */
+    setProfile(profile) {
+        this.profile = profile;
+        this.registry = profile ? profile.applyToRegistry(this.baseRegistry) : this.baseRegistry;
+        this.results.profile = profile ? profile.describe() : null;
+    }
+
+    /**
+     * Get a check option from the active profile, or the default its rule declares (rule.options)
+     */
+    getCheckOption(checkId, key) {
+        const ruleDefault = this.registry.getRule(checkId)?.options?.[key];
+        return this.profile ? this.profile.getCheckOption(checkId, key, ruleDefault) : ruleDefault;
+    }
+
     /**
      * Set API handler for AI-powered verification
      */
@@ -33,7 +61,17 @@ class Validators {
      * Check if API handler is available
      */
     hasApiHandler() {
-        return this.apiHandler && this.apiHandler.hasApiKey && this.apiHandler.hasApiKey();
+        return this.apiHandler && this.apiHandler.isConfigured && this.apiHandler.isConfigured();
+    }
+
+    /**
+     * Default rule registry (RuleRegistry is loaded as a browser global / set on global in Node)
+     */
+    static createDefaultRegistry() {
+        if (typeof RuleRegistry === 'undefined') {
+            throw new Error('RuleRegistry not loaded - include js/rule_registry.js before validators.js');
+        }
+        return RuleRegistry.createDefault();
     }
 
     /**
@@ -81,6 +119,35 @@ class Validators {
         }
     };
 
+    /**
+     * Preamble openings forbidden in the golden response (check 2.9)
+     */
+    static preamblePatterns = [
+        /^(sure|certo|certainly|certamente)[!,.\s]/i,
+        /^(of course|ovviamente|naturalmente)[!,.\s]/i,
+        /^(absolutely|assolutamente)[!,.\s]/i,
+        /^(great|ottimo|perfetto)[!,.\s]/i,
+        /^(i'?d be happy to|sarò felice di|volentieri)[!,.\s]/i,
+        /^(here'?s|ecco)[!,.\s]/i
+    ];
+
+    /**
+     * Passages a validator message quotes ('...', "..." or `...`) as text of the golden response
+     * (check 4.4). Quotes shorter than 8 characters and bare verdicts ("passed") are left out.
+     * @param {string} message - validator_assistant message
+     * @returns {string[]} Quoted passages without their quotes
+     */
+    static extractQuotedPhrases(message) {
+        const quoted = [
+            ...(message.match(/'([^']{5,})'/g) || []),
+            ...(message.match(/"([^"]{5,})"/g) || []),
+            ...(message.match(/`([^`]{5,})`/g) || [])
+        ];
+        return quoted
+            .map(phrase => phrase.replace(/^['"`]|['"`]$/g, ''))
+            .filter(phrase => phrase.length >= 8 && !/^(passed|failed|found|not found|correct|incorrect|yes|no)$/i.test(phrase));
+    }
+
     /**
      * Check if user request CONTRADICTS the constraint definition.
      * Returns mismatch info if user asked for the OPPOSITE of what constraint requires.
@@ -123,20 +190,94 @@ class Validators {
      * Phase 1: Structure Checks
      */
     runPhase1Checks() {
-        // Check 1.1: Cell names & order
-        this.check1_1_CellStructure();
+        this.runPhaseChecks(1);
+    }
 
-        // Check 1.2: Language consistency
-        this.check1_2_LanguageConsistency();
+    /**
+     * Run every enabled deterministic rule registered for a phase
+     * @param {number} phase - 1 Structure, 2 Content, 3 Metadata, 4 Model Passes
+     */
+    runPhaseChecks(phase) {
+        const phaseResults = this.results[`phase${phase}`];
+
+        this.registry.getRules({ phase: phase, needsApi: false }).forEach(rule => {
+            const before = phaseResults.length;
+            try {
+                const result = rule.run(this, this.parsed, this.apiHandler);
+                if (result && typeof result.then === 'function') {
+                    throw new Error('async rules must set needsApi: true');
+                }
+                this.recordRuleResult(rule, result, before);
+            } catch (error) {
+                // A broken (project) rule should not abort the whole review
+                console.warn(`Rule ${rule.id} failed:`, error);
+                phaseResults.push({
+                    id: rule.id,
+                    name: rule.name,
+                    status: 'failed',
+                    issues: [`Rule ${rule.id} could not run: ${error.message}`],
+                    warnings: [],
+                    details: {}
+                });
+            }
+        });
+    }
 
-        // Check 1.3: Thinking cells present
-        this.check1_3_ThinkingCells();
+    /**
+     * Run enabled rules that need the API handler (call after runAll())
+     * Failures are logged and do not stop the remaining rules.
+     * @param {APIHandler} apiHandler - Defaults to the handler given to the constructor
+     * @param {function} onRule - Optional callback (rule, index, total) before each rule
+     */
+    async runApiChecks(apiHandler = this.apiHandler, onRule = null) {
+        const rules = this.registry.getRules({ needsApi: true });
 
-        // Check 1.4: Model passes structure
-        this.check1_4_ModelPassesStructure();
+        for (let i = 0; i < rules.length; i++) {
+            const rule = rules[i];
+            if (onRule) onRule(rule, i, rules.length);
+
+            const phaseResults = this.results[`phase${rule.phase}`];
+            const before = phaseResults.length;
+            try {
+                const result = await rule.run(this, this.parsed, apiHandler);
+                this.recordRuleResult(rule, result, before);
+            } catch (e) {
+                console.warn(`AI rule ${rule.id} failed:`, e);
+            }
+        }
 
-        // Check 1.5: Golden response sanity (not a copy of user query)
-        this.check1_5_GoldenResponseSanity();
+        this.calculateSummary();
+        return this.results;
+    }
+
+    /**
+     * Record a rule's returned result and apply its severity to everything it added
+     * @param {object} rule - Registered rule
+     * @param {object|undefined} result - Value returned by rule.run()
+     * @param {number} before - Length of the phase results before the rule ran
+     */
+    recordRuleResult(rule, result, before) {
+        const phaseResults = this.results[`phase${rule.phase}`];
+
+        if (result && typeof result === 'object' && result.status) {
+            phaseResults.push({
+                id: rule.id,
+                name: rule.name,
+                issues: [],
+                warnings: [],
+                details: {},
+                ...result
+            });
+        }
+
+        if (rule.severity === 'warning') {
+            phaseResults.slice(before).forEach(check => {
+                if (check.status !== 'failed') return;
+                check.status = 'warning';
+                check.warnings = [...(check.warnings || []), ...(check.issues || [])];
+                check.issues = [];
+            });
+        }
     }
 
     /**
@@ -413,32 +554,7 @@ class Validators {
      * Phase 2: Content Checks
      */
     runPhase2Checks() {
-        // Check 2.1: System prompt structure
-        this.check2_1_SystemPrompt();
-
-        // Check 2.2: System prompt issues (model reasoning detection)
-        this.check2_2_SystemPromptIssues();
-
-        // Check 2.3: Value consistency (deterministic part)
-        this.check2_3_ValueConsistency();
-
-        // Check 2.4: Prompt length validation (10% tolerance)
-        this.check2_4_PromptLengthValidation();
-
-        // Check 2.5: Query completeness (detect cut-off)
-        this.check2_5_QueryCompleteness();
-
-        // Check 2.6: Intermediate turns analysis
-        this.check2_6_IntermediateTurns();
-
-        // Check 2.7: Source "system" constraints in system prompt
-        this.check2_7_SystemSourceConstraints();
-
-        // Check 2.8: Forbidden terms in system prompt
-        this.check2_8_ForbiddenTerms();
-
-        // Check 2.9: Golden response formatting
-        this.check2_9_GoldenFormatting();
+        this.runPhaseChecks(2);
     }
 
     /**
@@ -620,6 +736,38 @@ class Validators {
         console.log('Check 2.3 - User Source Instructions:', instructions.length);
         console.log('Check 2.3 - System Source Instructions:', systemInstructions.length);
 
+        // Helper: quote of the query around a match, cut at sentence boundaries when possible
+        const quoteAt = (idx, length) => {
+            const start = Math.max(0, idx - 60);
+            const end = Math.min(query.length, idx + length + 60);
+
+            // Find sentence boundaries for cleaner quote
+            let quoteStart = start;
+            let quoteEnd = end;
+
+            // Try to start at beginning of sentence
+            const beforeText = query.substring(Math.max(0, idx - 150), idx);
+            const sentenceStart = Math.max(beforeText.lastIndexOf('. '), beforeText.lastIndexOf('! '), beforeText.lastIndexOf('? '));
+            if (sentenceStart !== -1) {
+                quoteStart = idx - (beforeText.length - sentenceStart - 2);
+            }
+
+            // Try to end at end of sentence
+            const afterText = query.substring(idx + length, Math.min(query.length, idx + length + 150));
+            const sentenceEnd = Math.min(
+                afterText.indexOf('. ') !== -1 ? afterText.indexOf('. ') : 999,
+                afterText.indexOf('! ') !== -1 ? afterText.indexOf('! ') : 999,
+                afterText.indexOf('? ') !== -1 ? afterText.indexOf('? ') : 999
+            );
+            if (sentenceEnd !== 999) {
+                quoteEnd = idx + length + sentenceEnd + 1;
+            }
+
+            const exactQuote = query.substring(quoteStart, quoteEnd).trim();
+            const shortContext = (start > 0 ? '...' : '') + query.substring(start, end) + (end < query.length ? '...' : '');
+            return { evidence: shortContext, exact_quote: `"${exactQuote}"` };
+        };
+
         // Helper: find evidence in query for a value/concept
         // Returns the EXACT quote from the user query where the constraint appears
         const findEvidence = (patterns, value = null) => {
@@ -627,47 +775,58 @@ class Validators {
                 const regex = new RegExp(pattern, 'gi');
                 const match = query.match(regex);
                 if (match) {
-                    // Find surrounding context (up to 60 chars before/after for better quote)
                     const idx = query.indexOf(match[0]) !== -1 ? query.indexOf(match[0]) : query.toLowerCase().indexOf(match[0].toLowerCase());
-                    const start = Math.max(0, idx - 60);
-                    const end = Math.min(query.length, idx + match[0].length + 60);
-
-                    // Find sentence boundaries for cleaner quote
-                    let quoteStart = start;
-                    let quoteEnd = end;
-
-                    // Try to start at beginning of sentence
-                    const beforeText = query.substring(Math.max(0, idx - 150), idx);
-                    const sentenceStart = Math.max(beforeText.lastIndexOf('. '), beforeText.lastIndexOf('! '), beforeText.lastIndexOf('? '));
-                    if (sentenceStart !== -1) {
-                        quoteStart = idx - (beforeText.length - sentenceStart - 2);
-                    }
-
-                    // Try to end at end of sentence
-                    const afterText = query.substring(idx + match[0].length, Math.min(query.length, idx + match[0].length + 150));
-                    const sentenceEnd = Math.min(
-                        afterText.indexOf('. ') !== -1 ? afterText.indexOf('. ') : 999,
-                        afterText.indexOf('! ') !== -1 ? afterText.indexOf('! ') : 999,
-                        afterText.indexOf('? ') !== -1 ? afterText.indexOf('? ') : 999
-                    );
-                    if (sentenceEnd !== 999) {
-                        quoteEnd = idx + match[0].length + sentenceEnd + 1;
-                    }
-
-                    const exactQuote = query.substring(quoteStart, quoteEnd).trim();
-                    const shortContext = (start > 0 ? '...' : '') + query.substring(start, end) + (end < query.length ? '...' : '');
+                    return { found: true, ...quoteAt(idx, match[0].length), match: match[0] };
+                }
+            }
+            return { found: false, evidence: 'Not found in user query', exact_quote: null, match: null };
+        };
 
-                    return {
-                        found: true,
-                        evidence: shortContext,
-                        exact_quote: `"${exactQuote}"`,
-                        match: match[0]
-                    };
+        // Numbers of the query in digits or words ("377", "trecentosettantasette", "two hundred")
+        const queryNumbers = NumberWords.findNumbers(query, p.metadata?.language || null);
+
+        // Helper: find a numeric kwarg in the query, next to one of its unit words
+        // (e.g. "trecentosettantasette parole", "parole: 377"); with bare = true the number alone also counts.
+        // Unit words match whole words only, so "mal" is not found in "normale"
+        const unitWord = (units) => `(?<!\\p{L})(${units})(?!\\p{L})`;
+        const findNumberEvidence = (value, units, bare = false) => {
+            const expected = Number(value);
+            const unitAfter = new RegExp(`^[^.!?\\n]{0,40}?${unitWord(units)}`, 'iu');
+            const unitBefore = new RegExp(`${unitWord(units)}[^.!?\\n]{0,40}$`, 'iu');
+            const occurrences = queryNumbers.filter(n => n.value === expected && !n.ordinal);
+
+            for (const n of occurrences) {
+                const after = query.substring(n.index + n.text.length, n.index + n.text.length + 60);
+                const before = query.substring(Math.max(0, n.index - 60), n.index);
+                if (unitAfter.test(after) || unitBefore.test(before)) {
+                    return { found: true, ...quoteAt(n.index, n.text.length), match: n.text, spelled: !/^\d/.test(n.text) };
                 }
             }
+            if (bare && occurrences.length > 0) {
+                const n = occurrences[0];
+                return { found: true, ...quoteAt(n.index, n.text.length), match: n.text, spelled: !/^\d/.test(n.text), bare: true };
+            }
             return { found: false, evidence: 'Not found in user query', exact_quote: null, match: null };
         };
 
+        // Values the query gives next to the unit words instead of the expected one ("300 parole" for 377)
+        const findOtherValues = (value, units) => {
+            const unitAfter = new RegExp(`^\\s*${unitWord(units)}`, 'iu');
+            return queryNumbers
+                .filter(n => n.value !== Number(value) && !n.ordinal && unitAfter.test(query.substring(n.index + n.text.length, n.index + n.text.length + 30)))
+                .map(n => n.value);
+        };
+
+        // Unit words of the numeric kwargs, in the task languages, plural and singular ("1 frase")
+        const UNITS = {
+            words: 'parole|parola|words|word|palavras|palavra|palabras|palabra|wörter|wörtern|wort|mots|mot',
+            uniqueWords: 'parole uniche|parola unica|parole diverse|unique words|unique word|distinct words|palavras únicas|palavra única|palavras diferentes|palabras únicas|palabra única|palabras distintas|mots uniques|mot unique|mots différents|verschiedene wörter|einzigartige wörter',
+            chars: 'caratteri|carattere|characters|character|caracteres|caractere|carácter|zeichen|caractères|caractère|lettere|lettera|letters|letter|letras|letra|lettres|lettre|buchstaben|buchstabe',
+            sentences: 'frasi|frase|sentences|sentence|frases|oraciones|oración|sätze|sätzen|satz|phrases|phrase',
+            paragraphs: 'paragrafi|paragrafo|paragraphs|paragraph|parágrafos|parágrafo|párrafos|párrafo|absätze|absätzen|absatz|paragraphes|paragraphe|sezioni|sezione|sections|section|seções|seção|secciones|sección|abschnitte|abschnitt',
+            times: 'volte|volta|times|time|vezes|vez|veces|fois|mal'
+        };
+
         instructions.forEach(inst => {
             const id = inst.instruction_id || '';
 
@@ -695,98 +854,56 @@ class Validators {
                 method: 'regex' // 'regex' or 'AI'
             };
 
-            // Check number_words - multilingual patterns
+            // Check number_words - the number in digits or words, next to "words" in any task language
             if (id.includes('number_words') && inst.num_words) {
-                const patterns = [
-                    `\\b${inst.num_words}\\s*(parole|words|palavras|wörter|mots)\\b`,
-                    `\\b(parole|words)\\s*[:=]?\\s*${inst.num_words}\\b`,
-                    `\\b${inst.num_words}\\b.*\\b(parole|words)`,
-                    `\\b(esattamente|exactly|precisamente)\\s+${inst.num_words}\\b`
-                ];
-                const check = findEvidence(patterns);
+                const check = findNumberEvidence(inst.num_words, UNITS.words, true);
                 result.found = check.found;
                 result.evidence = check.evidence;
                 result.exact_quote = check.exact_quote;
-                result.details = { expected: inst.num_words, type: 'word_count' };
-
-                if (!check.found) {
-                    // Also check if just the number appears
-                    const numCheck = findEvidence([`\\b${inst.num_words}\\b`]);
-                    if (numCheck.found) {
-                        result.found = true;
-                        result.evidence = numCheck.evidence;
-                        result.exact_quote = numCheck.exact_quote;
-                        result.details.note = 'Number found, word association implicit';
-                    }
-                }
+                result.details = { expected: inst.num_words, type: 'word_count', otherValues: findOtherValues(inst.num_words, UNITS.words) };
+                if (check.bare) result.details.note = 'Number found, word association implicit';
+                if (check.spelled) result.details.spelled = check.match;
             }
 
             // Check unique_words
             else if (id.includes('unique_words') && inst.num_unique) {
-                const patterns = [
-                    `\\b${inst.num_unique}\\b.*\\b(parole uniche|unique words|palavras únicas)`,
-                    `\\b(parole uniche|unique words).*\\b${inst.num_unique}\\b`,
-                    `\\b(inferiore a|less than|menor que|unter)\\s*${inst.num_unique + 10}\\b.*\\b(parole|words)`,
-                    `\\b${inst.num_unique}\\b`
-                ];
-                const check = findEvidence(patterns);
+                const check = findNumberEvidence(inst.num_unique, UNITS.uniqueWords, true);
                 result.found = check.found;
                 result.evidence = check.evidence;
                 result.exact_quote = check.exact_quote;
                 result.details = { expected: inst.num_unique, type: 'unique_words' };
+                if (check.spelled) result.details.spelled = check.match;
             }
 
             // Check num_chars - multilingual patterns
             else if (id.includes('num_chars') && inst.num_chars) {
-                const patterns = [
-                    `\\b${inst.num_chars}\\s*(caratteri|characters|caracteres|zeichen)\\b`,
-                    `\\b(caratteri|characters)\\s*[:=]?\\s*${inst.num_chars}\\b`,
-                    `\\b${inst.num_chars}\\b.*\\b(caratteri|characters)`
-                ];
-                const check = findEvidence(patterns);
+                const check = findNumberEvidence(inst.num_chars, UNITS.chars, true);
                 result.found = check.found;
                 result.evidence = check.evidence;
                 result.exact_quote = check.exact_quote;
-                result.details = { expected: inst.num_chars, type: 'char_count' };
-
-                if (!check.found) {
-                    const numCheck = findEvidence([`\\b${inst.num_chars}\\b`]);
-                    if (numCheck.found) {
-                        result.found = true;
-                        result.evidence = numCheck.evidence;
-                        result.exact_quote = numCheck.exact_quote;
-                        result.details.note = 'Number found, char association may be implicit';
-                    }
-                }
+                result.details = { expected: inst.num_chars, type: 'char_count', otherValues: findOtherValues(inst.num_chars, UNITS.chars) };
+                if (check.bare) result.details.note = 'Number found, char association may be implicit';
+                if (check.spelled) result.details.spelled = check.match;
             }
 
             // Check sentence_count
             else if (id.includes('sentence_count') && inst.num_sentences) {
-                const patterns = [
-                    `\\b${inst.num_sentences}\\s*(frasi|sentences|oraciones|sätze)\\b`,
-                    `\\b(frasi|sentences)\\s*[:=]?\\s*${inst.num_sentences}\\b`,
-                    `\\b(almeno|at least|minimo)\\s*${inst.num_sentences}\\s*(frasi|sentences)`
-                ];
-                const check = findEvidence(patterns);
+                const check = findNumberEvidence(inst.num_sentences, UNITS.sentences);
                 result.found = check.found;
                 result.evidence = check.evidence;
                 result.exact_quote = check.exact_quote;
-                result.details = { expected: inst.num_sentences, type: 'sentence_count' };
+                result.details = { expected: inst.num_sentences, type: 'sentence_count', otherValues: findOtherValues(inst.num_sentences, UNITS.sentences) };
+                if (check.spelled) result.details.spelled = check.match;
             }
 
             // Check paragraph_count
             else if (id.includes('paragraph') && inst.num_paragraphs) {
-                const patterns = [
-                    `\\b${inst.num_paragraphs}\\s*(paragrafi|paragraphs|párrafos|absätze|sezioni)\\b`,
-                    `\\b(paragrafi|paragraphs|sezioni)\\s*[:=]?\\s*${inst.num_paragraphs}\\b`,
-                    `\\btre\\s*(sezioni|paragrafi)\\b`,
-                    `\\b(three|drei)\\s*(sections|paragraphs)\\b`
-                ];
-                const check = findEvidence(patterns);
+                const check = findNumberEvidence(inst.num_paragraphs, UNITS.paragraphs);
                 result.found = check.found;
                 result.evidence = check.evidence;
                 result.exact_quote = check.exact_quote;
-                result.details = { expected: inst.num_paragraphs, type: 'paragraph_count' };
+                result.details = { expected: inst.num_paragraphs, type: 'paragraph_count', otherValues: findOtherValues(inst.num_paragraphs, UNITS.paragraphs) };
+                if (check.spelled) result.details.spelled = check.match;
             }
 
             // Check keyword_frequency
@@ -799,13 +916,8 @@ class Validators {
                 ];
                 const keywordCheck = findEvidence(keywordPatterns);
 
-                // Then check if frequency is mentioned
-                const freqPatterns = [
-                    `\\b${inst.frequency}\\s*(volte|times|veces|mal)\\b`,
-                    `\\b(ripetere|repeat|usa|utilizza).*${inst.frequency}`,
-                    `\\b${inst.frequency}\\b.*\\b(volte|times)`
-                ];
-                const freqCheck = findEvidence(freqPatterns);
+                // Then check if frequency is mentioned ("3 volte", "tre volte", "repeat it three times")
+                const freqCheck = findNumberEvidence(inst.frequency, UNITS.times);
 
                 result.found = keywordCheck.found && freqCheck.found;
                 result.exact_quote = keywordCheck.exact_quote || freqCheck.exact_quote;
@@ -851,23 +963,11 @@ class Validators {
 
             // Check word_length constraints
             else if (id.includes('word_length')) {
-                const patterns = [];
-                if (inst.max_length) {
-                    patterns.push(
-                        `\\b(massimo|max|maximum|no più di|at most)\\s*${inst.max_length}\\s*(caratteri|characters|lettere)`,
-                        `\\b${inst.max_length}\\s*(caratteri|characters)\\s*(massimo|max)?`,
-                        `\\b(parole|words).*\\b${inst.max_length}\\s*(caratteri|characters)`
-                    );
-                }
-                if (inst.min_length) {
-                    patterns.push(
-                        `\\b(minimo|min|minimum|almeno|at least)\\s*${inst.min_length}\\s*(caratteri|characters)`,
-                        `\\b${inst.min_length}\\s*(caratteri|characters)\\s*(minimo|min)?`
-                    );
-                }
+                const bounds = [inst.max_length, inst.min_length].filter(v => v !== undefined && v !== null);
 
-                if (patterns.length > 0) {
-                    const check = findEvidence(patterns);
+                if (bounds.length > 0) {
+                    const checks = bounds.map(v => findNumberEvidence(v, UNITS.chars));
+                    const check = checks.find(c => c.found) || checks[0];
                     result.found = check.found;
                     result.evidence = check.evidence;
                     result.exact_quote = check.exact_quote;
@@ -995,7 +1095,7 @@ class Validators {
         const unchecked = verificationResults.filter(r => r.found === null);
 
         // Mark items not found by regex as 'needs_review' instead of definitive fail
-        // This is because regex can't handle numbers written in words
+        // (the query may paraphrase the constraint in a way no pattern covers)
         // NOTE: Items with 'mismatch' status keep that status (don't override)
         missing.forEach(r => {
             if (!r.status) r.status = 'needs_review'; // Will show yellow in report
@@ -1004,8 +1104,8 @@ class Validators {
             if (!r.status) r.status = 'needs_review';
         });
 
-        // NOTE: This deterministic check cannot recognize numbers written in words
-        // (e.g., "trecentottantacinque" = 385 in Italian)
+        // NOTE: Numbers written in words are recognized in the notebook language (NumberWords,
+        // e.g. "trecentottantacinque" = 385 in Italian); other phrasings are left to the AI check.
         // Without API: show NEEDS_REVIEW (yellow) for uncertain items
         // With API: the enhanceCheck2_3WithAI method will update to definitive PASS/FAIL
 
@@ -1013,18 +1113,20 @@ class Validators {
         missing.forEach(r => {
             const detail = r.details;
             let warnMsg = `[${r.instruction_id}] `;
-            if (detail.type === 'word_count') {
-                warnMsg += `Word count "${detail.expected}" not found as numeric (may be written in words)`;
+            if (detail.otherValues?.length > 0) {
+                warnMsg += `Query asks for ${detail.otherValues.join(', ')} where turn_metadata expects ${detail.expected}`;
+            } else if (detail.type === 'word_count') {
+                warnMsg += `Word count "${detail.expected}" not found in digits or words`;
             } else if (detail.type === 'char_count') {
-                warnMsg += `Character count "${detail.expected}" not found as numeric`;
+                warnMsg += `Character count "${detail.expected}" not found in digits or words`;
             } else if (detail.type === 'keyword_frequency') {
                 warnMsg += `Keyword "${detail.keyword}" check - verify manually`;
             } else if (detail.type === 'word_length') {
                 warnMsg += `Word length constraint - verify manually`;
             } else if (detail.type === 'paragraph_count') {
-                warnMsg += `Paragraph count "${detail.expected}" not found as numeric (may be written in words)`;
+                warnMsg += `Paragraph count "${detail.expected}" not found in digits or words`;
             } else if (detail.type === 'sentence_count') {
-                warnMsg += `Sentence count "${detail.expected}" not found as numeric (may be written in words)`;
+                warnMsg += `Sentence count "${detail.expected}" not found in digits or words`;
             } else {
                 warnMsg += `Constraint not found by regex - use AI Analysis for accurate check`;
             }
@@ -1099,7 +1201,7 @@ class Validators {
      * @returns {object} Enhanced check 2.3 results
      */
     async enhanceCheck2_3WithAI(apiHandler) {
-        if (!apiHandler || !apiHandler.hasApiKey()) {
+        if (!apiHandler || !apiHandler.isConfigured()) {
             console.warn('No API handler available for AI enhancement');
             return null;
         }
@@ -1147,6 +1249,9 @@ class Validators {
                     existing.exact_quote = aiResult.exact_quote;
                     existing.method = aiResult.method;
                     existing.confidence = aiResult.confidence;
+                    if (aiResult.consensus) {
+                        existing.consensus = aiResult.consensus;
+                    }
                     // Remove needs_review status - now we have definitive answer
                     delete existing.status;
                 }
@@ -1155,7 +1260,10 @@ class Validators {
             // Recategorize and update check status
             const verified = verificationResults.filter(r => r.found === true);
             const failed = verificationResults.filter(r => r.found === false && r.method === 'AI');
-            const needsReview = verificationResults.filter(r => r.found === false && r.method !== 'AI');
+            // found === null: AI could not verify, or the consensus voters reached no majority
+            const needsReview = verificationResults.filter(r =>
+                (r.found === false && r.method !== 'AI') || r.found === null
+            );
 
             // Update check 2.3 status
             if (failed.length > 0) {
@@ -1188,6 +1296,13 @@ class Validators {
                 return true;
             });
 
+            // Consensus mode: voters that disagree are worth a look even when a majority decided
+            verificationResults.forEach(r => {
+                if (r.consensus && Consensus.hasDisagreement(r.consensus)) {
+                    check23.warnings.push(`[${r.instruction_id}] AI voters disagree - ${Consensus.describe(r.consensus, ['found', 'not found'])}`);
+                }
+            });
+
             // Recalculate summary
             this.calculateSummary();
 
@@ -1206,14 +1321,16 @@ class Validators {
         const issues = [];
         const warnings = [];
         const p = this.parsed;
-        const TOLERANCE = 0.10; // 10% tolerance
+        const TOLERANCE = this.getCheckOption('2.4', 'tolerance'); // 10% unless the profile overrides it
+        const tolerancePercent = Math.round(TOLERANCE * 100);
 
         const lengthChecks = [];
 
-        // Helper: count words in text
+        // Helper: count words in text, with the word rules of the task language
+        const tokenizer = Tokenizer.forLanguage(p.metadata?.language);
         const countWords = (text) => {
             if (!text) return 0;
-            return text.trim().split(/\s+/).filter(w => w.length > 0).length;
+            return tokenizer.countWords(text);
         };
 
         // Helper: parse range string like "200-300" or "200 - 300"
@@ -1275,7 +1392,7 @@ class Validators {
                 if (check.status === 'failed') {
                     issues.push(`System prompt: ${actualWords} words (expected ${check.expected}, tolerance ${check.withTolerance}) - ${check.deviation}`);
                 } else if (check.status === 'warning') {
-                    warnings.push(`System prompt: ${actualWords} words is within 10% tolerance but outside exact range ${check.expected}`);
+                    warnings.push(`System prompt: ${actualWords} words is within ${tolerancePercent}% tolerance but outside exact range ${check.expected}`);
                 }
             }
         }
@@ -1293,7 +1410,7 @@ class Validators {
                 if (check.status === 'failed') {
                     issues.push(`User prompt: ${actualWords} words (expected ${check.expected}, tolerance ${check.withTolerance}) - ${check.deviation}`);
                 } else if (check.status === 'warning') {
-                    warnings.push(`User prompt: ${actualWords} words is within 10% tolerance but outside exact range ${check.expected}`);
+                    warnings.push(`User prompt: ${actualWords} words is within ${tolerancePercent}% tolerance but outside exact range ${check.expected}`);
                 }
             }
         }
@@ -1358,7 +1475,7 @@ class Validators {
             issues: issues,
             warnings: warnings,
             details: {
-                tolerance: '10%',
+                tolerance: `${tolerancePercent}%`,
                 checks: lengthChecks,
                 summary: {
                     total: lengthChecks.length,
@@ -1452,7 +1569,7 @@ class Validators {
         p.turns.forEach((turn, index) => {
             const turnNum = index + 1;
             const userContent = turn.user?.content || '';
-            const wordCount = userContent.split(/\s+/).filter(w => w.length > 0).length;
+            const wordCount = Tokenizer.forLanguage(p.metadata?.language).countWords(userContent);
             const analysis = {
                 turn: turnNum,
                 wordCount: wordCount,
@@ -1518,7 +1635,7 @@ class Validators {
      */
     async enhanceCheck2_6WithAI(apiHandler) {
         // Skip if no API handler or no API key
-        if (!apiHandler?.hasApiKey()) {
+        if (!apiHandler?.isConfigured()) {
             console.log('Skipping AI analysis of intermediate turns: No API key');
             return null;
         }
@@ -1695,19 +1812,7 @@ class Validators {
         const content = p.system.content;
         const contentLower = content.toLowerCase();
 
-        // Forbidden terms that should NOT appear in system prompt
-        const forbiddenTerms = [
-            { term: 'L1', pattern: /\bL1\b/i, msg: 'Contains "L1" (taxonomy reference)' },
-            { term: 'L2', pattern: /\bL2\b/i, msg: 'Contains "L2" (taxonomy reference)' },
-            { term: 'L3', pattern: /\bL3\b/i, msg: 'Contains "L3" (taxonomy reference)' },
-            { term: 'taxonomy', pattern: /\btaxonom/i, msg: 'Contains "taxonomy" reference' },
-            { term: 'CFBench', pattern: /\bcfbench\b/i, msg: 'Contains "CFBench" reference' },
-            { term: 'use case', pattern: /\buse\s*case\b/i, msg: 'Contains "use case" reference' },
-            { term: 'metadata', pattern: /\bmetadata\b/i, msg: 'Contains "metadata" reference' },
-            { term: 'instruction_id', pattern: /\binstruction_id\b/i, msg: 'Contains "instruction_id" reference' },
-            { term: 'turn_metadata', pattern: /\bturn_metadata\b/i, msg: 'Contains "turn_metadata" reference' },
-            { term: 'validator', pattern: /\bvalidator\b/i, msg: 'Contains "validator" reference' }
-        ];
+        const forbiddenTerms = this.getForbiddenTerms();
 
         const foundTerms = [];
 
@@ -1731,6 +1836,38 @@ class Validators {
         });
     }
 
+    /**
+     * Forbidden terms that should NOT appear in system prompt (check 2.8)
+     * @returns {Array} { term, pattern, msg }
+     */
+    getForbiddenTerms() {
+        const defaultTerms = [
+            { term: 'L1', pattern: /\bL1\b/i, msg: 'Contains "L1" (taxonomy reference)' },
+            { term: 'L2', pattern: /\bL2\b/i, msg: 'Contains "L2" (taxonomy reference)' },
+            { term: 'L3', pattern: /\bL3\b/i, msg: 'Contains "L3" (taxonomy reference)' },
+            { term: 'taxonomy', pattern: /\btaxonom/i, msg: 'Contains "taxonomy" reference' },
+            { term: 'CFBench', pattern: /\bcfbench\b/i, msg: 'Contains "CFBench" reference' },
+            { term: 'use case', pattern: /\buse\s*case\b/i, msg: 'Contains "use case" reference' },
+            { term: 'metadata', pattern: /\bmetadata\b/i, msg: 'Contains "metadata" reference' },
+            { term: 'instruction_id', pattern: /\binstruction_id\b/i, msg: 'Contains "instruction_id" reference' },
+            { term: 'turn_metadata', pattern: /\bturn_metadata\b/i, msg: 'Contains "turn_metadata" reference' },
+            { term: 'validator', pattern: /\bvalidator\b/i, msg: 'Contains "validator" reference' }
+        ];
+
+        // Profile can replace the list (terms), extend it (addTerms) or drop entries (removeTerms)
+        const toTerm = (term) => defaultTerms.find(t => t.term.toLowerCase() === String(term).toLowerCase()) || {
+            term: String(term),
+            pattern: new RegExp(`\\b${this.escapeRegex(String(term))}\\b`, 'i'),
+            msg: `Contains "${term}" reference`
+        };
+        const profileTerms = this.getCheckOption('2.8', 'terms');
+        const removedTerms = (this.getCheckOption('2.8', 'removeTerms') || []).map(t => String(t).toLowerCase());
+        return [
+            ...(profileTerms ? profileTerms.map(toTerm) : defaultTerms),
+            ...(this.getCheckOption('2.8', 'addTerms') || []).map(toTerm)
+        ].filter(t => !removedTerms.includes(t.term.toLowerCase()));
+    }
+
     /**
      * Check 2.9: Golden response formatting
      * Checks for forbidden formatting in the golden assistant response
@@ -1778,16 +1915,7 @@ class Validators {
         }
 
         // Check for preambles
-        const preamblePatterns = [
-            /^(sure|certo|certainly|certamente)[!,.\s]/i,
-            /^(of course|ovviamente|naturalmente)[!,.\s]/i,
-            /^(absolutely|assolutamente)[!,.\s]/i,
-            /^(great|ottimo|perfetto)[!,.\s]/i,
-            /^(i'?d be happy to|sarò felice di|volentieri)[!,.\s]/i,
-            /^(here'?s|ecco)[!,.\s]/i
-        ];
-
-        const hasPreamble = preamblePatterns.some(p => p.test(content.trim()));
+        const hasPreamble = Validators.preamblePatterns.some(p => p.test(content.trim()));
         if (hasPreamble) {
             issues.push('Golden response starts with a preamble (Sure!, Of course!, etc.) - Start directly with content');
             foundIssues.push({ type: 'preamble' });
@@ -1823,38 +1951,7 @@ class Validators {
      * Phase 3: Metadata Checks
      */
     runPhase3Checks() {
-        // Check 3.0: JSON Validation (turn_metadata and all validators)
-        this.check3_0_JSONValidation();
-
-        // Check 3.1: IF instructions count
-        this.check3_1_IFCount();
-
-        // Check 3.2: LLM Eval presence
-        this.check3_2_LLMEval();
-
-        // Check 3.3: llm_judge presence
-        this.check3_3_LLMJudge();
-
-        // Check 3.4: llm_judge usage validation
-        this.check3_4_LLMJudgeUsage();
-
-        // Check 3.5: All constraints in query
-        this.check3_5_ConstraintsInQuery();
-
-        // Check 3.6: Keyword explicitness (warn if keywords only implicitly mentioned)
-        this.check3_6_KeywordExplicitness();
-
-        // Check 3.7: llm_judge language must match task language
-        this.check3_7_LLMJudgeLanguage();
-
-        // Check 3.8: llm_judge redundancy check (should not duplicate LLM Eval)
-        this.check3_8_LLMJudgeRedundancy();
-
-        // Check 3.9: Format constraints must be explicit in query
-        this.check3_9_FormatConstraintsExplicit();
-
-        // Check 3.10: validator_human must contain llm_eval and llm_judge checks
-        this.check3_10_ValidatorHumanCompleteness();
+        this.runPhaseChecks(3);
     }
 
     /**
@@ -2723,7 +2820,7 @@ class Validators {
                 description: inst.instruction_id
             })),
             ...llmJudge.map((judge, idx) => ({
-                id: judge.uid || `llm_judge_${idx + 1}`,
+                id: String(judge.uid || `llm_judge_${idx + 1}`),
                 type: 'llm_judge',
                 description: judge.content?.substring(0, 50) || 'llm_judge'
             }))
@@ -2820,14 +2917,7 @@ class Validators {
      * Phase 4: Model Passes Checks
      */
     runPhase4Checks() {
-        // Check 4.2: Pass/fail distribution
-        this.check4_2_PassFailDistribution();
-
-        // Check 4.3: validator_human is manual
-        this.check4_3_ValidatorHumanManual();
-
-        // Check 4.4: Validator-content match (validator quotes exist in response)
-        this.check4_4_ValidatorContentMatch();
+        this.runPhaseChecks(4);
     }
 
     /**
@@ -2847,6 +2937,16 @@ class Validators {
         // Total constraints = instructions + llm_judge
         const totalConstraints = instructions.length + llmJudge.length;
 
+        // Model breaking thresholds (profile can override the 50% / 3 passes rule)
+        const failRateThreshold = this.getCheckOption('4.2', 'failRateThreshold');
+        const minFailingPasses = this.getCheckOption('4.2', 'minFailingPasses');
+
+        // Semantic instructions with a rule-based checker are scored when its confidence is high enough
+        const semanticOptions = {
+            language: turnMetadata?.language || p.metadata?.language,
+            minConfidence: this.getCheckOption('4.2', 'minSemanticConfidence')
+        };
+
         if (totalConstraints === 0) {
             warnings.push('No constraints found in turn_metadata');
         }
@@ -2876,6 +2976,7 @@ class Validators {
         const goldenContent = p.finalTurn?.assistant?.content || '';
         let goldenMechanicalFails = 0;
         let goldenSemanticCount = 0;
+        let heuristicCount = 0;
 
         instructions.forEach(inst => {
             const id = inst.instruction_id;
@@ -2883,13 +2984,20 @@ class Validators {
 
             // Use NvidiaValidator for mechanical check
             if (typeof NvidiaValidator !== 'undefined') {
-                const result = NvidiaValidator.validateInstruction(goldenContent, id, inst);
+                const result = NvidiaValidator.validateInstruction(goldenContent, id, inst, semanticOptions);
                 if (result.semantic) {
                     goldenSemanticCount++;
                     instructionMatrix[id].golden = 'SEMANTIC';
                 } else {
                     instructionMatrix[id].golden = result.valid ? 'PASS' : 'FAIL';
-                    if (!result.valid) goldenMechanicalFails++;
+                    instructionMatrix[id].goldenNote = result.note;
+                    if (result.heuristic) heuristicCount++;
+                    // Heuristic verdicts are not definitive enough to fail the golden response
+                    if (!result.valid && result.heuristic) {
+                        warnings.push(`Golden response may not satisfy ${id}: ${result.note}`);
+                    } else if (!result.valid) {
+                        goldenMechanicalFails++;
+                    }
                 }
             }
         });
@@ -2937,7 +3045,7 @@ class Validators {
                 if (!id) return;
 
                 if (typeof NvidiaValidator !== 'undefined') {
-                    const result = NvidiaValidator.validateInstruction(modelContent, id, inst);
+                    const result = NvidiaValidator.validateInstruction(modelContent, id, inst, semanticOptions);
 
                     if (result.semantic) {
                         semanticCount++;
@@ -2956,7 +3064,8 @@ class Validators {
                             id: id,
                             status: status,
                             note: result.note,
-                            type: 'mechanical'
+                            type: result.heuristic ? 'heuristic' : 'mechanical',
+                            confidence: result.confidence
                         });
                     }
                 }
@@ -2979,11 +3088,11 @@ class Validators {
             // This is conservative - assumes semantic constraints fail for models
             const totalFails = mechanicalFails + semanticCount + llmJudgeCount;
             const scriptFailRate = totalConstraints > 0 ? (totalFails / totalConstraints) * 100 : 0;
-            const scriptMeets50 = scriptFailRate >= 50;
+            const scriptMeets50 = scriptFailRate >= failRateThreshold;
 
             // Calculate notebook's fail rate (CELL source - primary)
             const cellFailRate = notebookTotal > 0 ? (notebookFailed / notebookTotal) * 100 : 0;
-            const cellMeets50 = cellFailRate >= 50;
+            const cellMeets50 = cellFailRate >= failRateThreshold;
 
             // Count for each source separately
             if (cellMeets50) cellPassesOver50++;
@@ -2997,7 +3106,7 @@ class Validators {
             // Detect divergence: CELL and SCRIPT disagree on ≥50%
             const hasDivergence = cellMeets50 !== scriptMeets50;
             const divergenceNote = hasDivergence
-                ? `CELL: ${cellMeets50 ? '≥50%' : '<50%'}, SCRIPT: ${scriptMeets50 ? '≥50%' : '<50%'}`
+                ? `CELL: ${cellMeets50 ? '≥' : '<'}${failRateThreshold}%, SCRIPT: ${scriptMeets50 ? '≥' : '<'}${failRateThreshold}%`
                 : null;
 
             failRates.push({
@@ -3035,17 +3144,17 @@ class Validators {
                     mechanical_failed: mechanicalFails,
                     semantic_failed: semanticCount,
                     llm_judge_failed: llmJudgeCount,
-                    failure_rate: `${failRate.toFixed(1)}%`,
-                    meets_50_percent: meets50Percent,
+                    failure_rate: `${scriptFailRate.toFixed(1)}%`,
+                    meets_50_percent: scriptMeets50,
                     details: details,
                     // Double check comparison with notebook
                     notebook_comparison: {
                         notebook_passed: notebookPassed,
                         notebook_failed: notebookFailed,
                         notebook_total: notebookTotal,
-                        notebook_fail_rate: `${notebookFailRate.toFixed(1)}%`,
-                        notebook_meets_50: notebookMeets50,
-                        match: Math.abs(failRate - notebookFailRate) < 5 // Within 5% tolerance
+                        notebook_fail_rate: `${cellFailRate.toFixed(1)}%`,
+                        notebook_meets_50: cellMeets50,
+                        match: Math.abs(scriptFailRate - cellFailRate) < 5 // Within 5% tolerance
                     }
                 }
             });
@@ -3056,8 +3165,8 @@ class Validators {
         // Now shows BOTH sources (CELL vs SCRIPT)
         // ============================================
         const hasDivergenceOverall = failRates.some(f => f.has_divergence);
-        const cellPassRule = cellPassesOver50 >= 3;
-        const scriptPassRule = scriptPassesOver50 >= 3;
+        const cellPassRule = cellPassesOver50 >= minFailingPasses;
+        const scriptPassRule = scriptPassesOver50 >= minFailingPasses;
 
         if (hasDivergenceOverall) {
             // Divergence detected - show both and mark for review
@@ -3070,7 +3179,7 @@ class Validators {
                 warnings.push(`CELL and SCRIPT have divergent rates but both agree rule is met. CELL: ${cellPassesOver50}/4, SCRIPT: ${scriptPassesOver50}/4`);
             } else if (!cellPassRule && !scriptPassRule) {
                 // Both agree it fails
-                issues.push(`MODEL BREAKING RULE VIOLATED (both agree): CELL ${cellPassesOver50}/4, SCRIPT ${scriptPassesOver50}/4 fail ≥50% (need ≥3). ${ratesSummary}`);
+                issues.push(`MODEL BREAKING RULE VIOLATED (both agree): CELL ${cellPassesOver50}/4, SCRIPT ${scriptPassesOver50}/4 fail ≥${failRateThreshold}% (need ≥${minFailingPasses}). ${ratesSummary}`);
             } else {
                 // CELL and SCRIPT disagree on the final rule!
                 warnings.push(`⚠ NEEDS HUMAN REVIEW: CELL says ${cellPassRule ? 'PASS' : 'FAIL'} (${cellPassesOver50}/4), SCRIPT says ${scriptPassRule ? 'PASS' : 'FAIL'} (${scriptPassesOver50}/4). ${ratesSummary}`);
@@ -3079,7 +3188,7 @@ class Validators {
             // No divergence - use CELL as primary source
             if (!cellPassRule) {
                 const ratesSummary = failRates.map(f => `${f.id}: ${f.notebook_fail_rate}% (${f.cell_meets_50 ? 'OK' : 'NOT OK'})`).join(', ');
-                issues.push(`MODEL BREAKING RULE VIOLATED: Only ${cellPassesOver50}/4 model passes fail ≥50% of constraints (need ≥3). Rates: ${ratesSummary}`);
+                issues.push(`MODEL BREAKING RULE VIOLATED: Only ${cellPassesOver50}/4 model passes fail ≥${failRateThreshold}% of constraints (need ≥${minFailingPasses}). Rates: ${ratesSummary}`);
             }
         }
 
@@ -3099,6 +3208,7 @@ class Validators {
             instructionVariation.push({
                 instruction: instId,
                 golden: data.golden,
+                goldenNote: data.goldenNote || null,
                 passResults: data.passes,
                 type: data.type,
                 hasVariation: hasPass && hasFail
@@ -3122,6 +3232,9 @@ class Validators {
             scriptPassRule: scriptPassRule,
             hasDivergence: hasDivergenceOverall,
             hasInstructionVariation: hasVariation,
+            heuristicGoldenChecks: heuristicCount,
+            failRateThreshold: failRateThreshold,
+            minFailingPasses: minFailingPasses,
             validatorUsed: 'NvidiaValidator'
         };
 
@@ -3134,7 +3247,7 @@ class Validators {
             details: {
                 instructionMatrix: instructionVariation,
                 summary: distributionSummary,
-                rule: 'Golden: 100% pass, Model Breaking: ≥3 of 4 must fail ≥50%',
+                rule: `Golden: 100% pass, Model Breaking: ≥${minFailingPasses} of 4 must fail ≥${failRateThreshold}%`,
                 failRates: failRates,
                 passesWithOver50PercentFail: passesWithOver50PercentFail,
                 modelResults: modelResults
@@ -3226,24 +3339,9 @@ class Validators {
             const message = check.message || '';
             const checkId = check.id || check.instruction_id || 'unknown';
 
-            // Find phrases in single quotes
-            const singleQuoted = message.match(/'([^']{5,})'/g) || [];
-            // Find phrases in double quotes
-            const doubleQuoted = message.match(/"([^"]{5,})"/g) || [];
-            // Find phrases in backticks
-            const backtickQuoted = message.match(/`([^`]{5,})`/g) || [];
-
-            const allQuoted = [...singleQuoted, ...doubleQuoted, ...backtickQuoted];
-
-            allQuoted.forEach(quotedPhrase => {
-                // Clean the quotes
-                const cleanPhrase = quotedPhrase.replace(/^['"`]|['"`]$/g, '');
+            Validators.extractQuotedPhrases(message).forEach(cleanPhrase => {
                 const cleanPhraseLower = cleanPhrase.toLowerCase();
 
-                // Skip very short or common phrases
-                if (cleanPhrase.length < 8) return;
-                if (/^(passed|failed|found|not found|correct|incorrect|yes|no)$/i.test(cleanPhrase)) return;
-
                 // Check if phrase exists in golden response
                 if (goldenLower.includes(cleanPhraseLower)) {
                     verifiedPhrases.push({
@@ -0,0 +1,158 @@
+/**
+ * AI verification of checks 2.3 and 2.6, replayed offline from canned replies
+ * (js/recorded_api_handler.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFixture, parseEdited, editJSONCell, runChecks, findCheck, createCannedHandler } = require('./helpers.js');
+
+// The word count is asked in words the regex check cannot read, so 2.3 leaves it for the AI.
+// The title constraint, which the regex check never verifies, is left out so the AI verdict
+// alone decides the status.
+function validatorsWithUnreadableCount() {
+    return runChecks(parseEdited('valid_it.ipynb', builder => {
+        builder.finalTurn.user = builder.finalTurn.user.replace('al massimo centocinquanta parole', 'poche parole');
+        editJSONCell(builder.finalTurn, 'turnMetadata', json => {
+            json.instructions = json.instructions.filter(inst => inst.instruction_id !== 'detectable_format:title');
+        });
+    }));
+}
+
+function batchReply(found) {
+    return {
+        results: [{ id: 'length_constraints:number_words', found: found, evidence: found ? 'poche parole' : '', confidence: 0.9 }]
+    };
+}
+
+function turnReply(status, overrides = {}) {
+    return {
+        turn_index: 1,
+        content_issues: { addresses_prompt: true, has_hallucinations: false, issues: [] },
+        thinking_issues: { answer_from_thinking: true, issues: [] },
+        language_issues: { thinking_correct_language: true, response_correct_language: true, issues: [] },
+        overall_status: status,
+        summary: `Turn summary (${status})`,
+        ...overrides
+    };
+}
+
+test('enhanceCheck2_3WithAI() needs a configured handler', async () => {
+    const validators = validatorsWithUnreadableCount();
+    assert.strictEqual(await validators.enhanceCheck2_3WithAI(null), null);
+});
+
+test('enhanceCheck2_3WithAI() makes no call when the regex check found every constraint', async () => {
+    const validators = runChecks(parseFixture('valid_it.ipynb'));
+    const handler = createCannedHandler({ constraint_verification_batch: [batchReply(false)] });
+
+    const check = await validators.enhanceCheck2_3WithAI(handler);
+    assert.strictEqual(check.status, 'passed');
+    assert.strictEqual(check.details.verificationMethod, 'regex');
+    assert.strictEqual(handler.replayStats.replayed, 0);
+});
+
+test('enhanceCheck2_3WithAI() passes a constraint the AI found in the query', async () => {
+    const validators = validatorsWithUnreadableCount();
+    assert.strictEqual(findCheck(validators, '2.3').status, 'needs_review');
+
+    const handler = createCannedHandler({ constraint_verification_batch: [batchReply(true)] });
+    const check = await validators.enhanceCheck2_3WithAI(handler);
+
+    assert.strictEqual(check.status, 'passed');
+    assert.strictEqual(check.name, 'Value Consistency (AI Verified)');
+    assert.strictEqual(check.details.verificationMethod, 'AI');
+    assert.strictEqual(check.details.failed, 0);
+    assert.ok(!check.warnings.some(w => w.startsWith('[length_constraints:number_words]')), 'the regex warning is cleared');
+
+    const item = check.details.verificationResults.find(r => r.instruction_id === 'length_constraints:number_words');
+    assert.strictEqual(item.found, true);
+    assert.strictEqual(item.method, 'AI');
+    assert.strictEqual(item.exact_quote, '"poche parole"');
+    assert.strictEqual(handler.replayStats.replayed, 1);
+});
+
+test('enhanceCheck2_3WithAI() fails a constraint the AI did not find and updates the summary', async () => {
+    const validators = validatorsWithUnreadableCount();
+    const failedBefore = validators.results.summary.failed;
+    const handler = createCannedHandler({ constraint_verification_batch: [batchReply(false)] });
+
+    const check = await validators.enhanceCheck2_3WithAI(handler);
+    assert.strictEqual(check.status, 'failed');
+    assert.strictEqual(check.issues.length, 1);
+    assert.match(check.issues[0], /^\[length_constraints:number_words\] .* NOT found in user query \(AI verified\)$/);
+    assert.strictEqual(check.details.failed, 1);
+    assert.strictEqual(validators.results.summary.failed, failedBefore + 1);
+});
+
+test('enhanceCheck2_3WithAI() leaves the constraint for review when the reply does not match its schema', async () => {
+    const validators = validatorsWithUnreadableCount();
+    const handler = createCannedHandler({ constraint_verification_batch: [{ results: [{ id: 'length_constraints:number_words' }] }] });
+
+    const check = await validators.enhanceCheck2_3WithAI(handler);
+    assert.strictEqual(check.status, 'needs_review');
+
+    const item = check.details.verificationResults.find(r => r.instruction_id === 'length_constraints:number_words');
+    assert.strictEqual(item.found, null);
+    assert.strictEqual(item.method, 'AI_ERROR');
+    assert.match(item.evidence, /^AI verification failed: Canned constraint_verification_batch reply does not match its schema/);
+});
+
+test('enhanceCheck2_6WithAI() needs a configured handler', async () => {
+    const validators = runChecks(parseFixture('valid_it.ipynb'));
+    assert.strictEqual(await validators.enhanceCheck2_6WithAI(null), null);
+});
+
+test('enhanceCheck2_6WithAI() keeps the check passed when the AI finds no issue', async () => {
+    const validators = runChecks(parseFixture('valid_it.ipynb'));
+    const handler = createCannedHandler({ intermediate_turn: [turnReply('PASS')] });
+
+    const check = await validators.enhanceCheck2_6WithAI(handler);
+    assert.strictEqual(check.status, 'passed');
+    assert.strictEqual(check.name, 'Intermediate Turns (AI Analyzed)');
+    assert.strictEqual(check.details.aiAnalysisAvailable, true);
+    assert.strictEqual(check.details.aiAnalysis.turnsAnalyzed, 1);
+    assert.deepStrictEqual(check.issues, []);
+    assert.deepStrictEqual(check.warnings, []);
+    assert.strictEqual(validators.results.summary.status, 'PASS');
+});
+
+test('enhanceCheck2_6WithAI() fails the check on a major issue', async () => {
+    const validators = runChecks(parseFixture('valid_it.ipynb'));
+    const handler = createCannedHandler({
+        intermediate_turn: [turnReply('MAJOR_ISSUES', {
+            content_issues: { addresses_prompt: true, has_hallucinations: true, issues: ['Invents opening hours'] }
+        })]
+    });
+
+    const check = await validators.enhanceCheck2_6WithAI(handler);
+    assert.strictEqual(check.status, 'failed');
+    assert.deepStrictEqual(check.issues, ['[AI] Turn 1: Turn summary (MAJOR_ISSUES)']);
+    assert.strictEqual(validators.results.summary.status, 'MINOR_REVISION');
+});
+
+test('enhanceCheck2_6WithAI() reports minor and language issues as warnings', async () => {
+    const validators = runChecks(parseFixture('valid_it.ipynb'));
+    const handler = createCannedHandler({
+        intermediate_turn: [turnReply('MINOR_ISSUES', {
+            language_issues: { thinking_correct_language: false, issues: ['Thinking is in English'] }
+        })]
+    });
+
+    const check = await validators.enhanceCheck2_6WithAI(handler);
+    assert.strictEqual(check.status, 'passed');
+    assert.deepStrictEqual(check.warnings, [
+        '[AI] Turn 1: Turn summary (MINOR_ISSUES)',
+        '[AI] Turn 1 [Language]: Thinking is in English'
+    ]);
+});
+
+test('enhanceCheck2_6WithAI() notes a turn the AI could not analyse', async () => {
+    const validators = runChecks(parseFixture('valid_it.ipynb'));
+    const handler = createCannedHandler({ intermediate_turn: [{ overall_status: 'PASS' }] });
+
+    const check = await validators.enhanceCheck2_6WithAI(handler);
+    assert.strictEqual(check.status, 'passed');
+    assert.strictEqual(check.warnings.length, 1);
+    assert.match(check.warnings[0], /^\[AI\] Turn 1: Analysis failed - Canned intermediate_turn reply does not match its schema/);
+});
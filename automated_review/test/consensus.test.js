@@ -0,0 +1,67 @@
+/**
+ * Consensus: voter parsing, the vote tally and its one-line description
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+/**
+ * Votes of voters "v1", "v2", ... in order
+ */
+function votes(...values) {
+    return values.map((vote, i) => ({ voter: `v${i + 1}`, vote: vote }));
+}
+
+test('parseVoter() reads provider:model', () => {
+    assert.deepStrictEqual(Consensus.parseVoter(' gemini:gemini-2.5-flash '), { provider: 'gemini', model: 'gemini-2.5-flash' });
+    assert.deepStrictEqual(Consensus.parseVoter('custom:qwen3:8b'), { provider: 'custom', model: 'qwen3:8b' });
+    assert.throws(() => Consensus.parseVoter('gpt-4o-mini'),
+        /^Error: Invalid voter "gpt-4o-mini": use provider:model \(e\.g\. gemini:gemini-2\.5-flash\)$/);
+});
+
+test('tally() keeps the majority verdict when it reaches the threshold', () => {
+    const result = Consensus.tally(votes(true, true, false), 0.6);
+    assert.deepStrictEqual(result, {
+        verdict: true,
+        agreement: 2 / 3,
+        threshold: 0.6,
+        voted: 3,
+        total: 3,
+        votes: votes(true, true, false)
+    });
+    assert.strictEqual(Consensus.tally(votes(false, false, true), 0.6).verdict, false);
+    assert.strictEqual(Consensus.tally(votes(true, true, false), 0.75).verdict, null);
+    assert.strictEqual(Consensus.tally(votes(true, true, true), 1).verdict, true);
+});
+
+test('tally() counts a voter that failed against the verdict', () => {
+    const result = Consensus.tally(votes(true, null, null), 0.5);
+    assert.strictEqual(result.agreement, 1 / 3);
+    assert.strictEqual(result.voted, 1);
+    assert.strictEqual(result.verdict, null);
+
+    assert.strictEqual(Consensus.tally(votes(true, true, null), 0.6).verdict, true);
+});
+
+test('tally() never decides a tie or an empty vote', () => {
+    assert.strictEqual(Consensus.tally(votes(true, false), 0.5).verdict, null);
+    assert.strictEqual(Consensus.tally(votes(true, false, null, null), 0.5).verdict, null);
+
+    const empty = Consensus.tally([], 0.5);
+    assert.strictEqual(empty.verdict, null);
+    assert.strictEqual(empty.agreement, 0);
+});
+
+test('hasDisagreement() is true for a split or an incomplete vote', () => {
+    assert.strictEqual(Consensus.hasDisagreement(Consensus.tally(votes(true, true), 1)), false);
+    assert.strictEqual(Consensus.hasDisagreement(Consensus.tally(votes(true, false, true), 0.6)), true);
+    assert.strictEqual(Consensus.hasDisagreement(Consensus.tally(votes(true, null), 0.5)), true);
+});
+
+test('describe() lists every vote with the agreement', () => {
+    const result = Consensus.tally(votes(true, false, null), 0.6);
+    assert.strictEqual(Consensus.describe(result), '33% agreement (60% needed): v1 yes, v2 no, v3 no answer');
+    assert.strictEqual(Consensus.describe(result, ['found', 'missing']),
+        '33% agreement (60% needed): v1 found, v2 missing, v3 no answer');
+});
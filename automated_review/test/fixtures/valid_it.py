@@ -0,0 +1,356 @@
+# -*- coding: utf-8 -*-
+"""valid_it.ipynb
+
+Automatically generated by Colab.
+
+Original file is located at
+    https://colab.research.google.com/drive/1fixture
+
+# Metadata
+
+**Domain:** Travel
+
+**L1 Taxonomy:** Travel
+
+**L2 Taxonomy:** City guides
+
+**L3 Taxonomy:** Museums
+
+**Use Case:** Trip planning
+
+**Language:** Italian (it)
+
+**System Prompt Length:** 20-60
+
+**User Prompt Length:** 30-80
+
+**Number of Turns:** 2
+
+**Scenario:** Un turista prepara una giornata a Firenze.
+
+**[system]**
+
+Sei una guida turistica di Firenze. Il tuo ruolo è consigliare musei e percorsi a chi visita la città per la prima volta. Rispondi con un tono cordiale e preciso e indica sempre orari e distanze quando li conosci. Formato: testo semplice.
+
+**[user]**
+
+Ciao, sabato sarò a Firenze per la prima volta.
+
+**[thinking]**
+
+L'utente visiterà Firenze sabato e cerca consigli.
+
+**[assistant]**
+
+Benvenuto! Firenze ha tantissimo da offrire. Dimmi pure cosa ti interessa e ti preparo un itinerario.
+
+**[user]**
+
+Mi piace molto l'arte rinascimentale e ho solo una mattina libera. Scrivi un breve itinerario di al massimo centocinquanta parole con un titolo tra doppie parentesi angolari come <<Titolo>> e usa la parola Firenze almeno due volte. Suggerisci almeno un museo da visitare e usa un tono formale.
+
+**[thinking]**
+
+Un itinerario breve con titolo, la parola Firenze due volte, un museo e tono formale.
+
+**[turn_metadata]**
+
+```json
+{
+  "language": "it",
+  "instructions": [
+    {
+      "instruction_id": "length_constraints:number_words",
+      "relation": "at most",
+      "num_words": 150,
+      "source": "user"
+    },
+    {
+      "instruction_id": "detectable_format:title",
+      "source": "user"
+    },
+    {
+      "instruction_id": "keywords:frequency",
+      "keyword": "Firenze",
+      "relation": "at least",
+      "frequency": 2,
+      "source": "user"
+    },
+    {
+      "instruction_id": "stylistic:tone_formality",
+      "tone_level": "formal",
+      "source": "user"
+    }
+  ],
+  "llm_judge": [
+    {
+      "uid": 1,
+      "content": "La risposta suggerisce almeno un museo da visitare?"
+    }
+  ]
+}
+```
+
+**[assistant]**
+
+<<Una mattina rinascimentale a Firenze>>
+
+Le consiglio di iniziare alle otto e un quarto dalla Galleria degli Uffizi, prenotando l'ingresso in anticipo. In due ore potrà ammirare Botticelli, Leonardo e Raffaello senza fretta.
+
+Verso le undici attraversi Ponte Vecchio e raggiunga Palazzo Pitti, a dieci minuti a piedi. La Galleria Palatina completa molto bene la visita dedicata al Rinascimento.
+
+Per concludere la mattinata salga al Piazzale Michelangelo, da dove Firenze si mostra in tutta la sua bellezza.
+
+**[validator_assistant]**
+
+```json
+[
+  {
+    "id": "length_constraints:number_words",
+    "status": "Passed",
+    "message": "Found 78 words (expected at most 150)"
+  },
+  {
+    "id": "detectable_format:title",
+    "status": "Passed",
+    "message": "Title found (<< >>): \"<<Una mattina rinascimentale a Firenze>>\""
+  },
+  {
+    "id": "keywords:frequency",
+    "status": "Passed",
+    "message": "Found 'Firenze' 2x (expected at least 2)"
+  },
+  {
+    "id": "stylistic:tone_formality",
+    "status": "Passed",
+    "message": "Requires semantic evaluation - heuristic confidence 0 too low (0 formal and 0 informal address markers - no address to judge)"
+  }
+]
+```
+
+**[validator_human]**
+
+```json
+[
+  {
+    "id": "stylistic:tone_formality",
+    "status": "Passed",
+    "message": "Registro formale (Lei)."
+  },
+  {
+    "id": "human_judge_1",
+    "status": "Passed",
+    "message": "Suggerisce la Galleria degli Uffizi e Palazzo Pitti."
+  }
+]
+```
+
+**[thinking_qwen3_1]**
+
+Itinerario rapido.
+
+**[assistant_qwen3_1]**
+
+Ecco un itinerario per la tua mattina: vai agli Uffizi, poi mangia qualcosa e passeggia in centro. Buon divertimento!
+
+**[validator_assistant_qwen3_1]**
+
+```json
+[
+  {
+    "id": "length_constraints:number_words",
+    "status": "Passed",
+    "message": "Found 19 words (expected at most 150)"
+  },
+  {
+    "id": "detectable_format:title",
+    "status": "Failed",
+    "message": "No title found on first line (expected <<>>, # header, or **bold**)"
+  },
+  {
+    "id": "keywords:frequency",
+    "status": "Failed",
+    "message": "Found 'Firenze' 0x (expected at least 2)"
+  },
+  {
+    "id": "stylistic:tone_formality",
+    "status": "Failed",
+    "message": "Requires semantic evaluation - heuristic confidence 0.4 too low (0 formal and 1 informal address markers (expected formal))"
+  }
+]
+```
+
+**[validator_human_qwen3_1]**
+
+```json
+[
+  {
+    "id": "stylistic:tone_formality",
+    "status": "Failed",
+    "message": "Registro informale (tu)."
+  },
+  {
+    "id": "human_judge_1",
+    "status": "Passed",
+    "message": "Suggerisce gli Uffizi."
+  }
+]
+```
+
+**[thinking_qwen3_2]**
+
+Scrivo un titolo.
+
+**[assistant_qwen3_2]**
+
+<<Mattina in centro>>
+
+Vai al Duomo e poi in piazza della Signoria. Firenze è bellissima!
+
+**[validator_assistant_qwen3_2]**
+
+```json
+[
+  {
+    "id": "length_constraints:number_words",
+    "status": "Passed",
+    "message": "Found 15 words (expected at most 150)"
+  },
+  {
+    "id": "detectable_format:title",
+    "status": "Passed",
+    "message": "Title found (<< >>): \"<<Mattina in centro>>\""
+  },
+  {
+    "id": "keywords:frequency",
+    "status": "Failed",
+    "message": "Found 'Firenze' 1x (expected at least 2)"
+  },
+  {
+    "id": "stylistic:tone_formality",
+    "status": "Failed",
+    "message": "Requires semantic evaluation - heuristic confidence 0 too low (0 formal and 0 informal address markers - no address to judge)"
+  }
+]
+```
+
+**[validator_human_qwen3_2]**
+
+```json
+[
+  {
+    "id": "stylistic:tone_formality",
+    "status": "Failed",
+    "message": "Registro informale (tu)."
+  },
+  {
+    "id": "human_judge_1",
+    "status": "Failed",
+    "message": "Nessun museo."
+  }
+]
+```
+
+**[thinking_qwen3_3]**
+
+Lungo elenco.
+
+**[assistant_qwen3_3]**
+
+Firenze offre moltissimo. Firenze è la culla del Rinascimento e la mattina ideale comincia dagli Uffizi.
+
+**[validator_assistant_qwen3_3]**
+
+```json
+[
+  {
+    "id": "length_constraints:number_words",
+    "status": "Passed",
+    "message": "Found 16 words (expected at most 150)"
+  },
+  {
+    "id": "detectable_format:title",
+    "status": "Failed",
+    "message": "No title found on first line (expected <<>>, # header, or **bold**)"
+  },
+  {
+    "id": "keywords:frequency",
+    "status": "Passed",
+    "message": "Found 'Firenze' 2x (expected at least 2)"
+  },
+  {
+    "id": "stylistic:tone_formality",
+    "status": "Failed",
+    "message": "Requires semantic evaluation - heuristic confidence 0 too low (0 formal and 0 informal address markers - no address to judge)"
+  }
+]
+```
+
+**[validator_human_qwen3_3]**
+
+```json
+[
+  {
+    "id": "stylistic:tone_formality",
+    "status": "Failed",
+    "message": "Registro informale (tu)."
+  },
+  {
+    "id": "human_judge_1",
+    "status": "Passed",
+    "message": "Suggerisce gli Uffizi."
+  }
+]
+```
+
+**[thinking_qwen3_4]**
+
+Risposta breve.
+
+**[assistant_qwen3_4]**
+
+Ti consiglio gli Uffizi, prenota prima!
+
+**[validator_assistant_qwen3_4]**
+
+```json
+[
+  {
+    "id": "length_constraints:number_words",
+    "status": "Passed",
+    "message": "Found 6 words (expected at most 150)"
+  },
+  {
+    "id": "detectable_format:title",
+    "status": "Failed",
+    "message": "No title found on first line (expected <<>>, # header, or **bold**)"
+  },
+  {
+    "id": "keywords:frequency",
+    "status": "Failed",
+    "message": "Found 'Firenze' 0x (expected at least 2)"
+  },
+  {
+    "id": "stylistic:tone_formality",
+    "status": "Failed",
+    "message": "Requires semantic evaluation - heuristic confidence 0.4 too low (0 formal and 1 informal address markers (expected formal))"
+  }
+]
+```
+
+**[validator_human_qwen3_4]**
+
+```json
+[
+  {
+    "id": "stylistic:tone_formality",
+    "status": "Failed",
+    "message": "Registro informale (tu)."
+  },
+  {
+    "id": "human_judge_1",
+    "status": "Passed",
+    "message": "Suggerisce gli Uffizi."
+  }
+]
+```
+"""
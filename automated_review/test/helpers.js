@@ -0,0 +1,155 @@
+/**
+ * Test helpers
+ * Loads the browser modules as globals the way bin/cfbench-review.js and bin/eval-prompts.js do,
+ * and builds notebooks from the fixtures in test/fixtures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// APIHandler and UsageTracker keep their settings in localStorage; the tests keep them in memory
+if (typeof localStorage === 'undefined') {
+    const items = new Map();
+    global.localStorage = {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+global.LanguageCodes = require('../js/language_codes.js');
+global.PromptLibrary = require('../js/prompt_library.js');
+global.Tokenizer = require('../js/tokenizer.js');
+global.NumberWords = require('../js/number_words.js');
+global.SemanticCheckers = require('../js/semantic_checkers.js');
+global.NvidiaValidator = require('../js/nvidia_validator.js');
+global.NotebookParser = require('../js/notebook_parser.js');
+global.RuleRegistry = require('../js/rule_registry.js');
+global.ReviewProfile = require('../js/review_profile.js');
+global.Validators = require('../js/validators.js');
+global.ReviewEngine = require('../js/review_engine.js');
+global.NotebookBuilder = require('../js/notebook_builder.js');
+global.NotebookFixer = require('../js/notebook_fixer.js');
+global.RevisionDiff = require('../js/revision_diff.js');
+global.ReportGenerator = require('../js/report_generator.js');
+
+global.CONFIG = require('../config.js');
+global.RequestScheduler = require('../js/request_scheduler.js');
+global.UsageTracker = require('../js/usage_tracker.js');
+global.ResponseCache = require('../js/response_cache.js');
+global.ResponseSchema = require('../js/response_schema.js');
+global.Consensus = require('../js/consensus.js');
+global.APIHandler = require('../js/api_handler.js');
+global.RecordedAPIHandler = require('../js/recorded_api_handler.js');
+
+const TEST_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const TEST_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+/**
+ * Contents of a file in test/fixtures
+ */
+function readFixture(fileName) {
+    return fs.readFileSync(path.join(TEST_FIXTURES_DIR, fileName), 'utf8');
+}
+
+/**
+ * Parse a fixture notebook
+ * @param {string} fileName - .ipynb or .py file in test/fixtures
+ * @returns {object} NotebookParser result
+ */
+function parseFixture(fileName) {
+    return new NotebookParser().parseText(readFixture(fileName), fileName);
+}
+
+/**
+ * Parse a fixture notebook after editing it
+ * @param {string} fileName - .ipynb file in test/fixtures
+ * @param {Function} edit - Called with a NotebookBuilder holding the fixture's cells
+ * @returns {object} NotebookParser result of the edited notebook
+ */
+function parseEdited(fileName, edit) {
+    const builder = NotebookBuilder.fromText(readFixture(fileName), fileName);
+    edit(builder);
+    return new NotebookParser().parseText(builder.toJSON(), fileName);
+}
+
+/**
+ * Parse a fixture notebook without some of its cells
+ * @param {string} fileName - .ipynb file in test/fixtures
+ * @param {Array} tags - Tags of the cells to leave out (e.g. ['thinking_qwen3_2'])
+ * @returns {object} NotebookParser result
+ */
+function parseWithout(fileName, tags) {
+    const notebook = JSON.parse(readFixture(fileName));
+    notebook.cells = notebook.cells.filter(cell => !tags.some(tag => cell.source.join('').startsWith(`**[${tag}]**`)));
+    return new NotebookParser().parseText(JSON.stringify(notebook), fileName);
+}
+
+/**
+ * Edit the JSON of a turn_metadata or validator cell body (```json fenced)
+ * @param {object} cells - Object holding the cell body (builder.finalTurn, builder.passes[i])
+ * @param {string} key - Builder key of the cell (turnMetadata, validatorAssistant, validatorHuman)
+ * @param {Function} edit - Called with the parsed JSON, edits it in place
+ */
+function editJSONCell(cells, key, edit) {
+    const json = JSON.parse(cells[key].replace(/^```json\s*|\s*```$/g, ''));
+    edit(json);
+    cells[key] = '```json\n' + JSON.stringify(json, null, 2) + '\n```';
+}
+
+/**
+ * Run every built-in check on a parsed notebook
+ * @returns {Validators} Validators holding the results
+ */
+function runChecks(parsed) {
+    const validators = new Validators(parsed, null, null);
+    validators.runAll();
+    return validators;
+}
+
+/**
+ * Result of one check
+ * @param {Validators} validators - Validators after runAll()
+ * @param {string} id - Check id (e.g. '2.8')
+ */
+function findCheck(validators, id) {
+    const phase = `phase${id.split('.')[0]}`;
+    return validators.results[phase].find(check => check.id === id);
+}
+
+/**
+ * Calls to console.warn made by fn
+ */
+function captureWarnings(fn) {
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (message) => warnings.push(message);
+    try {
+        fn();
+    } finally {
+        console.warn = originalWarn;
+    }
+    return warnings;
+}
+
+/**
+ * RecordedAPIHandler answering with canned replies only
+ * @param {object} canned - { "<schema name>": [reply, ...] }
+ */
+function createCannedHandler(canned) {
+    const handler = new RecordedAPIHandler({ version: 1, responses: {}, canned: canned });
+    handler.setPromptLibrary(new PromptLibrary(PromptLibrary.fileLoader(TEST_PROMPTS_DIR)));
+    return handler;
+}
+
+module.exports = {
+    readFixture,
+    parseFixture,
+    parseEdited,
+    parseWithout,
+    editJSONCell,
+    runChecks,
+    findCheck,
+    createCannedHandler,
+    captureWarnings
+};
@@ -0,0 +1,37 @@
+/**
+ * LanguageCodes: reading the metadata Language field
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+test('toCode() reads codes, names and codes in parentheses', () => {
+    const cases = {
+        'it': 'it',
+        'IT': 'it',
+        'pt-BR': 'pt',
+        'pt_BR': 'pt',
+        'Italian (it)': 'it',
+        'Brazilian Portuguese (pt-BR)': 'pt',
+        'Deutsch': 'de',
+        'español': 'es',
+        'Dutch (nl)': 'nl',
+        'Swahili (sw)': 'sw',
+        'iw': 'he'
+    };
+    Object.entries(cases).forEach(([language, code]) => {
+        assert.strictEqual(LanguageCodes.toCode(language), code, language);
+    });
+});
+
+test('toCode() prefers a language name over a region in parentheses', () => {
+    assert.strictEqual(LanguageCodes.toCode('English (US)'), 'en');
+    assert.strictEqual(LanguageCodes.toCode('French (CA)'), 'fr');
+});
+
+test('toCode() is null when the text names no language', () => {
+    assert.strictEqual(LanguageCodes.toCode('Klingon'), null);
+    assert.strictEqual(LanguageCodes.toCode(''), null);
+    assert.strictEqual(LanguageCodes.toCode(null), null);
+});
@@ -0,0 +1,90 @@
+/**
+ * NotebookBuilder: the scaffold, fromText()/toNotebook() round-trips and the cells it cannot place
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readFixture } = require('./helpers.js');
+
+/**
+ * Builder contents without the import warnings
+ */
+function contents(builder) {
+    const { warnings, ...rest } = builder;
+    return JSON.parse(JSON.stringify(rest));
+}
+
+test('a new builder has the guide structure and the notebook language', () => {
+    const builder = new NotebookBuilder({ turns: 2, model: 'nemotron', language: 'Italian (it)' });
+    const tags = builder.getCells().map(cell => cell.tag);
+
+    assert.deepStrictEqual(tags.slice(0, 8), [null, 'system', 'user', 'thinking', 'assistant', 'user', 'thinking', 'assistant']);
+    assert.deepStrictEqual(tags.slice(8, 14), ['user', 'thinking', 'turn_metadata', 'assistant', 'validator_assistant', 'validator_human']);
+    assert.deepStrictEqual(tags.slice(-4), ['thinking_nemotron_4', 'assistant_nemotron_4', 'validator_assistant_nemotron_4', 'validator_human_nemotron_4']);
+    assert.strictEqual(tags.length, 30);
+    assert.deepStrictEqual(JSON.parse(builder.finalTurn.turnMetadata.replace(/^```json\s*|\s*```$/g, '')),
+        { language: 'it', instructions: [], llm_judge: [] });
+
+    assert.throws(() => builder.setModel('llama'), /^Error: Unknown model "llama" \(qwen3, nemotron\)$/);
+    assert.throws(() => builder.removeTurn(2), /^Error: No intermediate turn 3$/);
+});
+
+test('formatCell() writes the header, an empty line and the body', () => {
+    assert.strictEqual(NotebookBuilder.formatCell('system', '  Sei una guida.  '), '**[system]**\n\nSei una guida.\n');
+    assert.strictEqual(NotebookBuilder.formatCell('user', ''), '**[user]**\n');
+    assert.strictEqual(NotebookBuilder.formatCell(null, '**Language:** it'), '# Metadata\n\n**Language:** it\n');
+});
+
+test('fromText() then toJSON() gives back the .ipynb fixture unchanged', () => {
+    const text = readFixture('valid_it.ipynb');
+    const builder = NotebookBuilder.fromText(text, 'valid_it.ipynb');
+
+    assert.deepStrictEqual(builder.warnings, []);
+    assert.strictEqual(builder.model, 'qwen3');
+    assert.strictEqual(builder.turns.length, 1);
+    assert.strictEqual(builder.metadata.language, 'Italian (it)');
+    assert.strictEqual(builder.toJSON(), text);
+});
+
+test('the .py export and the .ipynb fixture load into the same builder', () => {
+    const fromNotebook = NotebookBuilder.fromText(readFixture('valid_it.ipynb'), 'valid_it.ipynb');
+    const fromPython = NotebookBuilder.fromText(readFixture('valid_it.py'), 'valid_it.py');
+    assert.deepStrictEqual(contents(fromPython), contents(fromNotebook));
+});
+
+test('an edited builder survives a round-trip through toNotebook()', () => {
+    const builder = NotebookBuilder.fromText(readFixture('valid_it.ipynb'), 'valid_it.ipynb');
+    builder.addTurn();
+    builder.turns[1] = { user: 'E il pomeriggio?', thinking: 'Pensiamo al pomeriggio.', assistant: 'Visiti il Giardino di Boboli.' };
+    builder.finalTurn.assistant += '\n\n- prima riga\n- seconda riga';
+
+    const reloaded = NotebookBuilder.fromText(JSON.stringify(builder.toNotebook()), 'edited.ipynb');
+    assert.deepStrictEqual(contents(reloaded), contents(builder));
+    assert.strictEqual(reloaded.toJSON(), builder.toJSON());
+});
+
+test('validate() runs the structure checks on the exported notebook', () => {
+    const { parsed, checks } = NotebookBuilder.fromText(readFixture('valid_it.ipynb'), 'valid_it.ipynb').validate();
+    assert.strictEqual(parsed.modelPasses.length, 4);
+    assert.ok(checks.length > 0);
+    assert.ok(checks.every(check => check.status === 'passed'));
+
+    const empty = new NotebookBuilder().validate();
+    assert.ok(empty.checks.some(check => check.status === 'failed'));
+});
+
+test('fromText() leaves out untagged cells and says so', () => {
+    const notebook = {
+        cells: [
+            { cell_type: 'markdown', metadata: {}, source: ['Appunti del revisore'] },
+            { cell_type: 'markdown', metadata: {}, source: ['**[system]**\n', '\n', 'Sei una guida.'] }
+        ],
+        metadata: {},
+        nbformat: 4,
+        nbformat_minor: 5
+    };
+    const builder = NotebookBuilder.fromText(JSON.stringify(notebook), 'draft.ipynb');
+
+    assert.strictEqual(builder.system, 'Sei una guida.');
+    assert.deepStrictEqual(builder.warnings, ['1 cell(s) without a CFBench tag or outside the structure were left out']);
+});
@@ -0,0 +1,141 @@
+/**
+ * NotebookFixer: the mechanical fixes, the passages they must leave alone, skipped edits and
+ * the re-validation of the fixed notebook
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readFixture, editJSONCell, runChecks, findCheck } = require('./helpers.js');
+
+/**
+ * Notebook JSON of the Italian fixture after editing its cells
+ * @param {Function} edit - Called with a NotebookBuilder holding the fixture's cells
+ */
+function editedNotebook(edit) {
+    const builder = NotebookBuilder.fromText(readFixture('valid_it.ipynb'), 'valid_it.ipynb');
+    edit(builder);
+    return builder.toNotebook();
+}
+
+/**
+ * Golden response body of a fixed notebook
+ */
+function goldenBody(fixer) {
+    const parser = new NotebookParser();
+    return parser.parseText(fixer.toJSON(), 'fixed.ipynb').finalTurn.assistant.content;
+}
+
+test('a valid notebook needs no fix', () => {
+    const fixer = new NotebookFixer(JSON.parse(readFixture('valid_it.ipynb')));
+    assert.deepStrictEqual(fixer.fixAll(), []);
+    assert.deepStrictEqual(fixer.manual, []);
+    assert.strictEqual(fixer.toJSON(), readFixture('valid_it.ipynb'));
+});
+
+test('llm_judge ids in validator_human are renamed to human_judge', () => {
+    const notebook = editedNotebook(builder => {
+        editJSONCell(builder.finalTurn, 'validatorHuman', json => { json[1].id = 'llm_judge_1'; });
+    });
+    const fixer = new NotebookFixer(notebook);
+    const [edit] = fixer.fixAll();
+
+    assert.strictEqual(edit.fixId, 'human_judge');
+    assert.strictEqual(edit.cellLabel, 'validator_human');
+    assert.strictEqual(edit.description, 'Renamed llm_judge to human_judge in validator_human');
+    assert.deepStrictEqual(edit.diff.filter(line => line.type !== 'same'), [
+        { type: 'remove', text: '    "id": "llm_judge_1",' },
+        { type: 'add', text: '    "id": "human_judge_1",' }
+    ]);
+    assert.ok(JSON.stringify(notebook).includes('llm_judge_1'), 'the original notebook is not edited');
+});
+
+test('em/en dashes in the golden response become hyphens', () => {
+    const notebook = editedNotebook(builder => {
+        builder.finalTurn.assistant = builder.finalTurn.assistant
+            .replace('Ponte Vecchio e raggiunga', 'Ponte Vecchio — e raggiunga')
+            .replace('In due ore', 'In 2–3 ore');
+    });
+    const fixer = new NotebookFixer(notebook);
+    const [edit] = fixer.fixAll();
+
+    assert.strictEqual(edit.description, 'Replaced 2 em/en dash(es) with hyphens in the golden response');
+    const body = goldenBody(fixer);
+    assert.ok(body.includes('Ponte Vecchio - e raggiunga'));
+    assert.ok(body.includes('In 2-3 ore'));
+    assert.deepStrictEqual(fixer.manual, []);
+});
+
+test('dashes in code and in passages quoted by validator_assistant are left as is', () => {
+    const notebook = editedNotebook(builder => {
+        builder.finalTurn.assistant += '\n\nOrari: 8–10, `a—b`, "la città — splendida".\n\n```\nx — y\n```';
+        editJSONCell(builder.finalTurn, 'validatorAssistant', json => {
+            json[2].message = "Found 'la città — splendida' 1x";
+        });
+    });
+    const fixer = new NotebookFixer(notebook);
+    const [edit] = fixer.fixAll();
+
+    assert.strictEqual(edit.description, 'Replaced 1 em/en dash(es) with hyphens in the golden response');
+    const body = goldenBody(fixer);
+    assert.ok(body.includes('Orari: 8-10, `a—b`, "la città — splendida".'));
+    assert.ok(body.includes('x — y'));
+    assert.deepStrictEqual(fixer.manual.map(item => item.message), [
+        '2 em/en dash(es) in code in the golden response left as is',
+        'Em/en dash in "la città — splendida", quoted by validator_assistant [keywords:frequency], left as is: edit the response and the validator message together'
+    ]);
+});
+
+test('a leading interjection is removed, a preamble with content is left for review', () => {
+    const interjection = new NotebookFixer(editedNotebook(builder => {
+        builder.finalTurn.assistant = 'Certo! ' + builder.finalTurn.assistant;
+    }));
+    const [edit] = interjection.fixAll();
+    assert.strictEqual(edit.description, 'Removed preamble from the start of the golden response');
+    assert.ok(goldenBody(interjection).startsWith('<<Una mattina rinascimentale a Firenze>>'));
+
+    const withContent = new NotebookFixer(editedNotebook(builder => {
+        builder.finalTurn.assistant = 'Ecco il piano per Firenze.\n\n' + builder.finalTurn.assistant;
+    }));
+    assert.deepStrictEqual(withContent.fixAll(), []);
+    assert.strictEqual(withContent.manual[0].fixId, 'preamble');
+    assert.match(withContent.manual[0].message, /^Golden response starts with a preamble that cannot be removed safely: "Ecco il piano/);
+});
+
+test('skipped edits are listed but not applied', () => {
+    const notebook = editedNotebook(builder => {
+        builder.finalTurn.assistant = 'Certo! ' + builder.finalTurn.assistant;
+        editJSONCell(builder.finalTurn, 'validatorHuman', json => { json[1].id = 'llm_judge_1'; });
+    });
+    const fixer = new NotebookFixer(notebook);
+    const keys = fixer.fixAll().map(edit => edit.key);
+    const preambleKey = keys.find(key => key.startsWith('preamble:'));
+
+    const edits = fixer.fixAll({ skip: [preambleKey] });
+    assert.deepStrictEqual(edits.map(edit => [edit.fixId, edit.applied]), [['human_judge', true], ['preamble', false]]);
+    assert.ok(goldenBody(fixer).startsWith('Certo!'));
+    assert.ok(!fixer.toJSON().includes('llm_judge_1'));
+});
+
+test('revalidate() runs the checks on the fixed notebook', () => {
+    const notebook = editedNotebook(builder => {
+        builder.finalTurn.assistant = 'Certo! ' + builder.finalTurn.assistant;
+    });
+    const before = runChecks(new NotebookParser().parseText(JSON.stringify(notebook), 'edited.ipynb'));
+    assert.strictEqual(findCheck(before, '2.9').status, 'failed');
+
+    const fixer = new NotebookFixer(notebook);
+    fixer.fixAll();
+    const { results } = fixer.revalidate();
+    assert.strictEqual(results.summary.failed, 0);
+    assert.strictEqual(results.summary.status, 'PASS');
+});
+
+test('diffLines() lists the removed and added lines around the common ones', () => {
+    assert.deepStrictEqual(NotebookFixer.diffLines('a\nb\nc', 'a\nB\nc\nd'), [
+        { type: 'same', text: 'a' },
+        { type: 'remove', text: 'b' },
+        { type: 'add', text: 'B' },
+        { type: 'same', text: 'c' },
+        { type: 'add', text: 'd' }
+    ]);
+});
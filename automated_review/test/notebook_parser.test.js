@@ -0,0 +1,119 @@
+/**
+ * NotebookParser: components of the fixture notebook, from .ipynb JSON and from the Colab .py export
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readFixture, parseFixture } = require('./helpers.js');
+
+test('extractComponents() reads metadata, system and the intermediate turn', () => {
+    const parsed = parseFixture('valid_it.ipynb');
+
+    assert.strictEqual(parsed.metadata.language, 'Italian (it)');
+    assert.strictEqual(parsed.metadata.domain, 'Travel');
+    assert.strictEqual(parsed.metadata.userPromptLength, '30-80');
+    assert.match(parsed.system.content, /^Sei una guida turistica di Firenze\./);
+    assert.strictEqual(parsed.system.hasRole, true);
+
+    assert.strictEqual(parsed.turns.length, 1);
+    assert.match(parsed.turns[0].user.content, /sabato sarò a Firenze/);
+    assert.ok(parsed.turns[0].thinking);
+    assert.match(parsed.turns[0].assistant.content, /^Benvenuto!/);
+});
+
+test('extractComponents() takes the user cell before turn_metadata as the final turn', () => {
+    const { finalTurn } = parseFixture('valid_it.ipynb');
+
+    assert.match(finalTurn.user.content, /^Mi piace molto l'arte rinascimentale/);
+    assert.match(finalTurn.assistant.content, /^<<Una mattina rinascimentale a Firenze>>/);
+    assert.ok(finalTurn.thinking);
+
+    const meta = finalTurn.turnMetadata;
+    assert.strictEqual(meta.language, 'it');
+    assert.deepStrictEqual(meta.instructions.map(inst => inst.instruction_id), [
+        'length_constraints:number_words',
+        'detectable_format:title',
+        'keywords:frequency',
+        'stylistic:tone_formality'
+    ]);
+    assert.strictEqual(meta.ifCount, 3);
+    assert.strictEqual(meta.llmEvalCount, 1);
+    assert.deepStrictEqual(meta.llmJudge.map(judge => judge.uid), [1]);
+
+    assert.strictEqual(finalTurn.validatorAssistant.totalChecks, 4);
+    assert.strictEqual(finalTurn.validatorAssistant.allPassed, true);
+    assert.deepStrictEqual(finalTurn.validatorHuman.checks.map(check => check.id), ['stylistic:tone_formality', 'human_judge_1']);
+});
+
+test('extractComponents() groups the model pass cells by model and pass number', () => {
+    const { modelPasses } = parseFixture('valid_it.ipynb');
+
+    assert.deepStrictEqual(modelPasses.map(pass => `${pass.model}_${pass.passNumber}`), ['qwen3_1', 'qwen3_2', 'qwen3_3', 'qwen3_4']);
+    modelPasses.forEach(pass => {
+        assert.ok(pass.thinking && pass.assistant, `${pass.model}_${pass.passNumber}`);
+        assert.strictEqual(pass.validatorAssistant.totalChecks, 4);
+        assert.strictEqual(pass.validatorHuman.totalChecks, 2);
+    });
+    assert.match(modelPasses[1].assistant.content, /^<<Mattina in centro>>/);
+});
+
+test('extractComponents() reports validator JSON that does not parse', () => {
+    const notebook = JSON.parse(readFixture('valid_it.ipynb'));
+    const cell = notebook.cells.find(c => c.source[0].startsWith('**[validator_assistant]**'));
+    cell.source = ['**[validator_assistant]**\n', '\n', '```json\n', '[{"id": "x",\n', '```\n'];
+
+    const parsed = new NotebookParser().parseText(JSON.stringify(notebook), 'broken.ipynb');
+    assert.match(parsed.finalTurn.validatorAssistant.error, /^Failed to parse JSON/);
+});
+
+test('extractComponents() rejects a file without cells', () => {
+    assert.throws(() => new NotebookParser().parseText('{"metadata": {}}', 'empty.ipynb'),
+        /Failed to parse notebook: Invalid notebook structure/);
+});
+
+test('convertPyToNotebook() splits the Colab docstring into one cell per tag', () => {
+    const notebook = new NotebookParser().convertPyToNotebook(readFixture('valid_it.py'));
+    const tags = notebook.cells.map(cell => cell.source[0].trim());
+
+    assert.strictEqual(notebook.cells.length, 27);
+    assert.deepStrictEqual(tags.slice(0, 5), ['**[metadata]**', '**[system]**', '**[user]**', '**[thinking]**', '**[assistant]**']);
+    assert.strictEqual(tags[tags.length - 1], '**[validator_human_qwen3_4]**');
+    assert.ok(notebook.cells.every(cell => cell.cell_type === 'markdown'));
+});
+
+test('convertPyToNotebook() rejects a file without a docstring', () => {
+    assert.throws(() => new NotebookParser().convertPyToNotebook('print("hello")\n'),
+        /Could not find docstring content in \.py file/);
+});
+
+test('a .py export parses to the same components as the .ipynb', () => {
+    const fromJSON = parseFixture('valid_it.ipynb');
+    const fromPy = parseFixture('valid_it.py');
+
+    assert.strictEqual(fromPy.metadata.language, fromJSON.metadata.language);
+    assert.strictEqual(fromPy.system.content, fromJSON.system.content);
+    assert.strictEqual(fromPy.turns.length, fromJSON.turns.length);
+    assert.strictEqual(fromPy.finalTurn.user.content, fromJSON.finalTurn.user.content);
+    assert.strictEqual(fromPy.finalTurn.assistant.content, fromJSON.finalTurn.assistant.content);
+    assert.deepStrictEqual(fromPy.finalTurn.turnMetadata.json, fromJSON.finalTurn.turnMetadata.json);
+    assert.deepStrictEqual(
+        fromPy.modelPasses.map(pass => pass.assistant.content),
+        fromJSON.modelPasses.map(pass => pass.assistant.content)
+    );
+});
+
+test('getSummary() describes the parsed notebook', () => {
+    const parser = new NotebookParser();
+    assert.strictEqual(parser.getSummary(), null);
+
+    parser.parseText(readFixture('valid_it.ipynb'), 'valid_it.ipynb');
+    const summary = parser.getSummary();
+    assert.strictEqual(summary.domain, 'Travel');
+    assert.strictEqual(summary.language, 'Italian (it)');
+    assert.strictEqual(summary.numberOfTurns, 1);
+    assert.strictEqual(summary.hasGoldenValidators, true);
+    assert.strictEqual(summary.modelPassCount, 4);
+    assert.strictEqual(summary.ifInstructionCount, 3);
+    assert.strictEqual(summary.llmEvalCount, 1);
+    assert.strictEqual(summary.llmJudgeCount, 1);
+});
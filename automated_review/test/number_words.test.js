@@ -0,0 +1,91 @@
+/**
+ * NumberWords: spelling numbers in every supported language and finding them in text,
+ * in digits or in words
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+// [language, 377 spelled, 377 spelled feminine]
+const SPELL_CASES = [
+    ['en', 'three hundred seventy-seven', 'three hundred seventy-seven'],
+    ['it', 'trecentosettantasette', 'trecentosettantasette'],
+    ['pt', 'trezentos e setenta e sete', 'trezentas e setenta e sete'],
+    ['es', 'trescientos setenta y siete', 'trescientas setenta y siete'],
+    ['fr', 'trois cent soixante-dix-sept', 'trois cent soixante-dix-sept'],
+    ['de', 'dreihundertsiebenundsiebzig', 'dreihundertsiebenundsiebzig']
+];
+
+SPELL_CASES.forEach(([language, masculine, feminine]) => {
+    test(`spell() writes 377 in ${language}`, () => {
+        assert.strictEqual(NumberWords.spell(377, language), masculine);
+        assert.strictEqual(NumberWords.spell(377, language, { gender: 'feminine' }), feminine);
+    });
+});
+
+test('spell() reads the language from the metadata Language field', () => {
+    assert.strictEqual(NumberWords.spell(21, 'Italian (it)'), 'ventuno');
+    assert.strictEqual(NumberWords.spell(21, 'Italian (it)', { gender: 'f' }), 'ventuna');
+    assert.strictEqual(NumberWords.spell(200, 'Brazilian Portuguese (pt-BR)', { gender: 'feminine' }), 'duzentas');
+    assert.strictEqual(NumberWords.spell(1500, 'it'), 'millecinquecento');
+});
+
+test('spell() writes ordinals in both genders', () => {
+    assert.strictEqual(NumberWords.spell(1, 'it', { ordinal: true }), 'primo');
+    assert.strictEqual(NumberWords.spell(1, 'it', { ordinal: true, gender: 'feminine' }), 'prima');
+    assert.strictEqual(NumberWords.spell(3, 'en', { ordinal: true }), 'third');
+    assert.strictEqual(NumberWords.spell(1, 'fr', { ordinal: true, gender: 'feminine' }), 'première');
+});
+
+test('spell() covers 0-999,999 and rejects anything else', () => {
+    assert.strictEqual(NumberWords.spell(0, 'en'), 'zero');
+    assert.strictEqual(NumberWords.spell(999999, 'en'), 'nine hundred ninety-nine thousand nine hundred ninety-nine');
+    assert.throws(() => NumberWords.spell(1000000, 'en'), /^Error: Cannot spell 1000000: integers 0-999999 only$/);
+    assert.throws(() => NumberWords.spell(1.5, 'en'), /Cannot spell 1\.5/);
+    assert.throws(() => NumberWords.spell(0, 'en', { ordinal: true }), /integers 1-999999 only/);
+    assert.throws(() => NumberWords.spell(3, 'Klingon'), /No number words for language "Klingon" \(en, it, pt, es, fr, de\)/);
+});
+
+test('spell() output parses back to the same number', () => {
+    SPELL_CASES.forEach(([language]) => {
+        [0, 7, 16, 21, 99, 101, 377, 1000, 2024, 45678].forEach(n => {
+            const spelled = NumberWords.spell(n, language);
+            assert.deepStrictEqual(NumberWords.parse(spelled, language), { value: n, ordinal: false }, `${language} ${spelled}`);
+        });
+    });
+});
+
+test('findNumbers() finds digits, words and ordinals in text order', () => {
+    const found = NumberWords.findNumbers('Scrivi al massimo centocinquanta parole in 3 paragrafi, il terzo con 1.500 caratteri', 'it');
+    assert.deepStrictEqual(found, [
+        { value: 150, ordinal: false, text: 'centocinquanta', index: 18 },
+        { value: 3, ordinal: false, text: '3', index: 43 },
+        { value: 3, ordinal: true, text: 'terzo', index: 59 },
+        { value: 1500, ordinal: false, text: '1.500', index: 69 }
+    ]);
+});
+
+test('findNumbers() takes the longest spelling, across spaces and hyphens', () => {
+    assert.deepStrictEqual(NumberWords.findNumbers('Write three hundred and seventy-seven words, the 2nd paragraph first', 'en'), [
+        { value: 377, ordinal: false, text: 'three hundred and seventy-seven', index: 6 },
+        { value: 2, ordinal: true, text: '2nd', index: 49 },
+        { value: 1, ordinal: true, text: 'first', index: 63 }
+    ]);
+    assert.deepStrictEqual(NumberWords.findNumbers('trezentas e setenta e sete palavras', 'Portuguese (pt-BR)'), [
+        { value: 377, ordinal: false, text: 'trezentas e setenta e sete', index: 0 }
+    ]);
+    assert.deepStrictEqual(NumberWords.findNumbers('dreihundertsiebenundsiebzig Wörter', 'de').map(n => n.value), [377]);
+});
+
+test('findNumbers() only finds digits for a language without number rules', () => {
+    assert.deepStrictEqual(NumberWords.findNumbers('cinque parole e 7 frasi', 'Klingon'), [
+        { value: 7, ordinal: false, text: '7', index: 16 }
+    ]);
+});
+
+test('findNumbers() tries every language when none is given', () => {
+    assert.deepStrictEqual(NumberWords.findNumbers('uno').map(n => n.value), [1]);
+    assert.deepStrictEqual(NumberWords.findNumbers(''), []);
+    assert.deepStrictEqual(NumberWords.findNumbers(null), []);
+});
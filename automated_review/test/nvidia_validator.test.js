@@ -0,0 +1,142 @@
+/**
+ * NvidiaValidator.validateInstruction(): one response that satisfies and one that breaks
+ * every deterministic instruction type, then the heuristic, semantic and error results
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+// [instruction id, kwargs, response that passes, response that fails]
+const INSTRUCTION_CASES = [
+    ['change_case:all_caps', {}, 'TUTTO MAIUSCOLO', 'Quasi TUTTO MAIUSCOLO'],
+    ['change_case:lowercase', {}, 'tutto minuscolo', 'Tutto minuscolo'],
+    ['change_case:alternating', {}, 'AlTeRnAtO cAsE', 'Alternato case'],
+    ['change_case:first_letter_cap', {}, 'Ogni Parola Maiuscola', 'Ogni parola Maiuscola'],
+    ['change_case:last_letter', { case: 'special' }, 'Finisce con un simbolo!', 'Finisce con una lettera'],
+    ['change_case:last_letter', { case: 'lower' }, 'Finisce in minuscolo', 'Finisce in MAIUSCOLO'],
+    ['change_case:last_letter', { case: 'upper' }, 'Finisce in MAIUSCOLO', 'Finisce in minuscolo'],
+    ['change_case:capital_word_frequency', { capital_relation: 'at least', capital_frequency: 2 }, 'Visita ROMA e MILANO', 'Visita ROMA e Milano'],
+    ['change_case:lowercase_word_frequency', { lowercase_relation: 'at most', lowercase_frequency: 2 }, 'Visita Roma e Milano', 'visita roma e Milano'],
+    ['change_case:case_ratio', { min_fraction: '1', max_fraction: '10' }, 'Roma Milano', 'ROMA'],
+    ['change_case:case_ratio', { min_fraction: '0', max_fraction: '2' }, 'RoMa', 'solo minuscole'],
+    ['change_case:case_ratio', { min_fraction: '1', max_fraction: 'inf' }, 'solo minuscole', 'SOLO'],
+
+    ['keywords:existence', { keywords: ['Uffizi', 'Pitti'] }, 'Gli Uffizi e Palazzo Pitti', 'Solo gli Uffizi'],
+    ['keywords:frequency', { keyword: 'città', relation: 'at least', frequency: 2 }, 'Città e città', 'Una città'],
+    ['keywords:forbidden_words', { forbidden_words: ['caro'] }, 'Un museo economico', 'Un museo caro'],
+    ['keywords:letter_frequency', { letter: 'z', let_relation: 'at least', let_frequency: 3 }, 'Pizza e zuppa', 'Pasta e zuppa'],
+    ['keywords:alliteration', { target_letter: 'm', relation: 'at least', num_alliteration: 3 }, 'Molti musei meravigliosi', 'Alcuni musei belli'],
+    ['keywords:vowel_count', { relation: 'at most', num_vowels: 4 }, 'Roma bella', 'Roma bellissima'],
+    ['keywords:consonant_count', { relation: 'at least', num_consonants: 6 }, 'Firenze bella', 'Roma'],
+
+    ['punctuation:no_comma', {}, 'Niente virgole qui', 'Una virgola, qui'],
+    ['punctuation:no_period', {}, 'Niente punti qui', 'Un punto qui.'],
+    ['punctuation:question_exclaim', { relation: 'equal to', num_marks: 2 }, 'Davvero? Sì!', 'Davvero?'],
+    ['punctuation:end_rule', { allowed: ['.', '!'] }, 'Bene. Ottimo!', 'Bene? Ottimo!'],
+
+    ['length_constraints:number_words', { relation: 'at most', num_words: 4 }, '1. Uno due tre', 'Uno due tre quattro cinque'],
+    ['length_constraints:number_characters', { relation: 'less than', num_chars: 10 }, 'Breve', 'Troppo lungo davvero'],
+    ['length_constraints:unique_words', { relation: 'at least', num_unique: 3 }, 'uno due tre', 'uno uno due'],
+    ['length_constraints:word_repetition', { max_repeats: 1 }, 'uno due tre', 'uno due uno'],
+    ['length_constraints:sentence_length', { max_words: 3 }, 'Frase corta. Anche questa.', 'Questa frase è troppo lunga.'],
+    ['length_constraints:word_length', { min_length: 3, max_length: 8 }, 'Roma bella città', 'Roma è bella'],
+    ['length_constraints:word_length', { min_length: 2, max_length: 6 }, 'Roma bella città', 'Roma meravigliosa'],
+    ['length_constraints:paragraph_length', { relation: 'at most', words_per_paragraph: 3 }, 'Uno due.\n\nTre quattro.', 'Uno due tre quattro.\n\nCinque.'],
+
+    ['detectable_format:number_paragraphs', { relation: 'equal to', num_paragraphs: 2 }, 'Primo.\n\nSecondo.', 'Solo uno.'],
+    ['detectable_format:sentence_count', { relation: 'at least', num_sentences: 2 }, 'Una frase. Due frasi.', 'Una frase sola.'],
+    ['detectable_format:numbered_list', { relation: 'equal to', num_numbered_items: 2 }, '1. Uffizi\n2. Pitti', '1. Uffizi'],
+    ['detectable_format:number_bullet_lists', { relation: 'at least', num_bullets: 2 }, '- Uffizi\n* Pitti', '- Uffizi'],
+    ['detectable_format:json_format', {}, '```json\n{"museo": "Uffizi"}\n```', '{"museo": Uffizi}'],
+    ['detectable_format:title', {}, '<<Firenze>>\n\nTesto', 'Firenze\n\nTesto'],
+    ['detectable_format:multiple_sections', { section_splitter: 'Sezione', relation: 'equal to', num_sections: 2 },
+        '# Sezione 1\nUffizi\n# Sezione 2\nPitti', '# Sezione 1\nUffizi'],
+    ['detectable_format:sentences_per_paragraph', { relation: 'at most', num_sentences: 1 }, 'Una frase.\n\nUn\'altra.', 'Una frase. Due frasi.'],
+    ['detectable_format:max_paragraph_length', { max_chars: 20 }, '- Paragrafo breve', 'Questo paragrafo è decisamente troppo lungo'],
+
+    ['startend:start_checker', { start_phrase: 'Caro visitatore' }, '**Caro visitatore**, benvenuto', 'Benvenuto, caro visitatore'],
+    ['startend:end_checker', { end_phrase: 'Buona visita' }, 'Ecco il percorso. Buona visita!', 'Buona visita e buon pranzo'],
+    ['startend:wrap_checker', { wrap_phrase: '***' }, '*** Testo ***', '*** Testo'],
+    ['startend:quotation', {}, '"Tutto tra virgolette"', '"Solo a metà'],
+
+    ['detectable_content:number_placeholders', { relation: 'at least', num_placeholders: 2 }, 'Vai a [museo] alle [ora]', 'Vai a [museo]'],
+    ['detectable_content:numeric_inclusion', { relation: 'at least', num_numbers: 2 }, 'Apre alle 9:30', 'Apre alle 9'],
+    ['detectable_content:postscript', { postscript_marker: 'P.S.' }, 'Testo\n\nP.S. Prenota prima', 'Testo\n\nPrenota prima']
+];
+
+INSTRUCTION_CASES.forEach(([id, kwargs, passing, failing]) => {
+    const label = Object.keys(kwargs).length > 0 ? `${id} ${JSON.stringify(kwargs)}` : id;
+
+    test(`${label} passes and fails`, () => {
+        const ok = NvidiaValidator.validateInstruction(passing, id, kwargs, { language: 'it' });
+        assert.strictEqual(ok.valid, true, `"${passing}": ${ok.note}`);
+        assert.ok(!ok.semantic);
+
+        const ko = NvidiaValidator.validateInstruction(failing, id, kwargs, { language: 'it' });
+        assert.strictEqual(ko.valid, false, `"${failing}": ${ko.note}`);
+        assert.ok(!ko.semantic);
+    });
+});
+
+test('relations: at least, equal to, less than, at most and the symbol forms', () => {
+    const { checkRelation } = NvidiaValidator;
+    assert.ok(checkRelation(3, 'at least', 3) && checkRelation(3, '>=', 2) && !checkRelation(2, 'at least', 3));
+    assert.ok(checkRelation(3, 'equal to', 3) && checkRelation(3, '==', 3) && !checkRelation(3, '=', 4));
+    assert.ok(checkRelation(2, 'less than', 3) && !checkRelation(3, '<', 3));
+    assert.ok(checkRelation(3, 'at most', 3) && !checkRelation(4, '<=', 3));
+    assert.ok(checkRelation(3, 'unknown relation', 3), 'an unknown relation compares for equality');
+    assert.ok(!checkRelation(3, 'at least', '3'), 'a value that is not a number never matches');
+});
+
+test('number_words counts list markers as markup and dotted abbreviations as one word', () => {
+    const result = NvidiaValidator.validateInstruction('1. Apre alle nove.\n2. P.S. Prenota.', 'length_constraints:number_words',
+        { relation: 'equal to', num_words: 5 }, { language: 'it' });
+    assert.strictEqual(result.valid, true, result.note);
+    assert.strictEqual(result.note, 'Found 5 words (expected equal to 5)');
+});
+
+test('address formality is scored by the heuristic checker when it is confident', () => {
+    const formal = 'Gentile cliente, Le consiglio gli Uffizi: prenoti il Suo biglietto e La aspettiamo. Cordiali saluti.';
+    const informal = 'Ciao! Ti consiglio gli Uffizi: prenota il tuo biglietto e fammi sapere se te la senti.';
+
+    const ok = NvidiaValidator.validateInstruction(formal, 'stylistic:tone_formality', { tone_level: 'formal' }, { language: 'it' });
+    assert.strictEqual(ok.valid, true, ok.note);
+    assert.strictEqual(ok.heuristic, true);
+    assert.match(ok.note, /\(heuristic, confidence [\d.]+\)$/);
+
+    const ko = NvidiaValidator.validateInstruction(informal, 'stylistic:tone_formality', { tone_level: 'formal' }, { language: 'it' });
+    assert.strictEqual(ko.valid, false, ko.note);
+    assert.strictEqual(ko.heuristic, true);
+});
+
+test('a heuristic result below minConfidence is left to semantic evaluation', () => {
+    const text = 'Le consiglio di visitare gli Uffizi.';
+    const result = NvidiaValidator.validateInstruction(text, 'stylistic:tone_formality', { tone_level: 'formal' },
+        { language: 'it', minConfidence: 1.01 });
+
+    assert.strictEqual(result.valid, null);
+    assert.strictEqual(result.semantic, true);
+    assert.match(result.note, /^Requires semantic evaluation - heuristic confidence [\d.]+ too low/);
+});
+
+test('instructions without a checker require semantic evaluation', () => {
+    const result = NvidiaValidator.validateInstruction('Testo', 'stylistic:narrative_style', { style: 'epic' }, { language: 'it' });
+    assert.deepStrictEqual(result, { valid: null, note: 'Requires semantic evaluation', semantic: true });
+});
+
+test('unknown instruction types are left to semantic evaluation', () => {
+    const result = NvidiaValidator.validateInstruction('Testo', 'custom:made_up', {}, { language: 'it' });
+    assert.deepStrictEqual(result, { valid: null, note: 'Unknown instruction type: custom:made_up', semantic: true });
+});
+
+test('a checker that throws reports a validation error', () => {
+    const result = NvidiaValidator.validateInstruction('Testo', 'startend:end_checker', {}, { language: 'it' });
+    assert.strictEqual(result.valid, false);
+    assert.match(result.note, /^Validation error: /);
+});
+
+test('a missing response is validated as empty text', () => {
+    const result = NvidiaValidator.validateInstruction(null, 'punctuation:no_comma', null);
+    assert.deepStrictEqual(result, { valid: true, note: 'OK' });
+});
@@ -0,0 +1,117 @@
+/**
+ * ReportGenerator: HTML, text, JSON and SARIF reports of the valid fixture and of an edited
+ * copy with a failing check
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFixture, parseEdited, runChecks } = require('./helpers.js');
+
+/**
+ * Report generator holding the review of a parsed notebook
+ */
+function createReport(parsed, fileName) {
+    const validators = runChecks(parsed);
+    const report = new ReportGenerator();
+    report.setData(parsed, validators.results, null, fileName);
+    return report;
+}
+
+function passingReport() {
+    return createReport(parseFixture('valid_it.ipynb'), 'valid_it.ipynb');
+}
+
+// Check 2.8 fails on the system cell, check 3.10 warns about pass 2's validator_human
+function failingReport() {
+    const parsed = parseEdited('valid_it.ipynb', builder => {
+        builder.system += ' Rispetta sempre il turn_metadata.';
+        builder.passes[1].validatorHuman = '```json\n[]\n```';
+    });
+    return createReport(parsed, 'broken_it.ipynb');
+}
+
+test('getOverallStatus() follows the review summary', () => {
+    assert.strictEqual(passingReport().getOverallStatus(), 'PASS');
+    assert.strictEqual(failingReport().getOverallStatus(), 'MINOR_REVISION');
+    assert.strictEqual(new ReportGenerator().getOverallStatus(), 'UNKNOWN');
+});
+
+test('the HTML report has the header, the four phases and every check', () => {
+    const html = passingReport().generateHTMLReport();
+
+    assert.match(html, /<strong>Domain:<\/strong> Travel/);
+    assert.match(html, /<strong>Language:<\/strong> Italian \(it\)/);
+    assert.match(html, /<strong>Profile:<\/strong> CFBench default/);
+    assert.match(html, /<div class="overall-status status-pass">\s*PASS\s*<\/div>/);
+    ['Phase 1: Structure', 'Phase 2: Content', 'Phase 3: Metadata', 'Phase 4: Model Passes'].forEach(title => {
+        assert.ok(html.includes(title), title);
+    });
+    ['1.1', '2.8', '3.10', '4.4'].forEach(id => assert.ok(html.includes(id), id));
+});
+
+test('the HTML report of a failing review shows the status and the issue', () => {
+    const html = failingReport().generateHTMLReport();
+
+    assert.match(html, /<div class="overall-status status-minor">\s*MINOR_REVISION\s*<\/div>/);
+    assert.ok(html.includes('Contains &quot;turn_metadata&quot; reference'), 'issue text is escaped');
+});
+
+test('the text report lists the status and each phase', () => {
+    const text = failingReport().generateTextReport();
+
+    assert.match(text, /^═+\nCFBench Task Review Report\n═+/);
+    assert.match(text, /Domain: Travel\nLanguage: Italian \(it\)\nTurns: 1\nModel Passes: 4/);
+    assert.match(text, /OVERALL STATUS: MINOR_REVISION/);
+    ['PHASE 1: STRUCTURE', 'PHASE 2: CONTENT', 'PHASE 3: METADATA', 'PHASE 4: MODEL PASSES', 'FEEDBACK'].forEach(heading => {
+        assert.ok(text.includes(heading), heading);
+    });
+    assert.ok(text.includes('Contains "turn_metadata" reference'));
+    assert.ok(!text.includes('AI ANALYSIS'), 'no AI section without API results');
+});
+
+test('the JSON report carries the file, status, summary and every check', () => {
+    const report = JSON.parse(failingReport().generateJSONReport());
+
+    assert.strictEqual(report.file, 'broken_it.ipynb');
+    assert.strictEqual(report.status, 'MINOR_REVISION');
+    assert.deepStrictEqual(report.metadata, { domain: 'Travel', language: 'Italian (it)', turns: 1, modelPasses: 4 });
+    assert.strictEqual(report.summary.status, 'MINOR_REVISION');
+    assert.strictEqual(report.apiResults, null);
+
+    const ids = Object.values(report.phases).flat().map(check => check.id);
+    assert.deepStrictEqual(ids, RuleRegistry.createDefault().getRules({ needsApi: false }).map(rule => rule.id));
+
+    const check28 = report.phases.phase2.find(check => check.id === '2.8');
+    assert.strictEqual(check28.status, 'failed');
+    assert.match(check28.issues[0], /Contains "turn_metadata" reference/);
+    assert.deepStrictEqual(Object.keys(check28), ['id', 'name', 'status', 'issues', 'warnings', 'details']);
+});
+
+test('the SARIF report has no results for a passing review', () => {
+    const sarif = JSON.parse(passingReport().generateSARIFReport());
+
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(sarif.runs[0].tool.driver.name, 'CFBench Review Tool');
+    assert.deepStrictEqual(sarif.runs[0].artifacts, [{ location: { uri: 'valid_it.ipynb' } }]);
+    assert.deepStrictEqual(sarif.runs[0].results, []);
+    assert.strictEqual(sarif.runs[0].properties.overallStatus, 'PASS');
+});
+
+test('SARIF results point at the cell each issue refers to', () => {
+    const report = failingReport();
+    const sarif = JSON.parse(report.generateSARIFReport());
+    const { results, tool } = sarif.runs[0];
+    const cellOrder = report.parsed.cellOrder;
+
+    const forbidden = results.find(r => r.ruleId === 'CFB2.8');
+    assert.strictEqual(forbidden.level, 'error');
+    assert.strictEqual(tool.driver.rules[forbidden.ruleIndex].id, 'CFB2.8');
+    assert.strictEqual(cellOrder[forbidden.properties.cellIndex].type.type, 'system');
+    assert.strictEqual(forbidden.locations[0].logicalLocations[0].fullyQualifiedName, `cells[${forbidden.properties.cellIndex}]`);
+
+    // Issues naming a model pass go to that pass's cell of the check's type
+    const missing = results.find(r => r.ruleId === 'CFB3.10');
+    assert.strictEqual(missing.level, 'warning');
+    const cell = cellOrder[missing.properties.cellIndex].type;
+    assert.deepStrictEqual([cell.type, cell.model, cell.passNumber], ['validator_human', 'qwen3', 2]);
+});
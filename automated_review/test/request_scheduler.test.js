@@ -0,0 +1,113 @@
+/**
+ * RequestScheduler: concurrency, the RPM/TPM buckets, Retry-After pauses, cancelling and progress
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+/**
+ * Task resolving on demand, recording when it started
+ */
+function manualTask(log, name) {
+    let finish;
+    const task = (signal) => new Promise((resolve, reject) => {
+        log.push(name);
+        finish = () => resolve(name);
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    return { task, finish: () => finish() };
+}
+
+test('estimateTokens() counts about four characters per token', () => {
+    assert.strictEqual(RequestScheduler.estimateTokens(''), 0);
+    assert.strictEqual(RequestScheduler.estimateTokens(null), 0);
+    assert.strictEqual(RequestScheduler.estimateTokens('abcde'), 2);
+});
+
+test('no more than `concurrency` requests run at once', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 2 });
+    const log = [];
+    const tasks = ['a', 'b', 'c'].map(name => manualTask(log, name));
+    const results = tasks.map(t => scheduler.schedule(t.task));
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(log, ['a', 'b']);
+    assert.deepStrictEqual(scheduler.getProgress(), { queued: 1, active: 2, completed: 0, total: 3 });
+
+    tasks[0].finish();
+    assert.strictEqual(await results[0], 'a');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(log, ['a', 'b', 'c']);
+
+    tasks[1].finish();
+    tasks[2].finish();
+    assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c']);
+    assert.deepStrictEqual(scheduler.getProgress(), { queued: 0, active: 0, completed: 3, total: 3 });
+});
+
+test('the request bucket spaces requests out once it is empty', async () => {
+    // 1200 rpm: one request every 50 ms once the single request left in the bucket is used
+    const scheduler = new RequestScheduler({ rpm: 1200, concurrency: 5 });
+    scheduler.requestBucket = 1;
+    const startedAt = [];
+    const start = Date.now();
+
+    await Promise.all([1, 2, 3].map(() => scheduler.schedule(async () => startedAt.push(Date.now() - start))));
+    assert.ok(startedAt[1] >= 40, `second request started after ${startedAt[1]} ms`);
+    assert.ok(startedAt[2] >= startedAt[1] + 40, `third request started after ${startedAt[2]} ms`);
+});
+
+test('the token bucket holds a request back until enough tokens are refilled', async () => {
+    // 60000 tpm refills 1 token per ms
+    const scheduler = new RequestScheduler({ tpm: 60000, concurrency: 5 });
+    scheduler.tokenBucket = 0;
+    const start = Date.now();
+
+    await scheduler.schedule(async () => null, { tokens: 60 });
+    assert.ok(Date.now() - start >= 50, `request started after ${Date.now() - start} ms`);
+
+    scheduler.tokenBucket = 100;
+    scheduler.settleTokens(500, 200);
+    assert.strictEqual(scheduler.tokenBucket, 400);
+    scheduler.settleTokens(0, 0);
+    scheduler.settleTokens(100000, 0);
+    assert.strictEqual(scheduler.tokenBucket, 60000, 'the bucket never holds more than the TPM budget');
+});
+
+test('pauseFor() holds every queued request until Retry-After has passed', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 5 });
+    scheduler.pauseFor(60);
+    const start = Date.now();
+
+    await Promise.all([scheduler.schedule(async () => null), scheduler.schedule(async () => null)]);
+    assert.ok(Date.now() - start >= 50, `requests started after ${Date.now() - start} ms`);
+});
+
+test('cancel() rejects queued requests and aborts running ones', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const log = [];
+    const running = scheduler.schedule(manualTask(log, 'running').task);
+    const queued = scheduler.schedule(manualTask(log, 'queued').task);
+    await new Promise(resolve => setImmediate(resolve));
+
+    scheduler.cancel();
+    await assert.rejects(queued, error => error.message === 'Cancelled' && error.cancelled === true);
+    await assert.rejects(running, error => error.message === 'Cancelled' && error.cancelled === true);
+    assert.deepStrictEqual(log, ['running']);
+    assert.strictEqual(scheduler.getProgress().active, 0);
+});
+
+test('onProgress reports every change and resetProgress() starts a new count', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const reports = [];
+    scheduler.onProgress = progress => reports.push(`${progress.completed}/${progress.total}`);
+
+    await scheduler.schedule(async () => null);
+    // The request settles before the scheduler counts it as completed
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(reports, ['0/1', '0/1', '1/1']);
+
+    scheduler.resetProgress();
+    assert.deepStrictEqual(scheduler.getProgress(), { queued: 0, active: 0, completed: 0, total: 0 });
+});
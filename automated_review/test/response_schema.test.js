@@ -0,0 +1,111 @@
+/**
+ * ResponseSchema validation and the re-ask of APIHandler.callStructured() when a reply does
+ * not match its schema
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+const EVASION_REPLY = { is_evasion: false, evasion_type: 'none', confidence: 0.9, evidence: '' };
+
+/**
+ * APIHandler whose callGemini() answers with the given texts in order and keeps the prompts
+ */
+function scriptedHandler(replies) {
+    const handler = new APIHandler('test-key', 'gemini');
+    handler.prompts = [];
+    handler.callGemini = async (prompt, options) => {
+        handler.prompts.push({ prompt: prompt, options: options });
+        return { text: replies.shift(), usage: { promptTokens: 0, completionTokens: 0 } };
+    };
+    return handler;
+}
+
+test('get() returns the object schema of an AI check and rejects unknown names', () => {
+    Object.keys(ResponseSchema.SCHEMAS).forEach(name => {
+        const schema = ResponseSchema.get(name);
+        assert.strictEqual(schema.type, 'object', name);
+        assert.ok(schema.required.length > 0, name);
+    });
+    assert.deepStrictEqual(ResponseSchema.validate(EVASION_REPLY, ResponseSchema.get('evasion_detection')), []);
+    assert.throws(() => ResponseSchema.get('tone_check'), /^Error: Unknown response schema: tone_check$/);
+});
+
+test('validate() reports wrong types, enums, ranges and missing properties with their path', () => {
+    const reply = {
+        results: [
+            { id: 'length_constraints:number_words', found: true, confidence: 0.8 },
+            { id: 7, found: 'yes', confidence: 1.5 },
+            { found: false }
+        ]
+    };
+    assert.deepStrictEqual(ResponseSchema.validate(reply, ResponseSchema.get('constraint_verification_batch')), [
+        '$.results[1].id: expected string, got integer',
+        '$.results[1].found: expected boolean, got string',
+        '$.results[1].confidence: must be <= 1, got 1.5',
+        '$.results[2].id: required property missing'
+    ]);
+
+    const evasion = ResponseSchema.get('evasion_detection');
+    assert.deepStrictEqual(ResponseSchema.validate({ ...EVASION_REPLY, evasion_type: 'rude' }, evasion),
+        ['$.evasion_type: must be one of "none", "clarification", "apology", "refusal", "partial", got "rude"']);
+    assert.deepStrictEqual(ResponseSchema.validate([], evasion), ['$: expected object, got array']);
+    assert.deepStrictEqual(ResponseSchema.validate({ count: -1 }, { type: 'object', properties: { count: { type: 'integer', minimum: 0 } } }),
+        ['$.count: must be >= 0, got -1']);
+});
+
+test('an integer passes as a number, a fraction does not pass as an integer', () => {
+    assert.deepStrictEqual(ResponseSchema.validate(3, { type: 'number' }), []);
+    assert.deepStrictEqual(ResponseSchema.validate(3.5, { type: 'integer' }), ['$: expected integer, got number']);
+    assert.deepStrictEqual(ResponseSchema.validate(null, { type: ['string', 'null'] }), []);
+});
+
+test('parseStructuredResponse() finds the JSON in the reply text and validates it', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const handler = scriptedHandler([]);
+
+    const fenced = handler.parseStructuredResponse('```json\n' + JSON.stringify(EVASION_REPLY) + '\n```', 'evasion_detection');
+    assert.deepStrictEqual(fenced, { value: EVASION_REPLY, errors: [] });
+    assert.deepStrictEqual(handler.parseStructuredResponse('I cannot answer.', 'evasion_detection').errors, ['No JSON found in response']);
+    assert.deepStrictEqual(handler.parseStructuredResponse('{ "is_evasion": }', 'evasion_detection').errors, ['Failed to parse response']);
+});
+
+test('callStructured() asks for JSON matching the schema and returns a valid reply as is', async () => {
+    const handler = scriptedHandler([JSON.stringify(EVASION_REPLY)]);
+    const reply = await handler.callStructured('Is this an evasion?', 'evasion_detection', { maxTokens: 500 });
+
+    assert.deepStrictEqual(reply, EVASION_REPLY);
+    assert.strictEqual(handler.prompts.length, 1);
+    assert.strictEqual(handler.prompts[0].options.maxTokens, 500);
+    assert.strictEqual(handler.prompts[0].options.responseFormat.json_schema.name, 'evasion_detection');
+});
+
+test('callStructured() asks again once with the validation errors', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const handler = scriptedHandler([
+        JSON.stringify({ is_evasion: 'no', evasion_type: 'none' }),
+        JSON.stringify(EVASION_REPLY)
+    ]);
+    const reply = await handler.callStructured('Is this an evasion?', 'evasion_detection');
+
+    assert.deepStrictEqual(reply, EVASION_REPLY);
+    assert.strictEqual(handler.prompts.length, 2);
+    const retry = handler.prompts[1].prompt;
+    assert.ok(retry.startsWith('Is this an evasion?\n\n## YOUR PREVIOUS REPLY WAS INVALID\n'));
+    assert.ok(retry.includes('- $.is_evasion: expected boolean, got string'));
+});
+
+test('callStructured() gives up after the second invalid reply', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const handler = scriptedHandler(['not JSON', JSON.stringify({ is_evasion: false })]);
+    const reply = await handler.callStructured('Is this an evasion?', 'evasion_detection');
+
+    assert.deepStrictEqual(reply, {
+        error: 'AI unavailable',
+        ai_unavailable: true,
+        validation_errors: ['$.evasion_type: required property missing'],
+        raw: JSON.stringify({ is_evasion: false })
+    });
+    assert.strictEqual(handler.prompts.length, 2);
+});
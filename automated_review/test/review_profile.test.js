@@ -0,0 +1,195 @@
+/**
+ * ReviewProfile: the YAML reader, entry validation and the severity/option overrides
+ * applied to a review
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseEdited, findCheck, captureWarnings } = require('./helpers.js');
+
+/**
+ * Run every built-in check on a parsed notebook under a profile
+ */
+function runWithProfile(parsed, profileText) {
+    const validators = new Validators(parsed);
+    validators.setProfile(ReviewProfile.fromText(profileText, 'profile.yaml'));
+    validators.runAll();
+    return validators;
+}
+
+test('parseYAML() reads nested mappings, lists, scalars and comments', () => {
+    const yaml = [
+        '---',
+        'name: "Travel # batch"   # the # inside quotes is kept',
+        'version: 2',
+        'ratio: 0.15',
+        'negative: -3',
+        'enabled: true',
+        'disabled: false',
+        'empty: null',
+        'tilde: ~',
+        'plain: some text',
+        'checks:',
+        '  "2.8":',
+        '    addTerms: [internal, "a, b", \'c\']',
+        '    removeTerms:',
+        '      - metadata',
+        '      - 3',
+        '  \'3.6\': warning',
+        'inline: []',
+        'list:',
+        '- first',
+        '- second'
+    ].join('\n');
+
+    assert.deepStrictEqual(ReviewProfile.parseYAML(yaml), {
+        name: 'Travel # batch',
+        version: 2,
+        ratio: 0.15,
+        negative: -3,
+        enabled: true,
+        disabled: false,
+        empty: null,
+        tilde: null,
+        plain: 'some text',
+        checks: {
+            '2.8': { addTerms: ['internal', 'a, b', 'c'], removeTerms: ['metadata', 3] },
+            '3.6': 'warning'
+        },
+        inline: [],
+        list: ['first', 'second']
+    });
+});
+
+test('parseYAML() reads a key without a value as null and an empty file as {}', () => {
+    assert.deepStrictEqual(ReviewProfile.parseYAML('name:\nversion: 1\n'), { name: null, version: 1 });
+    assert.deepStrictEqual(ReviewProfile.parseYAML('# only a comment\n\n'), {});
+});
+
+test('parseYAML() rejects tabs, stray indentation and lines that are not key: value', () => {
+    assert.throws(() => ReviewProfile.parseYAML('checks:\n\t"2.4": warning'), /^Error: Tabs are not allowed for indentation \(line 2\)$/);
+    assert.throws(() => ReviewProfile.parseYAML('name: a\n    version: 1'), /Unexpected indentation \(line 2\)/);
+    assert.throws(() => ReviewProfile.parseYAML('name: a\njust text'), /Expected "key: value" \(line 2\)/);
+    assert.throws(() => ReviewProfile.parseYAML('name: a\n- item'), /Unexpected list item \(line 2\)/);
+});
+
+test('fromText() reads JSON and YAML and wraps parse errors', () => {
+    const fromJSON = ReviewProfile.fromText('{"name": "JSON profile", "checks": {"4.4": "ignore"}}', 'profile.json');
+    assert.strictEqual(fromJSON.name, 'JSON profile');
+    assert.deepStrictEqual(fromJSON.checks, { '4.4': { severity: 'ignore' } });
+
+    const unnamed = ReviewProfile.fromText('{"checks": {}}');
+    assert.strictEqual(unnamed.getLabel(), 'Unnamed profile');
+
+    assert.throws(() => ReviewProfile.fromText('{"name": ', 'profile.json'), /^Error: Failed to parse profile: /);
+    assert.throws(() => ReviewProfile.fromText('- a\n- b', 'profile.yaml'), /^Error: Profile must be an object$/);
+});
+
+test('the example profile loads and describes its overrides', () => {
+    const text = fs.readFileSync(path.join(__dirname, '..', 'profiles', 'example.yaml'), 'utf8');
+    const profile = ReviewProfile.fromText(text, 'example.yaml');
+
+    assert.strictEqual(profile.getLabel(), 'Example project (v1)');
+    assert.strictEqual(profile.prompts, null);
+    assert.deepStrictEqual(profile.describe().overrides, [
+        '2.4 tolerance=0.15',
+        '2.8 addTerms=rubric',
+        '2.8 removeTerms=metadata',
+        '4.2 failRateThreshold=40',
+        '4.2 minFailingPasses=3',
+        '3.6 severity=warning',
+        '4.4 ignored'
+    ]);
+    assert.strictEqual(profile.getCheckOption('2.4', 'tolerance', 0.10), 0.15);
+    assert.strictEqual(profile.getCheckOption('2.4', 'missing', 0.10), 0.10);
+    assert.strictEqual(profile.getCheckSeverity('3.6'), 'warning');
+    assert.strictEqual(profile.getCheckSeverity('2.4'), null);
+});
+
+test('check entries are validated', () => {
+    const entry = (id, value) => () => new ReviewProfile({ checks: { [id]: value } });
+
+    assert.throws(entry('3.6', 'fatal'), /Check 3\.6: severity must be one of error, warning, ignore/);
+    assert.throws(entry('2.4', { tolerance: 1.5 }), /Check 2\.4: tolerance must be a number between 0 and 1/);
+    assert.throws(entry('2.8', { addTerms: 'rubric' }), /Check 2\.8: addTerms must be a list/);
+    assert.throws(entry('4.2', { failRateThreshold: 0 }), /failRateThreshold must be a percentage between 1 and 100/);
+    assert.throws(entry('4.2', { minFailingPasses: 1.5 }), /minFailingPasses must be a whole number/);
+    assert.throws(entry('4.2', { minSemanticConfidence: 2 }), /minSemanticConfidence must be a number between 0 and 1/);
+    assert.throws(() => new ReviewProfile({ prompts: '../secrets' }), /Invalid prompts "\.\.\/secrets": use a folder name/);
+});
+
+test('a warning severity reports the check failure as a warning', () => {
+    const parsed = parseEdited('valid_it.ipynb', builder => {
+        builder.system += ' Rispetta sempre il turn_metadata.';
+    });
+
+    assert.strictEqual(findCheck(runWithProfile(parsed, 'name: strict'), '2.8').status, 'failed');
+
+    const check = findCheck(runWithProfile(parsed, 'checks:\n  "2.8": warning'), '2.8');
+    assert.strictEqual(check.status, 'warning');
+    assert.deepStrictEqual(check.issues, []);
+    assert.match(check.warnings[0], /^Contains "turn_metadata" reference/);
+});
+
+test('an ignored check does not run', () => {
+    const parsed = parseEdited('valid_it.ipynb', builder => {
+        builder.system += ' Rispetta sempre il turn_metadata.';
+    });
+    const validators = runWithProfile(parsed, 'checks:\n  "2.8": ignore');
+
+    assert.strictEqual(findCheck(validators, '2.8'), undefined);
+    assert.strictEqual(validators.results.summary.status, 'PASS');
+    assert.deepStrictEqual(validators.results.profile.overrides, ['2.8 ignored']);
+});
+
+test('check options reach the check (2.8 addTerms)', () => {
+    const parsed = parseEdited('valid_it.ipynb', builder => {
+        builder.system += ' Segui la rubric del progetto.';
+    });
+
+    assert.strictEqual(findCheck(runWithProfile(parsed, 'name: default terms'), '2.8').status, 'passed');
+    const check = findCheck(runWithProfile(parsed, 'checks:\n  "2.8":\n    addTerms: [rubric]'), '2.8');
+    assert.strictEqual(check.status, 'failed');
+    assert.match(check.issues[0], /Contains "rubric" reference/);
+});
+
+test('applyToRegistry() configures a copy and leaves the registry it is given unchanged', () => {
+    const registry = RuleRegistry.createDefault();
+    const profile = ReviewProfile.fromText('checks:\n  "2.8": ignore\n  "3.6": warning\n');
+
+    const configured = profile.applyToRegistry(registry);
+    assert.notStrictEqual(configured, registry);
+    assert.strictEqual(configured.isEnabled('2.8'), false);
+    assert.strictEqual(configured.getRule('3.6').severity, 'warning');
+
+    assert.strictEqual(registry.isEnabled('2.8'), true);
+    assert.strictEqual(registry.getRule('3.6').severity, 'error');
+});
+
+test('a registry shared by several reviews keeps no profile overrides', () => {
+    const registry = RuleRegistry.createDefault();
+    const parsed = parseEdited('valid_it.ipynb', builder => {
+        builder.system += ' Rispetta sempre il turn_metadata.';
+    });
+
+    const withProfile = new Validators(parsed, null, registry);
+    withProfile.setProfile(ReviewProfile.fromText('checks:\n  "2.8": ignore'));
+    withProfile.runAll();
+    assert.strictEqual(findCheck(withProfile, '2.8'), undefined);
+
+    const without = new Validators(parsed, null, registry);
+    without.runAll();
+    assert.strictEqual(findCheck(without, '2.8').status, 'failed');
+});
+
+test('applyToRegistry() warns about unknown checks and options', () => {
+    const profile = new ReviewProfile({ name: 'Typos', checks: { '9.9': 'warning', '2.4': { tolerence: 0.2 } } });
+    const warnings = captureWarnings(() => profile.applyToRegistry(RuleRegistry.createDefault()));
+
+    assert.deepStrictEqual(warnings, [
+        'Profile "Typos" overrides unknown check 9.9',
+        'Profile "Typos" sets unknown option(s) of check 2.4: tolerence'
+    ]);
+});
@@ -0,0 +1,88 @@
+/**
+ * RevisionDiff: cells aligned by role, word diffs and the checks that changed status
+ * between two revisions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFixture, parseEdited, parseWithout, runChecks } = require('./helpers.js');
+
+/**
+ * Revision as RevisionDiff takes it: parsed notebook and check results
+ */
+function revision(fileName, parsed) {
+    return { fileName: fileName, parsed: parsed, results: runChecks(parsed).results };
+}
+
+/**
+ * Rebuild one side of a word diff
+ */
+function rebuild(segments, side) {
+    const skip = side === 'before' ? 'add' : 'remove';
+    return segments.filter(segment => segment.type !== skip).map(segment => segment.text).join('');
+}
+
+test('identical revisions have no changed cell and no flipped check', () => {
+    const diff = new RevisionDiff(revision('v1.ipynb', parseFixture('valid_it.ipynb')),
+        revision('v2.ipynb', parseFixture('valid_it.ipynb'))).compare();
+
+    assert.ok(diff.slots.length > 0);
+    assert.deepStrictEqual(diff.getChangedSlots(), []);
+    assert.deepStrictEqual(diff.flippedChecks, []);
+});
+
+test('an edited golden response is diffed word by word and its flipped checks listed', () => {
+    const edited = parseEdited('valid_it.ipynb', builder => {
+        builder.finalTurn.assistant = 'Certo! ' + builder.finalTurn.assistant.replace('senza fretta', 'con calma');
+    });
+    const diff = new RevisionDiff(revision('v1.ipynb', parseFixture('valid_it.ipynb')), revision('v2.ipynb', edited)).compare();
+
+    const changed = diff.getChangedSlots();
+    assert.deepStrictEqual(changed.map(slot => slot.key), ['final.assistant']);
+    assert.strictEqual(changed[0].label, 'Final turn - golden response');
+    assert.deepStrictEqual(changed[0].diff.filter(segment => segment.type !== 'same'), [
+        { type: 'add', text: 'Certo! ' },
+        { type: 'remove', text: 'senza' },
+        { type: 'add', text: 'con' },
+        { type: 'remove', text: 'fretta.' },
+        { type: 'add', text: 'calma.' }
+    ]);
+
+    const preamble = diff.flippedChecks.find(flip => flip.id === '2.9');
+    assert.deepStrictEqual([preamble.before, preamble.after], ['passed', 'failed']);
+});
+
+test('alignCells() matches model passes by model and pass number', () => {
+    const slots = RevisionDiff.alignCells(parseFixture('valid_it.ipynb'), parseWithout('valid_it.ipynb', [
+        'thinking_qwen3_2', 'assistant_qwen3_2', 'validator_assistant_qwen3_2', 'validator_human_qwen3_2'
+    ]));
+
+    const removed = slots.filter(slot => slot.before !== null && slot.after === null).map(slot => slot.key);
+    assert.deepStrictEqual(removed, ['qwen3_2.thinking', 'qwen3_2.assistant', 'qwen3_2.validator_assistant', 'qwen3_2.validator_human']);
+
+    const third = slots.find(slot => slot.key === 'qwen3_3.assistant');
+    assert.strictEqual(third.before, third.after);
+    assert.match(slots.find(slot => slot.key === 'final.thinking').before, /^\(\d+ words\)$/);
+});
+
+test('diffWords() segments rebuild both texts', () => {
+    const before = 'Visiti gli Uffizi  alle otto,\npoi Palazzo Pitti.';
+    const after = 'Visiti gli Uffizi alle nove,\npoi il Giardino di Boboli e Palazzo Pitti.';
+    const segments = RevisionDiff.diffWords(before, after);
+
+    assert.strictEqual(rebuild(segments, 'before'), before);
+    assert.strictEqual(rebuild(segments, 'after'), after);
+    assert.ok(segments.every((segment, i) => i === 0 || segment.type !== segments[i - 1].type), 'neighbours of one type are merged');
+    assert.deepStrictEqual(RevisionDiff.diffWords('', 'nuovo'), [{ type: 'add', text: 'nuovo' }]);
+});
+
+test('compareResults() lists checks that changed status or only ran in one revision', () => {
+    const before = { phase1: [{ id: '1.1', name: 'A', status: 'passed' }], phase2: [{ id: '2.1', name: 'B', status: 'failed' }] };
+    const after = { phase2: [{ id: '2.1', name: 'B', status: 'passed' }, { id: '2.2', name: 'C', status: 'warning' }] };
+
+    assert.deepStrictEqual(RevisionDiff.compareResults(before, after), [
+        { id: '1.1', name: 'A', before: 'passed', after: null },
+        { id: '2.1', name: 'B', before: 'failed', after: 'passed' },
+        { id: '2.2', name: 'C', before: null, after: 'warning' }
+    ]);
+});
@@ -0,0 +1,138 @@
+/**
+ * RuleRegistry: registering, enabling/disabling and configuring rules, and project rules run
+ * by Validators
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFixture, findCheck, captureWarnings } = require('./helpers.js');
+
+/**
+ * Project rule for phase 2 that always returns the given status
+ */
+function projectRule(id, status, overrides = {}) {
+    return {
+        id: id,
+        name: `Project rule ${id}`,
+        phase: 2,
+        run: () => ({ status: status, issues: status === 'failed' ? [`${id} found a problem`] : [] }),
+        ...overrides
+    };
+}
+
+test('createDefault() registers the built-in checks in execution order', () => {
+    const registry = RuleRegistry.createDefault();
+    const ids = registry.getRules().map(rule => rule.id);
+
+    assert.strictEqual(ids[0], '1.1');
+    assert.deepStrictEqual(ids.slice(-2), ['2.3-ai', '2.6-ai']);
+    assert.deepStrictEqual(registry.getRules({ needsApi: true }).map(rule => rule.id), ['2.3-ai', '2.6-ai']);
+    assert.deepStrictEqual(registry.getRules({ phase: 4 }).map(rule => rule.id), ['4.2', '4.3', '4.4']);
+    assert.deepStrictEqual(registry.getRule('2.4').options, { tolerance: 0.10 });
+});
+
+test('register() fills in the defaults and rejects invalid rules', () => {
+    const registry = new RuleRegistry();
+    registry.register({ id: 7, phase: 3, run: () => {} });
+
+    const rule = registry.getRule('7');
+    assert.deepStrictEqual(
+        { id: rule.id, name: rule.name, severity: rule.severity, needsApi: rule.needsApi, options: rule.options },
+        { id: '7', name: '7', severity: 'error', needsApi: false, options: {} }
+    );
+
+    assert.throws(() => registry.register({ phase: 1, run: () => {} }), /^Error: Rule must have an id$/);
+    assert.throws(() => registry.register({ id: 'x', phase: 5, run: () => {} }), /Rule x: phase must be 1, 2, 3 or 4/);
+    assert.throws(() => registry.register({ id: 'x', phase: 1 }), /Rule x: run must be a function/);
+    assert.throws(() => registry.register({ id: 'x', phase: 1, severity: 'info', run: () => {} }),
+        /Rule x: severity must be one of error, warning/);
+    assert.throws(() => registry.register({ id: 'x', phase: 1, options: [], run: () => {} }), /Rule x: options must be an object/);
+});
+
+test('configure() disables and enables rules by id', () => {
+    const registry = RuleRegistry.createDefault();
+    registry.configure({ disabled: ['3.6', '4.4', '2.8'], enabled: ['2.8'] });
+
+    assert.strictEqual(registry.isEnabled('3.6'), false);
+    assert.strictEqual(registry.isEnabled('4.4'), false);
+    assert.strictEqual(registry.isEnabled('2.8'), true, 'enabled wins over disabled');
+    assert.ok(!registry.getRules().some(rule => rule.id === '3.6'));
+    assert.ok(registry.getRules({ includeDisabled: true }).some(rule => rule.id === '3.6'));
+
+    registry.configure({ enabled: ['3.6'] });
+    assert.strictEqual(registry.isEnabled('3.6'), true);
+});
+
+test('configure() warns about ids it does not know', () => {
+    const registry = RuleRegistry.createDefault();
+    const warnings = captureWarnings(() => registry.configure({ disabled: ['9.9'], enabled: ['2.8', 'x'] }));
+    assert.deepStrictEqual(warnings, ['Unknown rule ids in configuration: 9.9, x']);
+});
+
+test('createDefault() applies a configuration', () => {
+    const registry = RuleRegistry.createDefault({ disabled: ['4.4'] });
+    assert.strictEqual(registry.isEnabled('4.4'), false);
+    assert.strictEqual(registry.isEnabled('4.3'), true);
+});
+
+test('unregister() removes the rule and its disabled state', () => {
+    const registry = RuleRegistry.createDefault({ disabled: ['4.4'] });
+    registry.unregister('4.4');
+    assert.strictEqual(registry.getRule('4.4'), null);
+    assert.strictEqual(registry.isEnabled('4.4'), false);
+    assert.ok(!registry.disabled.has('4.4'));
+});
+
+test('clone() copies rules, options and disabled ids without sharing them', () => {
+    const registry = RuleRegistry.createDefault({ disabled: ['4.4'] });
+    const copy = registry.clone();
+
+    copy.disable('2.8').enable('4.4');
+    copy.register({ ...copy.getRule('3.6'), severity: 'warning' });
+    copy.getRule('2.4').options.tolerance = 0.5;
+
+    assert.strictEqual(registry.isEnabled('2.8'), true);
+    assert.strictEqual(registry.isEnabled('4.4'), false);
+    assert.strictEqual(registry.getRule('3.6').severity, 'error');
+    assert.strictEqual(registry.getRule('2.4').options.tolerance, 0.10);
+});
+
+test('define() adds a project rule to every default registry', () => {
+    RuleRegistry.define(projectRule('2.20', 'passed'));
+    try {
+        assert.ok(RuleRegistry.createDefault().getRule('2.20'));
+    } finally {
+        RuleRegistry.projectRules.pop();
+    }
+    assert.strictEqual(RuleRegistry.createDefault().getRule('2.20'), null);
+});
+
+test('Validators records a project rule result under its id and severity', () => {
+    const registry = RuleRegistry.createDefault()
+        .register(projectRule('2.21', 'failed'))
+        .register(projectRule('2.22', 'failed', { severity: 'warning' }));
+
+    const validators = new Validators(parseFixture('valid_it.ipynb'), null, registry);
+    validators.runAll();
+
+    const error = findCheck(validators, '2.21');
+    assert.strictEqual(error.status, 'failed');
+    assert.strictEqual(error.name, 'Project rule 2.21');
+    assert.deepStrictEqual(error.issues, ['2.21 found a problem']);
+
+    const warning = findCheck(validators, '2.22');
+    assert.strictEqual(warning.status, 'warning');
+    assert.deepStrictEqual(warning.issues, []);
+    assert.deepStrictEqual(warning.warnings, ['2.22 found a problem']);
+});
+
+test('Validators reports a rule that throws and skips disabled rules', () => {
+    const registry = RuleRegistry.createDefault({ disabled: ['2.8'] })
+        .register(projectRule('2.23', 'passed', { run: () => { throw new Error('boom'); } }));
+
+    const validators = new Validators(parseFixture('valid_it.ipynb'), null, registry);
+    captureWarnings(() => validators.runAll());
+
+    assert.deepStrictEqual(findCheck(validators, '2.23').issues, ['Rule 2.23 could not run: boom']);
+    assert.strictEqual(findCheck(validators, '2.8'), undefined);
+});
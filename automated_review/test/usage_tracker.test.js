@@ -0,0 +1,126 @@
+/**
+ * UsageTracker: day/month periods and rollover, recorded usage, budgets and the calls
+ * reserve() holds against the limits
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+/**
+ * Storage of its own for each tracker, so the tests do not share usage
+ */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+const USAGE = { promptTokens: 1000, completionTokens: 500 };
+
+test('getPeriod() gives the day and month in the quota time zone', () => {
+    const date = new Date('2026-03-01T05:00:00Z');
+    assert.deepStrictEqual(UsageTracker.getPeriod('UTC', date), { day: '2026-03-01', month: '2026-03' });
+    assert.deepStrictEqual(UsageTracker.getPeriod('America/Los_Angeles', date), { day: '2026-02-28', month: '2026-02' });
+});
+
+test('record() adds a call to today, this month and the review', () => {
+    const tracker = new UsageTracker(memoryStorage());
+    const cost = tracker.record('gemini', 'UTC', 'gemini-2.5-flash', USAGE);
+    tracker.record('gemini', 'UTC', 'local-model', USAGE);
+
+    assert.strictEqual(cost, (1000 * 0.30 + 500 * 2.50) / 1000000);
+    const usage = tracker.getUsage('gemini', 'UTC');
+    assert.deepStrictEqual(usage.today, { calls: 2, promptTokens: 2000, completionTokens: 1000, cost: cost });
+    assert.deepStrictEqual(usage.thisMonth, usage.today);
+    assert.deepStrictEqual(tracker.getReviewUsage(), usage.today);
+    assert.strictEqual(tracker.getUsage('openai', 'UTC').today.calls, 0);
+
+    tracker.resetReview();
+    assert.strictEqual(tracker.getReviewUsage().calls, 0);
+});
+
+test('usage of an earlier day is dropped and the month total kept', () => {
+    const storage = memoryStorage();
+    const { month } = UsageTracker.getPeriod('UTC');
+    const totals = { calls: 7, promptTokens: 70, completionTokens: 7, cost: 0.5 };
+    storage.setItem('api_usage', JSON.stringify({
+        gemini: { day: `${month}-00`, month: month, today: totals, thisMonth: totals }
+    }));
+
+    const tracker = new UsageTracker(storage);
+    assert.strictEqual(tracker.getUsage('gemini', 'UTC').today.calls, 0);
+    assert.strictEqual(tracker.getUsage('gemini', 'UTC').thisMonth.calls, 7);
+
+    tracker.record('gemini', 'UTC', 'local-model', USAGE);
+    assert.strictEqual(tracker.getUsage('gemini', 'UTC').today.calls, 1);
+    assert.strictEqual(tracker.getUsage('gemini', 'UTC').thisMonth.calls, 8);
+
+    tracker.resetDay('gemini', 'UTC');
+    assert.strictEqual(tracker.getUsage('gemini', 'UTC').today.calls, 0);
+    assert.strictEqual(tracker.getUsage('gemini', 'UTC').thisMonth.calls, 8);
+});
+
+test('setBudgets() keeps empty values as no limit and rejects negative ones', () => {
+    const tracker = new UsageTracker(memoryStorage());
+    tracker.setBudgets({ dailyCalls: '0', dailyCost: '', monthlyCalls: 100, monthlyCost: null });
+    assert.deepStrictEqual(tracker.getBudgets(), { dailyCalls: 0, dailyCost: null, monthlyCalls: 100, monthlyCost: null });
+
+    assert.throws(() => tracker.setBudgets({ dailyCost: -1 }), /^Error: Budget "dailyCost" must be a non-negative number$/);
+    assert.throws(() => tracker.setBudgets({ monthlyCalls: 'ten' }), /Budget "monthlyCalls"/);
+});
+
+test('checkLimits() stops at the provider limit and at each budget', () => {
+    const tracker = new UsageTracker(memoryStorage());
+    tracker.record('gemini', 'UTC', 'gemini-2.5-flash', USAGE);
+
+    assert.doesNotThrow(() => tracker.checkLimits('gemini', 'UTC', 2));
+    assert.throws(() => tracker.checkLimits('gemini', 'UTC', 1), /^Error: Daily API limit reached \(1 calls\)/);
+
+    tracker.setBudgets({ dailyCalls: 0 });
+    assert.throws(() => tracker.checkLimits('openai', 'UTC'), /Daily budget reached \(0 calls\)/);
+
+    tracker.setBudgets({ dailyCost: 0.001 });
+    assert.throws(() => tracker.checkLimits('gemini', 'UTC'), /Daily budget reached \(\$0\.00\)/);
+    assert.doesNotThrow(() => tracker.checkLimits('openai', 'UTC'));
+
+    tracker.setBudgets({ monthlyCalls: 1 });
+    assert.throws(() => tracker.checkLimits('gemini', 'UTC'), /Monthly budget reached \(1 calls\)/);
+});
+
+test('reserve() counts calls in flight against the limit until release()', () => {
+    const tracker = new UsageTracker(memoryStorage());
+
+    tracker.reserve('gemini', 'UTC', 2);
+    tracker.reserve('gemini', 'UTC', 2);
+    assert.throws(() => tracker.reserve('gemini', 'UTC', 2), /Daily API limit reached \(2 calls\)/);
+    assert.strictEqual(tracker.pending.gemini, 2);
+    assert.doesNotThrow(() => tracker.reserve('openai', 'UTC', 2), 'reservations are per provider');
+
+    // A failed call gives its reservation back
+    tracker.release('gemini');
+    tracker.reserve('gemini', 'UTC', 2);
+
+    // A recorded call replaces its reservation
+    tracker.record('gemini', 'UTC', 'local-model', USAGE);
+    tracker.release('gemini');
+    assert.throws(() => tracker.reserve('gemini', 'UTC', 2), /Daily API limit reached/);
+
+    tracker.release('gemini');
+    tracker.release('gemini');
+    tracker.release('gemini');
+    assert.strictEqual(tracker.pending.gemini, 0, 'never below zero');
+});
+
+test('corrupt stored usage is ignored', (t) => {
+    const storage = memoryStorage();
+    storage.setItem('api_usage', '{not json');
+    t.mock.method(console, 'warn', () => {});
+
+    const tracker = new UsageTracker(storage);
+    assert.strictEqual(tracker.getUsage('gemini', 'UTC').today.calls, 0);
+    tracker.record('gemini', 'UTC', 'local-model', USAGE);
+    assert.strictEqual(tracker.getUsage('gemini', 'UTC').today.calls, 1);
+});
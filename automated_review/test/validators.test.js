@@ -0,0 +1,117 @@
+/**
+ * Validators: the valid fixture passes every check, and each check catches the defect it is
+ * written for in an edited copy of that fixture
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFixture, parseEdited, parseWithout, editJSONCell, runChecks, findCheck } = require('./helpers.js');
+
+const FIXTURE = 'valid_it.ipynb';
+
+// One defect per check: edit (NotebookBuilder) or without (cell tags to leave out), the status
+// the check must report and the issue or warning it must name
+const CHECK_CASES = [
+    { id: '1.1', edit: b => { b.turns = []; },
+      status: 'failed', message: /No intermediate turns found/ },
+    { id: '1.2', edit: b => editJSONCell(b.finalTurn, 'turnMetadata', json => { json.language = 'es'; }),
+      status: 'failed', message: /Language mismatch: metadata says "Italian \(it\)" but turn_metadata says "es"/ },
+    { id: '1.3', without: ['thinking_qwen3_2'],
+      status: 'failed', message: /Model pass qwen3_2: Missing thinking cell/ },
+    { id: '1.4', without: ['validator_human_qwen3_3'],
+      status: 'failed', message: /qwen3_3: Missing validator_human/ },
+    { id: '1.5', edit: b => { b.finalTurn.assistant = b.finalTurn.user; },
+      status: 'failed', message: /Golden response is IDENTICAL to user query/ },
+    { id: '2.1', edit: b => { b.system = 'Sei una guida turistica di Firenze.'; },
+      status: 'failed', message: /MUST contain at least 1 LLM Eval constraint/ },
+    { id: '2.2', edit: b => { b.system = 'Perfetto! ' + b.system; },
+      status: 'failed', message: /Starts with model acknowledgment "Perfetto\/Perfect"/ },
+    { id: '2.3', edit: b => { b.finalTurn.user = b.finalTurn.user.replace('al massimo centocinquanta parole', 'poche parole'); },
+      status: 'needs_review', message: /\[length_constraints:number_words\] Word count "150" not found/ },
+    { id: '2.4', edit: b => { b.metadata.userPromptLength = '200-300'; },
+      status: 'failed', message: /User prompt: \d+ words \(expected 200-300/ },
+    { id: '2.5', edit: b => { b.finalTurn.user = b.finalTurn.user.replace(/ e usa un tono formale\.$/, ' e usa un'); },
+      status: 'failed', message: /Query ends with article/ },
+    { id: '2.6', edit: b => { b.turns[0].user += '\n\n- musei\n- ristoranti'; },
+      status: 'passed', message: /Turn 1: Contains bullet\/numbered list/ },
+    { id: '2.7', edit: b => editJSONCell(b.finalTurn, 'turnMetadata', json => {
+        json.instructions.push({ instruction_id: 'punctuation:no_comma', source: 'system' });
+    }),
+      status: 'passed', message: /\[punctuation:no_comma\] has source: "system" but couldn't verify it in system prompt/ },
+    { id: '2.8', edit: b => { b.system += ' Rispetta sempre il turn_metadata.'; },
+      status: 'failed', message: /Contains "turn_metadata" reference/ },
+    { id: '2.9', edit: b => { b.finalTurn.assistant += ' 😊'; },
+      status: 'failed', message: /Golden response contains 1 emoji\(s\)/ },
+    { id: '3.0', edit: b => { b.finalTurn.validatorAssistant = '```json\n[{"id": "x",\n```'; },
+      status: 'failed', message: /validator_assistant: JSON ERROR/ },
+    { id: '3.1', edit: b => editJSONCell(b.finalTurn, 'turnMetadata', json => { json.instructions.shift(); }),
+      status: 'failed', message: /Only 3 IF instructions found \(minimum 4 required\)/ },
+    { id: '3.2', edit: b => editJSONCell(b.finalTurn, 'turnMetadata', json => {
+        json.instructions = json.instructions.filter(inst => !inst.instruction_id.startsWith('stylistic:'));
+    }),
+      status: 'failed', message: /No LLM Eval instruction found/ },
+    { id: '3.3', edit: b => editJSONCell(b.finalTurn, 'turnMetadata', json => { json.llm_judge = []; }),
+      status: 'failed', message: /No llm_judge found in turn_metadata/ },
+    { id: '3.4', edit: b => editJSONCell(b.finalTurn, 'turnMetadata', json => {
+        json.llm_judge[0].content = 'La risposta usa un tono formale e cordiale?';
+    }),
+      status: 'passed', message: /looks like a tone\/style check - consider using LLM Eval/ },
+    { id: '3.5', edit: b => editJSONCell(b.finalTurn, 'turnMetadata', json => {
+        json.instructions.push({ instruction_id: 'punctuation:no_comma', source: 'user' });
+    }),
+      status: 'passed', message: /Found 1 format constraint\(s\): punctuation:no_comma/ },
+    { id: '3.6', edit: b => editJSONCell(b.finalTurn, 'turnMetadata', json => { json.instructions[2].keyword = 'Uffizi'; }),
+      status: 'failed', message: /Keyword "Uffizi" is NOT in user query/ },
+    { id: '3.7', edit: b => editJSONCell(b.finalTurn, 'turnMetadata', json => {
+        json.llm_judge[0].content = 'Does the response suggest at least one museum and is the museum open on Saturday?';
+    }),
+      status: 'failed', message: /llm_judge UID 1 appears to be in EN but task language is IT/ },
+    { id: '3.8', edit: b => editJSONCell(b.finalTurn, 'turnMetadata', json => {
+        json.llm_judge[0].content = 'La risposta mantiene un registro elegante in ogni paragrafo?';
+    }),
+      status: 'failed', message: /llm_judge UID 1 is REDUNDANT/ },
+    { id: '3.9', edit: b => { b.finalTurn.user = b.finalTurn.user.replace(' con un titolo tra doppie parentesi angolari come <<Titolo>>', ''); },
+      status: 'warning', message: /\[detectable_format:title\] Constraint requires title format/ },
+    { id: '3.10', without: ['validator_human_qwen3_2'],
+      status: 'failed', message: /validator_human_qwen3_2: NOT FOUND/ },
+    { id: '4.2', edit: b => { b.finalTurn.assistant = b.finalTurn.assistant.replace('da dove Firenze', 'da dove la città'); },
+      status: 'failed', message: /Golden response has 1 mechanical failures/ },
+    { id: '4.2', edit: b => b.passes.forEach(pass => {
+        pass.assistant = b.finalTurn.assistant;
+        pass.validatorAssistant = b.finalTurn.validatorAssistant;
+    }),
+      status: 'failed', message: /MODEL BREAKING RULE VIOLATED: Only 0\/4 model passes fail ≥50% of constraints \(need ≥3\)/ },
+    { id: '4.3', edit: b => { b.finalTurn.validatorHuman = b.finalTurn.validatorAssistant; },
+      status: 'passed', message: /Golden validator_human has 4 checks, same or more than validator_assistant \(4\)/ },
+    { id: '4.4', edit: b => editJSONCell(b.finalTurn, 'validatorAssistant', json => {
+        json[0].message = 'La risposta cita "il Giardino di Boboli e la Cappella Brancacci"';
+    }),
+      status: 'failed', message: /Validator references "il Giardino di Boboli e la Cappella Brancacci" but this text is NOT in golden response/ }
+];
+
+test('the valid fixture passes every check without warnings', () => {
+    const validators = runChecks(parseFixture(FIXTURE));
+    ['phase1', 'phase2', 'phase3', 'phase4'].forEach(phase => {
+        validators.results[phase].forEach(check => {
+            assert.strictEqual(check.status, 'passed', `${check.id}: ${JSON.stringify(check.issues)}`);
+            assert.deepStrictEqual(check.warnings || [], [], check.id);
+        });
+    });
+    assert.strictEqual(validators.results.summary.status, 'PASS');
+});
+
+test('every built-in check has a case', () => {
+    const ids = RuleRegistry.createDefault().getRules().filter(rule => !rule.needsApi).map(rule => rule.id);
+    assert.deepStrictEqual([...new Set(CHECK_CASES.map(c => c.id))], ids);
+});
+
+CHECK_CASES.forEach(({ id, edit, without, status, message }) => {
+    test(`check ${id} catches its defect`, () => {
+        const parsed = without ? parseWithout(FIXTURE, without) : parseEdited(FIXTURE, edit);
+        const check = findCheck(runChecks(parsed), id);
+        const messages = [...(check.issues || []), ...(check.warnings || [])];
+
+        assert.strictEqual(check.status, status, JSON.stringify(messages));
+        assert.ok(messages.some(m => message.test(m)), `${message} not in ${JSON.stringify(messages)}`);
+    });
+});